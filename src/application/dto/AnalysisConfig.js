@@ -1,116 +1,23 @@
+import { QueryRule } from '../../domain/value_objects/QueryRule.js';
+import { QualityGates } from '../../domain/value_objects/QualityGates.js';
+import { DetectorRegistry } from '../../domain/services/DetectorRegistry.js';
+
+/**
+ * Built-in detectors, whose threshold schemas give the defaults and bounds of the configured thresholds
+ */
+const BUILT_IN_DETECTORS = DetectorRegistry.withBuiltIns();
+
 /**
  * Data Transfer Object for analysis configuration
  * Loaded from YAML file with threshold settings
  */
 export class AnalysisConfig {
-  constructor(config = {}) {
-    // Default thresholds from Z-specification
-    this.thresholds = {
-      // Long Method
-      maxLines: config.maxLines || 50,
-      maxComplexity: config.maxComplexity || 10,
-      maxYields: config.maxYields || 7,
-
-      // Large Class
-      maxFields: config.maxFields || 15,
-      maxMethods: config.maxMethods || 20,
-      maxLOC: config.maxLOC || 400,
-      maxExports: config.maxExports || 10,
-
-      // Duplicate Code
-      similarityThreshold: config.similarityThreshold || 6,
-      minLines: config.minLines || 5,
-      minSimilarity: config.minSimilarity || 0.6,
-
-      // Long Parameter List
-      maxParams: config.maxParams || 4,
-      maxRelatedParams: config.maxRelatedParams || 3,
-
-      // Divergent Change
-      maxReasons: config.maxReasons || 3,
-
-      // Shotgun Surgery
-      maxClasses: config.maxClasses || 3,
-
-      // Feature Envy
-      envyRatio: config.envyRatio || 2.0,
-
-      // Data Clumps
-      minClumpSize: config.minClumpSize || 3,
-      minOccurrences: config.minOccurrences || 3,
-
-      // Primitive Obsession
-      maxMagicNumbers: config.maxMagicNumbers || 5,
-      maxMagicStrings: config.maxMagicStrings || 5,
-      maxStringGetNodes: config.maxStringGetNodes || 3,
-      maxUntypedVars: config.maxUntypedVars || 3,
-
-      // Switch Statements
-      maxSwitches: config.maxSwitches || 2,
-      maxCases: config.maxCases || 5,
-
-      // Lazy Class
-      minLOC: config.minLOC || 20,
-      minMethods: config.minMethods || 2,
-      minResponsibilities: config.minResponsibilities || 1,
-
-      // Speculative Generality
-      unusedMethods: config.unusedMethods || 0,
-      unusedParameters: config.unusedParameters || 0,
-
-      // Temporary Field
-      conditionalUsage: config.conditionalUsage || false,
-      nullChecks: config.nullChecks || 0,
-
-      // Message Chains
-      maxChainLength: config.maxChainLength || 3,
-
-      // Middle Man
-      maxDelegationRatio: config.maxDelegationRatio || 0.5,
-
-      // Inappropriate Intimacy
-      bidirectionalDependency: config.bidirectionalDependency || false,
-      sharedIntimacy: config.sharedIntimacy || 0,
-
-      // Data Class
-      behaviorMethods: config.behaviorMethods || 0,
-      publicFields: config.publicFields || 0,
-
-      // Refused Bequest
-      usageRatio: config.usageRatio || 0.3,
-      overriddenEmpty: config.overriddenEmpty || 0,
-
-      // Comments
-      maxCommentDensity: config.maxCommentDensity || 0.5,
-
-      // Global State
-      maxAutoloads: config.maxAutoloads || 5,
-      maxGlobalVars: config.maxGlobalVars || 20
-    };
+  constructor(config = {}, options = {}) {
+    // Thresholds of the built-in detectors: the defaults their schemas declare, overridden by the configured values
+    this.thresholds = AnalysisConfig.resolveThresholds(config);
 
     // Enabled detectors
-    this.enabledDetectors = config.enabledDetectors || [
-      'LongMethod',
-      'LargeClass',
-      'DuplicateCode',
-      'LongParameterList',
-      'DivergentChange',
-      'ShotgunSurgery',
-      'FeatureEnvy',
-      'DataClumps',
-      'PrimitiveObsession',
-      'SwitchStatements',
-      'LazyClass',
-      'SpeculativeGenerality',
-      'TemporaryField',
-      'MessageChains',
-      'MiddleMan',
-      'InappropriateIntimacy',
-      'DataClass',
-      'RefusedBequest',
-      'Comments',
-      'GlobalState'
-    ];
+    this.enabledDetectors = config.enabledDetectors || BUILT_IN_DETECTORS.getNames();
 
     // Output settings
     this.output = {
@@ -120,6 +27,42 @@ export class AnalysisConfig {
       groupBySeverity: config.output?.groupBySeverity || false
     };
 
+    // Analysis settings
+    this.analysis = {
+      godotVersion: config.analysis?.godotVersion ?? null, // 3 or 4; detected from project.godot when null
+      extensionApi: config.analysis?.extensionApi ?? null, // Path to extension_api.json; the bundled subset when null
+      parseErrors: config.analysis?.parseErrors ?? 'partial' // Scripts with syntax errors: partial, skip or fail
+    };
+
+    // File selection, as globs relative to the project root
+    this.files = {
+      include: config.files?.include || [], // Only files matching one of these are analyzed; all when empty
+      exclude: config.files?.exclude ?? null // gitignore-style patterns; hidden directories and addons/ when null
+    };
+
+    // Incremental analysis cache
+    this.cache = {
+      enabled: config.cache?.enabled !== false,
+      directory: config.cache?.directory || '.smell-cache' // Relative to the project root
+    };
+
+    // Detector plugins, as local module paths or installed package names, with threshold overrides
+    this.plugins = (config.plugins || []).map(entry => Object.freeze(typeof entry === 'string'
+      ? { module: entry, thresholds: {} }
+      : { module: entry?.module, thresholds: { ...(entry?.thresholds || {}) } }));
+    this.directory = options.directory || null; // Directory of the configuration file; relative plugin paths resolve against it
+
+    // House rules written as tree-sitter queries, reported like detectors under their own names
+    this.rules = (config.rules || []).map(rule => rule instanceof QueryRule ? rule : QueryRule.from(rule));
+
+    // Quality gates: limits on reported smells and complexity; none are checked when unset
+    this.qualityGates = QualityGates.from(config.qualityGates || {});
+
+    // CI integration
+    this.ci = {
+      failOnQualityGate: config.ci?.failOnQualityGate === true // Exit with a distinct code when a quality gate fails
+    };
+
     Object.freeze(this);
   }
 
@@ -134,49 +77,52 @@ export class AnalysisConfig {
    * Get threshold value for a detector
    */
   getThreshold(detectorName, thresholdName) {
-    return this.thresholds[thresholdName] || null;
+    return this.thresholds[thresholdName] ?? null;
   }
 
   /**
-   * Get all thresholds for a detector
+   * Get all thresholds for a detector: the values of those its schema declares
    */
   getDetectorThresholds(detectorName) {
-    // Map detector names to their relevant thresholds
-    const detectorThresholds = {
-      'LongMethod': ['maxLines', 'maxComplexity', 'maxYields'],
-      'LargeClass': ['maxFields', 'maxMethods', 'maxLOC', 'maxExports'],
-      'DuplicateCode': ['similarityThreshold', 'minLines', 'minSimilarity'],
-      'LongParameterList': ['maxParams', 'maxRelatedParams'],
-      'DivergentChange': ['maxReasons'],
-      'ShotgunSurgery': ['maxClasses'],
-      'FeatureEnvy': ['envyRatio'],
-      'DataClumps': ['minClumpSize', 'minOccurrences'],
-      'PrimitiveObsession': ['maxMagicNumbers', 'maxMagicStrings', 'maxStringGetNodes', 'maxUntypedVars'],
-      'SwitchStatements': ['maxSwitches', 'maxCases'],
-      'LazyClass': ['minLOC', 'minMethods', 'minResponsibilities'],
-      'SpeculativeGenerality': ['unusedMethods', 'unusedParameters'],
-      'TemporaryField': ['conditionalUsage', 'nullChecks'],
-      'MessageChains': ['maxChainLength'],
-      'MiddleMan': ['maxDelegationRatio'],
-      'InappropriateIntimacy': ['bidirectionalDependency', 'sharedIntimacy'],
-      'DataClass': ['behaviorMethods', 'publicFields'],
-      'RefusedBequest': ['usageRatio', 'overriddenEmpty'],
-      'Comments': ['maxCommentDensity'],
-      'GlobalState': ['maxAutoloads', 'maxGlobalVars']
-    };
+    const schema = BUILT_IN_DETECTORS.getSchema(detectorName);
+    return schema ? Object.fromEntries(schema.getNames().map(name => [name, this.thresholds[name]])) : {};
+  }
 
-    const relevantThresholds = detectorThresholds[detectorName] || [];
-    const result = {};
+  /**
+   * Resolve the thresholds of the built-in detectors, checking configured values against their schemas
+   * Values are read from the `thresholds` section, and from top-level keys named like a threshold,
+   * as the programmatic API and the worker threads pass them
+   * @param {Object} config - YAML-shaped configuration
+   * @returns {Object} Threshold name to value, for every built-in detector
+   */
+  static resolveThresholds(config = {}) {
+    const section = config.thresholds ?? {};
+    if (section === null || typeof section !== 'object' || Array.isArray(section)) {
+      throw new Error('thresholds must map threshold names to values');
+    }
 
-    for (const threshold of relevantThresholds) {
-      result[threshold] = this.thresholds[threshold];
+    const schemas = BUILT_IN_DETECTORS.getNames().map(name => BUILT_IN_DETECTORS.getSchema(name));
+    const known = schemas.flatMap(schema => schema.getNames());
+    for (const name of Object.keys(section)) {
+      if (!known.includes(name)) {
+        throw new Error(`Unknown threshold ${name} (expected one of: ${known.join(', ')})`);
+      }
     }
 
-    return result;
+    const thresholds = {};
+    for (const schema of schemas) {
+      const values = {};
+      for (const name of schema.getNames()) {
+        const value = Object.hasOwn(section, name) ? section[name] : config[name];
+        if (value !== undefined) values[name] = value;
+      }
+      Object.assign(thresholds, schema.resolve(values));
+    }
+    return thresholds;
   }
 
-  static fromYAML(yamlConfig) {
-    return new AnalysisConfig(yamlConfig);
+  static fromYAML(yamlConfig, options = {}) {
+    return new AnalysisConfig(yamlConfig, options);
   }
 
   static getDefaultConfig() {
@@ -22,17 +22,49 @@ export class AnalysisResult {
   }
 
   /**
-   * Get all detected smells
+   * Get all detected smells, leaving out those silenced by `# smell-disable` directives
+   * and those the baseline covers
    */
   getDetectedSmells() {
-    return this.results.filter(result => result.isDetected());
+    return this.results.filter(result => result.isDetected() && !result.isSuppressed() && !result.isExisting());
+  }
+
+  /**
+   * Get the detected smells silenced by `# smell-disable` directives
+   */
+  getSuppressedSmells() {
+    return this.results.filter(result => result.isDetected() && result.isSuppressed());
+  }
+
+  /**
+   * Get the detected smells the baseline covers, which the project had before
+   */
+  getExistingSmells() {
+    return this.results.filter(result => result.isDetected() && result.isExisting());
   }
 
   /**
    * Get smells by severity
    */
   getSmellsBySeverity(severity) {
-    return this.results.filter(result => result.severity === severity);
+    return this.results.filter(result => result.severity === severity && !result.isSuppressed() && !result.isExisting());
+  }
+
+  /**
+   * Get the syntax errors and parse failures found while loading the project
+   */
+  getDiagnostics() {
+    return this.project.diagnostics;
+  }
+
+  /**
+   * Check the configured quality gates against the reported smells
+   * @returns {{passed: boolean, violations: Array<Object>}|null} Outcome, or null when no gate is configured
+   */
+  getQualityGate() {
+    const gates = this.config?.qualityGates;
+    if (!gates || gates.isEmpty()) return null;
+    return gates.evaluate(this.getDetectedSmells(), this.project);
   }
 
   /**
@@ -65,13 +97,16 @@ export class AnalysisResult {
 
     return {
       totalSmells: detected.length,
+      suppressedSmells: this.getSuppressedSmells().length,
+      existingSmells: this.getExistingSmells().length,
       bySeverity,
       byType: Object.fromEntries(
         Object.entries(this.getSmellsByType()).map(([type, results]) => [
           type,
-          results.filter(r => r.isDetected()).length
+          results.filter(r => r.isDetected() && !r.isSuppressed() && !r.isExisting()).length
         ])
       ),
+      qualityGate: this.getQualityGate(),
       projectStats: this.project.getStatistics(),
       analysisMetadata: this.metadata
     };
@@ -89,15 +124,20 @@ export class AnalysisResult {
       summary: this.getSummary(),
       results: this.results.map(result => ({
         smellName: result.smellName,
+        fingerprint: result.fingerprint?.toString(),
         detected: result.detected,
         severity: result.severity,
         location: result.location,
-        details: this.config?.output?.includeDetails ? result.details : undefined
+        details: this.config?.output?.includeDetails ? result.details : undefined,
+        suppressed: result.isSuppressed() ? result.suppression.toJSON() : undefined,
+        existing: result.isExisting() || undefined
       })),
+      diagnostics: this.getDiagnostics().map(diagnostic => diagnostic.toJSON()),
       metadata: this.metadata,
       config: this.config ? {
         enabledDetectors: this.config.enabledDetectors,
-        thresholds: this.config.thresholds
+        thresholds: this.config.thresholds,
+        qualityGates: this.config.qualityGates.toJSON()
       } : undefined
     };
   }
@@ -112,20 +152,49 @@ export class AnalysisResult {
     output += `=== GDScript Code Smell Analysis Report ===\n\n`;
     output += `Project: ${this.project.name}\n`;
     output += `Analysis Date: ${new Date(this.metadata.timestamp).toLocaleString()}\n`;
-    output += `Duration: ${this.metadata.duration}ms\n\n`;
+    output += `Duration: ${this.metadata.duration}ms\n`;
+    if (this.metadata.changes) {
+      output += `Changes: ${this.metadata.changes.files.length} changed script(s) since ${this.metadata.changes.since} (${this.metadata.changes.source}); only smells on changed lines are reported\n`;
+    }
+    output += `\n`;
 
     output += `=== Project Statistics ===\n`;
+    output += `Godot Version: ${summary.projectStats.godotVersion}\n`;
     output += `Total Classes: ${summary.projectStats.totalClasses}\n`;
     output += `Total Scenes: ${summary.projectStats.totalScenes}\n`;
     output += `Autoloads: ${summary.projectStats.autoloads}\n`;
-    output += `Total LOC: ${summary.projectStats.totalLOC}\n\n`;
+    output += `Total LOC: ${summary.projectStats.totalLOC}\n`;
+    output += `Type Coverage: ${Math.round(summary.projectStats.typeCoverage.ratio * 100)}%\n\n`;
 
     output += `=== Code Smell Summary ===\n`;
     output += `Total Detected Smells: ${summary.totalSmells}\n`;
     output += `Critical: ${summary.bySeverity.Critical}\n`;
     output += `High: ${summary.bySeverity.High}\n`;
     output += `Medium: ${summary.bySeverity.Medium}\n`;
-    output += `Low: ${summary.bySeverity.Low}\n\n`;
+    output += `Low: ${summary.bySeverity.Low}\n`;
+    output += `Suppressed: ${summary.suppressedSmells}\n`;
+    output += `Existing (baseline): ${summary.existingSmells}\n\n`;
+
+    if (summary.qualityGate) {
+      output += `=== Quality Gates ===\n`;
+      output += `Status: ${summary.qualityGate.passed ? 'PASSED' : 'FAILED'}\n`;
+      for (const violation of summary.qualityGate.violations) {
+        output += `❌ ${violation.message}\n`;
+      }
+      output += `\n`;
+    }
+
+    const diagnostics = this.getDiagnostics();
+    if (diagnostics.length > 0) {
+      output += `=== Parse Diagnostics (${this.metadata.parseErrors || 'partial'}) ===\n`;
+      for (const diagnostic of diagnostics) {
+        output += `${diagnostic}\n`;
+        if (diagnostic.snippet) {
+          output += `    ${diagnostic.snippet.trim()}\n`;
+        }
+      }
+      output += `\n`;
+    }
 
     if (summary.totalSmells > 0) {
       output += `=== Detected Smells ===\n`;
@@ -137,11 +206,8 @@ export class AnalysisResult {
 
       for (const result of sortedResults) {
         output += `\n[${result.severity}] ${result.smellName}\n`;
-        output += `Location: ${result.location.class || 'Unknown'}`;
-        if (result.location.method) {
-          output += `::${result.location.method}`;
-        }
-        output += `\n`;
+        output += `Location: ${this.formatLocation(result)}\n`;
+        output += `Fingerprint: ${result.fingerprint}\n`;
 
         if (result.details && Object.keys(result.details).length > 0) {
           output += `Details: ${JSON.stringify(result.details, null, 2)}\n`;
@@ -151,6 +217,40 @@ export class AnalysisResult {
       output += `✅ No code smells detected!\n`;
     }
 
+    const suppressed = this.getSuppressedSmells();
+    if (suppressed.length > 0) {
+      output += `\n=== Suppressed Smells ===\n`;
+      for (const result of suppressed) {
+        output += `\n[suppressed] ${result.smellName} (${result.severity})\n`;
+        output += `Location: ${this.formatLocation(result)}\n`;
+        output += `Fingerprint: ${result.fingerprint}\n`;
+        output += `Directive: ${result.suppression.directive} (line ${result.suppression.range.startLine})\n`;
+        output += `Reason: ${result.suppression.reason || 'none given'}\n`;
+      }
+    }
+
+    const existing = this.getExistingSmells();
+    if (existing.length > 0) {
+      output += `\n=== Existing Smells (baseline) ===\n`;
+      for (const result of existing) {
+        output += `[existing] ${result.smellName} (${result.severity}) at ${this.formatLocation(result)} [${result.fingerprint}]\n`;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Format the location of a result as Class::method (file:line:column)
+   */
+  formatLocation(result) {
+    let output = result.location.class || 'Unknown';
+    if (result.location.method) {
+      output += `::${result.location.method}`;
+    }
+    if (result.location.file && result.location.line) {
+      output += ` (${result.location.file}:${result.location.line}:${result.location.column})`;
+    }
     return output;
   }
 
@@ -1,126 +1,331 @@
+import path from 'path';
 import { AnalysisResult } from '../dto/AnalysisResult.js';
-import { LongMethodDetector } from '../../domain/services/detectors/LongMethodDetector.js';
-import { LargeClassDetector } from '../../domain/services/detectors/LargeClassDetector.js';
-import { DuplicateCodeDetector } from '../../domain/services/detectors/DuplicateCodeDetector.js';
-import { LongParameterListDetector } from '../../domain/services/detectors/LongParameterListDetector.js';
-import { DivergentChangeDetector } from '../../domain/services/detectors/DivergentChangeDetector.js';
-import { ShotgunSurgeryDetector } from '../../domain/services/detectors/ShotgunSurgeryDetector.js';
-import { FeatureEnvyDetector } from '../../domain/services/detectors/FeatureEnvyDetector.js';
-import { DataClumpsDetector } from '../../domain/services/detectors/DataClumpsDetector.js';
-import { PrimitiveObsessionDetector } from '../../domain/services/detectors/PrimitiveObsessionDetector.js';
-import { SwitchStatementsDetector } from '../../domain/services/detectors/SwitchStatementsDetector.js';
-import { LazyClassDetector } from '../../domain/services/detectors/LazyClassDetector.js';
-import { SpeculativeGeneralityDetector } from '../../domain/services/detectors/SpeculativeGeneralityDetector.js';
-import { TemporaryFieldDetector } from '../../domain/services/detectors/TemporaryFieldDetector.js';
-import { MessageChainsDetector } from '../../domain/services/detectors/MessageChainsDetector.js';
-import { MiddleManDetector } from '../../domain/services/detectors/MiddleManDetector.js';
-import { InappropriateIntimacyDetector } from '../../domain/services/detectors/InappropriateIntimacyDetector.js';
-import { DataClassDetector } from '../../domain/services/detectors/DataClassDetector.js';
-import { RefusedBequestDetector } from '../../domain/services/detectors/RefusedBequestDetector.js';
-import { CommentsDetector } from '../../domain/services/detectors/CommentsDetector.js';
-import { GlobalStateDetector } from '../../domain/services/detectors/GlobalStateDetector.js';
+import { AnalysisConfig } from '../dto/AnalysisConfig.js';
+import { GodotDialect } from '../../domain/value_objects/GodotDialect.js';
+import { FileFilter } from '../../domain/value_objects/FileFilter.js';
+import { IgnoreRule } from '../../domain/value_objects/IgnoreRule.js';
+import { ParseDiagnostic } from '../../domain/value_objects/ParseDiagnostic.js';
+import { Suppression } from '../../domain/value_objects/Suppression.js';
+import { Baseline } from '../../domain/value_objects/Baseline.js';
+import { Fingerprint } from '../../domain/value_objects/Fingerprint.js';
+import { QueryRuleDetector } from '../../domain/services/detectors/QueryRuleDetector.js';
+import { CodeSmellResult } from '../../domain/services/CodeSmellDetector.js';
+import { DetectorRegistry } from '../../domain/services/DetectorRegistry.js';
+
+/**
+ * Smell name of the results flagging `# smell-disable` directives that silence nothing
+ */
+const UNUSED_SUPPRESSION = 'UnusedSuppression';
 
 /**
  * Use case for analyzing a GDScript project for code smells
  * Orchestrates the analysis process using domain services
  */
 export class AnalyzeProjectUseCase {
-  constructor(projectRepository, configRepository) {
+  constructor(projectRepository, configRepository, cacheRepository = null, workerPoolFactory = null, pluginRepository = null) {
     this.projectRepository = projectRepository;
     this.configRepository = configRepository;
-    this.detectors = this.initializeDetectors();
-  }
-
-  /**
-   * Initialize all available code smell detectors
-   */
-  initializeDetectors() {
-    return [
-      new LongMethodDetector(),
-      new LargeClassDetector(),
-      new DuplicateCodeDetector(),
-      new LongParameterListDetector(),
-      new DivergentChangeDetector(),
-      new ShotgunSurgeryDetector(),
-      new FeatureEnvyDetector(),
-      new DataClumpsDetector(),
-      new PrimitiveObsessionDetector(),
-      new SwitchStatementsDetector(),
-      new LazyClassDetector(),
-      new SpeculativeGeneralityDetector(),
-      new TemporaryFieldDetector(),
-      new MessageChainsDetector(),
-      new MiddleManDetector(),
-      new InappropriateIntimacyDetector(),
-      new DataClassDetector(),
-      new RefusedBequestDetector(),
-      new CommentsDetector(),
-      new GlobalStateDetector()
-    ];
+    this.cacheRepository = cacheRepository; // Incremental analysis cache; every run starts from scratch without one
+    this.workerPoolFactory = workerPoolFactory; // Creates a worker pool of a given size; everything runs on the main thread without one
+    this.pluginRepository = pluginRepository; // Loads the detector plugins of the configuration; plugins are not run without one
+    this.registry = DetectorRegistry.withBuiltIns(); // Detectors of the current configuration: built-ins, then query rules and plugins
+    this.plugins = []; // seq {detector, thresholds, module, version} - plugin detectors of the current configuration
+  }
+
+  /**
+   * Register the query rules and detector plugins of the configuration, replacing those of a previous run
+   * Neither can reuse the name of a built-in detector, nor of one another
+   */
+  async loadConfiguredDetectors(config) {
+    this.registry.unregister('rule');
+    this.registry.unregister('plugin');
+
+    config.rules.forEach(rule => this.registry.register(new QueryRuleDetector(rule), 'rule'));
+
+    this.plugins = this.pluginRepository && config.plugins.length > 0
+      ? await this.pluginRepository.load(config.plugins, config.directory, this.registry.getNames())
+      : [];
+    this.plugins.forEach(plugin => this.registry.register(plugin.detector, 'plugin'));
+  }
+
+  /**
+   * Get the registered detectors: built-ins, then query rules and plugins
+   * @param {string|null} scope - Only the detectors whose getScopes() lists this context (method, class or project)
+   */
+  getDetectors(scope = null) {
+    return this.registry.getDetectors(scope);
+  }
+
+  /**
+   * Check if a detector runs: built-ins when the configuration enables them, query rules and plugin detectors always
+   */
+  isDetectorEnabled(detector, config) {
+    return this.registry.getOrigin(detector.getName()) !== 'built-in' || config.isDetectorEnabled(detector.getName());
+  }
+
+  /**
+   * Get the thresholds passed to a detector: the configured ones for built-ins, the plugin's resolved schema for plugins
+   * Query rules have none
+   */
+  getDetectorThresholds(detector, config) {
+    const plugin = this.plugins.find(candidate => candidate.detector === detector);
+    return plugin ? plugin.thresholds : config.getDetectorThresholds(detector.getName());
+  }
+
+  /**
+   * Describe the detectors a configuration runs, with the threshold values it gives them
+   * @param {string|null} configPath - Path to the configuration YAML file; the defaults when absent
+   * @returns {Promise<Object[]>} Metadata of each detector (see DetectorRegistry#describe), with
+   *   whether the configuration enables it and the threshold values it receives
+   */
+  async describeDetectors(configPath = null) {
+    const config = configPath
+      ? await this.configRepository.loadFromFile(configPath)
+      : this.configRepository.getDefaultConfig();
+    await this.loadConfiguredDetectors(config);
+
+    return this.getDetectors().map(detector => ({
+      ...this.registry.describe(detector.getName()),
+      enabled: this.isDetectorEnabled(detector, config),
+      values: this.getDetectorThresholds(detector, config)
+    }));
   }
 
   /**
    * Execute the analysis use case
    * @param {string} projectPath - Path to the project directory
    * @param {string} configPath - Path to the configuration YAML file (optional)
+   * @param {Object} options - Run options
+   * @param {string|number|null} options.godotVersion - Dialect override, taking precedence over the config
+   * @param {string|null} options.extensionApi - Path to a local extension_api.json, taking precedence over the config
+   * @param {string[]} options.include - Include globs added to those of the config
+   * @param {string[]} options.exclude - Exclude patterns taking precedence over the config and .smellignore
+   * @param {boolean} options.cache - False to neither read nor write the analysis cache
+   * @param {boolean} options.clearCache - Delete the analysis cache before the run
+   * @param {string|null} options.parseErrors - Policy for scripts with syntax errors (partial, skip, fail), taking precedence over the config
+   * @param {number} options.jobs - Worker threads parsing files and running per-file detectors; 1 runs on the main thread
+   * @param {boolean} options.reportUnusedSuppressions - Flag `# smell-disable` directives that silence no smell
+   * @param {Baseline|null} options.baseline - Smells the project already had, marked existing rather than counted
+   * @param {Map<string, string>|null} options.sources - Script contents laid over the files on disk, such as blobs read from git
+   * @param {ChangeSet|null} options.changes - Changed lines; detectors still run on the whole project, but only
+   *   smells located on a change are reported
    * @returns {Promise<AnalysisResult>} Analysis results
    */
-  async execute(projectPath, configPath = null) {
+  async execute(projectPath, configPath = null, options = {}) {
     const startTime = Date.now();
+    const pool = this.openWorkerPool(options.jobs);
 
     try {
       // Load configuration
       const config = configPath
         ? await this.configRepository.loadFromFile(configPath)
         : this.configRepository.getDefaultConfig();
+      await this.loadConfiguredDetectors(config);
+
+      // Load and parse project in the overridden or detected dialect
+      const dialect = GodotDialect.parse(options.godotVersion ?? config.analysis.godotVersion);
+      const parseErrors = ParseDiagnostic.checkPolicy(options.parseErrors ?? config.analysis.parseErrors);
+      const cache = await this.openCache(projectPath, config, options);
+      const fileFilter = await this.buildFileFilter(projectPath, config, options);
+      let project = await this.projectRepository.loadFromDirectory(projectPath, {
+        dialect,
+        extensionApi: options.extensionApi ?? config.analysis.extensionApi,
+        fileFilter,
+        cache,
+        pool,
+        parseErrors,
+        rules: config.rules
+      });
 
-      // Load and parse project
-      const project = await this.projectRepository.loadFromDirectory(projectPath);
+      // Lay scripts read from elsewhere, such as the git index, over those on disk
+      if (options.sources && options.sources.size > 0) {
+        project = await this.projectRepository.loadFromSources(options.sources, {
+          baseProject: project,
+          projectRoot: projectPath,
+          dialect,
+          extensionApi: options.extensionApi ?? config.analysis.extensionApi,
+          fileFilter,
+          parseErrors,
+          rules: config.rules
+        });
+      }
+
+      if (parseErrors === 'fail' && project.diagnostics.length > 0) {
+        throw new Error(`${project.diagnostics.length} parse error(s):\n${project.diagnostics.map(d => `  ${d}`).join('\n')}`);
+      }
 
       // Run analysis
-      const results = await this.analyzeProject(project, config);
+      const results = this.reviewResults(project, await this.analyzeProject(project, config, cache, pool), options);
 
       // Create result object
       const metadata = {
         duration: Date.now() - startTime,
         totalFiles: this.countFiles(project),
         totalClasses: project.classes.size,
-        totalMethods: this.countMethods(project)
+        totalMethods: this.countMethods(project),
+        cache: cache ? cache.getStatistics() : null,
+        parseErrors,
+        changes: options.changes ? options.changes.toJSON() : null
       };
 
       return AnalysisResult.from(project, results, config, metadata);
 
     } catch (error) {
       throw new Error(`Analysis failed: ${error.message}`);
+    } finally {
+      if (pool) await pool.close();
     }
   }
 
+  /**
+   * Analyze sources held in memory, without reading or writing project files, the cache or reports
+   * The files are laid over the base project when one is given, replacing its files with the same paths
+   * @param {Map<string, string>|Object} files - File paths to content; project.godot and .smellignore may be among them
+   * @param {Object} options - Run options
+   * @param {AnalysisConfig|Object|null} options.config - Configuration, or its plain YAML-shaped form; the defaults when absent
+   * @param {GDScriptProject|null} options.baseProject - Previously loaded project the files are laid over
+   * @param {string|null} options.projectRoot - Directory relative paths resolve against; the base project's root, or a fixed virtual root, when absent
+   * @param {string|number|null} options.godotVersion - Dialect override, taking precedence over the config
+   * @param {string|null} options.extensionApi - Path to a local extension_api.json, taking precedence over the config
+   * @param {string[]} options.include - Include globs added to those of the config
+   * @param {string[]} options.exclude - Exclude patterns taking precedence over the config and .smellignore
+   * @param {string|null} options.parseErrors - Policy for scripts with syntax errors (partial, skip, fail), taking precedence over the config
+   * @param {boolean} options.reportUnusedSuppressions - Flag `# smell-disable` directives that silence no smell
+   * @param {Baseline|null} options.baseline - Smells the project already had, marked existing rather than counted
+   * @param {ChangeSet|null} options.changes - Changed lines; only smells located on a change are reported
+   * @returns {Promise<AnalysisResult>} Analysis results
+   */
+  async executeInMemory(files, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const config = this.resolveConfig(options.config);
+      await this.loadConfiguredDetectors(config);
+      const projectRoot = options.projectRoot ?? options.baseProject?.root ?? null;
+      const dialect = GodotDialect.parse(options.godotVersion ?? config.analysis.godotVersion);
+      const parseErrors = ParseDiagnostic.checkPolicy(options.parseErrors ?? config.analysis.parseErrors);
+      const project = await this.projectRepository.loadFromSources(files, {
+        baseProject: options.baseProject || null,
+        projectRoot,
+        dialect,
+        extensionApi: options.extensionApi ?? config.analysis.extensionApi,
+        fileFilter: await this.buildFileFilter(projectRoot, config, options, files),
+        parseErrors,
+        rules: config.rules
+      });
+
+      if (parseErrors === 'fail' && project.diagnostics.length > 0) {
+        throw new Error(`${project.diagnostics.length} parse error(s):\n${project.diagnostics.map(d => `  ${d}`).join('\n')}`);
+      }
+
+      const results = this.reviewResults(project, await this.analyzeProject(project, config), options);
+
+      const metadata = {
+        duration: Date.now() - startTime,
+        totalFiles: this.countFiles(project),
+        totalClasses: project.classes.size,
+        totalMethods: this.countMethods(project),
+        cache: null,
+        parseErrors,
+        changes: options.changes ? options.changes.toJSON() : null
+      };
+
+      return AnalysisResult.from(project, results, config, metadata);
+
+    } catch (error) {
+      throw new Error(`Analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load and parse a project from disk without analyzing it, as the base project of in-memory analyses
+   * Its classes keep the matches of the configuration's query rules, so analyses over it should use the same rules
+   * @param {string} projectPath - Path to the project directory
+   * @param {Object} options - Load options: config, godotVersion, extensionApi, include, exclude and parseErrors, as for executeInMemory
+   * @returns {Promise<GDScriptProject>} Parsed project
+   */
+  async loadProject(projectPath, options = {}) {
+    const config = this.resolveConfig(options.config);
+    return this.projectRepository.loadFromDirectory(projectPath, {
+      dialect: GodotDialect.parse(options.godotVersion ?? config.analysis.godotVersion),
+      extensionApi: options.extensionApi ?? config.analysis.extensionApi,
+      fileFilter: await this.buildFileFilter(projectPath, config, options),
+      parseErrors: ParseDiagnostic.checkPolicy(options.parseErrors ?? config.analysis.parseErrors),
+      rules: config.rules
+    });
+  }
+
+  /**
+   * Use a configuration given in code: an AnalysisConfig, its plain YAML-shaped form, or none for the defaults
+   */
+  resolveConfig(config = null) {
+    if (config instanceof AnalysisConfig) return config;
+    return config ? AnalysisConfig.fromYAML(config) : this.configRepository.getDefaultConfig();
+  }
+
+  /**
+   * Build the file filter from the config, the project's .smellignore and the command line
+   * Later rules take precedence: config (or the defaults), then .smellignore, then --exclude
+   * @param {Map<string, string>|Object|null} sources - In-memory files holding the .smellignore, read instead of the disk
+   */
+  async buildFileFilter(projectPath, config, options = {}, sources = null) {
+    const base = config.files.exclude
+      ? new FileFilter(config.files.exclude.map(pattern => new IgnoreRule(pattern, 'config')))
+      : FileFilter.defaults();
+
+    const ignoreFileRules = await this.projectRepository.loadIgnoreRules(projectPath, sources);
+    const cliExcludes = (options.exclude || []).map(pattern => new IgnoreRule(pattern, '--exclude'));
+    const includes = [
+      ...config.files.include.map(pattern => new IgnoreRule(pattern, 'config')),
+      ...(options.include || []).map(pattern => new IgnoreRule(pattern, '--include'))
+    ];
+
+    return base.extend([...ignoreFileRules, ...cliExcludes], includes);
+  }
+
   /**
    * Analyze the project using all enabled detectors
+   * With a cache, results are reused for files whose parsed model is unchanged, and results
+   * depending on the whole project are reused while no file of the project changed.
+   * With a worker pool, per-file results are computed in parallel first; results are always
+   * collected in the same order, so reports do not depend on the number of workers
    */
-  async analyzeProject(project, config) {
+  async analyzeProject(project, config, cache = null, pool = null) {
     const results = [];
+    const store = cache ? await this.loadCachedResults(project, config, cache)
+      : pool ? this.createResultStore(project) : null;
 
     try {
+      if (pool) {
+        await this.detectInWorkers(store, config, project.dialect, pool);
+      }
+
       // Analyze methods
       for (const class_ of project.classes) {
+        const fileRecord = store ? store.files.get(class_.filePath) : null;
+        let methodIndex = 0;
+
         for (const method of class_.methods) {
           // Create context object for detectors
           const methodContext = {
             method,
             ownerClass: class_,
-            filePath: class_.filePath
+            project,
+            filePath: class_.filePath,
+            dialect: project.dialect
           };
+          const contextKey = `${class_.name}#${methodIndex++}`;
 
-          for (const detector of this.detectors) {
-            if (config.isDetectorEnabled(detector.getName())) {
-            try {
-              const thresholds = config.getDetectorThresholds(detector.getName());
-              const result = detector.detect(methodContext, thresholds);
-              if (result !== null) {
-                results.push(result);
-              }
-            } catch (error) {
+          for (const detector of this.getDetectors('method')) {
+            if (this.isDetectorEnabled(detector, config)) {
+              try {
+                const result = store && detector.dependsOnProject()
+                  ? this.runDetector(detector, methodContext, config, store.project, `${class_.filePath}::${contextKey}`)
+                  : this.runDetector(detector, methodContext, config, fileRecord, contextKey);
+                if (result !== null) {
+                  results.push(result);
+                }
+              } catch (error) {
                 console.error(`Error in ${detector.getName()} for method ${method.name}:`, error.message);
               }
             }
@@ -134,14 +339,16 @@ export class AnalyzeProjectUseCase {
         const classContext = {
           class: class_,
           project: project,
-          filePath: class_.filePath
+          filePath: class_.filePath,
+          dialect: project.dialect
         };
 
-        for (const detector of this.detectors) {
-          if (config.isDetectorEnabled(detector.getName())) {
+        for (const detector of this.getDetectors('class')) {
+          if (this.isDetectorEnabled(detector, config)) {
             try {
-              const thresholds = config.getDetectorThresholds(detector.getName());
-              const result = detector.detect(classContext, thresholds);
+              const result = !store ? this.runDetector(detector, classContext, config) : detector.dependsOnProject()
+                ? this.runDetector(detector, classContext, config, store.project, `${class_.filePath}::${class_.name}`)
+                : this.runDetector(detector, classContext, config, store.files.get(class_.filePath), `${class_.name}`);
               if (result !== null) {
                 results.push(result);
               }
@@ -153,14 +360,14 @@ export class AnalyzeProjectUseCase {
       }
 
       // Analyze project-level smells
-      for (const detector of this.detectors) {
-        if (config.isDetectorEnabled(detector.getName())) {
+      for (const detector of this.getDetectors('project')) {
+        if (this.isDetectorEnabled(detector, config)) {
           try {
-            const thresholds = config.getDetectorThresholds(detector.getName());
             const projectContext = {
-              project: project
+              project: project,
+              dialect: project.dialect
             };
-            const result = detector.detect(projectContext, thresholds);
+            const result = this.runDetector(detector, projectContext, config, store?.project, 'project');
             if (result !== null) {
               results.push(result);
             }
@@ -169,6 +376,10 @@ export class AnalyzeProjectUseCase {
           }
         }
       }
+
+      if (cache) {
+        await this.storeCachedResults(store, cache);
+      }
     } catch (error) {
       console.error('Error in analyzeProject:', error.message);
       throw error;
@@ -177,6 +388,274 @@ export class AnalyzeProjectUseCase {
     return results;
   }
 
+  /**
+   * Process the results of the detectors: apply suppressions, fingerprint, apply the baseline,
+   * and keep only the results on changed lines when given changes
+   * @param {Object} options - reportUnusedSuppressions, baseline and changes, as for execute
+   */
+  reviewResults(project, results, options = {}) {
+    const reviewed = this.applyBaseline(project, this.assignFingerprints(project,
+      this.applySuppressions(project, results, options.reportUnusedSuppressions)), options.baseline);
+    return options.changes ? reviewed.filter(result => options.changes.covers(result)) : reviewed;
+  }
+
+  /**
+   * Silence the results covered by `# smell-disable` directives in the project's comments
+   * Suppressed results stay in the results, marked with their directive. Each result is credited to
+   * its most specific directive, so a directive made redundant by a closer one counts as unused
+   * @param {GDScriptProject} project - Analyzed project
+   * @param {CodeSmellResult[]} results - Results of the detectors
+   * @param {boolean} reportUnused - Add an UnusedSuppression result for each detector name, or
+   *   name-less directive, that silenced nothing
+   * @returns {CodeSmellResult[]} The results, suppressed ones marked, followed by unused directives
+   */
+  applySuppressions(project, results, reportUnused = false) {
+    const suppressions = Array.from(project.classes, class_ => Suppression.collect(class_)).flat()
+      .sort((a, b) => a.getSpecificity() - b.getSpecificity());
+    if (suppressions.length === 0) return results;
+
+    const silenced = new Map(suppressions.map(suppression => [suppression, new Set()]));
+    const applied = results.map(result => {
+      const suppression = suppressions.find(candidate => candidate.covers(result));
+      if (!suppression) return result;
+
+      silenced.get(suppression).add(result.smellName);
+      return result.suppress(suppression);
+    });
+
+    if (reportUnused) {
+      for (const [suppression, names] of silenced) {
+        const unused = suppression.detectors.filter(name => !names.has(name));
+        if (names.size > 0 && unused.length === 0) continue;
+
+        applied.push(new CodeSmellResult(UNUSED_SUPPRESSION, true, 'Low', suppression.toLocation(), {
+          message: `Unused ${suppression.directive} directive${unused.length > 0 ? ` for ${unused.join(', ')}` : ''}`,
+          directive: suppression.toString(),
+          unusedDetectors: unused
+        }));
+      }
+    }
+
+    return applied;
+  }
+
+  /**
+   * Give every detected result its fingerprint, from the class and method its location names
+   * Classes are looked up by file as well as name, since scripts named after their file may share names
+   * @returns {CodeSmellResult[]} The results, detected ones fingerprinted
+   */
+  assignFingerprints(project, results) {
+    const classes = new Map(Array.from(project.classes, class_ => [`${class_.filePath}|${class_.name}`, class_]));
+    const scriptClasses = new Map(Array.from(project.classes)
+      .filter(class_ => class_.outerClass === null)
+      .map(class_ => [class_.filePath, class_]));
+
+    return results.map(result => {
+      if (!result.isDetected()) return result;
+
+      const location = result.location || {};
+      return result.identify(Fingerprint.of(result,
+        classes.get(`${location.file}|${location.class}`) || null,
+        scriptClasses.get(location.file) || null));
+    });
+  }
+
+  /**
+   * Mark the results a baseline covers as existing
+   * @returns {CodeSmellResult[]} The results, unchanged without a baseline
+   */
+  applyBaseline(project, results, baseline = null) {
+    return baseline ? baseline.apply(results, this.createPathRelativizer(project)) : results;
+  }
+
+  /**
+   * Build a baseline of the smells an analysis counts, so later runs with it report only new ones
+   * Smells already covered by the baseline the analysis ran with are kept, fixed ones are dropped
+   * @param {AnalysisResult} result - Analysis result
+   * @returns {Baseline}
+   */
+  createBaseline(result) {
+    return Baseline.fromResults(result.results, this.createPathRelativizer(result.project));
+  }
+
+  /**
+   * Map reported file paths to paths relative to the project root with forward slashes,
+   * so baselines do not depend on where the project is checked out
+   */
+  createPathRelativizer(project) {
+    const root = project.root || '.';
+    return filePath => path.relative(root, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Run the method-level detectors, and the class-level ones that do not depend on the project,
+   * on the classes of one file
+   * Detectors that throw are left out, so running them again reports the error
+   * @param {Class[]} classes - Classes parsed from one file
+   * @returns {Object} Results {context: {detector: CodeSmellResult|null}}, keyed like cached results
+   */
+  detectInFile(classes, dialect, config) {
+    const record = { entry: {}, dirty: false };
+    const enabled = scope => this.getDetectors(scope).filter(detector => this.isDetectorEnabled(detector, config));
+
+    const tryDetector = (detector, context, contextKey) => {
+      try {
+        this.runDetector(detector, context, config, record, contextKey);
+      } catch {
+        delete record.entry[contextKey][detector.getName()];
+      }
+    };
+
+    for (const class_ of classes) {
+      let methodIndex = 0;
+      for (const method of class_.methods) {
+        const methodContext = { method, ownerClass: class_, project: null, filePath: class_.filePath, dialect };
+        const contextKey = `${class_.name}#${methodIndex++}`;
+        enabled('method').forEach(detector => tryDetector(detector, methodContext, contextKey));
+      }
+
+      const classContext = { class: class_, project: null, filePath: class_.filePath, dialect };
+      enabled('class')
+        .filter(detector => !detector.dependsOnProject())
+        .forEach(detector => tryDetector(detector, classContext, `${class_.name}`));
+    }
+
+    return record.entry;
+  }
+
+  /**
+   * Fill the per-file records that lack results by running their files in the worker pool
+   * Workers only run the built-in detectors; query rule and plugin results are missing from their records, so they are computed here
+   */
+  async detectInWorkers(store, config, dialect, pool) {
+    const classesByFile = this.groupClassesByFile(store.classes);
+
+    await Promise.all(Array.from(store.files, async ([filePath, record]) => {
+      if (Object.keys(record.entry).length > 0) return;
+
+      const entry = await pool.detect(classesByFile.get(filePath), dialect, config);
+      if (Object.keys(entry).length > 0) {
+        record.entry = entry;
+        record.dirty = true;
+      }
+    }));
+  }
+
+  /**
+   * Create empty in-memory records of results, shaped like cached ones
+   */
+  createResultStore(project) {
+    const files = new Map();
+    for (const filePath of this.groupClassesByFile(project.classes).keys()) {
+      files.set(filePath, { key: null, bucket: 'results', entry: {}, dirty: false });
+    }
+
+    return { classes: project.classes, files, project: { key: null, bucket: 'project', entry: {}, dirty: false } };
+  }
+
+  /**
+   * Group classes by the file they were parsed from, in project order
+   */
+  groupClassesByFile(classes) {
+    const classesByFile = new Map();
+    for (const class_ of classes) {
+      if (!classesByFile.has(class_.filePath)) classesByFile.set(class_.filePath, []);
+      classesByFile.get(class_.filePath).push(class_);
+    }
+    return classesByFile;
+  }
+
+  /**
+   * Run a detector on a context, reusing the result cached for the context when there is one
+   * @param {Object|null} record - Cached results {key, bucket, entry, dirty} the context belongs to
+   * @param {string|null} contextKey - Identifies the context within the record
+   */
+  runDetector(detector, context, config, record = null, contextKey = null) {
+    const name = detector.getName();
+    const slot = record ? (record.entry[contextKey] = record.entry[contextKey] || {}) : null;
+    if (slot && Object.prototype.hasOwnProperty.call(slot, name)) {
+      return slot[name];
+    }
+
+    const detected = detector.detect(context, this.getDetectorThresholds(detector, config));
+    // Plugins installed as packages may build results with their own copy of CodeSmellResult
+    const result = detected && !(detected instanceof CodeSmellResult)
+      ? new CodeSmellResult(detected.smellName, detected.detected, detected.severity, detected.location, detected.details)
+      : detected;
+    if (slot) {
+      slot[name] = result;
+      record.dirty = true;
+    }
+    return result;
+  }
+
+  /**
+   * Load cached detector results: one record per source file, keyed by the file's parsed model,
+   * and one for results depending on the whole project, keyed by every file and scene model
+   * Both keys include the configuration, the query rules, the plugin detectors, the dialect and the engine class database
+   */
+  async loadCachedResults(project, config, cache) {
+    const configDigest = cache.digest(config.thresholds, config.enabledDetectors, project.dialect.version,
+      config.rules.map(rule => rule.toJSON()),
+      this.plugins.map(plugin => [plugin.detector.getName(), plugin.module, plugin.version, plugin.thresholds]),
+      project.classDatabase.source, project.classDatabase.version);
+
+    const classesByFile = this.groupClassesByFile(project.classes);
+
+    const files = new Map();
+    for (const [filePath, classes] of classesByFile) {
+      const key = cache.key('results', filePath, cache.digestClasses(classes), configDigest);
+      files.set(filePath, await this.loadCachedRecord(cache, 'results', key));
+    }
+
+    const projectDigest = cache.digest(
+      project.name,
+      Array.from(files.values(), record => record.key).sort(),
+      Array.from(project.scenes, scene => cache.digestScene(scene)).sort()
+    );
+    const projectRecord = await this.loadCachedRecord(cache, 'project', cache.key('project', projectDigest, configDigest));
+
+    return { classes: project.classes, files, project: projectRecord };
+  }
+
+  /**
+   * Load one record of cached results, empty on a miss
+   */
+  async loadCachedRecord(cache, bucket, key) {
+    return { key, bucket, entry: await cache.loadResults(bucket, key) || {}, dirty: false };
+  }
+
+  /**
+   * Write back the records that gained results during this run
+   */
+  async storeCachedResults(store, cache) {
+    for (const record of [...store.files.values(), store.project]) {
+      if (record.dirty) {
+        await cache.storeResults(record.bucket, record.key, record.entry);
+      }
+    }
+  }
+
+  /**
+   * Open the analysis cache configured for the project, or none when caching is disabled
+   */
+  async openCache(projectPath, config, options = {}) {
+    if (!this.cacheRepository || options.cache === false || !config.cache.enabled) return null;
+
+    const directory = path.resolve(projectPath, config.cache.directory);
+    if (options.clearCache) {
+      await this.cacheRepository.clear(directory);
+    }
+    return this.cacheRepository.open(directory);
+  }
+
+  /**
+   * Start a worker pool when more than one job is requested
+   */
+  openWorkerPool(jobs = 1) {
+    return this.workerPoolFactory && jobs > 1 ? this.workerPoolFactory(jobs) : null;
+  }
+
   /**
    * Count total files in project
    */
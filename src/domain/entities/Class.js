@@ -6,7 +6,7 @@ import { Method } from './Method.js';
  * Based on Z-specification: Class
  */
 export class Class {
-  constructor(name, fields = new Set(), methods = new Set(), parent = null, exportedVars = new Set(), autoload = false, filePath = null) {
+  constructor(name, fields = new Set(), methods = new Set(), parent = null, exportedVars = new Set(), autoload = false, filePath = null, options = {}) {
     if (!(name instanceof Identifier)) {
       name = Identifier.from(name);
     }
@@ -19,6 +19,20 @@ export class Class {
     this.autoload = autoload; // 𝔹
     this.exportedVars = new Set(exportedVars); // ℙ Identifier
     this.filePath = filePath; // String - path to the source file
+    this.singletonName = options.singletonName || null; // String ∪ {null} - global name of a singleton autoload
+    this.globalClass = options.globalClass || false; // 𝔹 - name registered with class_name
+    this.outerClass = options.outerClass || null; // String ∪ {null} - qualified name of the enclosing class
+    this.signals = new Set(options.signals || []); // ℙ Signal
+    this.fieldDeclarations = new Map(options.fieldDeclarations || []); // String ⇸ Field - declarations keyed by field name
+    this.range = options.range || null; // SourceRange ∪ {null} - whole file for scripts, class_definition for inner classes
+    this.tool = options.tool || false; // 𝔹 - runs in the editor: @tool, or the Godot 3 `tool` keyword
+    this.annotations = [...(options.annotations || [])]; // seq Annotation - script-level and standalone ones such as @icon, @export_group
+    this.constants = new Map(options.constants || []); // String ⇸ Constant - keyed by constant name
+    this.enums = [...(options.enums || [])]; // seq Enum
+    this.docComment = options.docComment || null; // Comment ∪ {null} - script description, or `##` lines above an inner class
+    this.comments = [...(options.comments || [])]; // seq Comment - block and inline comments outside methods and inner classes
+    this.ruleMatches = [...(options.ruleMatches || [])]; // seq RuleMatch - query rule matches outside inner classes, in source order
+    this.contentHash = options.contentHash || null; // String ∪ {null} - hash of the source without comments, layout or inner classes
 
     // Validate class
     this.validate();
@@ -40,6 +54,15 @@ export class Class {
     }
   }
 
+  /**
+   * Get the matches of a query rule, optionally only those inside a method
+   * @param {string} ruleName - Name of the query rule
+   * @param {string|null|undefined} methodName - Method the matches must be in; null for matches outside methods, all when omitted
+   */
+  getRuleMatches(ruleName, methodName = undefined) {
+    return this.ruleMatches.filter(match => match.rule === ruleName && (methodName === undefined || match.method === methodName));
+  }
+
   /**
    * Get total lines of code in class
    */
@@ -47,6 +70,51 @@ export class Class {
     return Array.from(this.methods).reduce((total, method) => total + method.loc, 0);
   }
 
+  /**
+   * Count statically typed declarations: fields, method parameters and return types
+   * Fields declared without a recorded declaration count as untyped
+   */
+  getTypeCoverage() {
+    const fields = Array.from(this.fields).map(field => this.getField(field));
+    const methods = Array.from(this.methods);
+    const parameters = methods.flatMap(method => method.parameters);
+
+    return {
+      typedFields: fields.filter(field => field && field.isTyped()).length,
+      totalFields: fields.length,
+      typedParameters: parameters.filter(parameter => parameter.isTyped()).length,
+      totalParameters: parameters.length,
+      typedReturns: methods.filter(method => method.returnType !== null).length,
+      totalMethods: methods.length
+    };
+  }
+
+  /**
+   * Get the public API without a `##` doc comment: methods not starting with `_`, signals and exported fields
+   * @returns {Array<{kind: string, name: string}>} Members in declaration order, by kind
+   */
+  getUndocumentedMembers() {
+    const undocumented = [];
+
+    for (const method of this.methods) {
+      if (!method.name.toString().startsWith('_') && !method.docComment) {
+        undocumented.push({ kind: 'method', name: method.name.toString() });
+      }
+    }
+    for (const signal of this.signals) {
+      if (!signal.docComment) {
+        undocumented.push({ kind: 'signal', name: signal.name.toString() });
+      }
+    }
+    for (const field of this.fieldDeclarations.values()) {
+      if (field.exported && !field.docComment) {
+        undocumented.push({ kind: 'field', name: field.name.toString() });
+      }
+    }
+
+    return undocumented;
+  }
+
   /**
    * Get all method names
    */
@@ -82,6 +150,63 @@ export class Class {
     return this.exportedVars.size > 0;
   }
 
+  /**
+   * Check if class is exposed as a global singleton autoload
+   */
+  isSingleton() {
+    return this.autoload && this.singletonName !== null;
+  }
+
+  /**
+   * Check if class declares a signal
+   */
+  hasSignal(signalName) {
+    return Array.from(this.signals).some(signal => signal.name.toString() === signalName);
+  }
+
+  /**
+   * Get the declaration of a field, with its type and source range
+   */
+  getField(fieldName) {
+    return this.fieldDeclarations.get(fieldName.toString()) || null;
+  }
+
+  /**
+   * Get the fields declared `static var`
+   */
+  getStaticFields() {
+    return Array.from(this.fieldDeclarations.values()).filter(field => field.static);
+  }
+
+  /**
+   * Get the field that binds a method as its setter or getter
+   * @returns {Field|null} Null when the method is not a named accessor
+   */
+  getAccessedField(methodName) {
+    return Array.from(this.fieldDeclarations.values()).find(field => field.isAccessedThrough(methodName)) || null;
+  }
+
+  /**
+   * Get a script-level or standalone annotation by name (without `@`)
+   */
+  getAnnotation(name) {
+    return this.annotations.find(annotation => annotation.name === name) || null;
+  }
+
+  /**
+   * Check if class is an inner class declared inside another class
+   */
+  isInnerClass() {
+    return this.outerClass !== null;
+  }
+
+  /**
+   * Get the unqualified class name (Inner for Outer.Inner)
+   */
+  getShortName() {
+    return this.isInnerClass() ? this.name.toString().slice(this.outerClass.length + 1) : this.name.toString();
+  }
+
   /**
    * Calculate Coupling Between Objects (CBO) metric
    */
@@ -92,14 +217,12 @@ export class Class {
     for (const otherClass of otherClasses) {
       // Check if this class uses otherClass
       const usesOtherClass = Array.from(this.methods).some(method =>
-        method.calls.has(`${this.name}.${otherClass.name}`) ||
-        method.accessedFields.has(`${otherClass.name}`)
+        method.referencesClass(otherClass.name.toString())
       );
 
       // Check if otherClass uses this class
       const usedByOtherClass = Array.from(otherClass.methods).some(method =>
-        method.calls.has(`${otherClass.name}.${this.name}`) ||
-        method.accessedFields.has(`${this.name}`)
+        method.referencesClass(this.name.toString())
       );
 
       if (usesOtherClass || usedByOtherClass) {
@@ -0,0 +1,149 @@
+import { EngineClass } from './EngineClass.js';
+
+/**
+ * Callbacks every script may define that the engine invokes through the script instance
+ * rather than through a virtual method of a class, so extension_api.json does not list them
+ */
+const SCRIPT_CALLBACKS = new Set([
+  '_init', '_static_init', '_notification', '_get', '_set', '_get_property_list',
+  '_property_can_revert', '_property_get_revert', '_validate_property', '_to_string'
+]);
+
+/**
+ * Database of built-in engine classes used to resolve inheritance beyond user scripts
+ * and to tell engine callbacks from user-defined methods
+ */
+export class ClassDatabase {
+  constructor(classes = [], options = {}) {
+    this.classes = new Map(classes.map(c => [c.name, c])); // String ⇸ EngineClass
+    this.aliases = new Map(options.aliases || []); // String ⇸ String - former class names to current ones
+    this.version = options.version || null; // String ∪ {null} - engine version the API was dumped from
+    this.source = options.source || 'bundled'; // String - 'bundled' or the path of a loaded extension_api.json
+
+    // Validate database
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    for (const engineClass of this.classes.values()) {
+      if (!(engineClass instanceof EngineClass)) {
+        throw new Error('Class database entries must be EngineClass instances');
+      }
+    }
+  }
+
+  /**
+   * Resolve a class name, following renames such as KinematicBody2D → CharacterBody2D
+   */
+  resolveName(name) {
+    return this.aliases.get(name) || name;
+  }
+
+  /**
+   * Check if a name denotes an engine class
+   */
+  hasClass(name) {
+    return this.classes.has(this.resolveName(name));
+  }
+
+  /**
+   * Get an engine class by name
+   */
+  getClass(name) {
+    return this.classes.get(this.resolveName(name));
+  }
+
+  /**
+   * Get the inheritance chain of an engine class, from the class itself down to Object
+   * The chain ends early if the database does not know an ancestor
+   * @returns {EngineClass[]} Empty for names that are not engine classes
+   */
+  getInheritanceChain(name) {
+    const chain = [];
+    const visited = new Set();
+    let current = this.getClass(name);
+
+    while (current && !visited.has(current.name)) {
+      visited.add(current.name);
+      chain.push(current);
+      current = current.parent ? this.getClass(current.parent) : null;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Check if an engine class is, or inherits from, another engine class
+   */
+  isSubclassOf(name, ancestor) {
+    const resolved = this.resolveName(ancestor);
+    return this.getInheritanceChain(name).some(c => c.name === resolved);
+  }
+
+  /**
+   * Find a method on an engine class or its ancestors
+   * @returns {{owner: string, method: Object}|null} The declaring class and the method
+   */
+  findMethod(className, methodName) {
+    for (const engineClass of this.getInheritanceChain(className)) {
+      const method = engineClass.getMethod(methodName);
+      if (method) return { owner: engineClass.name, method };
+    }
+    return null;
+  }
+
+  /**
+   * Check if a method name is an engine callback a script extending the class overrides
+   */
+  isVirtualMethod(className, methodName) {
+    if (!this.hasClass(className)) return false;
+    if (SCRIPT_CALLBACKS.has(methodName)) return true;
+    return this.findMethod(className, methodName)?.method.virtual === true;
+  }
+
+  /**
+   * Get all engine callbacks available to scripts extending the class
+   */
+  getVirtualMethods(className) {
+    if (!this.hasClass(className)) return new Set();
+
+    const virtuals = new Set(SCRIPT_CALLBACKS);
+    for (const engineClass of this.getInheritanceChain(className)) {
+      engineClass.getVirtualMethods().forEach(name => virtuals.add(name));
+    }
+    return virtuals;
+  }
+
+  /**
+   * Find the engine class declaring a signal, searching the class and its ancestors
+   * @returns {string|null} Name of the declaring class
+   */
+  findSignal(className, signalName) {
+    return this.getInheritanceChain(className).find(c => c.signals.has(signalName))?.name || null;
+  }
+
+  /**
+   * Find a property on an engine class or its ancestors
+   * @returns {{owner: string, property: Object}|null} The declaring class and the property
+   */
+  findProperty(className, propertyName) {
+    for (const engineClass of this.getInheritanceChain(className)) {
+      const property = engineClass.properties.get(propertyName);
+      if (property) return { owner: engineClass.name, property };
+    }
+    return null;
+  }
+
+  /**
+   * Check if the database holds no classes
+   */
+  isEmpty() {
+    return this.classes.size === 0;
+  }
+
+  toString() {
+    return `ClassDatabase: ${this.classes.size} engine classes (${this.version || 'unknown version'}, ${this.source})`;
+  }
+}
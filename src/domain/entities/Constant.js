@@ -0,0 +1,49 @@
+import { Identifier } from '../value_objects/Identifier.js';
+
+/**
+ * Entity representing a `const` declared by a GDScript class
+ */
+export class Constant {
+  constructor(name, type = null, value = null, range = null, options = {}) {
+    if (!(name instanceof Identifier)) {
+      name = Identifier.from(name);
+    }
+
+    this.name = name;
+    this.type = type; // String ∪ {null} - declared type, or the type inferred with `:=` when known
+    this.inferred = options.inferred || false; // 𝔹 - declared with `:=`
+    this.value = value; // String ∪ {null} - source text of the initializer
+    this.range = range; // SourceRange ∪ {null}
+    this.docComment = options.docComment || null; // Comment ∪ {null} - `##` lines above the declaration
+
+    // Validate constant
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    if (!this.name || !(this.name instanceof Identifier)) {
+      throw new Error('Constant must have a valid name');
+    }
+  }
+
+  /**
+   * Check if the constant preloads a resource, such as a scene or script
+   */
+  isPreload() {
+    return this.value !== null && /^preload\s*\(/.test(this.value);
+  }
+
+  toString() {
+    if (this.inferred) {
+      return `const ${this.name} := ${this.value}`;
+    }
+    const type = this.type ? `: ${this.type}` : '';
+    return this.value !== null ? `const ${this.name}${type} = ${this.value}` : `const ${this.name}${type}`;
+  }
+
+  static from(name, type = null, value = null, range = null, options = {}) {
+    return new Constant(name, type, value, range, options);
+  }
+}
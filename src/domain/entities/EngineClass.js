@@ -0,0 +1,47 @@
+/**
+ * Entity representing a built-in Godot class as described by the engine's extension API
+ * Methods, signals and properties are those the class declares itself, not inherited ones
+ */
+export class EngineClass {
+  constructor(name, parent = null, methods = [], signals = [], properties = [], options = {}) {
+    this.name = name; // String
+    this.parent = parent; // String ∪ {null} - only Object has no parent
+    this.methods = new Map(methods.map(m => [m.name, Object.freeze({ ...m })])); // String ⇸ {name, virtual, returnType}
+    this.signals = new Set(signals); // ℙ String
+    this.properties = new Map(properties.map(p => [p.name, Object.freeze({ ...p })])); // String ⇸ {name, type}
+    this.apiType = options.apiType || 'core'; // {core, editor, extension}
+
+    // Validate engine class
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    if (typeof this.name !== 'string' || !this.name) {
+      throw new Error('Engine class must have a name');
+    }
+
+    if (this.parent !== null && typeof this.parent !== 'string') {
+      throw new Error(`Engine class ${this.name} must name its parent class`);
+    }
+  }
+
+  /**
+   * Get a method declared by this class
+   */
+  getMethod(name) {
+    return this.methods.get(name);
+  }
+
+  /**
+   * Get the names of virtual methods, the callbacks scripts override
+   */
+  getVirtualMethods() {
+    return Array.from(this.methods.values()).filter(m => m.virtual).map(m => m.name);
+  }
+
+  toString() {
+    return this.parent ? `${this.name} extends ${this.parent}` : this.name;
+  }
+}
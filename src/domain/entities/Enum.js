@@ -0,0 +1,46 @@
+/**
+ * Entity representing an `enum` declared by a GDScript class
+ * Unnamed enums add their members to the class as plain constants
+ */
+export class Enum {
+  constructor(name = null, members = [], range = null, options = {}) {
+    this.name = name; // String ∪ {null} - null for `enum { A, B }`
+    this.members = members.map(member => Object.freeze({ name: member.name, value: member.value ?? null })); // seq {name, value}
+    this.range = range; // SourceRange ∪ {null}
+    this.docComment = options.docComment || null; // Comment ∪ {null} - `##` lines above the declaration
+
+    // Validate enum
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    if (!this.members.every(member => typeof member.name === 'string' && member.name !== '')) {
+      throw new Error('Enum members must have names');
+    }
+  }
+
+  /**
+   * Check if the enum is named and usable as a type
+   */
+  isNamed() {
+    return this.name !== null;
+  }
+
+  /**
+   * Get the member names in declaration order
+   */
+  getMemberNames() {
+    return this.members.map(member => member.name);
+  }
+
+  toString() {
+    const members = this.members.map(m => (m.value !== null ? `${m.name} = ${m.value}` : m.name)).join(', ');
+    return this.isNamed() ? `enum ${this.name} { ${members} }` : `enum { ${members} }`;
+  }
+
+  static from(name = null, members = [], range = null, options = {}) {
+    return new Enum(name, members, range, options);
+  }
+}
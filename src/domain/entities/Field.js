@@ -0,0 +1,78 @@
+import { Identifier } from '../value_objects/Identifier.js';
+
+/**
+ * Entity representing a member variable declared by a GDScript class
+ */
+export class Field {
+  constructor(name, type = null, exported = false, range = null, options = {}) {
+    if (!(name instanceof Identifier)) {
+      name = Identifier.from(name);
+    }
+
+    this.name = name;
+    this.type = type; // String ∪ {null} - declared type, or the type inferred with `:=` when known
+    this.inferred = options.inferred || false; // 𝔹 - declared with `:=`
+    this.exportHint = options.exportHint || null; // String ∪ {null} - type named by a Godot 3 `export(Type, ...)` hint
+    this.exported = exported; // 𝔹
+    this.range = range; // SourceRange ∪ {null}
+    this.onready = options.onready || false; // 𝔹 - initialized when the node enters the tree
+    this.setter = options.setter || null; // String ∪ {null} - setter method name, '<inline>' for a Godot 4 set block
+    this.getter = options.getter || null; // String ∪ {null} - getter method name, '<inline>' for a Godot 4 get block
+    this.setterBody = options.setterBody || null; // Method ∪ {null} - body of an inline `set(value):` block
+    this.getterBody = options.getterBody || null; // Method ∪ {null} - body of an inline `get:` block
+    this.static = options.static || false; // 𝔹 - `static var`, shared by every instance
+    this.annotations = [...(options.annotations || [])]; // seq Annotation - such as @export_range(0, 100)
+    this.rpcMode = options.rpcMode || null; // String ∪ {null} - Godot 3 `remote`/`master`/`puppet` keyword
+    this.docComment = options.docComment || null; // Comment ∪ {null} - `##` lines above the declaration
+
+    // Validate field
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    if (!this.name || !(this.name instanceof Identifier)) {
+      throw new Error('Field must have a valid name');
+    }
+  }
+
+  /**
+   * Check if field has a setter or getter
+   */
+  hasAccessors() {
+    return this.setter !== null || this.getter !== null;
+  }
+
+  /**
+   * Check if field binds the given method as its setter or getter
+   */
+  isAccessedThrough(methodName) {
+    return this.setter === methodName || this.getter === methodName;
+  }
+
+  /**
+   * Get an annotation of the field by name (without `@`)
+   */
+  getAnnotation(name) {
+    return this.annotations.find(annotation => annotation.name === name) || null;
+  }
+
+  /**
+   * Check if field is statically typed, explicitly, through `:=` inference or by a Godot 3 export hint
+   */
+  isTyped() {
+    return this.type !== null || this.inferred || this.exportHint !== null;
+  }
+
+  toString() {
+    if (this.inferred) {
+      return this.type ? `${this.name} := <${this.type}>` : `${this.name} :=`;
+    }
+    return this.type ? `${this.name}: ${this.type}` : this.name.toString();
+  }
+
+  static from(name, type = null, exported = false, range = null, options = {}) {
+    return new Field(name, type, exported, range, options);
+  }
+}
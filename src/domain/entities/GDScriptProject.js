@@ -1,16 +1,25 @@
 import { Class } from './Class.js';
 import { Scene } from './Scene.js';
+import { SignalGraph } from './SignalGraph.js';
+import { ClassDatabase } from './ClassDatabase.js';
+import { GodotDialect } from '../value_objects/GodotDialect.js';
 
 /**
  * Entity representing a complete GDScript project
  * Based on Z-specification: GDScriptProject
  */
 export class GDScriptProject {
-  constructor(classes = new Set(), scenes = new Set(), autoloads = new Set(), signals = new Set()) {
+  constructor(classes = new Set(), scenes = new Set(), autoloads = new Set(), signals = new Set(), name = null, options = {}) {
+    this.name = name; // String ∪ {null}
+    this.root = options.root || null; // String ∪ {null} - absolute project directory that file paths are under
+    this.dialect = options.dialect || GodotDialect.from(4); // GodotDialect
+    this.classDatabase = options.classDatabase || new ClassDatabase(); // ClassDatabase - built-in engine classes
     this.classes = new Set(classes); // ℙ Class
     this.scenes = new Set(scenes); // ℙ Scene
     this.autoloads = new Set(autoloads); // ℙ Class
     this.signals = new Set(signals); // ℙ Signal
+    this.excludedFiles = (options.excludedFiles || []).map(e => Object.freeze({ ...e })); // seq {path, directory, rule, reason} - skipped by the file filter
+    this.diagnostics = [...(options.diagnostics || [])]; // seq ParseDiagnostic - syntax errors and parse failures, in file order
 
     // Validate project
     this.validate();
@@ -18,6 +27,9 @@ export class GDScriptProject {
     // Build class hierarchy relationships
     this.buildClassHierarchy();
 
+    // Build signal graph from declarations, emissions and connections
+    this.signalGraph = this.buildSignalGraph(); // SignalGraph
+
     Object.freeze(this);
   }
 
@@ -48,6 +60,64 @@ export class GDScriptProject {
     }
   }
 
+  /**
+   * Build the signal graph from method bodies and scene [connection] entries
+   */
+  buildSignalGraph() {
+    const emissions = [];
+    const connections = [];
+
+    for (const class_ of this.classes) {
+      for (const method of class_.methods) {
+        const site = { class: class_.name.toString(), method: method.name.toString() };
+
+        for (const emission of method.emittedSignals) {
+          emissions.push({ owner: emission.owner, signal: emission.signal, emitter: site });
+        }
+
+        for (const connection of method.signalConnections) {
+          connections.push({ ...connection, origin: 'code', connector: site });
+        }
+      }
+    }
+
+    for (const scene of this.scenes) {
+      for (const connection of scene.connections) {
+        const handlerClass = this.resolveSceneNodeClass(scene, connection.to);
+        connections.push({
+          owner: this.resolveSceneNodeClass(scene, connection.from) || connection.from,
+          signal: connection.signal,
+          handler: handlerClass ? { class: handlerClass, method: connection.method } : null,
+          style: 'scene',
+          origin: 'scene',
+          connector: { scene: scene.filePath }
+        });
+      }
+    }
+
+    return new SignalGraph(this.signals, emissions, connections);
+  }
+
+  /**
+   * Resolve the class behind a scene node: its script class, the script of the
+   * instanced scene, or the engine type of the node
+   */
+  resolveSceneNodeClass(scene, nodePath) {
+    const node = scene.findNode(nodePath);
+    if (!node) return null;
+
+    let scriptPath = node.scriptPath;
+    if (!scriptPath && node.instancePath) {
+      scriptPath = Array.from(this.scenes).find(s => s.filePath === node.instancePath)?.scriptPath || null;
+    }
+
+    const scriptClass = scriptPath
+      ? Array.from(this.classes).find(c => c.filePath === scriptPath && !c.isInnerClass())
+      : null;
+
+    return scriptClass ? scriptClass.name.toString() : node.type;
+  }
+
   /**
    * Get all classes except autoloads
    */
@@ -55,6 +125,28 @@ export class GDScriptProject {
     return new Set(Array.from(this.classes).filter(c => !this.autoloads.has(c)));
   }
 
+  /**
+   * Get scenes registered as autoloads
+   */
+  getAutoloadScenes() {
+    return new Set(Array.from(this.scenes).filter(s => s.autoload));
+  }
+
+  /**
+   * Find autoload class or scene by its singleton name
+   */
+  findSingleton(singletonName) {
+    return Array.from(this.autoloads).find(c => c.singletonName === singletonName) ||
+           Array.from(this.getAutoloadScenes()).find(s => s.singletonName === singletonName);
+  }
+
+  /**
+   * Get scenes that attach the given script file to one of their nodes
+   */
+  getScenesUsingScript(scriptPath) {
+    return Array.from(this.scenes).filter(scene => scene.getAttachedScripts().includes(scriptPath));
+  }
+
   /**
    * Find class by name
    */
@@ -62,6 +154,55 @@ export class GDScriptProject {
     return Array.from(this.classes).find(c => c.name.toString() === name);
   }
 
+  /**
+   * Resolve the ancestry of a class: the project classes it inherits from, nearest first,
+   * then the engine class chain down to Object
+   * Classes without `extends` inherit the dialect's default base class
+   * @returns {{classes: Class[], engineClass: string|null, engineChain: string[], unresolved: string|null}}
+   */
+  getAncestry(class_) {
+    const classes = [];
+    const visited = new Set([class_]);
+    let current = class_;
+
+    for (;;) {
+      const parentName = current.parent ? current.parent.toString() : this.dialect.defaultBaseClass;
+      const parentClass = current.parent ? this.findClass(parentName) : null;
+
+      if (!parentClass || visited.has(parentClass)) {
+        const known = !parentClass && this.classDatabase.hasClass(parentName);
+        const engineClass = known ? this.classDatabase.resolveName(parentName) : null;
+        return {
+          classes,
+          engineClass,
+          engineChain: engineClass ? this.classDatabase.getInheritanceChain(engineClass).map(c => c.name) : [],
+          unresolved: known ? null : parentName // external base class, such as an addon script
+        };
+      }
+
+      classes.push(parentClass);
+      visited.add(parentClass);
+      current = parentClass;
+    }
+  }
+
+  /**
+   * Get the engine class a class ultimately extends
+   * @returns {string|null} Null when the ancestry leaves the project and the class database
+   */
+  getEngineBase(class_) {
+    return this.getAncestry(class_).engineClass;
+  }
+
+  /**
+   * Check if a method of a class is an engine callback, a virtual method the engine
+   * invokes on its own, rather than a user-defined method
+   */
+  isEngineCallback(class_, methodName) {
+    const engineClass = this.getEngineBase(class_);
+    return engineClass !== null && this.classDatabase.isVirtualMethod(engineClass, methodName);
+  }
+
   /**
    * Get total lines of code in project
    */
@@ -69,6 +210,37 @@ export class GDScriptProject {
     return Array.from(this.classes).reduce((total, class_) => total + class_.getTotalLOC(), 0);
   }
 
+  /**
+   * Get the average cyclomatic complexity of the methods in the project; 0 without methods
+   */
+  getAverageComplexity() {
+    const methods = Array.from(this.classes).flatMap(class_ => Array.from(class_.methods));
+    if (methods.length === 0) return 0;
+    return methods.reduce((total, method) => total + method.cyclomaticComplexity, 0) / methods.length;
+  }
+
+  /**
+   * Get the share of fields, parameters and return types that are statically typed
+   * @returns {Object} Typed and total counts per declaration kind, and the overall ratio
+   */
+  getTypeCoverage() {
+    const coverage = {
+      typedFields: 0, totalFields: 0,
+      typedParameters: 0, totalParameters: 0,
+      typedReturns: 0, totalMethods: 0
+    };
+
+    for (const class_ of this.classes) {
+      for (const [key, count] of Object.entries(class_.getTypeCoverage())) {
+        coverage[key] += count;
+      }
+    }
+
+    const typed = coverage.typedFields + coverage.typedParameters + coverage.typedReturns;
+    const total = coverage.totalFields + coverage.totalParameters + coverage.totalMethods;
+    return { ...coverage, ratio: total > 0 ? typed / total : 1 };
+  }
+
   /**
    * Get project statistics
    */
@@ -76,8 +248,13 @@ export class GDScriptProject {
     return {
       totalClasses: this.classes.size,
       totalScenes: this.scenes.size,
+      totalSignals: this.signals.size,
+      godotVersion: this.dialect.version,
       autoloads: this.autoloads.size,
+      excludedFiles: this.excludedFiles.length,
+      parseDiagnostics: this.diagnostics.length,
       totalLOC: this.getTotalLOC(),
+      typeCoverage: this.getTypeCoverage(),
       averageLOCPeerClass: this.classes.size > 0 ? this.getTotalLOC() / this.classes.size : 0
     };
   }
@@ -87,12 +264,14 @@ export class GDScriptProject {
     return `GDScriptProject: ${stats.totalClasses} classes, ${stats.totalScenes} scenes, ${stats.autoloads} autoloads, ${stats.totalLOC} LOC`;
   }
 
-  static from(classes = [], scenes = [], autoloads = [], signals = []) {
+  static from(classes = [], scenes = [], autoloads = [], signals = [], name = null, options = {}) {
     return new GDScriptProject(
       new Set(classes),
       new Set(scenes),
       new Set(autoloads),
-      new Set(signals)
+      new Set(signals),
+      name,
+      options
     );
   }
 }
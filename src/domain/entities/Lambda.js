@@ -0,0 +1,48 @@
+import { Parameter } from './Parameter.js';
+
+/**
+ * Entity representing a Godot 4 lambda (`func(x): return x * 2`) written inside a method
+ */
+export class Lambda {
+  constructor(name = null, parameters = [], returnType = null, range = null) {
+    this.name = name; // String ∪ {null} - null for anonymous lambdas
+    this.parameters = [...parameters]; // seq Parameter
+    this.returnType = returnType; // String ∪ {null} - declared `-> Type`
+    this.range = range; // SourceRange ∪ {null}
+
+    // Validate lambda
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    if (!this.parameters.every(p => p instanceof Parameter)) {
+      throw new Error('Lambda parameters must be Parameter instances');
+    }
+  }
+
+  /**
+   * Get number of physical lines spanned
+   */
+  get lineCount() {
+    return this.range ? this.range.lineCount : 0;
+  }
+
+  /**
+   * Get lambda signature
+   */
+  getSignature() {
+    const params = this.parameters.map(p => p.getSignature()).join(', ');
+    const returnPart = this.returnType ? ` -> ${this.returnType}` : '';
+    return `func${this.name ? ` ${this.name}` : ''}(${params})${returnPart}`;
+  }
+
+  toString() {
+    return `Lambda: ${this.getSignature()}`;
+  }
+
+  static from(name = null, parameters = [], returnType = null, range = null) {
+    return new Lambda(name, parameters, returnType, range);
+  }
+}
@@ -7,7 +7,7 @@ import { Parameter } from './Parameter.js';
  * Based on Z-specification: Method
  */
 export class Method {
-  constructor(name, parameters = [], lines = [], calls = new Set(), accessedFields = new Set()) {
+  constructor(name, parameters = [], lines = [], calls = new Set(), accessedFields = new Set(), options = {}) {
     if (!(name instanceof Identifier)) {
       name = Identifier.from(name);
     }
@@ -15,8 +15,21 @@ export class Method {
     this.name = name;
     this.parameters = [...parameters]; // seq Parameter
     this.lines = [...lines]; // seq CodeLine
-    this.calls = new Set(calls); // ℙ(Identifier × Identifier) - (caller, callee) pairs
-    this.accessedFields = new Set(accessedFields); // ℙ(Identifier × Identifier) - (class, field) pairs
+    this.calls = Method.toPairSet(calls); // ℙ(Identifier × Identifier) - (receiver, callee) pairs
+    this.accessedFields = Method.toPairSet(accessedFields); // ℙ(Identifier × Identifier) - (class, field) pairs
+    this.emittedSignals = (options.emittedSignals || []).map(e => Object.freeze({ ...e })); // seq {owner, signal}
+    this.signalConnections = (options.signalConnections || []).map(c => Object.freeze({ ...c })); // seq {owner, signal, handler, style}
+    this.range = options.range || null; // SourceRange ∪ {null} - span of the function definition
+    this.statements = [...(options.statements || [])]; // seq Statement - top-level statements of the body
+    this.returnType = options.returnType || null; // String ∪ {null} - declared `-> Type`
+    this.static = options.static || false; // 𝔹 - `static func`, called on the class
+    this.annotations = [...(options.annotations || [])]; // seq Annotation - such as @rpc("any_peer")
+    this.rpcMode = options.rpcMode || null; // String ∪ {null} - @rpc mode, or the Godot 3 `remote`/`master`/`puppet` keyword
+    this.lambdas = [...(options.lambdas || [])]; // seq Lambda - lambdas written in the body, nested ones included
+    this.docComment = options.docComment || null; // Comment ∪ {null} - `##` lines above the definition
+    this.comments = [...(options.comments || [])]; // seq Comment - block and inline comments of the body, in source order
+    this.contentHash = options.contentHash || null; // String ∪ {null} - hash of the source without comments or layout
+    this.filePath = this.range ? this.range.filePath : null; // String ∪ {null}
 
     // Derived properties are accessed via getters
 
@@ -45,34 +58,36 @@ export class Method {
    * CC = 1 + number of decision points (if, elif, while, for, match, and, or)
    */
   calculateCyclomaticComplexity() {
-    let complexity = 1; // Base complexity
-
-    const decisionKeywords = ['if', 'elif', 'while', 'for', 'match', 'and', 'or'];
-
-    for (const line of this.lines) {
-      for (const keyword of decisionKeywords) {
-        if (line.contains(keyword)) {
-          complexity++;
-          break; // Count each decision line only once
-        }
-      }
-    }
-
-    return complexity;
+    return 1 + this.getAllStatements().reduce((total, statement) => total + statement.getDecisionPoints(), 0);
   }
 
   /**
    * Count yield/await statements
+   * @param {GodotDialect|null} dialect - Count only the dialect's suspension syntax when given
    */
-  getYieldCount() {
-    return this.lines.filter(line => line.hasYieldOrAwait()).length;
+  getYieldCount(dialect = null) {
+    return this.lines.filter(line => line.hasYieldOrAwait(dialect)).length;
   }
 
   /**
-   * Get lines of code (LOC)
+   * Get lines of code (LOC), excluding comments
    */
   get loc() {
-    return this.lines.length;
+    return this.lines.filter(line => !line.isComment()).length;
+  }
+
+  /**
+   * Get all statements of the body, nested ones included, in source order
+   */
+  getAllStatements() {
+    return this.statements.flatMap(statement => statement.getDescendants());
+  }
+
+  /**
+   * Get the deepest statement nesting level, 0 for a flat body
+   */
+  getMaxNestingDepth() {
+    return this.getAllStatements().reduce((max, statement) => Math.max(max, statement.depth), 0);
   }
 
   /**
@@ -82,6 +97,20 @@ export class Method {
     return this.calculateCyclomaticComplexity();
   }
 
+  /**
+   * Get an annotation of the method by name (without `@`)
+   */
+  getAnnotation(name) {
+    return this.annotations.find(annotation => annotation.name === name) || null;
+  }
+
+  /**
+   * Check if method can be called remotely
+   */
+  isRemote() {
+    return this.rpcMode !== null;
+  }
+
   /**
    * Check if method is a getter or setter
    */
@@ -97,7 +126,8 @@ export class Method {
    */
   getSignature() {
     const params = this.parameters.map(p => p.getSignature()).join(', ');
-    return `${this.name}(${params})`;
+    const returnPart = this.returnType ? ` -> ${this.returnType}` : '';
+    return `${this.static ? 'static ' : ''}${this.name}(${params})${returnPart}`;
   }
 
   /**
@@ -107,18 +137,60 @@ export class Method {
     return Array.from(this.calls).some(([caller, callee]) => callee === calleeName);
   }
 
+  /**
+   * Check if method calls a member on the given receiver
+   */
+  hasCall(receiver, member) {
+    return Array.from(this.calls).some(([callReceiver, callee]) => callReceiver === receiver && callee === member);
+  }
+
   /**
    * Check if method accesses a field
    */
   accessesField(className, fieldName) {
-    return this.accessedFields.has(`${className}.${fieldName}`);
+    return Array.from(this.accessedFields).some(([owner, field]) => owner === className && field === fieldName);
+  }
+
+  /**
+   * Check if method calls or accesses members of the given class
+   */
+  referencesClass(className) {
+    return Array.from(this.calls).some(([receiver]) => receiver === className) ||
+           Array.from(this.accessedFields).some(([owner]) => owner === className);
   }
 
   toString() {
     return `Method: ${this.getSignature()} (LOC: ${this.loc}, CC: ${this.cyclomaticComplexity})`;
   }
 
-  static from(name, parameters = [], lines = [], calls = [], accessedFields = []) {
-    return new Method(name, parameters, lines, calls, accessedFields);
+  /**
+   * Normalize (receiver, member) pairs into a duplicate-free set of frozen tuples
+   * Accepts [receiver, member] arrays or 'receiver.member' strings
+   */
+  static toPairSet(pairs) {
+    const unique = new Map();
+
+    for (const pair of pairs) {
+      let receiver;
+      let member;
+      if (typeof pair === 'string') {
+        const separator = pair.lastIndexOf('.');
+        receiver = pair.slice(0, separator);
+        member = pair.slice(separator + 1);
+      } else {
+        [receiver, member] = pair;
+      }
+
+      const key = `${receiver}.${member}`;
+      if (!unique.has(key)) {
+        unique.set(key, Object.freeze([String(receiver), String(member)]));
+      }
+    }
+
+    return new Set(unique.values());
+  }
+
+  static from(name, parameters = [], lines = [], calls = [], accessedFields = [], options = {}) {
+    return new Method(name, parameters, lines, calls, accessedFields, options);
   }
 }
@@ -5,7 +5,7 @@ import { Identifier } from '../value_objects/Identifier.js';
  * Based on Z-specification: Parameter
  */
 export class Parameter {
-  constructor(name, type = 'dynamic', defaultValue = null) {
+  constructor(name, type = 'dynamic', defaultValue = null, options = {}) {
     if (!(name instanceof Identifier)) {
       name = Identifier.from(name);
     }
@@ -13,6 +13,7 @@ export class Parameter {
     this.name = name;
     this.type = type; // Type ∪ {dynamic}
     this.defaultValue = defaultValue; // Value ∪ {none}
+    this.inferred = options.inferred || false; // 𝔹 - type inferred from the default value with `:=`
 
     // Validate parameter
     this.validate();
@@ -37,13 +38,16 @@ export class Parameter {
    * Check if parameter is typed
    */
   isTyped() {
-    return this.type !== 'dynamic';
+    return this.type !== 'dynamic' || this.inferred;
   }
 
   /**
    * Get parameter signature
    */
   getSignature() {
+    if (this.inferred) {
+      return `${this.name} := ${this.defaultValue}`;
+    }
     const typePart = this.isTyped() ? `: ${this.type}` : '';
     const defaultPart = this.hasDefaultValue() ? ` = ${this.defaultValue}` : '';
     return `${this.name}${typePart}${defaultPart}`;
@@ -59,7 +63,7 @@ export class Parameter {
            this.type === other.type;
   }
 
-  static from(name, type = 'dynamic', defaultValue = null) {
-    return new Parameter(name, type, defaultValue);
+  static from(name, type = 'dynamic', defaultValue = null, options = {}) {
+    return new Parameter(name, type, defaultValue, options);
   }
 }
@@ -1,11 +1,12 @@
 import { Identifier } from '../value_objects/Identifier.js';
+import { SceneNode } from './SceneNode.js';
 
 /**
  * Entity representing a Godot scene
  * Based on Z-specification references to scenes
  */
 export class Scene {
-  constructor(name, rootNode = null, childNodes = new Set(), scriptPath = null) {
+  constructor(name, rootNode = null, childNodes = new Set(), scriptPath = null, options = {}) {
     if (!(name instanceof Identifier)) {
       name = Identifier.from(name);
     }
@@ -14,6 +15,14 @@ export class Scene {
     this.rootNode = rootNode; // Identifier ∪ {null}
     this.childNodes = new Set(childNodes); // ℙ Identifier
     this.scriptPath = scriptPath; // String ∪ {null}
+    this.filePath = options.filePath || null; // String ∪ {null} - path to the scene file
+    this.autoload = options.autoload || false; // 𝔹
+    this.singletonName = options.singletonName || null; // String ∪ {null} - global name of a singleton autoload
+    this.resourceType = options.resourceType || 'PackedScene'; // String - 'PackedScene' for .tscn, resource class for .tres
+    this.tree = options.tree || null; // SceneNode ∪ {null} - root of the node tree
+    this.extResources = [...(options.extResources || [])]; // seq {id, type, path, filePath}
+    this.subResources = [...(options.subResources || [])]; // seq {id, type, properties}
+    this.connections = [...(options.connections || [])]; // seq {signal, from, to, method, flags}
 
     // Validate scene
     this.validate();
@@ -25,6 +34,10 @@ export class Scene {
     if (!this.name || !(this.name instanceof Identifier)) {
       throw new Error('Scene must have a valid name');
     }
+
+    if (this.tree !== null && !(this.tree instanceof SceneNode)) {
+      throw new Error('Scene tree must be a SceneNode');
+    }
   }
 
   /**
@@ -34,6 +47,45 @@ export class Scene {
     return this.scriptPath !== null;
   }
 
+  /**
+   * Check if this is a resource file (.tres) rather than a scene
+   */
+  isResource() {
+    return this.resourceType !== 'PackedScene';
+  }
+
+  /**
+   * Get all nodes of the scene tree in tree order
+   */
+  getAllNodes() {
+    return this.tree ? this.tree.getDescendants() : [];
+  }
+
+  /**
+   * Find node by its path relative to the scene root
+   */
+  findNode(nodePath) {
+    return this.getAllNodes().find(node => node.path === nodePath);
+  }
+
+  /**
+   * Get all script files attached to nodes of this scene
+   */
+  getAttachedScripts() {
+    const scripts = this.getAllNodes().filter(node => node.hasScript()).map(node => node.scriptPath);
+    if (this.scriptPath && !scripts.includes(this.scriptPath)) {
+      scripts.unshift(this.scriptPath);
+    }
+    return scripts;
+  }
+
+  /**
+   * Get all scene files instanced inside this scene
+   */
+  getInstancedScenes() {
+    return Array.from(new Set(this.getAllNodes().filter(node => node.isInstance()).map(node => node.instancePath)));
+  }
+
   /**
    * Get total number of nodes in scene
    */
@@ -45,7 +97,7 @@ export class Scene {
     return `Scene: ${this.name} (nodes: ${this.getTotalNodes()}, script: ${this.hasScript() ? 'yes' : 'no'})`;
   }
 
-  static from(name, rootNode = null, childNodes = [], scriptPath = null) {
-    return new Scene(name, rootNode, new Set(childNodes), scriptPath);
+  static from(name, rootNode = null, childNodes = [], scriptPath = null, options = {}) {
+    return new Scene(name, rootNode, new Set(childNodes), scriptPath, options);
   }
 }
@@ -0,0 +1,71 @@
+import { Identifier } from '../value_objects/Identifier.js';
+
+/**
+ * Entity representing a node inside a Godot scene tree
+ */
+export class SceneNode {
+  constructor(name, path, type = null, scriptPath = null, instancePath = null, children = [], groups = []) {
+    if (!(name instanceof Identifier)) {
+      name = Identifier.from(name);
+    }
+
+    this.name = name;
+    this.path = path; // String - node path relative to the scene root ('.' for the root)
+    this.type = type; // String ∪ {null} - null for instanced or inherited nodes
+    this.scriptPath = scriptPath; // String ∪ {null} - attached script file
+    this.instancePath = instancePath; // String ∪ {null} - instanced sub-scene file
+    this.children = [...children]; // seq SceneNode
+    this.groups = [...groups]; // seq String
+
+    // Validate node
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    if (!this.name || !(this.name instanceof Identifier)) {
+      throw new Error('SceneNode must have a valid name');
+    }
+
+    if (typeof this.path !== 'string' || !this.path) {
+      throw new Error('SceneNode must have a valid path');
+    }
+  }
+
+  /**
+   * Check if this node is the scene root
+   */
+  isRoot() {
+    return this.path === '.';
+  }
+
+  /**
+   * Check if node has a script attached
+   */
+  hasScript() {
+    return this.scriptPath !== null;
+  }
+
+  /**
+   * Check if node is an instance of another scene
+   */
+  isInstance() {
+    return this.instancePath !== null;
+  }
+
+  /**
+   * Get this node and all of its descendants in tree order
+   */
+  getDescendants() {
+    return [this, ...this.children.flatMap(child => child.getDescendants())];
+  }
+
+  toString() {
+    return `SceneNode: ${this.path} (${this.type || this.instancePath || 'inherited'})`;
+  }
+
+  static from(name, path, type = null, scriptPath = null, instancePath = null, children = [], groups = []) {
+    return new SceneNode(name, path, type, scriptPath, instancePath, children, groups);
+  }
+}
@@ -0,0 +1,54 @@
+import { Identifier } from '../value_objects/Identifier.js';
+import { Parameter } from './Parameter.js';
+
+/**
+ * Entity representing a signal declared by a GDScript class
+ */
+export class Signal {
+  constructor(name, owner, parameters = [], filePath = null, options = {}) {
+    if (!(name instanceof Identifier)) {
+      name = Identifier.from(name);
+    }
+
+    this.name = name;
+    this.owner = owner; // String - qualified name of the declaring class
+    this.parameters = [...parameters]; // seq Parameter
+    this.filePath = filePath; // String ∪ {null}
+    this.docComment = options.docComment || null; // Comment ∪ {null} - `##` lines above the declaration
+
+    // Validate signal
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    if (!this.name || !(this.name instanceof Identifier)) {
+      throw new Error('Signal must have a valid name');
+    }
+
+    if (typeof this.owner !== 'string' || !this.owner) {
+      throw new Error('Signal must have an owner class');
+    }
+
+    if (!this.parameters.every(p => p instanceof Parameter)) {
+      throw new Error('Signal parameters must be Parameter instances');
+    }
+  }
+
+  /**
+   * Get signal signature
+   */
+  getSignature() {
+    const params = this.parameters.map(p => p.getSignature()).join(', ');
+    return `${this.name}(${params})`;
+  }
+
+  toString() {
+    return `Signal: ${this.owner}.${this.getSignature()}`;
+  }
+
+  static from(name, owner, parameters = [], filePath = null, options = {}) {
+    return new Signal(name, owner, parameters, filePath, options);
+  }
+}
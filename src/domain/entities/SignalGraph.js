@@ -0,0 +1,111 @@
+/**
+ * Queryable graph of signal declarations, emissions and connections in a project
+ * Signals are keyed by (owner, signal) where owner is the class or engine type exposing them
+ */
+export class SignalGraph {
+  constructor(declarations = [], emissions = [], connections = []) {
+    this.declarations = [...declarations]; // seq Signal
+    this.emissions = emissions.map(e => Object.freeze({ ...e })); // seq {owner, signal, emitter: {class, method}}
+    this.connections = connections.map(c => Object.freeze({ ...c })); // seq {owner, signal, handler, origin, connector, style}
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Find the declaration of a signal
+   */
+  getDeclaration(owner, signal) {
+    return this.declarations.find(d => d.owner === owner && d.name.toString() === signal);
+  }
+
+  /**
+   * Get all emissions of a signal
+   */
+  getEmissions(owner, signal) {
+    return this.emissions.filter(e => e.owner === owner && e.signal === signal);
+  }
+
+  /**
+   * Get all connections made to a signal, from code and from scenes
+   */
+  getConnections(owner, signal) {
+    return this.connections.filter(c => c.owner === owner && c.signal === signal);
+  }
+
+  /**
+   * Get names of classes that emit a signal
+   */
+  getEmitters(owner, signal) {
+    return Array.from(new Set(this.getEmissions(owner, signal).map(e => e.emitter.class)));
+  }
+
+  /**
+   * Get names of classes whose methods handle a signal
+   */
+  getListeners(owner, signal) {
+    return Array.from(new Set(
+      this.getConnections(owner, signal)
+        .filter(c => c.handler !== null)
+        .map(c => c.handler.class)
+    ));
+  }
+
+  /**
+   * Get declared signals that are never emitted
+   */
+  getUnemittedSignals() {
+    return this.declarations.filter(d => this.getEmissions(d.owner, d.name.toString()).length === 0);
+  }
+
+  /**
+   * Get declared signals that nothing connects to
+   */
+  getUnconnectedSignals() {
+    return this.declarations.filter(d => this.getConnections(d.owner, d.name.toString()).length === 0);
+  }
+
+  /**
+   * Get signals of a class that other classes emit or listen to
+   */
+  getSignalsOf(owner) {
+    const names = new Set([
+      ...this.declarations.filter(d => d.owner === owner).map(d => d.name.toString()),
+      ...this.emissions.filter(e => e.owner === owner).map(e => e.signal),
+      ...this.connections.filter(c => c.owner === owner).map(c => c.signal)
+    ]);
+    return Array.from(names);
+  }
+
+  /**
+   * Get class-to-class couplings established through signals
+   * Each coupling links a class that emits a signal to a class that handles it
+   */
+  getCouplings() {
+    const couplings = new Map();
+
+    for (const connection of this.connections) {
+      if (!connection.handler) continue;
+
+      const emitters = this.getEmitters(connection.owner, connection.signal);
+      for (const emitter of emitters.length > 0 ? emitters : [connection.owner]) {
+        if (emitter === connection.handler.class) continue;
+
+        const key = `${emitter}->${connection.handler.class}:${connection.owner}.${connection.signal}`;
+        if (!couplings.has(key)) {
+          couplings.set(key, {
+            emitter,
+            listener: connection.handler.class,
+            owner: connection.owner,
+            signal: connection.signal
+          });
+        }
+      }
+    }
+
+    return Array.from(couplings.values());
+  }
+
+  toString() {
+    return `SignalGraph: ${this.declarations.length} signals, ${this.emissions.length} emissions, ${this.connections.length} connections`;
+  }
+}
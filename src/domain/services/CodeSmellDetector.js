@@ -6,6 +6,9 @@ export class CodeSmellDetector {
   /**
    * Detect code smells in the given target
    * @param {Method|Class|GDScriptProject} target - The code element to analyze
+   *   Detectors receive a context of {method, ownerClass, project, filePath}, {class, project, filePath}
+   *   or {project}, each with the project's GodotDialect as `dialect`. Per-file detection in worker
+   *   threads passes a null project, so only detectors depending on the project may use it
    * @param {Object} thresholds - Configuration thresholds
    * @returns {CodeSmellResult} Detection result
    */
@@ -26,18 +29,120 @@ export class CodeSmellDetector {
   getDescription() {
     throw new Error('CodeSmellDetector.getDescription() must be implemented by subclass');
   }
+
+  /**
+   * Get the contexts this detector reports smells in
+   * @returns {string[]} Among method, class and project
+   */
+  getScopes() {
+    return ['method', 'class', 'project'];
+  }
+
+  /**
+   * Get the thresholds this detector accepts, as a ThresholdSchema definition
+   * Built-in detectors receive the values of AnalysisConfig; plugin detectors receive the
+   * configured values merged over these defaults
+   * @returns {Object} Threshold names to {type, default, min, max, description}
+   */
+  getThresholdSchema() {
+    return {};
+  }
+
+  /**
+   * Get how the severity of a detection is decided, one rule per severity from the highest
+   * @returns {string[]} Rules such as 'High: more than 7 parameters'
+   */
+  getSeverityRules() {
+    return [];
+  }
+
+  /**
+   * Get why the smell matters
+   */
+  getRationale() {
+    return '';
+  }
+
+  /**
+   * Get how to refactor the smell away
+   */
+  getRefactoring() {
+    return '';
+  }
+
+  /**
+   * Check if results for a class depend on other classes of the project, not only on the class itself
+   * Incremental analysis recomputes such results whenever any file of the project changes
+   */
+  dependsOnProject() {
+    return false;
+  }
+
+  /**
+   * Build the location of a smell found in a method, with its source range when known
+   * @param {Method} method - Method the smell was found in
+   * @param {Class|null} ownerClass - Class declaring the method
+   * @param {string|null} filePath - Fallback file when the method has no range
+   */
+  methodLocation(method, ownerClass, filePath = null) {
+    return {
+      class: ownerClass?.name?.toString(),
+      method: method.name.toString(),
+      ...this.rangeLocation(method.range, filePath)
+    };
+  }
+
+  /**
+   * Build the location of a smell found in a class, with its source range when known
+   * @param {Class} class_ - Class the smell was found in
+   * @param {string|null} filePath - Fallback file when the class has no range
+   */
+  classLocation(class_, filePath = null) {
+    return {
+      class: class_.name.toString(),
+      ...this.rangeLocation(class_.range, filePath || class_.filePath)
+    };
+  }
+
+  /**
+   * Get file, line and column fields of a location from a source range
+   */
+  rangeLocation(range, filePath = null) {
+    if (!range) {
+      return { file: filePath };
+    }
+    return { ...range.toLocation(), file: range.filePath || filePath };
+  }
+
+  /**
+   * Map `Class.method` keys to the source locations of the methods
+   */
+  collectMethodLocations(classes) {
+    const locations = new Map();
+
+    for (const class_ of classes) {
+      for (const method of class_.methods) {
+        locations.set(`${class_.name}.${method.name}`, this.methodLocation(method, class_, class_.filePath));
+      }
+    }
+
+    return locations;
+  }
 }
 
 /**
  * Result of a code smell detection
  */
 export class CodeSmellResult {
-  constructor(smellName, detected, severity = null, location = null, details = {}) {
+  constructor(smellName, detected, severity = null, location = null, details = {}, options = {}) {
     this.smellName = smellName;
     this.detected = detected; // 𝔹 - whether smell was detected
     this.severity = severity; // {Low, Medium, High, Critical} ∪ {null}
     this.location = location; // Location info (file, line, class, method)
     this.details = details; // Additional detection details
+    this.suppression = options.suppression || null; // Suppression ∪ {null} - directive silencing the smell
+    this.existing = options.existing || false; // 𝔹 - covered by the baseline, so not a new smell
+    this.fingerprint = options.fingerprint || null; // Fingerprint ∪ {null} - identity across runs, set once analysis ends
     Object.freeze(this);
   }
 
@@ -48,6 +153,55 @@ export class CodeSmellResult {
     return this.detected;
   }
 
+  /**
+   * Check if a `# smell-disable` directive silences this detection
+   */
+  isSuppressed() {
+    return this.suppression !== null;
+  }
+
+  /**
+   * Get a copy of this result silenced by a directive
+   * @param {Suppression} suppression - Directive covering the result
+   */
+  suppress(suppression) {
+    return this.copy({ suppression });
+  }
+
+  /**
+   * Check if the baseline covers this detection, so it is not a new smell
+   */
+  isExisting() {
+    return this.existing;
+  }
+
+  /**
+   * Get a copy of this result marked as covered by the baseline
+   */
+  markExisting() {
+    return this.copy({ existing: true });
+  }
+
+  /**
+   * Get a copy of this result with its fingerprint
+   * @param {Fingerprint} fingerprint - Identity of the smell across runs
+   */
+  identify(fingerprint) {
+    return this.copy({ fingerprint });
+  }
+
+  /**
+   * Get a copy of this result with some options replaced
+   */
+  copy(options = {}) {
+    return new CodeSmellResult(this.smellName, this.detected, this.severity, this.location, this.details, {
+      suppression: this.suppression,
+      existing: this.existing,
+      fingerprint: this.fingerprint,
+      ...options
+    });
+  }
+
   /**
    * Get severity level as number for sorting
    */
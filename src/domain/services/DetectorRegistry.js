@@ -0,0 +1,199 @@
+import { ThresholdSchema } from '../value_objects/ThresholdSchema.js';
+import { LongMethodDetector } from './detectors/LongMethodDetector.js';
+import { LargeClassDetector } from './detectors/LargeClassDetector.js';
+import { DuplicateCodeDetector } from './detectors/DuplicateCodeDetector.js';
+import { LongParameterListDetector } from './detectors/LongParameterListDetector.js';
+import { DivergentChangeDetector } from './detectors/DivergentChangeDetector.js';
+import { ShotgunSurgeryDetector } from './detectors/ShotgunSurgeryDetector.js';
+import { FeatureEnvyDetector } from './detectors/FeatureEnvyDetector.js';
+import { DataClumpsDetector } from './detectors/DataClumpsDetector.js';
+import { PrimitiveObsessionDetector } from './detectors/PrimitiveObsessionDetector.js';
+import { SwitchStatementsDetector } from './detectors/SwitchStatementsDetector.js';
+import { LazyClassDetector } from './detectors/LazyClassDetector.js';
+import { SpeculativeGeneralityDetector } from './detectors/SpeculativeGeneralityDetector.js';
+import { TemporaryFieldDetector } from './detectors/TemporaryFieldDetector.js';
+import { MessageChainsDetector } from './detectors/MessageChainsDetector.js';
+import { MiddleManDetector } from './detectors/MiddleManDetector.js';
+import { InappropriateIntimacyDetector } from './detectors/InappropriateIntimacyDetector.js';
+import { DataClassDetector } from './detectors/DataClassDetector.js';
+import { RefusedBequestDetector } from './detectors/RefusedBequestDetector.js';
+import { CommentsDetector } from './detectors/CommentsDetector.js';
+import { GlobalStateDetector } from './detectors/GlobalStateDetector.js';
+
+/**
+ * Contexts a detector can report smells in
+ */
+const DETECTOR_SCOPES = ['method', 'class', 'project'];
+
+/**
+ * Where a registered detector comes from
+ */
+const DETECTOR_ORIGINS = ['built-in', 'rule', 'plugin'];
+
+/**
+ * Detectors shipped with the analyzer, in the order they run and are listed
+ */
+const BUILT_IN_DETECTORS = [
+  LongMethodDetector,
+  LargeClassDetector,
+  DuplicateCodeDetector,
+  LongParameterListDetector,
+  DivergentChangeDetector,
+  ShotgunSurgeryDetector,
+  FeatureEnvyDetector,
+  DataClumpsDetector,
+  PrimitiveObsessionDetector,
+  SwitchStatementsDetector,
+  LazyClassDetector,
+  SpeculativeGeneralityDetector,
+  TemporaryFieldDetector,
+  MessageChainsDetector,
+  MiddleManDetector,
+  InappropriateIntimacyDetector,
+  DataClassDetector,
+  RefusedBequestDetector,
+  CommentsDetector,
+  GlobalStateDetector
+];
+
+/**
+ * Registry of the detectors an analysis runs, with the metadata that documents them
+ * Detectors are kept in registration order: built-ins, then query rules, then plugins.
+ * Metadata methods are optional, since plugin detectors need not extend CodeSmellDetector
+ */
+export class DetectorRegistry {
+  constructor() {
+    this.entries = new Map(); // String ⇸ {detector, origin, scopes, schema} - keyed by detector name
+  }
+
+  /**
+   * Register a detector under its name
+   * @param {CodeSmellDetector} detector - Detector to register
+   * @param {string} origin - built-in, rule or plugin
+   * @returns {CodeSmellDetector} The detector
+   */
+  register(detector, origin = 'built-in') {
+    if (!DETECTOR_ORIGINS.includes(origin)) {
+      throw new Error(`Unsupported detector origin: ${origin} (expected ${DETECTOR_ORIGINS.join(', ')})`);
+    }
+
+    const name = detector.getName();
+    if (this.entries.has(name)) {
+      throw new Error(`Detector ${name} is already registered as a ${this.entries.get(name).origin} detector`);
+    }
+
+    const scopes = this.call(detector, 'getScopes', DETECTOR_SCOPES);
+    const unknown = scopes.filter(scope => !DETECTOR_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Detector ${name} declares unsupported scopes ${unknown.join(', ')} (expected ${DETECTOR_SCOPES.join(', ')})`);
+    }
+
+    const schema = ThresholdSchema.from(name, this.call(detector, 'getThresholdSchema', {}) || {});
+    this.entries.set(name, { detector, origin, scopes, schema });
+    return detector;
+  }
+
+  /**
+   * Remove every detector of an origin, such as the query rules of a previous configuration
+   */
+  unregister(origin) {
+    for (const [name, entry] of this.entries) {
+      if (entry.origin === origin) {
+        this.entries.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Check if a detector is registered
+   */
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * Get a registered detector by name
+   * @returns {CodeSmellDetector|null}
+   */
+  get(name) {
+    return this.entries.get(name)?.detector || null;
+  }
+
+  /**
+   * Get the threshold schema of a registered detector
+   * @returns {ThresholdSchema|null}
+   */
+  getSchema(name) {
+    return this.entries.get(name)?.schema || null;
+  }
+
+  /**
+   * Get the origin of a registered detector
+   * @returns {string|null} built-in, rule or plugin
+   */
+  getOrigin(name) {
+    return this.entries.get(name)?.origin || null;
+  }
+
+  /**
+   * Get the registered detectors in registration order
+   * @param {string|null} scope - Only the detectors reporting smells in this context; all when null
+   */
+  getDetectors(scope = null) {
+    return Array.from(this.entries.values())
+      .filter(entry => scope === null || entry.scopes.includes(scope))
+      .map(entry => entry.detector);
+  }
+
+  /**
+   * Get the registered detector names in registration order
+   */
+  getNames() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Describe a registered detector
+   * @returns {Object|null} {name, description, origin, scopes, thresholds, defaults, severityRules, rationale, refactoring}
+   */
+  describe(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return null;
+
+    const { detector, origin, scopes, schema } = entry;
+    return {
+      name,
+      description: detector.getDescription(),
+      origin,
+      scopes: [...scopes],
+      thresholds: schema.toJSON(),
+      defaults: schema.getDefaults(),
+      severityRules: this.call(detector, 'getSeverityRules', []),
+      rationale: this.call(detector, 'getRationale', ''),
+      refactoring: this.call(detector, 'getRefactoring', '')
+    };
+  }
+
+  /**
+   * Describe every registered detector, in registration order
+   */
+  list() {
+    return this.getNames().map(name => this.describe(name));
+  }
+
+  /**
+   * Call an optional metadata method of a detector, falling back when it has none
+   */
+  call(detector, method, fallback) {
+    return typeof detector[method] === 'function' ? detector[method]() : fallback;
+  }
+
+  /**
+   * Create a registry holding the built-in detectors
+   */
+  static withBuiltIns() {
+    const registry = new DetectorRegistry();
+    BUILT_IN_DETECTORS.forEach(Detector => registry.register(new Detector()));
+    return registry;
+  }
+}
@@ -10,7 +10,33 @@ export class CommentsDetector extends CodeSmellDetector {
   }
 
   getDescription() {
-    return 'Excessive comments that mask poor code structure and naming';
+    return 'Excessive comments or commented-out code that mask poor code structure and naming';
+  }
+
+  getScopes() {
+    return ['method', 'class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxCommentDensity: { type: 'number', default: 0.5, min: 0, max: 1, description: 'Share of comment lines in methods, or between class members, with more than 10 code lines' },
+      maxCommentedOutLines: { type: 'integer', default: 3, min: 0, description: 'Lines of commented-out code allowed' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Medium: comment density above 70%, or more than twice the allowed commented-out lines',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Heavy commenting often explains code that could explain itself, and commented-out code is dead code that confuses readers; version control already keeps old code.';
+  }
+
+  getRefactoring() {
+    return 'Extract Method and Rename Variable so names carry the explanation, Introduce Assertion for assumptions, delete commented-out code, and document public members with ## doc comments instead.';
   }
 
   detect(context, thresholds = {}) {
@@ -19,17 +45,19 @@ export class CommentsDetector extends CodeSmellDetector {
     if (!target) return null;
 
     // Default thresholds from Z-specification
-    const maxCommentDensity = thresholds.maxCommentDensity || 0.5;
+    const maxCommentDensity = thresholds.maxCommentDensity ?? 0.5;
+    const maxCommentedOutLines = thresholds.maxCommentedOutLines ?? 3;
 
     const analysis = this.analyzeComments(target);
 
-    // Detection logic from Z-specification
-    const isDetected = analysis.commentDensity > maxCommentDensity && analysis.codeLines > 10;
+    // Detection logic from Z-specification, plus dead code kept in comments
+    const isDense = analysis.commentDensity > maxCommentDensity && analysis.codeLines > 10;
+    const isDetected = isDense || analysis.commentedOutLines > maxCommentedOutLines;
 
     let severity = null;
     if (isDetected) {
       // Severity calculation from Z-specification
-      if (analysis.commentDensity > 0.7) {
+      if (analysis.commentDensity > 0.7 || analysis.commentedOutLines > maxCommentedOutLines * 2) {
         severity = 'Medium';
       } else {
         severity = 'Low';
@@ -37,15 +65,8 @@ export class CommentsDetector extends CodeSmellDetector {
     }
 
     const location = context.method ?
-      {
-        class: context.ownerClass?.name?.toString(),
-        method: context.method.name.toString(),
-        file: context.filePath
-      } :
-      {
-        class: context.class.name.toString(),
-        file: context.filePath
-      };
+      this.methodLocation(context.method, context.ownerClass, context.filePath) :
+      this.classLocation(context.class, context.filePath);
 
     const details = {
       commentDensity: Math.round(analysis.commentDensity * 100) / 100,
@@ -53,9 +74,15 @@ export class CommentsDetector extends CodeSmellDetector {
       codeLines: analysis.codeLines,
       totalLines: analysis.totalLines,
       commentRatio: analysis.commentRatio,
-      maxCommentDensity
+      commentedOutLines: analysis.commentedOutLines,
+      maxCommentDensity,
+      maxCommentedOutLines
     };
 
+    if (!context.method) {
+      details.undocumentedMembers = context.class.getUndocumentedMembers().map(member => `${member.kind} ${member.name}`);
+    }
+
     return new CodeSmellResult(
       this.getName(),
       isDetected,
@@ -79,23 +106,32 @@ export class CommentsDetector extends CodeSmellDetector {
   }
 
   /**
-   * Analyze comments in a method
+   * Analyze the comments recorded in a method body; its doc comment is documentation, not body text
    */
   analyzeMethodComments(method) {
-    let commentLines = 0;
-    let codeLines = 0;
+    return this.summarize(method.comments, method.loc);
+  }
 
-    for (const line of method.lines) {
-      const content = line.content.trim();
+  /**
+   * Analyze the comments between the members of a class against its declaration lines
+   * Comments inside methods are left to the method context, so none is reported twice
+   */
+  analyzeClassComments(class_) {
+    const declarations = [...class_.fieldDeclarations.values(), ...class_.constants.values(), ...class_.enums];
+    const codeLines = declarations.reduce((total, declaration) => total + (declaration.range ? declaration.range.lineCount : 1), 0) +
+      class_.signals.size;
 
-      if (content === '') continue; // Skip empty lines
+    return this.summarize(class_.comments, codeLines);
+  }
 
-      if (this.isCommentLine(content)) {
-        commentLines++;
-      } else {
-        codeLines++;
-      }
-    }
+  /**
+   * Measure comment lines against code lines
+   * @param {Comment[]} comments - Block and inline comments
+   * @param {number} codeLines - Lines of code, comments excluded
+   */
+  summarize(comments, codeLines) {
+    const commentLines = comments.reduce((total, comment) => total + comment.lineCount, 0);
+    const commentedOutLines = comments.reduce((total, comment) => total + comment.getCodeLines().length, 0);
 
     const totalLines = commentLines + codeLines;
     const commentDensity = totalLines > 0 ? commentLines / totalLines : 0;
@@ -106,41 +142,8 @@ export class CommentsDetector extends CodeSmellDetector {
       codeLines,
       totalLines,
       commentDensity,
-      commentRatio
-    };
-  }
-
-  /**
-   * Analyze comments in a class
-   */
-  analyzeClassComments(class_) {
-    let totalCommentLines = 0;
-    let totalCodeLines = 0;
-
-    for (const method of class_.methods) {
-      const methodAnalysis = this.analyzeMethodComments(method);
-      totalCommentLines += methodAnalysis.commentLines;
-      totalCodeLines += methodAnalysis.codeLines;
-    }
-
-    const totalLines = totalCommentLines + totalCodeLines;
-    const commentDensity = totalLines > 0 ? totalCommentLines / totalLines : 0;
-    const commentRatio = totalCodeLines > 0 ? totalCommentLines / totalCodeLines : 0;
-
-    return {
-      commentLines: totalCommentLines,
-      codeLines: totalCodeLines,
-      totalLines,
-      commentDensity,
-      commentRatio
+      commentRatio,
+      commentedOutLines
     };
   }
-
-  /**
-   * Check if a line is a comment
-   */
-  isCommentLine(content) {
-    // GDScript comments start with #
-    return content.startsWith('#');
-  }
 }
@@ -13,14 +13,40 @@ export class DataClassDetector extends CodeSmellDetector {
     return 'Class contains only data fields and simple access methods without business logic';
   }
 
+  getScopes() {
+    return ['class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      behaviorMethods: { type: 'integer', default: 0, min: 0, description: 'Methods with behavior a data class has' },
+      publicFields: { type: 'integer', default: 0, min: 0, description: 'Public fields a class may have without behavior' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Medium: more than 5 public fields',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Classes with only data leave their behavior to other classes, which then duplicate it and depend on the data layout.';
+  }
+
+  getRefactoring() {
+    return 'Move Method from the users of the data into the class and Encapsulate Field; when the class is meant to be plain data, consider a Resource.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on classes
     if (!context.class) return null;
     const class_ = context.class;
 
     // Default thresholds from Z-specification
-    const behaviorMethods = thresholds.behaviorMethods || 0;
-    const publicFields = thresholds.publicFields || 0;
+    const behaviorMethods = thresholds.behaviorMethods ?? 0;
+    const publicFields = thresholds.publicFields ?? 0;
 
     const analysis = this.analyzeDataClass(class_);
 
@@ -38,10 +64,7 @@ export class DataClassDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: class_.name.toString(),
-      file: context.filePath
-    };
+    const location = this.classLocation(class_, context.filePath);
 
     const details = {
       behaviorMethods: analysis.behaviorMethods,
@@ -63,10 +86,13 @@ export class DataClassDetector extends CodeSmellDetector {
 
   /**
    * Analyze if a class is a data class
+   * Methods bound to a field with `setget` or `set = ...`/`get = ...` are accessors whatever their name;
+   * inline `set(value):`/`get:` blocks count as behavior only when they are longer than an accessor
    */
   analyzeDataClass(class_) {
     const behaviorMethods = [];
     const publicFields = [];
+    const boundAccessors = [];
 
     // Analyze fields
     for (const field of class_.fields) {
@@ -77,7 +103,10 @@ export class DataClassDetector extends CodeSmellDetector {
 
     // Analyze methods
     for (const method of class_.methods) {
-      if (!this.isAccessorMethod(method)) {
+      const field = class_.getAccessedField(method.name.toString());
+      if (field) {
+        boundAccessors.push({ name: method.name.toString(), field: field.name.toString() });
+      } else if (!this.isAccessorMethod(method)) {
         behaviorMethods.push({
           name: method.name.toString(),
           loc: method.loc,
@@ -86,9 +115,26 @@ export class DataClassDetector extends CodeSmellDetector {
       }
     }
 
+    // Analyze inline property accessors
+    for (const field of class_.fieldDeclarations.values()) {
+      for (const body of [field.setterBody, field.getterBody]) {
+        if (!body) continue;
+        if (body.loc > 3) {
+          behaviorMethods.push({
+            name: body.name.toString(),
+            loc: body.loc,
+            complexity: body.cyclomaticComplexity
+          });
+        } else {
+          boundAccessors.push({ name: body.name.toString(), field: field.name.toString() });
+        }
+      }
+    }
+
     return {
       behaviorMethods,
       publicFields,
+      boundAccessors,
       isDataClass: behaviorMethods.length === 0 && (publicFields.length > 0 || class_.fields.size > 3)
     };
   }
@@ -13,14 +13,45 @@ export class DataClumpsDetector extends CodeSmellDetector {
     return 'Group of variables that are always used together but not organized into a structure';
   }
 
+  getScopes() {
+    return ['project'];
+  }
+
+  getThresholdSchema() {
+    return {
+      minClumpSize: { type: 'integer', default: 3, min: 2, description: 'Variables that must appear together to form a clump' },
+      minOccurrences: { type: 'integer', default: 3, min: 2, description: 'Places where a clump must appear' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'High: a clump of 5 or more variables',
+      'Medium: more than 3 clumps',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Variables that always appear together are a missing concept; every place using them repeats the same handling and must change when the group does.';
+  }
+
+  getRefactoring() {
+    return 'Extract Class or a custom Resource for the group, then Introduce Parameter Object and Preserve Whole Object where the variables are passed around.';
+  }
+
+  dependsOnProject() {
+    return true;
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on projects
     if (!context.project) return null;
     const project = context.project;
 
     // Default thresholds from Z-specification
-    const minClumpSize = thresholds.minClumpSize || 3;
-    const minOccurrences = thresholds.minOccurrences || 3;
+    const minClumpSize = thresholds.minClumpSize ?? 3;
+    const minOccurrences = thresholds.minOccurrences ?? 3;
 
     // Find data clumps across the project
     const clumps = this.findDataClumps(project, minClumpSize, minOccurrences);
@@ -69,6 +100,8 @@ export class DataClumpsDetector extends CodeSmellDetector {
     const clumps = [];
     const classes = Array.from(project.classes);
 
+    const methodLocations = this.collectMethodLocations(classes);
+
     // Analyze parameter patterns across methods
     const parameterGroups = this.analyzeParameterGroups(classes);
 
@@ -81,6 +114,7 @@ export class DataClumpsDetector extends CodeSmellDetector {
             variables,
             occurrences: occurrences.length,
             methods: occurrences,
+            locations: occurrences.map(key => methodLocations.get(key)),
             description: `${variables.length} variables used together in ${occurrences.length} methods`
           });
         }
@@ -97,6 +131,7 @@ export class DataClumpsDetector extends CodeSmellDetector {
             variables,
             occurrences: occurrences.length,
             methods: occurrences,
+            locations: occurrences.map(key => methodLocations.get(key)),
             type: 'field_access',
             description: `${variables.length} fields accessed together in ${occurrences.length} methods`
           });
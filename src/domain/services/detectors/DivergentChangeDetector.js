@@ -13,13 +13,40 @@ export class DivergentChangeDetector extends CodeSmellDetector {
     return 'Class requires changes for different reasons, indicating low cohesion';
   }
 
+  getScopes() {
+    return ['class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxReasons: { type: 'integer', default: 3, min: 1, description: 'Kinds of responsibility (such as input, rendering, persistence) a class may mix' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Critical: more than 7 reasons to change',
+      'High: more than 5 reasons to change',
+      'Medium: more than 3 reasons to change',
+      'Low: any other class over the threshold'
+    ];
+  }
+
+  getRationale() {
+    return 'A class changed for many different reasons has low cohesion; each kind of change touches code that belongs to the others.';
+  }
+
+  getRefactoring() {
+    return 'Extract Class for each responsibility, so each class changes for one reason; in Godot, split input handling, presentation and state into separate nodes or scripts.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on classes
     if (!context.class) return null;
     const class_ = context.class;
 
     // Default thresholds from Z-specification
-    const maxReasons = thresholds.maxReasons || 3;
+    const maxReasons = thresholds.maxReasons ?? 3;
 
     // Analyze change reasons by grouping methods by semantic purpose
     const changeReasons = this.analyzeChangeReasons(class_);
@@ -41,10 +68,7 @@ export class DivergentChangeDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: class_.name.toString(),
-      file: context.filePath
-    };
+    const location = this.classLocation(class_, context.filePath);
 
     const details = {
       changeReasonsCount: changeReasons.length,
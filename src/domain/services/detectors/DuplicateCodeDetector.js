@@ -13,14 +13,47 @@ export class DuplicateCodeDetector extends CodeSmellDetector {
     return 'Identical or very similar code fragments are repeated in different locations';
   }
 
+  getScopes() {
+    return ['project'];
+  }
+
+  getThresholdSchema() {
+    return {
+      similarityThreshold: { type: 'integer', default: 6, min: 1, description: 'Identical lines regarded as duplication (informational)' },
+      minLines: { type: 'integer', default: 5, min: 1, description: 'Lines a method must have to be compared' },
+      minSimilarity: { type: 'number', default: 0.6, min: 0, max: 1, description: 'Share of similar lines from which two methods are duplicates' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Critical: more than 10 duplicated pairs',
+      'High: more than 5 duplicated pairs',
+      'Medium: more than 2 duplicated pairs',
+      'Low: 1 or 2 duplicated pairs'
+    ];
+  }
+
+  getRationale() {
+    return 'Duplicated code must be fixed in every copy; copies drift apart and bugs fixed in one survive in the others.';
+  }
+
+  getRefactoring() {
+    return 'Extract Method for fragments within a class, Pull Up Method for siblings sharing a parent, and Extract Class or an autoload-free helper script for fragments shared by unrelated classes.';
+  }
+
+  dependsOnProject() {
+    return true;
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on projects
     if (!context.project) return null;
     const project = context.project;
     // Default thresholds from Z-specification
-    const threshold = thresholds.similarityThreshold || 6; // minimum 6 identical lines
-    const minLines = thresholds.minLines || 5; // minimum 5 lines for duplication
-    const minSimilarity = thresholds.minSimilarity || 0.6; // 60% similarity
+    const threshold = thresholds.similarityThreshold ?? 6; // minimum 6 identical lines
+    const minLines = thresholds.minLines ?? 5; // minimum 5 lines for duplication
+    const minSimilarity = thresholds.minSimilarity ?? 0.6; // 60% similarity
 
     const duplicates = this.findDuplicates(project, minLines, minSimilarity);
 
@@ -108,12 +141,8 @@ export class DuplicateCodeDetector extends CodeSmellDetector {
     for (const class_ of project.classes) {
       for (const method of class_.methods) {
         blocks.push({
-          location: {
-            class: class_.name.toString(),
-            method: method.name.toString(),
-            file: method.filePath
-          },
-          lines: method.lines.map(line => line.content)
+          location: this.methodLocation(method, class_, class_.filePath),
+          lines: method.lines.filter(line => !line.isComment()).map(line => line.content)
         });
       }
     }
@@ -13,6 +13,33 @@ export class FeatureEnvyDetector extends CodeSmellDetector {
     return 'Method accesses data from another class more than its own class';
   }
 
+  getScopes() {
+    return ['method'];
+  }
+
+  getThresholdSchema() {
+    return {
+      envyRatio: { type: 'number', default: 2.0, min: 0, description: 'Foreign to own member accesses from which a method envies another class' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Critical: envy ratio above 5',
+      'High: envy ratio above 3.5',
+      'Medium: envy ratio above 2',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'A method using another class more than its own belongs with the data it uses; left in place, it couples the two classes and duplicates their logic.';
+  }
+
+  getRefactoring() {
+    return 'Move Method to the envied class, or Extract Method for the envious part and move that; call a method of the other class instead of reaching into its fields.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on methods
     if (!context.method) return null;
@@ -20,7 +47,7 @@ export class FeatureEnvyDetector extends CodeSmellDetector {
     const ownerClass = context.ownerClass;
 
     // Default thresholds from Z-specification
-    const envyRatio = thresholds.envyRatio || 2.0;
+    const envyRatio = thresholds.envyRatio ?? 2.0;
 
     if (!ownerClass) return null;
 
@@ -44,11 +71,7 @@ export class FeatureEnvyDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: ownerClass.name.toString(),
-      method: method.name.toString(),
-      file: context.filePath
-    };
+    const location = this.methodLocation(method, ownerClass, context.filePath);
 
     const details = {
       envyRatio: Math.round(analysis.envyRatio * 100) / 100,
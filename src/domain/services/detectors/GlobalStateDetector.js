@@ -10,7 +10,39 @@ export class GlobalStateDetector extends CodeSmellDetector {
   }
 
   getDescription() {
-    return 'Excessive use of global state through autoloads/singletons';
+    return 'Excessive use of global state through autoloads/singletons and static variables';
+  }
+
+  getScopes() {
+    return ['project'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxAutoloads: { type: 'integer', default: 5, min: 0, description: 'Autoloads a project may register' },
+      maxGlobalVars: { type: 'integer', default: 20, min: 0, description: 'Mutable variables autoloads and static variables may hold' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Critical: any autoload acting as a god object',
+      'High: more than 8 autoloads or 40 global variables',
+      'Medium: more than 5 autoloads or 20 global variables',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Global state can be changed from anywhere, so behavior depends on hidden ordering, scenes cannot be tested in isolation, and every script is coupled to the singletons.';
+  }
+
+  getRefactoring() {
+    return 'Pass dependencies explicitly or through exported references, keep state in the scene that owns it, use signals for communication, and split god autoloads into focused services.';
+  }
+
+  dependsOnProject() {
+    return true;
   }
 
   detect(context, thresholds = {}) {
@@ -19,8 +51,8 @@ export class GlobalStateDetector extends CodeSmellDetector {
     const project = context.project;
 
     // Default thresholds from Z-specification
-    const maxAutoloads = thresholds.maxAutoloads || 5;
-    const maxGlobalVars = thresholds.maxGlobalVars || 20;
+    const maxAutoloads = thresholds.maxAutoloads ?? 5;
+    const maxGlobalVars = thresholds.maxGlobalVars ?? 20;
 
     const analysis = this.analyzeGlobalState(project);
 
@@ -52,6 +84,8 @@ export class GlobalStateDetector extends CodeSmellDetector {
       totalGlobalVars: analysis.totalGlobalVars,
       godAutoloads: analysis.godAutoloads,
       autoloadDetails: analysis.autoloadDetails,
+      autoloadScenes: analysis.autoloadScenes,
+      staticVars: analysis.staticVars,
       maxAutoloads,
       maxGlobalVars
     };
@@ -80,6 +114,8 @@ export class GlobalStateDetector extends CodeSmellDetector {
 
       autoloadDetails.push({
         name: autoload.name.toString(),
+        singletonName: autoload.singletonName,
+        location: this.classLocation(autoload),
         fieldCount,
         methodCount,
         totalLOC
@@ -89,6 +125,8 @@ export class GlobalStateDetector extends CodeSmellDetector {
       if (totalLOC > 400 || methodCount > 20) {
         godAutoloads.push({
           name: autoload.name.toString(),
+          singletonName: autoload.singletonName,
+          location: this.classLocation(autoload),
           totalLOC,
           methodCount,
           reason: totalLOC > 400 ? 'Too many lines of code' : 'Too many methods'
@@ -96,12 +134,28 @@ export class GlobalStateDetector extends CodeSmellDetector {
       }
     }
 
-    const totalGlobalVars = autoloadDetails.reduce((sum, a) => sum + a.fieldCount, 0);
+    // Static variables are shared by every instance, so any class holding them holds global state
+    const staticVars = Array.from(project.classes).flatMap(class_ => class_.getStaticFields().map(field => ({
+      class: class_.name.toString(),
+      field: field.name.toString(),
+      location: this.rangeLocation(field.range, class_.filePath)
+    })));
+
+    const totalGlobalVars = autoloadDetails.reduce((sum, a) => sum + a.fieldCount, 0) + staticVars.length;
+
+    // Scenes registered as autoloads carry no fields of their own
+    const autoloadScenes = Array.from(project.getAutoloadScenes()).map(scene => ({
+      name: scene.name.toString(),
+      singletonName: scene.singletonName,
+      file: scene.filePath
+    }));
 
     return {
       totalGlobalVars,
       godAutoloads,
-      autoloadDetails
+      autoloadDetails,
+      autoloadScenes,
+      staticVars
     };
   }
 }
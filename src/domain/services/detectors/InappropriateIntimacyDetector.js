@@ -13,14 +13,45 @@ export class InappropriateIntimacyDetector extends CodeSmellDetector {
     return 'Two classes are too tightly coupled and share private implementation details';
   }
 
+  getScopes() {
+    return ['class', 'project'];
+  }
+
+  getThresholdSchema() {
+    return {
+      bidirectionalDependency: { type: 'boolean', default: false, description: 'Whether any two-way dependency is reported (informational)' },
+      sharedIntimacy: { type: 'integer', default: 0, min: 0, description: 'Members two classes may share (informational; more than 3 with a two-way dependency are reported)' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'High: classes sharing more than 8 members',
+      'Medium: classes sharing more than 3 members',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Classes that use each other\'s internals cannot change independently; a change in one breaks the other.';
+  }
+
+  getRefactoring() {
+    return 'Move Method and Move Field so each member lives with its users, Change Bidirectional Association to Unidirectional, or Extract Class for what both need; communicate upward through signals.';
+  }
+
+  dependsOnProject() {
+    return true;
+  }
+
   detect(context, thresholds = {}) {
     // Can detect on classes or projects
     const target = context.class || context.project;
     if (!target) return null;
 
     // Default thresholds from Z-specification
-    const bidirectionalDependency = thresholds.bidirectionalDependency || false;
-    const sharedIntimacy = thresholds.sharedIntimacy || 0;
+    const bidirectionalDependency = thresholds.bidirectionalDependency ?? false;
+    const sharedIntimacy = thresholds.sharedIntimacy ?? 0;
 
     const intimacies = this.findInappropriateIntimacies(target, context);
 
@@ -41,7 +72,7 @@ export class InappropriateIntimacyDetector extends CodeSmellDetector {
     }
 
     const location = context.class ?
-      { class: context.class.name.toString(), file: context.filePath } :
+      this.classLocation(context.class, context.filePath) :
       { project: context.project.name || 'Unknown Project' };
 
     const details = {
@@ -163,14 +194,14 @@ export class InappropriateIntimacyDetector extends CodeSmellDetector {
     for (const method of class1.methods) {
       // Check method calls
       for (const call of method.calls) {
-        const [caller, callee] = call;
-        if (callee.includes(class2.name.toString())) {
+        const [receiver] = call;
+        if (receiver === class2.name.toString()) {
           return true;
         }
       }
 
       // Check field access
-      for (const [accessor, field] of method.accessedFields) {
+      for (const [accessor] of method.accessedFields) {
         if (accessor === class2.name.toString()) {
           return true;
         }
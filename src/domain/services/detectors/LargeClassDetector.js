@@ -13,15 +13,45 @@ export class LargeClassDetector extends CodeSmellDetector {
     return 'Class has too many fields, methods or lines of code, violating single responsibility principle';
   }
 
+  getScopes() {
+    return ['class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxFields: { type: 'integer', default: 15, min: 1, description: 'Fields a class may declare' },
+      maxMethods: { type: 'integer', default: 20, min: 1, description: 'Methods a class may declare' },
+      maxLOC: { type: 'integer', default: 400, min: 1, description: 'Lines of code in the methods of a class' },
+      maxExports: { type: 'integer', default: 10, min: 0, description: 'Exported variables a class may declare' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Critical: more than 1000 lines or 50 methods',
+      'High: more than 600 lines or 30 methods',
+      'Medium: more than 400 lines or 20 methods',
+      'Low: any other class over a threshold'
+    ];
+  }
+
+  getRationale() {
+    return 'A class with many fields and methods usually has several responsibilities, so unrelated changes collide in it and every change risks the others.';
+  }
+
+  getRefactoring() {
+    return 'Extract Class or Extract Subclass for each group of fields and the methods using them; in Godot, move behavior to child nodes or Resources and compose scenes instead of growing one script.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on classes
     if (!context.class) return null;
     const class_ = context.class;
     // Default thresholds from Z-specification
-    const maxFields = thresholds.maxFields || 15;
-    const maxMethods = thresholds.maxMethods || 20;
-    const maxLOC = thresholds.maxLOC || 400;
-    const maxExports = thresholds.maxExports || 10;
+    const maxFields = thresholds.maxFields ?? 15;
+    const maxMethods = thresholds.maxMethods ?? 20;
+    const maxLOC = thresholds.maxLOC ?? 400;
+    const maxExports = thresholds.maxExports ?? 10;
 
     const fieldCount = class_.fields.size;
     const methodCount = class_.methods.size;
@@ -48,10 +78,7 @@ export class LargeClassDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: class_.name.toString(),
-      file: context.filePath
-    };
+    const location = this.classLocation(class_, context.filePath);
 
     const details = {
       fieldCount,
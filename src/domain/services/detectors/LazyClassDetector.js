@@ -13,15 +13,41 @@ export class LazyClassDetector extends CodeSmellDetector {
     return 'Class does too little to justify its existence';
   }
 
+  getScopes() {
+    return ['class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      minLOC: { type: 'integer', default: 20, min: 1, description: 'Lines of code below which a class may be lazy' },
+      minMethods: { type: 'integer', default: 2, min: 1, description: 'Non-trivial methods below which a class may be lazy' },
+      minResponsibilities: { type: 'integer', default: 1, min: 1, description: 'Responsibilities a class should have (informational)' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Medium: fewer than 10 lines of code',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Every class costs a file, a name and indirection to understand; one that does almost nothing does not pay for that cost.';
+  }
+
+  getRefactoring() {
+    return 'Inline Class into its only user, or Collapse Hierarchy when it is a near-empty subclass; keep it only when it is a deliberate extension point.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on classes
     if (!context.class) return null;
     const class_ = context.class;
 
     // Default thresholds from Z-specification
-    const minLOC = thresholds.minLOC || 20;
-    const minMethods = thresholds.minMethods || 2;
-    const minResponsibilities = thresholds.minResponsibilities || 1;
+    const minLOC = thresholds.minLOC ?? 20;
+    const minMethods = thresholds.minMethods ?? 2;
 
     const totalLOC = class_.getTotalLOC();
     const trivialMethods = this.countTrivialMethods(class_);
@@ -40,10 +66,7 @@ export class LazyClassDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: class_.name.toString(),
-      file: context.filePath
-    };
+    const location = this.classLocation(class_, context.filePath);
 
     const details = {
       totalLOC,
@@ -13,18 +13,47 @@ export class LongMethodDetector extends CodeSmellDetector {
     return 'Method contains too many lines of code or has high cyclomatic complexity';
   }
 
+  getScopes() {
+    return ['method'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxLines: { type: 'integer', default: 50, min: 1, description: 'Lines of code a method may have' },
+      maxComplexity: { type: 'integer', default: 10, min: 1, description: 'Cyclomatic complexity a method may have' },
+      maxYields: { type: 'integer', default: 7, min: 0, description: 'yield or await expressions a method may have' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Critical: more than 200 lines or complexity above 30',
+      'High: more than 100 lines or complexity above 20',
+      'Medium: more than 50 lines or complexity above 10',
+      'Low: any other method over a threshold'
+    ];
+  }
+
+  getRationale() {
+    return 'Long methods mix several steps and levels of abstraction, so they are hard to read, test and change without breaking one of the steps. In Godot, long _process and _ready callbacks also hide per-frame work.';
+  }
+
+  getRefactoring() {
+    return 'Extract Method for each step, naming it after what it does; replace temporaries with queries and decompose conditionals. Split long coroutines at their await points.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on methods
     if (!context.method) return null;
     const method = context.method;
     // Default thresholds from Z-specification
-    const maxLines = thresholds.maxLines || 50;
-    const maxComplexity = thresholds.maxComplexity || 10;
-    const maxYields = thresholds.maxYields || 7;
+    const maxLines = thresholds.maxLines ?? 50;
+    const maxComplexity = thresholds.maxComplexity ?? 10;
+    const maxYields = thresholds.maxYields ?? 7;
 
     const loc = method.loc;
     const complexity = method.cyclomaticComplexity;
-    const yieldCount = method.getYieldCount();
+    const yieldCount = method.getYieldCount(context.dialect);
 
     // Detection logic from Z-specification
     const isDetected = loc > maxLines ||
@@ -45,16 +74,13 @@ export class LongMethodDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: context.ownerClass?.name?.toString(),
-      method: method.name.toString(),
-      file: context.filePath
-    };
+    const location = this.methodLocation(method, context.ownerClass, context.filePath);
 
     const details = {
       linesOfCode: loc,
       cyclomaticComplexity: complexity,
       yieldCount: yieldCount,
+      nestingDepth: method.getMaxNestingDepth(),
       thresholds: { maxLines, maxComplexity, maxYields }
     };
 
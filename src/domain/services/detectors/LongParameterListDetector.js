@@ -13,14 +13,41 @@ export class LongParameterListDetector extends CodeSmellDetector {
     return 'Method takes too many parameters or has parameters that are always used together';
   }
 
+  getScopes() {
+    return ['method'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxParams: { type: 'integer', default: 4, min: 0, description: 'Parameters a method may take' },
+      maxRelatedParams: { type: 'integer', default: 3, min: 1, description: 'Parameters with related names that may travel together (informational)' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'High: more than 7 parameters',
+      'Medium: more than 4 parameters',
+      'Low: any other detection, including related parameter groups'
+    ];
+  }
+
+  getRationale() {
+    return 'Long parameter lists are hard to call correctly, especially in GDScript where arguments are positional, and they change whenever any of the data they carry changes.';
+  }
+
+  getRefactoring() {
+    return 'Introduce Parameter Object (a Resource or inner class) for parameters that travel together, Preserve Whole Object instead of passing its fields, and Replace Parameter with Method Call when the callee can find the value itself.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on methods
     if (!context.method) return null;
     const method = context.method;
 
     // Default thresholds from Z-specification
-    const maxParams = thresholds.maxParams || 4;
-    const maxRelatedParams = thresholds.maxRelatedParams || 3;
+    const maxParams = thresholds.maxParams ?? 4;
+    const maxRelatedParams = thresholds.maxRelatedParams ?? 3;
 
     const paramCount = method.parameters.length;
 
@@ -42,11 +69,7 @@ export class LongParameterListDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: context.ownerClass?.name?.toString(),
-      method: method.name.toString(),
-      file: context.filePath
-    };
+    const location = this.methodLocation(method, context.ownerClass, context.filePath);
 
     const details = {
       parameterCount: paramCount,
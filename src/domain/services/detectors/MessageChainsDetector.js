@@ -13,13 +13,39 @@ export class MessageChainsDetector extends CodeSmellDetector {
     return 'Long chains of method calls that traverse multiple objects';
   }
 
+  getScopes() {
+    return ['method', 'class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxChainLength: { type: 'integer', default: 3, min: 1, description: 'Calls a chain may have (informational; chains of more than 3 calls are reported)' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'High: a chain of more than 5 calls',
+      'Medium: a chain of more than 3 calls',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Long chains such as get_parent().get_node("A").get_child(0) couple a method to the whole structure it walks through, so any change in between breaks it.';
+  }
+
+  getRefactoring() {
+    return 'Hide Delegate by asking the first object for what you need, Extract Method for the chain, and prefer signals, groups or exported node references to walking the scene tree.';
+  }
+
   detect(context, thresholds = {}) {
     // Can detect on methods or classes
     const target = context.method || context.class;
     if (!target) return null;
 
     // Default thresholds from Z-specification
-    const maxChainLength = thresholds.maxChainLength || 3;
+    const maxChainLength = thresholds.maxChainLength ?? 3;
 
     const chains = this.findMessageChains(target);
 
@@ -40,15 +66,8 @@ export class MessageChainsDetector extends CodeSmellDetector {
     }
 
     const location = context.method ?
-      {
-        class: context.ownerClass?.name?.toString(),
-        method: context.method.name.toString(),
-        file: context.filePath
-      } :
-      {
-        class: context.class.name.toString(),
-        file: context.filePath
-      };
+      this.methodLocation(context.method, context.ownerClass, context.filePath) :
+      this.classLocation(context.class, context.filePath);
 
     const details = {
       chainsCount: chains.length,
@@ -154,7 +173,7 @@ export class MessageChainsDetector extends CodeSmellDetector {
     const chains = [];
 
     // Find Godot node paths like $Node/Child/Grandchild
-    const nodePathRegex = /\$([^\/\s]+)/g;
+    const nodePathRegex = /\$([^/\s]+)/g;
     let match;
 
     while ((match = nodePathRegex.exec(content)) !== null) {
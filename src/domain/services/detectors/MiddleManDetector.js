@@ -13,13 +13,39 @@ export class MiddleManDetector extends CodeSmellDetector {
     return 'Class delegates most of its work to another class without adding value';
   }
 
+  getScopes() {
+    return ['class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxDelegationRatio: { type: 'number', default: 0.5, min: 0, max: 1, description: 'Share of methods that only delegate to another object' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'High: more than 80% of methods delegate',
+      'Medium: more than 50% of methods delegate',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'A class that only forwards calls adds indirection without behavior, and every change to the delegate must be mirrored in it.';
+  }
+
+  getRefactoring() {
+    return 'Remove Middle Man so callers use the delegate directly, or Inline Method for the few forwarding methods; keep it only when it deliberately hides the delegate.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on classes
     if (!context.class) return null;
     const class_ = context.class;
 
     // Default thresholds from Z-specification
-    const maxDelegationRatio = thresholds.maxDelegationRatio || 0.5;
+    const maxDelegationRatio = thresholds.maxDelegationRatio ?? 0.5;
 
     const analysis = this.analyzeDelegation(class_);
 
@@ -38,10 +64,7 @@ export class MiddleManDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: class_.name.toString(),
-      file: context.filePath
-    };
+    const location = this.classLocation(class_, context.filePath);
 
     const details = {
       delegationRatio: Math.round(analysis.delegationRatio * 100) / 100,
@@ -108,8 +131,8 @@ export class MiddleManDetector extends CodeSmellDetector {
 
     // The call should be to a different class
     for (const call of method.calls) {
-      const [caller, callee] = call;
-      if (caller !== class_.name.toString()) {
+      const [receiver] = call;
+      if (receiver !== class_.name.toString()) {
         return true;
       }
     }
@@ -122,12 +145,8 @@ export class MiddleManDetector extends CodeSmellDetector {
    */
   getDelegationTarget(method) {
     for (const call of method.calls) {
-      const [caller, callee] = call;
-      // Extract class name from call (simplified)
-      const parts = callee.split('.');
-      if (parts.length >= 2) {
-        return parts[0];
-      }
+      const [receiver] = call;
+      return receiver;
     }
     return null;
   }
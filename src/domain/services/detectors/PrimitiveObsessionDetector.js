@@ -13,16 +13,45 @@ export class PrimitiveObsessionDetector extends CodeSmellDetector {
     return 'Overuse of primitive types instead of specialized classes or excessive magic numbers/strings';
   }
 
+  getScopes() {
+    return ['class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxMagicNumbers: { type: 'integer', default: 5, min: 0, description: 'Numeric literals a class may use outside constants' },
+      maxMagicStrings: { type: 'integer', default: 5, min: 0, description: 'String literals a class may use outside constants' },
+      maxStringGetNodes: { type: 'integer', default: 3, min: 0, description: 'get_node calls with literal paths a class may make' },
+      maxUntypedVars: { type: 'integer', default: 3, min: 0, description: 'Variables without a static type a class may declare' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'High: more than 15 magic numbers or 10 untyped variables',
+      'Medium: more than 5 magic numbers or 3 string node paths',
+      'Low: any other class over a threshold'
+    ];
+  }
+
+  getRationale() {
+    return 'Magic values and untyped variables hide meaning and types; literal node paths break silently when the scene tree changes.';
+  }
+
+  getRefactoring() {
+    return 'Replace Magic Number with Symbolic Constant or an enum, add static types, and replace literal node paths with onready variables, exported NodePaths or unique names (%Node).';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on classes
     if (!context.class) return null;
     const class_ = context.class;
 
     // Default thresholds from Z-specification
-    const maxMagicNumbers = thresholds.maxMagicNumbers || 5;
-    const maxMagicStrings = thresholds.maxMagicStrings || 5;
-    const maxStringGetNodes = thresholds.maxStringGetNodes || 3;
-    const maxUntypedVars = thresholds.maxUntypedVars || 3;
+    const maxMagicNumbers = thresholds.maxMagicNumbers ?? 5;
+    const maxMagicStrings = thresholds.maxMagicStrings ?? 5;
+    const maxStringGetNodes = thresholds.maxStringGetNodes ?? 3;
+    const maxUntypedVars = thresholds.maxUntypedVars ?? 3;
 
     // Analyze primitive obsession patterns
     const analysis = this.analyzePrimitiveObsession(class_);
@@ -45,16 +74,15 @@ export class PrimitiveObsessionDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: class_.name.toString(),
-      file: context.filePath
-    };
+    const location = this.classLocation(class_, context.filePath);
 
     const details = {
       magicNumbers: analysis.magicNumbers,
       magicStrings: analysis.magicStrings,
       stringGetNodes: analysis.stringGetNodes,
       untypedVars: analysis.untypedVars,
+      untypedFields: analysis.untypedFields,
+      untypedParameters: analysis.untypedParameters,
       examples: analysis.examples,
       thresholds: { maxMagicNumbers, maxMagicStrings, maxStringGetNodes, maxUntypedVars }
     };
@@ -117,18 +145,28 @@ export class PrimitiveObsessionDetector extends CodeSmellDetector {
       }
     }
 
-    // Count untyped variables (variables without explicit types)
+    // Count untyped variables (neither `: Type` nor `:=` inference)
+    const untypedFields = [];
     for (const field of class_.fields) {
-      // This is a simplified check - in reality we'd need to check the AST
-      // For now, assume all fields are potentially untyped
-      untypedVars++;
+      const declaration = class_.getField(field);
+      if (!declaration || !declaration.isTyped()) {
+        untypedVars++;
+        untypedFields.push(field.toString());
+      }
     }
 
+    const untypedParameters = Array.from(class_.methods)
+      .flatMap(method => method.parameters
+        .filter(parameter => !parameter.isTyped())
+        .map(parameter => `${method.name}(${parameter.name})`));
+
     return {
       magicNumbers,
       magicStrings,
       stringGetNodes,
       untypedVars,
+      untypedFields,
+      untypedParameters,
       examples: examples.slice(0, 10) // Limit examples
     };
   }
@@ -0,0 +1,100 @@
+import { CodeSmellDetector, CodeSmellResult } from '../CodeSmellDetector.js';
+
+/**
+ * Detector reporting the matches of a query rule declared in the configuration
+ * Queries run when files are parsed, which records the matches on the classes; this detector
+ * reports those of each method, and those outside methods on the class, unless the rule is
+ * scoped to methods
+ */
+export class QueryRuleDetector extends CodeSmellDetector {
+  constructor(rule) {
+    super();
+    this.rule = rule; // QueryRule
+  }
+
+  getName() {
+    return this.rule.name;
+  }
+
+  getDescription() {
+    return this.rule.description || `Matches of the query rule ${this.rule.name}`;
+  }
+
+  getScopes() {
+    return this.rule.isMethodScoped() ? ['method'] : ['method', 'class'];
+  }
+
+  /**
+   * Rules scoped to ancestor classes depend on the classes a class inherits from, which may be in other files
+   */
+  dependsOnProject() {
+    return this.rule.extends.length > 0;
+  }
+
+  getSeverityRules() {
+    return [`${this.rule.severity}: every method or class with a match`];
+  }
+
+  getRationale() {
+    return this.rule.description;
+  }
+
+  detect(context, thresholds = {}) {
+    if (context.method) {
+      const method = context.method;
+      const methodName = method.name.toString();
+      if (!this.appliesToClass(context.ownerClass, context.project) || !this.rule.appliesToMethod(methodName)) return null;
+
+      return this.report(context.ownerClass.getRuleMatches(this.getName(), methodName), context.ownerClass);
+    }
+
+    if (context.class) {
+      if (this.rule.isMethodScoped() || !this.appliesToClass(context.class, context.project)) return null;
+
+      return this.report(context.class.getRuleMatches(this.getName(), null), context.class);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if the rule applies to a class, resolving its ancestry through the project classes and the engine class database
+   */
+  appliesToClass(class_, project = null) {
+    if (!project || this.rule.extends.length === 0) return this.rule.appliesToClass(class_);
+
+    const ancestry = project.getAncestry(class_);
+    return this.rule.appliesToClass(class_, [
+      ...(class_.parent !== null ? [class_.parent.toString()] : []),
+      ...ancestry.classes.map(ancestor => ancestor.name.toString()),
+      ...ancestry.engineChain,
+      ...(ancestry.unresolved !== null ? [ancestry.unresolved] : [])
+    ]);
+  }
+
+  /**
+   * Build the result for the matches of one method or class, located at the first match
+   */
+  report(matches, class_) {
+    if (matches.length === 0) return null;
+
+    const reported = matches.map(match => ({
+      line: match.range.startLine,
+      column: match.range.startColumn,
+      message: this.rule.formatMessage({ class: class_.name.toString(), method: match.method, ...match.captures }),
+      captures: match.captures
+    }));
+    const first = matches[0];
+    const location = {
+      class: class_.name.toString(),
+      ...(first.method !== null ? { method: first.method } : {}),
+      ...this.rangeLocation(first.range, class_.filePath)
+    };
+
+    return new CodeSmellResult(this.getName(), true, this.rule.severity, location, {
+      message: reported[0].message,
+      matchCount: reported.length,
+      matches: reported
+    });
+  }
+}
@@ -13,6 +13,37 @@ export class RefusedBequestDetector extends CodeSmellDetector {
     return 'Subclass does not use most of the functionality inherited from its parent class';
   }
 
+  getScopes() {
+    return ['class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      usageRatio: { type: 'number', default: 0.3, min: 0, max: 1, description: 'Share of inherited methods a subclass should use' },
+      overriddenEmpty: { type: 'integer', default: 0, min: 0, description: 'Inherited methods a subclass may override with an empty body' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'High: less than 20% of inherited methods used, or more than 5 overridden empty',
+      'Medium: less than 30% of inherited methods used, or more than 3 overridden empty',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'A subclass that ignores or disables most of what it inherits breaks the promise of its parent, so code written against the parent may misbehave with it.';
+  }
+
+  getRefactoring() {
+    return 'Replace Inheritance with Delegation or composition of nodes, or Push Down Method so the parent only holds what every subclass uses.';
+  }
+
+  dependsOnProject() {
+    return true;
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on classes
     if (!context.class) return null;
@@ -22,8 +53,8 @@ export class RefusedBequestDetector extends CodeSmellDetector {
     if (!class_.parent) return null;
 
     // Default thresholds from Z-specification
-    const usageRatio = thresholds.usageRatio || 0.3;
-    const overriddenEmpty = thresholds.overriddenEmpty || 0;
+    const usageRatio = thresholds.usageRatio ?? 0.3;
+    const overriddenEmpty = thresholds.overriddenEmpty ?? 0;
 
     const analysis = this.analyzeInheritanceUsage(class_, context.project);
 
@@ -43,9 +74,8 @@ export class RefusedBequestDetector extends CodeSmellDetector {
     }
 
     const location = {
-      class: class_.name.toString(),
-      parent: class_.parent.toString(),
-      file: context.filePath
+      ...this.classLocation(class_, context.filePath),
+      parent: class_.parent.toString()
     };
 
     const details = {
@@ -73,11 +103,13 @@ export class RefusedBequestDetector extends CodeSmellDetector {
     // Find parent class
     const parentClass = Array.from(project.classes).find(c => c.name.equals(subclass.parent));
     if (!parentClass) {
+      // Engine classes expose far more API than any script uses, so only empty callback overrides count
       return {
         usageRatio: 1.0,
         usedMethods: [],
         totalParentMethods: 0,
-        overriddenEmpty: []
+        overriddenEmpty: this.findEmptyEngineOverrides(subclass, project),
+        engineClass: project.getEngineBase(subclass)
       };
     }
 
@@ -86,8 +118,10 @@ export class RefusedBequestDetector extends CodeSmellDetector {
 
     // Check which parent methods are used by subclass
     for (const parentMethod of parentClass.methods) {
-      const isUsed = this.isMethodUsedBySubclass(parentMethod, subclass);
       const isOverridden = this.isMethodOverridden(parentMethod, subclass);
+      // The engine invokes inherited callbacks on the subclass without any explicit call
+      const isUsed = this.isMethodUsedBySubclass(parentMethod, subclass) ||
+        (!isOverridden && project.isEngineCallback(parentClass, parentMethod.name.toString()));
 
       if (isUsed) {
         usedMethods.push(parentMethod.name.toString());
@@ -115,17 +149,25 @@ export class RefusedBequestDetector extends CodeSmellDetector {
     };
   }
 
+  /**
+   * Find engine callbacks the subclass overrides with an empty body
+   */
+  findEmptyEngineOverrides(subclass, project) {
+    return Array.from(subclass.methods)
+      .filter(method => project.isEngineCallback(subclass, method.name.toString()) && this.isEmptyOverride(method))
+      .map(method => ({ method: method.name.toString(), loc: method.loc }));
+  }
+
   /**
    * Check if a parent method is used by the subclass
    */
   isMethodUsedBySubclass(parentMethod, subclass) {
     for (const method of subclass.methods) {
-      // Check if method calls the parent method
+      // Check if method calls the parent method, through super or as an inherited method
       for (const call of method.calls) {
-        const [caller, callee] = call;
-        if (callee === `${subclass.parent}.${parentMethod.name}` ||
-            callee === `super.${parentMethod.name}` ||
-            callee === parentMethod.name.toString()) {
+        const [receiver, callee] = call;
+        if (callee === parentMethod.name.toString() &&
+            (receiver === subclass.parent.toString() || receiver === subclass.name.toString())) {
           return true;
         }
       }
@@ -146,7 +188,7 @@ export class RefusedBequestDetector extends CodeSmellDetector {
    */
   isEmptyOverride(method) {
     if (method.loc <= 2) {
-      const content = method.lines.map(l => l.content).join(' ').toLowerCase().trim();
+      const content = method.lines.filter(l => !l.isComment()).map(l => l.content).join(' ').toLowerCase().trim();
 
       // Empty or just calls super/parent
       return content === '' ||
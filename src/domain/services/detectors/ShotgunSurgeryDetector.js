@@ -13,13 +13,44 @@ export class ShotgunSurgeryDetector extends CodeSmellDetector {
     return 'Single change requires modifications across many different classes';
   }
 
+  getScopes() {
+    return ['project'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxClasses: { type: 'integer', default: 3, min: 1, description: 'Classes a change may ripple to (informational; more than 3 referencing classes are reported)' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Critical: a change affects more than 8 classes',
+      'High: a change affects more than 5 classes',
+      'Medium: a change affects more than 3 classes',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'When one change requires edits in many classes, it is easy to miss one of them, and the knowledge of a single concept is scattered across the project.';
+  }
+
+  getRefactoring() {
+    return 'Move Method and Move Field to gather the scattered behavior into one class; use signals so that dependents react to a change instead of being edited with it.';
+  }
+
+  dependsOnProject() {
+    return true;
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on projects
     if (!context.project) return null;
     const project = context.project;
 
     // Default thresholds from Z-specification
-    const maxClasses = thresholds.maxClasses || 3;
+    const maxClasses = thresholds.maxClasses ?? 3;
 
     // Analyze potential shotgun surgery patterns
     const shotgunSurgeries = this.analyzeShotgunSurgery(project);
@@ -76,6 +107,7 @@ export class ShotgunSurgeryDetector extends CodeSmellDetector {
       if (references.length > 3) { // More than 3 class references
         surgeries.push({
           affectedClass: class_.name.toString(),
+          location: this.classLocation(class_),
           affectedClasses: references,
           referenceCount: references.length,
           description: `Class ${class_.name} references ${references.length} other classes`
@@ -85,11 +117,13 @@ export class ShotgunSurgeryDetector extends CodeSmellDetector {
 
     // Look for methods that are called from many different classes
     const methodCallers = this.analyzeMethodCallers(project);
+    const methodLocations = this.collectMethodLocations(classes);
 
     for (const [methodKey, callers] of Object.entries(methodCallers)) {
       if (callers.length > 4) { // Method called from more than 4 different classes
         surgeries.push({
           method: methodKey,
+          location: methodLocations.get(methodKey),
           affectedClasses: callers,
           callerCount: callers.length,
           description: `Method ${methodKey} is called from ${callers.length} different classes`
@@ -106,16 +140,12 @@ export class ShotgunSurgeryDetector extends CodeSmellDetector {
   findClassReferences(class_, project) {
     const references = new Set();
 
-    for (const method of class_.methods) {
-      // Check method calls for references to other classes
-      for (const call of method.calls) {
-        // This is a simplified check - in reality we'd need to analyze the AST
-        const callStr = Array.from(call).join('.');
-        for (const otherClass of project.classes) {
-          if (otherClass !== class_ && callStr.includes(otherClass.name.toString())) {
-            references.add(otherClass.name.toString());
-          }
-        }
+    for (const otherClass of project.classes) {
+      if (otherClass === class_) continue;
+
+      const otherName = otherClass.name.toString();
+      if (Array.from(class_.methods).some(method => method.referencesClass(otherName))) {
+        references.add(otherName);
       }
     }
 
@@ -130,25 +160,18 @@ export class ShotgunSurgeryDetector extends CodeSmellDetector {
 
     for (const class_ of project.classes) {
       for (const method of class_.methods) {
-        for (const call of method.calls) {
-          const callStr = Array.from(call).join('.');
-          const methodKey = `${class_.name}.${method.name}`;
+        const methodKey = `${class_.name}.${method.name}`;
+        methodCallers[methodKey] = [];
 
-          if (!methodCallers[methodKey]) {
-            methodCallers[methodKey] = [];
-          }
+        // Find which other classes call this method
+        for (const otherClass of project.classes) {
+          if (otherClass === class_) continue;
 
-          // Find which classes this method might be called from
-          for (const otherClass of project.classes) {
-            if (otherClass !== class_) {
-              for (const otherMethod of otherClass.methods) {
-                // Simplified check for method calls
-                const hasCall = otherMethod.calls.has(call);
-                if (hasCall && !methodCallers[methodKey].includes(otherClass.name.toString())) {
-                  methodCallers[methodKey].push(otherClass.name.toString());
-                }
-              }
-            }
+          const callsMethod = Array.from(otherClass.methods).some(otherMethod =>
+            otherMethod.hasCall(class_.name.toString(), method.name.toString())
+          );
+          if (callsMethod) {
+            methodCallers[methodKey].push(otherClass.name.toString());
           }
         }
       }
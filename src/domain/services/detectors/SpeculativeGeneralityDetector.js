@@ -13,14 +13,45 @@ export class SpeculativeGeneralityDetector extends CodeSmellDetector {
     return 'Code designed for future functionality that never materializes';
   }
 
+  getScopes() {
+    return ['class', 'project'];
+  }
+
+  getThresholdSchema() {
+    return {
+      unusedMethods: { type: 'integer', default: 0, min: 0, description: 'Methods nothing calls that a class may keep' },
+      unusedParameters: { type: 'integer', default: 0, min: 0, description: 'Parameters a method never reads that a class may keep' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'High: more than 5 unused methods',
+      'Medium: more than 2 unused methods or 3 unused parameters',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Hooks, parameters and abstractions added for needs that never came make the code harder to understand and maintain for no benefit.';
+  }
+
+  getRefactoring() {
+    return 'Remove unused methods and parameters, Collapse Hierarchy for abstract classes with a single subclass, and Inline Class for unused indirection. Engine callbacks, signal handlers, property accessors and RPC methods are not counted as unused.';
+  }
+
+  dependsOnProject() {
+    return true;
+  }
+
   detect(context, thresholds = {}) {
     // Can detect on classes or projects
     const target = context.class || context.project;
     if (!target) return null;
 
     // Default thresholds from Z-specification
-    const unusedMethods = thresholds.unusedMethods || 0;
-    const unusedParameters = thresholds.unusedParameters || 0;
+    const unusedMethods = thresholds.unusedMethods ?? 0;
+    const unusedParameters = thresholds.unusedParameters ?? 0;
 
     const analysis = this.analyzeSpeculativeGenerality(target, context);
 
@@ -42,7 +73,7 @@ export class SpeculativeGeneralityDetector extends CodeSmellDetector {
     }
 
     const location = context.class ?
-      { class: context.class.name.toString(), file: context.filePath } :
+      this.classLocation(context.class, context.filePath) :
       { project: context.project.name || 'Unknown Project' };
 
     const details = {
@@ -83,14 +114,14 @@ export class SpeculativeGeneralityDetector extends CodeSmellDetector {
     // Find unused methods (simplified - methods not called by other methods)
     const calledMethods = new Set();
     for (const method of class_.methods) {
-      for (const call of method.calls) {
-        calledMethods.add(call);
+      for (const [receiver, callee] of method.calls) {
+        calledMethods.add(`${receiver}.${callee}`);
       }
     }
 
     for (const method of class_.methods) {
       const methodKey = `${class_.name}.${method.name}`;
-      if (!calledMethods.has(methodKey) && !this.isEntryPoint(method)) {
+      if (!calledMethods.has(methodKey) && !this.isEntryPoint(method, class_, project)) {
         unusedMethods.push({
           name: method.name.toString(),
           loc: method.loc,
@@ -99,8 +130,10 @@ export class SpeculativeGeneralityDetector extends CodeSmellDetector {
       }
     }
 
-    // Find unused parameters
+    // Find unused parameters; engine callbacks must keep the signature the engine calls them with
     for (const method of class_.methods) {
+      if (project.isEngineCallback(class_, method.name.toString())) continue;
+
       for (const param of method.parameters) {
         if (this.isUnusedParameter(param, method)) {
           unusedParameters.push({
@@ -153,11 +186,15 @@ export class SpeculativeGeneralityDetector extends CodeSmellDetector {
 
   /**
    * Check if a method is an entry point (likely to be called externally)
+   * Accessors bound with `setget` or `set = ...`/`get = ...` run on property access, and methods marked
+   * `remote`/`master`/`puppet` or `@rpc` are called by other peers
    */
-  isEntryPoint(method) {
+  isEntryPoint(method, class_, project) {
     const methodName = method.name.toString().toLowerCase();
-    // Common Godot entry points
-    return ['_ready', '_process', '_physics_process', '_input', '_unhandled_input'].includes(methodName) ||
+    // Engine callbacks of the class's engine base, resolved through the class database
+    return project.isEngineCallback(class_, method.name.toString()) ||
+           class_.getAccessedField(method.name.toString()) !== null ||
+           method.rpcMode !== null ||
            methodName.startsWith('_on_') || // Signal handlers
            methodName.startsWith('public_'); // Explicitly public methods
   }
@@ -13,14 +13,42 @@ export class SwitchStatementsDetector extends CodeSmellDetector {
     return 'Excessive use of conditional statements that could be replaced with polymorphism';
   }
 
+  getScopes() {
+    return ['method'];
+  }
+
+  getThresholdSchema() {
+    return {
+      maxSwitches: { type: 'integer', default: 2, min: 0, description: 'match statements and long if/elif chains a method may have' },
+      maxCases: { type: 'integer', default: 5, min: 1, description: 'Average branches per chain' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Critical: more than 3 duplicated switches',
+      'High: more than 10 branches on average, or any duplicated switch',
+      'Medium: more than 2 switches',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Repeated type switches must all be updated when a new case appears, and long chains bury the behavior of each case.';
+  }
+
+  getRefactoring() {
+    return 'Replace Conditional with Polymorphism using subclasses or a state machine of nodes; Replace Type Code with State/Strategy, or map cases to Callables in a Dictionary.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on methods
     if (!context.method) return null;
     const method = context.method;
 
     // Default thresholds from Z-specification
-    const maxSwitches = thresholds.maxSwitches || 2;
-    const maxCases = thresholds.maxCases || 5;
+    const maxSwitches = thresholds.maxSwitches ?? 2;
+    const maxCases = thresholds.maxCases ?? 5;
 
     // Analyze switch/match constructs
     const analysis = this.analyzeSwitchStatements(method);
@@ -44,11 +72,7 @@ export class SwitchStatementsDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: context.ownerClass?.name?.toString(),
-      method: method.name.toString(),
-      file: context.filePath
-    };
+    const location = this.methodLocation(method, context.ownerClass, context.filePath);
 
     const details = {
       switchCount: analysis.switchCount,
@@ -13,14 +13,40 @@ export class TemporaryFieldDetector extends CodeSmellDetector {
     return 'Field is used only under certain conditions and often null otherwise';
   }
 
+  getScopes() {
+    return ['class'];
+  }
+
+  getThresholdSchema() {
+    return {
+      conditionalUsage: { type: 'boolean', default: false, description: 'Whether conditionally used fields are reported (informational)' },
+      nullChecks: { type: 'integer', default: 0, min: 0, description: 'Null checks of a field that are tolerated (informational)' }
+    };
+  }
+
+  getSeverityRules() {
+    return [
+      'Medium: a temporary field checked for null more than 5 times',
+      'Low: any other detection'
+    ];
+  }
+
+  getRationale() {
+    return 'Fields set only in some situations make readers guess when they are valid, and the null checks guarding them spread through the class.';
+  }
+
+  getRefactoring() {
+    return 'Extract Class for the fields and the code using them, pass the values as parameters to the methods that need them, or Introduce Null Object.';
+  }
+
   detect(context, thresholds = {}) {
     // Only detect on classes
     if (!context.class) return null;
     const class_ = context.class;
 
     // Default thresholds from Z-specification
-    const conditionalUsage = thresholds.conditionalUsage || false;
-    const nullChecks = thresholds.nullChecks || 0;
+    const conditionalUsage = thresholds.conditionalUsage ?? false;
+    const nullChecks = thresholds.nullChecks ?? 0;
 
     // Analyze temporary field patterns
     const temporaryFields = this.findTemporaryFields(class_);
@@ -39,10 +65,7 @@ export class TemporaryFieldDetector extends CodeSmellDetector {
       }
     }
 
-    const location = {
-      class: class_.name.toString(),
-      file: context.filePath
-    };
+    const location = this.classLocation(class_, context.filePath);
 
     const details = {
       temporaryFieldsCount: temporaryFields.length,
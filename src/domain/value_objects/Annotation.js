@@ -0,0 +1,63 @@
+/**
+ * Annotations that apply to the whole script rather than to the declaration after them
+ */
+const SCRIPT_ANNOTATIONS = new Set(['tool', 'icon', 'static_unload']);
+
+/**
+ * Inspector layout annotations; they stand alone and group the exports that follow
+ */
+const STANDALONE_ANNOTATIONS = new Set(['export_category', 'export_group', 'export_subgroup']);
+
+/**
+ * Value Object representing a Godot 4 annotation such as `@tool`, `@icon("res://x.svg")` or `@export_range(0, 100)`
+ */
+export class Annotation {
+  constructor(name, args = [], range = null) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Annotation must have a name');
+    }
+
+    this.name = name; // String - without the leading @
+    this.arguments = [...args]; // seq String - source text of each argument
+    this.range = range; // SourceRange ∪ {null}
+    Object.freeze(this);
+  }
+
+  /**
+   * Check if the annotation applies to the whole script
+   */
+  isScriptAnnotation() {
+    return SCRIPT_ANNOTATIONS.has(this.name);
+  }
+
+  /**
+   * Check if the annotation stands alone instead of modifying the next declaration
+   */
+  isStandalone() {
+    return this.isScriptAnnotation() || STANDALONE_ANNOTATIONS.has(this.name);
+  }
+
+  /**
+   * Get an argument with surrounding string quotes removed
+   */
+  getArgumentValue(index) {
+    const argument = this.arguments[index];
+    if (argument === undefined) return null;
+    return /^(["']).*\1$/s.test(argument) ? argument.slice(1, -1) : argument;
+  }
+
+  toString() {
+    return this.arguments.length > 0 ? `@${this.name}(${this.arguments.join(', ')})` : `@${this.name}`;
+  }
+
+  equals(other) {
+    return other instanceof Annotation &&
+           this.name === other.name &&
+           this.arguments.length === other.arguments.length &&
+           this.arguments.every((argument, i) => argument === other.arguments[i]);
+  }
+
+  static from(name, args = [], range = null) {
+    return new Annotation(name, args, range);
+  }
+}
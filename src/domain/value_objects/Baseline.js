@@ -0,0 +1,137 @@
+/**
+ * Version of the baseline file format; baselines of another version are rejected
+ */
+const BASELINE_VERSION = 1;
+
+/**
+ * Value Object representing the smells a project already had when it adopted the analyzer
+ * Smells are matched by fingerprint first, which also recognizes smells of renamed or moved
+ * files; the rest are matched by detector, file and symbol, so editing the symbol a smell is
+ * in keeps it known. A smell recorded n times covers at most n smells, so a second smell of
+ * the same kind in the same symbol still counts as new
+ */
+export class Baseline {
+  constructor(entries = []) {
+    this.entries = Object.freeze(entries.map(entry => Object.freeze({ ...entry, count: entry.count ?? 1 }))); // seq {fingerprint, smellName, file, symbol, count}
+    Object.freeze(this);
+  }
+
+  /**
+   * Get the number of smells the baseline holds
+   */
+  get size() {
+    return this.entries.reduce((total, entry) => total + entry.count, 0);
+  }
+
+  /**
+   * Mark the results the baseline covers as existing
+   * @param {CodeSmellResult[]} results - Fingerprinted results of an analysis
+   * @param {Function} toRelative - Maps a reported file path to a project-relative one
+   * @returns {CodeSmellResult[]} The results, covered ones marked existing
+   */
+  apply(results, toRelative) {
+    const remaining = new Map(this.entries.map(entry => [entry, entry.count]));
+    const byFingerprint = Baseline.index(this.entries, entry => entry.fingerprint);
+    const bySymbol = Baseline.index(this.entries, entry => Baseline.symbolKey(entry.smellName, entry.file, entry.symbol));
+
+    const take = (index, key) => {
+      const entry = (index.get(key) || []).find(candidate => remaining.get(candidate) > 0);
+      if (entry) remaining.set(entry, remaining.get(entry) - 1);
+      return entry !== undefined;
+    };
+
+    const marked = results.map(result =>
+      Baseline.isCandidate(result) && take(byFingerprint, result.fingerprint.toString()) ? result.markExisting() : result);
+
+    return marked.map(result => {
+      if (!Baseline.isCandidate(result) || result.isExisting()) return result;
+
+      const key = Baseline.symbolKey(result.smellName, Baseline.relativeFile(result, toRelative), result.fingerprint.symbol);
+      return take(bySymbol, key) ? result.markExisting() : result;
+    });
+  }
+
+  toJSON() {
+    return {
+      version: BASELINE_VERSION,
+      smells: this.entries.map(entry => ({ ...entry }))
+    };
+  }
+
+  /**
+   * Check if a result can be baselined: a fingerprinted detection that no `# smell-disable` directive silences
+   */
+  static isCandidate(result) {
+    return result.isDetected() && !result.isSuppressed() && result.fingerprint !== null;
+  }
+
+  /**
+   * Get the project-relative file of a result, or null for results without one
+   */
+  static relativeFile(result, toRelative) {
+    return result.location?.file ? toRelative(result.location.file) : null;
+  }
+
+  /**
+   * Key matching a smell by detector, file and symbol, regardless of the symbol's content
+   */
+  static symbolKey(smellName, file, symbol) {
+    return `${smellName}|${file ?? ''}|${symbol}`;
+  }
+
+  /**
+   * Group entries by a key
+   */
+  static index(entries, keyOf) {
+    const index = new Map();
+    for (const entry of entries) {
+      const key = keyOf(entry);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(entry);
+    }
+    return index;
+  }
+
+  /**
+   * Build a baseline of the detected smells of an analysis, in a stable order so rewriting it diffs cleanly
+   * @param {CodeSmellResult[]} results - Fingerprinted results of an analysis
+   * @param {Function} toRelative - Maps a reported file path to a project-relative one
+   */
+  static fromResults(results, toRelative) {
+    const entries = new Map();
+
+    for (const result of results.filter(Baseline.isCandidate)) {
+      const file = Baseline.relativeFile(result, toRelative);
+      const key = `${result.fingerprint}|${file ?? ''}`;
+      if (entries.has(key)) {
+        entries.get(key).count++;
+        continue;
+      }
+
+      entries.set(key, {
+        fingerprint: result.fingerprint.toString(),
+        smellName: result.smellName,
+        file,
+        symbol: result.fingerprint.symbol,
+        count: 1
+      });
+    }
+
+    return new Baseline(Array.from(entries.entries())
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([, entry]) => entry));
+  }
+
+  /**
+   * Create a baseline from the parsed content of a baseline file
+   */
+  static from(json) {
+    if (!json || json.version !== BASELINE_VERSION || !Array.isArray(json.smells)) {
+      throw new Error(`Unsupported baseline format (expected version ${BASELINE_VERSION}); write it again with --write-baseline`);
+    }
+    if (!json.smells.every(entry => typeof entry.fingerprint === 'string' && typeof entry.smellName === 'string')) {
+      throw new Error('Every baseline smell must have a fingerprint and a smell name');
+    }
+    return new Baseline(json.smells);
+  }
+}
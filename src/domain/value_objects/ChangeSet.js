@@ -0,0 +1,73 @@
+/**
+ * Where the changed scripts are read from: the working tree, the git index or the HEAD commit
+ */
+const CHANGE_SOURCES = ['worktree', 'index', 'commit'];
+
+/**
+ * Value Object representing the lines of scripts changed since a git ref
+ * A file without hunks is new, so all of it counts as changed. Smells are on a change when the
+ * range of their location, the whole method or class they are in, overlaps a changed line
+ */
+export class ChangeSet {
+  constructor(files = [], options = {}) {
+    const source = options.source || 'worktree';
+    if (!CHANGE_SOURCES.includes(source)) {
+      throw new Error(`Unsupported change source: ${source} (expected ${CHANGE_SOURCES.join(', ')})`);
+    }
+
+    this.files = new Map(files.map(file => [
+      file.path,
+      file.hunks ? Object.freeze(file.hunks.map(hunk => Object.freeze({ ...hunk }))) : null
+    ])); // String ⇸ (seq {startLine, endLine} ∪ {null}) - changed lines by file path; null for whole files
+    this.since = options.since || 'HEAD'; // String - git ref the changes are relative to
+    this.source = source; // {worktree, index, commit}
+    Object.freeze(this);
+  }
+
+  /**
+   * Get the number of changed files
+   */
+  get size() {
+    return this.files.size;
+  }
+
+  /**
+   * Check if a file has changes
+   */
+  has(filePath) {
+    return this.files.has(filePath);
+  }
+
+  /**
+   * Check if a result is located on a change
+   * Results without a file are left out; those without lines count for their whole file
+   * @param {CodeSmellResult} result - Result to check
+   */
+  covers(result) {
+    const location = result.location || {};
+    if (!location.file || !this.files.has(location.file)) return false;
+
+    const hunks = this.files.get(location.file);
+    if (hunks === null || !location.line) return true;
+
+    const endLine = location.endLine || location.line;
+    return hunks.some(hunk => hunk.startLine <= endLine && hunk.endLine >= location.line);
+  }
+
+  toJSON() {
+    return {
+      since: this.since,
+      source: this.source,
+      files: Array.from(this.files.keys())
+    };
+  }
+
+  toString() {
+    const source = this.source === 'worktree' ? '' : ` (${this.source})`;
+    return `${this.size} changed script(s) since ${this.since}${source}`;
+  }
+
+  static from(files = [], options = {}) {
+    return new ChangeSet(files, options);
+  }
+}
@@ -3,12 +3,13 @@
  * Immutable string with line number information
  */
 export class CodeLine {
-  constructor(content, lineNumber = null) {
+  constructor(content, lineNumber = null, range = null) {
     if (typeof content !== 'string') {
       throw new Error('CodeLine content must be a string');
     }
     this.content = content.trim();
-    this.lineNumber = lineNumber;
+    this.lineNumber = lineNumber; // ℕ₁ ∪ {null} - line in the source file
+    this.range = range; // SourceRange ∪ {null}
     Object.freeze(this);
   }
 
@@ -28,8 +29,12 @@ export class CodeLine {
 
   /**
    * Check if line contains yield or await
+   * @param {GodotDialect|null} dialect - Only match the dialect's own suspension syntax when given
    */
-  hasYieldOrAwait() {
+  hasYieldOrAwait(dialect = null) {
+    if (dialect) {
+      return !this.isComment() && dialect.isSuspension(this.content);
+    }
     return this.contains('yield') || this.contains('await');
   }
 
@@ -48,7 +53,7 @@ export class CodeLine {
     return other instanceof CodeLine && this.content === other.content;
   }
 
-  static from(content, lineNumber = null) {
-    return new CodeLine(content, lineNumber);
+  static from(content, lineNumber = null, range = null) {
+    return new CodeLine(content, lineNumber, range);
   }
 }
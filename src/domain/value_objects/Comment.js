@@ -0,0 +1,100 @@
+/**
+ * Shapes of comment text that read as GDScript rather than prose, matched after the `#` marker
+ */
+const CODE_PATTERNS = [
+  /^(?:static\s+)?(?:var|const)\s+[A-Za-z_]\w*\s*(?::|=|$)/,
+  /^(?:static\s+)?func\s+[A-Za-z_]\w*\s*\(/,
+  /^(?:signal|extends|class_name)\s+[A-Za-z_][\w.]*(?:\(.*\))?$/,
+  /^(?:if|elif|while|for|match)\b.*:$/,
+  /^else\s*:$/,
+  /^(?:return|await|yield|pass|break|continue)\b(?:\s+\S+)?$/,
+  /^[A-Za-z_][\w.[\]"]*\s*[-+*/%]?=\s*\S/,
+  /^[A-Za-z_][\w.]*\(.*\)$/
+];
+
+/**
+ * Value Object representing a source comment
+ * Doc comments are `##` lines directly above the declaration they document; block comments are
+ * consecutive full-line comments; inline comments follow code on the same line
+ */
+export class Comment {
+  constructor(lines, range = null, options = {}) {
+    if (!Array.isArray(lines) || lines.length === 0 || !lines.every(line => typeof line === 'string')) {
+      throw new Error('Comment must have at least one line of text');
+    }
+
+    this.lines = lines.map(line => line.trim()); // seq String - source text of each line, `#` markers included
+    this.range = range; // SourceRange ∪ {null}
+    this.kind = options.kind || 'block'; // {doc, block, inline}
+    Object.freeze(this);
+  }
+
+  /**
+   * Check if comment documents the declaration below it
+   */
+  isDoc() {
+    return this.kind === 'doc';
+  }
+
+  /**
+   * Check if comment follows code on the same line
+   */
+  isInline() {
+    return this.kind === 'inline';
+  }
+
+  /**
+   * Get number of comment lines
+   */
+  get lineCount() {
+    return this.lines.length;
+  }
+
+  /**
+   * Get the comment text without `#` markers, one line per source line
+   */
+  get text() {
+    return this.lines.map(line => Comment.stripMarker(line)).join('\n');
+  }
+
+  /**
+   * Get the lines that look like commented-out code
+   * Doc comments are prose with code samples, so they never count
+   */
+  getCodeLines() {
+    if (this.isDoc()) return [];
+    return this.lines.filter(line => {
+      const text = Comment.stripMarker(line);
+      return text !== '' && CODE_PATTERNS.some(pattern => pattern.test(text));
+    });
+  }
+
+  toString() {
+    return this.lines.join('\n');
+  }
+
+  equals(other) {
+    return other instanceof Comment &&
+           this.kind === other.kind &&
+           this.lines.length === other.lines.length &&
+           this.lines.every((line, i) => line === other.lines[i]);
+  }
+
+  /**
+   * Remove the leading `#` or `##` marker and the space after it
+   */
+  static stripMarker(line) {
+    return line.trim().replace(/^#+\s?/, '').trim();
+  }
+
+  /**
+   * Check if a comment line uses the `##` doc marker
+   */
+  static isDocLine(line) {
+    return /^##(?!#)/.test(line.trim());
+  }
+
+  static from(lines, range = null, options = {}) {
+    return new Comment(lines, range, options);
+  }
+}
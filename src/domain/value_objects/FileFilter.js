@@ -0,0 +1,111 @@
+import { IgnoreRule } from './IgnoreRule.js';
+
+/**
+ * Excluded unless the configuration lists its own exclude patterns:
+ * hidden directories such as .godot and .git, and third-party addons
+ */
+const DEFAULT_EXCLUDES = ['.*/', 'addons/'];
+
+/**
+ * Value Object deciding which project files are analyzed
+ * Exclude rules follow gitignore semantics: the last matching rule wins, and nothing below
+ * an excluded directory can be re-included. When include rules are given, a file or one of its
+ * parent directories must match one of them
+ */
+export class FileFilter {
+  constructor(excludeRules = [], includeRules = []) {
+    this.excludeRules = excludeRules.map(rule => IgnoreRule.from(rule)); // seq IgnoreRule - in precedence order
+    this.includeRules = includeRules.map(rule => IgnoreRule.from(rule)); // seq IgnoreRule
+    Object.freeze(this);
+  }
+
+  /**
+   * Find the exclude rule deciding a path: the last one that matches it
+   * @returns {IgnoreRule|null} Null when no rule matches
+   */
+  findDecidingRule(relativePath, isDirectory) {
+    for (let i = this.excludeRules.length - 1; i >= 0; i--) {
+      if (this.excludeRules[i].matches(relativePath, isDirectory)) {
+        return this.excludeRules[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decide whether to descend into a directory
+   * @param {string} relativePath - Directory path relative to the project root, with forward slashes
+   * @returns {{excluded: boolean, rule: IgnoreRule|null}} The decision and the rule behind it
+   */
+  checkDirectory(relativePath) {
+    const rule = this.findDecidingRule(relativePath, true);
+    return { excluded: rule !== null && !rule.negated, rule };
+  }
+
+  /**
+   * Decide whether to analyze a file whose directories were already checked
+   * @param {string} relativePath - File path relative to the project root, with forward slashes
+   * @returns {{excluded: boolean, rule: IgnoreRule|null, reason: string|null}} Reason is 'excluded' or 'not-included'
+   */
+  checkFile(relativePath) {
+    const rule = this.findDecidingRule(relativePath, false);
+    if (rule && !rule.negated) {
+      return { excluded: true, rule, reason: 'excluded' };
+    }
+
+    if (this.includeRules.length > 0 && !this.isIncluded(relativePath)) {
+      return { excluded: true, rule: null, reason: 'not-included' };
+    }
+
+    return { excluded: false, rule, reason: null };
+  }
+
+  /**
+   * Check if an include rule matches a file or one of its parent directories,
+   * so `scripts` and `scripts/` include everything below the directory
+   */
+  isIncluded(relativePath) {
+    const segments = relativePath.split('/');
+    return this.includeRules.some(rule => rule.matches(relativePath) ||
+      segments.slice(1).some((_, i) => rule.matches(segments.slice(0, i + 1).join('/'), true)));
+  }
+
+  /**
+   * Decide whether to analyze a file, checking each of its parent directories first
+   */
+  check(relativePath) {
+    const segments = relativePath.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      const directory = this.checkDirectory(segments.slice(0, i).join('/'));
+      if (directory.excluded) {
+        return { ...directory, reason: 'excluded' };
+      }
+    }
+    return this.checkFile(relativePath);
+  }
+
+  /**
+   * Check if a file is analyzed
+   */
+  accepts(relativePath) {
+    return !this.check(relativePath).excluded;
+  }
+
+  /**
+   * Create a filter with additional exclude and include rules taking precedence over these
+   */
+  extend(excludeRules = [], includeRules = []) {
+    return new FileFilter([...this.excludeRules, ...excludeRules], [...this.includeRules, ...includeRules]);
+  }
+
+  /**
+   * Create the filter used when the configuration does not list exclude patterns
+   */
+  static defaults() {
+    return new FileFilter(DEFAULT_EXCLUDES.map(pattern => new IgnoreRule(pattern, 'default')));
+  }
+
+  toString() {
+    return `FileFilter: ${this.excludeRules.length} exclude rules, ${this.includeRules.length} include rules`;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Symbol prefix standing for a script class named after its file, so renaming the file keeps the symbol
+ */
+const SCRIPT_SYMBOL = '<script>';
+
+/**
+ * Value Object identifying a reported smell across runs
+ * It combines the detector, the qualified symbol the smell is in, and the content hash of that
+ * symbol's source without comments or layout. Line numbers and file paths are left out, so edits
+ * elsewhere in a file and file renames keep it; editing the symbol itself changes the hash
+ */
+export class Fingerprint {
+  constructor(smellName, symbol = '', contentHash = null) {
+    if (typeof smellName !== 'string' || smellName === '') {
+      throw new Error('Fingerprint must have a smell name');
+    }
+
+    this.smellName = smellName; // String - detector that reported the smell
+    this.symbol = symbol; // String - Class, Class.Inner or Class::method; <script> for classes named after their file
+    this.contentHash = contentHash; // String ∪ {null} - hash of the symbol's normalized source; null when unknown
+    Object.freeze(this);
+  }
+
+  equals(other) {
+    return other instanceof Fingerprint && this.toString() === other.toString();
+  }
+
+  toString() {
+    return `${this.smellName}:${this.symbol}@${this.contentHash || '-'}`;
+  }
+
+  /**
+   * Fingerprint a result from the model elements its location names
+   * @param {CodeSmellResult} result - Result to fingerprint
+   * @param {Class|null} class_ - Class named by the location, when found
+   * @param {Class|null} scriptClass - Script class of the location's file, when found
+   */
+  static of(result, class_ = null, scriptClass = null) {
+    const location = result.location || {};
+    const methodName = location.method || null;
+    const method = class_ && methodName
+      ? Array.from(class_.methods).find(candidate => candidate.name.toString() === methodName) || null
+      : null;
+
+    const symbol = `${Fingerprint.classSymbol(location.class || '', scriptClass)}${methodName ? `::${methodName}` : ''}`;
+    const contentHash = methodName ? method?.contentHash : class_?.contentHash;
+    return new Fingerprint(result.smellName, symbol, contentHash || null);
+  }
+
+  /**
+   * Get the symbol of a class, replacing a script class name derived from the file name
+   */
+  static classSymbol(className, scriptClass = null) {
+    if (!scriptClass || scriptClass.globalClass) return className;
+
+    const scriptName = scriptClass.name.toString();
+    if (className === scriptName || className.startsWith(`${scriptName}.`)) {
+      return `${SCRIPT_SYMBOL}${className.slice(scriptName.length)}`;
+    }
+    return className;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Value Object representing the GDScript dialect of a project
+ * Godot 3 uses `export`/`onready` keywords, `setget` and `yield()`;
+ * Godot 4 uses `@export*`/`@onready` annotations, property accessors and `await`
+ */
+export class GodotDialect {
+  constructor(version, source = 'default') {
+    if (version !== 3 && version !== 4) {
+      throw new Error(`Unsupported Godot version: ${version}`);
+    }
+
+    this.version = version; // {3, 4} - major engine version
+    this.source = source; // {config_version, features, override, default} - how the dialect was determined
+    Object.freeze(this);
+  }
+
+  /**
+   * Check if this is the Godot 3 dialect
+   */
+  isGodot3() {
+    return this.version === 3;
+  }
+
+  /**
+   * Check if this is the Godot 4 dialect
+   */
+  isGodot4() {
+    return this.version === 4;
+  }
+
+  /**
+   * Get the keyword that suspends a function until a signal or coroutine completes
+   */
+  get suspendKeyword() {
+    return this.isGodot3() ? 'yield' : 'await';
+  }
+
+  /**
+   * Get the engine class scripts without an `extends` statement inherit from
+   */
+  get defaultBaseClass() {
+    return this.isGodot3() ? 'Reference' : 'RefCounted';
+  }
+
+  /**
+   * Check if a line of code suspends the function (`yield(...)` in Godot 3, `await` in Godot 4)
+   */
+  isSuspension(content) {
+    return this.isGodot3() ? /\byield\s*\(/.test(content) : /\bawait\b/.test(content);
+  }
+
+  /**
+   * Check if an annotation name (without `@`) exports a variable to the inspector
+   * Inspector grouping annotations such as @export_group stand alone and export nothing
+   */
+  isExportAnnotation(name) {
+    if (this.isGodot3()) return false;
+    return name === 'export' ||
+           (name.startsWith('export_') && !['export_category', 'export_group', 'export_subgroup'].includes(name));
+  }
+
+  /**
+   * Check if an annotation name (without `@`) defers initialization until the node is ready
+   */
+  isOnreadyAnnotation(name) {
+    return this.isGodot4() && name === 'onready';
+  }
+
+  /**
+   * Check if variables declare accessors with `setget setter, getter`
+   */
+  usesSetget() {
+    return this.isGodot3();
+  }
+
+  /**
+   * Check if variables declare accessors with `set`/`get` blocks or `set = f, get = g`
+   */
+  usesPropertyAccessors() {
+    return this.isGodot4();
+  }
+
+  equals(other) {
+    return other instanceof GodotDialect && this.version === other.version;
+  }
+
+  toString() {
+    return `Godot ${this.version}`;
+  }
+
+  static from(version, source = 'default') {
+    return new GodotDialect(version, source);
+  }
+
+  /**
+   * Parse a manual override such as `3`, `4`, `"4.2"` or `"godot3"`
+   * @returns {GodotDialect|null} Dialect, or null if the value is empty
+   */
+  static parse(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const match = String(value).match(/(\d+)/);
+    const version = match ? parseInt(match[1], 10) : NaN;
+    if (version !== 3 && version !== 4) {
+      throw new Error(`Invalid Godot version "${value}", expected 3 or 4`);
+    }
+
+    return new GodotDialect(version, 'override');
+  }
+
+  /**
+   * Detect the dialect from project.godot settings
+   * `config_version` is 4 for Godot 3 and 5 for Godot 4; `config/features` lists the engine version
+   * @param {number|null} configVersion - Top-level config_version value
+   * @param {Array<string>} features - application/config/features values
+   */
+  static detect(configVersion = null, features = []) {
+    if (configVersion === 5) return new GodotDialect(4, 'config_version');
+    if (configVersion !== null && configVersion <= 4) return new GodotDialect(3, 'config_version');
+
+    const versionFeature = (features || []).find(feature => /^\d+\.\d+/.test(feature));
+    if (versionFeature) {
+      const major = parseInt(versionFeature, 10);
+      if (major === 3 || major === 4) return new GodotDialect(major, 'features');
+    }
+
+    return new GodotDialect(4, 'default');
+  }
+}
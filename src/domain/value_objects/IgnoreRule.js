@@ -0,0 +1,104 @@
+/**
+ * Value Object representing one gitignore-style path pattern
+ * Patterns containing a slash other than a trailing one are anchored to the project root,
+ * others match a file or directory name at any depth; `!` negates and a trailing `/` matches directories only
+ */
+export class IgnoreRule {
+  constructor(pattern, source = 'config', line = null) {
+    if (typeof pattern !== 'string' || pattern.trim() === '') {
+      throw new Error('Ignore rule must have a pattern');
+    }
+
+    this.pattern = pattern; // String - pattern as written
+    this.source = source; // String - where the rule comes from: config, .smellignore, cli
+    this.line = line; // ℕ ∪ {null} - line number in an ignore file
+
+    let body = pattern;
+    this.negated = body.startsWith('!'); // 𝔹 - re-includes what earlier rules excluded
+    if (this.negated) body = body.slice(1);
+    if (body.startsWith('\\!') || body.startsWith('\\#')) body = body.slice(1);
+
+    this.directoryOnly = body.endsWith('/'); // 𝔹
+    if (this.directoryOnly) body = body.slice(0, -1);
+
+    this.anchored = body.includes('/'); // 𝔹 - matched against the whole relative path
+    if (body.startsWith('/')) body = body.slice(1);
+
+    this.regex = IgnoreRule.compile(body, this.anchored); // RegExp
+    Object.freeze(this);
+  }
+
+  /**
+   * Check if the rule matches a path relative to the project root, using forward slashes
+   */
+  matches(relativePath, isDirectory = false) {
+    if (this.directoryOnly && !isDirectory) return false;
+    return this.regex.test(relativePath);
+  }
+
+  /**
+   * Describe the rule and where it was declared, for verbose output
+   */
+  describe() {
+    const origin = this.line !== null ? `${this.source}:${this.line}` : this.source;
+    return `'${this.pattern}' (${origin})`;
+  }
+
+  toString() {
+    return this.pattern;
+  }
+
+  equals(other) {
+    return other instanceof IgnoreRule && this.pattern === other.pattern && this.source === other.source;
+  }
+
+  /**
+   * Translate a glob into a regular expression
+   * `*` and `?` stay within one path segment, `**` spans segments, `[...]` is a character class
+   */
+  static compile(glob, anchored) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '*' && glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length;
+        if (atStart && glob[i + 2] === '/') {
+          source += '(?:.*/)?'; // `**/` matches zero or more directories
+          i += 2;
+        } else if (atStart && atEnd) {
+          source += '.*'; // trailing `/**` matches everything inside
+          i += 1;
+        } else {
+          source += '[^/]*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = glob.indexOf(']', i + 2);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          const range = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+          source += `[${range}]`;
+          i = end;
+        }
+      } else if (char === '\\' && i + 1 < glob.length) {
+        source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+  }
+
+  static from(pattern, source = 'config', line = null) {
+    return pattern instanceof IgnoreRule ? pattern : new IgnoreRule(pattern, source, line);
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * How files with syntax errors are handled: analyzed from what could be parsed,
+ * left out of the analysis, or failing the whole run
+ */
+const PARSE_ERROR_POLICIES = ['partial', 'skip', 'fail'];
+
+/**
+ * Value Object representing a problem found while parsing a file
+ * Syntax errors point at tree-sitter ERROR or MISSING nodes; failures mean no model could be built at all
+ */
+export class ParseDiagnostic {
+  constructor(filePath, range = null, snippet = '', options = {}) {
+    if (!filePath) {
+      throw new Error('Parse diagnostic must have a file path');
+    }
+
+    this.filePath = filePath; // String
+    this.range = range; // SourceRange ∪ {null} - null when the whole file failed
+    this.snippet = snippet; // String - source line where the problem starts
+    this.kind = options.kind || 'error'; // {error, missing, failure}
+    this.message = options.message || 'Syntax error'; // String
+    Object.freeze(this);
+  }
+
+  /**
+   * Check if the file could not be parsed into any model
+   */
+  isFailure() {
+    return this.kind === 'failure';
+  }
+
+  /**
+   * Get the location fields reported for the diagnostic, shaped like those of a code smell
+   */
+  toLocation() {
+    return this.range ? this.range.toLocation() : { file: this.filePath };
+  }
+
+  toJSON() {
+    return {
+      kind: this.kind,
+      message: this.message,
+      location: this.toLocation(),
+      snippet: this.snippet
+    };
+  }
+
+  /**
+   * Get the file, line and column where the problem starts, as file:line:column
+   */
+  get position() {
+    return this.range ? `${this.filePath}:${this.range.startLine}:${this.range.startColumn}` : this.filePath;
+  }
+
+  toString() {
+    return `${this.position}: ${this.message}`;
+  }
+
+  equals(other) {
+    return other instanceof ParseDiagnostic &&
+           this.filePath === other.filePath &&
+           this.kind === other.kind &&
+           this.message === other.message &&
+           (this.range ? this.range.equals(other.range) : other.range === null);
+  }
+
+  /**
+   * Validate a parse error policy name
+   * @returns {string} The policy
+   */
+  static checkPolicy(policy) {
+    if (!PARSE_ERROR_POLICIES.includes(policy)) {
+      throw new Error(`Unsupported parse error policy: ${policy} (expected ${PARSE_ERROR_POLICIES.join(', ')})`);
+    }
+    return policy;
+  }
+
+  static from(filePath, range = null, snippet = '', options = {}) {
+    return new ParseDiagnostic(filePath, range, snippet, options);
+  }
+}
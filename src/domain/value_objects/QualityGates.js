@@ -0,0 +1,137 @@
+/**
+ * Quality gates a configuration can set, with what each one limits
+ * Per-file gates are checked for every file on its own; the others for the whole project
+ */
+const QUALITY_GATES = Object.freeze({
+  maxCriticalSmells: {
+    perFile: false,
+    description: 'critical smells',
+    measure: smells => smells.filter(smell => smell.severity === 'Critical').length
+  },
+  maxHighSmellsPerFile: {
+    perFile: true,
+    description: 'high smells',
+    measure: smells => smells.filter(smell => smell.severity === 'High').length
+  },
+  maxMediumSmellsPerFile: {
+    perFile: true,
+    description: 'medium smells',
+    measure: smells => smells.filter(smell => smell.severity === 'Medium').length
+  },
+  maxTotalSmells: {
+    perFile: false,
+    description: 'smells',
+    measure: smells => smells.length
+  },
+  maxComplexityAverage: {
+    perFile: false,
+    description: 'average cyclomatic complexity',
+    measure: (smells, project) => Math.round(project.getAverageComplexity() * 100) / 100
+  }
+});
+
+/**
+ * Value Object representing the limits a project must stay within to pass its quality gates
+ * Only the gates a configuration sets are checked. Smells count as reported: those silenced by
+ * `# smell-disable` directives or covered by the baseline do not count, and with changed-code
+ * analysis only smells on changed lines do
+ */
+export class QualityGates {
+  constructor(limits = {}) {
+    if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+      throw new Error('qualityGates must map gate names to limits');
+    }
+
+    this.limits = Object.freeze(Object.fromEntries(Object.entries(limits)
+      .filter(([, limit]) => limit !== null && limit !== undefined))); // String ⇸ Number - limit by gate name
+
+    // Validate limits
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    for (const [gate, limit] of Object.entries(this.limits)) {
+      if (!Object.hasOwn(QUALITY_GATES, gate)) {
+        throw new Error(`Unknown quality gate ${gate} (expected one of: ${QualityGates.getNames().join(', ')})`);
+      }
+      if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+        throw new Error(`Quality gate ${gate} must be a non-negative number, got ${JSON.stringify(limit)}`);
+      }
+    }
+  }
+
+  /**
+   * Check if no gate is set
+   */
+  isEmpty() {
+    return Object.keys(this.limits).length === 0;
+  }
+
+  /**
+   * Check every gate that is set
+   * @param {CodeSmellResult[]} smells - Reported smells of an analysis
+   * @param {GDScriptProject} project - Analyzed project
+   * @returns {{passed: boolean, violations: Array<{gate, limit, actual, file, message}>}} Outcome, with
+   *   one violation per project gate exceeded and per file exceeding a per-file gate
+   */
+  evaluate(smells, project) {
+    const violations = [];
+
+    for (const [gate, limit] of Object.entries(this.limits)) {
+      const { perFile, measure } = QUALITY_GATES[gate];
+      const scopes = perFile ? QualityGates.groupByFile(smells) : new Map([[null, smells]]);
+
+      for (const [file, scoped] of scopes) {
+        const actual = measure(scoped, project);
+        if (actual > limit) {
+          violations.push(QualityGates.violation(gate, limit, actual, file));
+        }
+      }
+    }
+
+    return Object.freeze({ passed: violations.length === 0, violations: Object.freeze(violations) });
+  }
+
+  toJSON() {
+    return { ...this.limits };
+  }
+
+  /**
+   * Describe an exceeded gate
+   */
+  static violation(gate, limit, actual, file = null) {
+    const where = file ? ` in ${file}` : '';
+    return Object.freeze({
+      gate,
+      limit,
+      actual,
+      file,
+      message: `${gate}: ${actual} ${QUALITY_GATES[gate].description}${where} (limit ${limit})`
+    });
+  }
+
+  /**
+   * Group smells by the file they are in; smells without a file belong to no file
+   */
+  static groupByFile(smells) {
+    const groups = new Map();
+    for (const smell of smells.filter(candidate => candidate.location?.file)) {
+      if (!groups.has(smell.location.file)) groups.set(smell.location.file, []);
+      groups.get(smell.location.file).push(smell);
+    }
+    return groups;
+  }
+
+  /**
+   * Get the names of the supported gates
+   */
+  static getNames() {
+    return Object.keys(QUALITY_GATES);
+  }
+
+  static from(limits = {}) {
+    return limits instanceof QualityGates ? limits : new QualityGates(limits);
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Severities a query rule can report its matches with
+ */
+const RULE_SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+/**
+ * Value Object representing a house rule declared in the configuration as a tree-sitter query
+ * Each match of the query is a smell, optionally only inside methods with given names or in
+ * classes inheriting from given classes, directly or through other project or engine classes. Messages are templates where `{name}` is replaced by the
+ * text of the `@name` capture, and `{class}` and `{method}` by the match's class and method
+ */
+export class QueryRule {
+  constructor(name, query, options = {}) {
+    this.name = name; // String - reported as the smell name
+    this.query = query; // String - tree-sitter S-expression query
+    this.message = options.message || options.description || name; // String - message template
+    this.severity = options.severity || 'Medium'; // {Low, Medium, High, Critical}
+    this.description = options.description || ''; // String
+    this.methods = QueryRule.toList(options.methods); // seq String - method names, `*` matching any characters; anywhere when empty
+    this.extends = QueryRule.toList(options.extends); // seq String - ancestor classes, direct or not; any class when empty
+
+    // Validate rule
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    if (typeof this.name !== 'string' || !/^[A-Za-z][\w-]*$/.test(this.name)) {
+      throw new Error(`Query rule name must be an identifier, got ${JSON.stringify(this.name)}`);
+    }
+    if (typeof this.query !== 'string' || this.query.trim() === '') {
+      throw new Error(`Query rule ${this.name} must have a query`);
+    }
+    if (!RULE_SEVERITIES.includes(this.severity)) {
+      throw new Error(`Query rule ${this.name} has unsupported severity ${this.severity} (expected ${RULE_SEVERITIES.join(', ')})`);
+    }
+    if (![...this.methods, ...this.extends].every(name => typeof name === 'string' && name !== '')) {
+      throw new Error(`Query rule ${this.name} must scope to method and class names`);
+    }
+  }
+
+  /**
+   * Check if the rule only applies inside some methods
+   */
+  isMethodScoped() {
+    return this.methods.length > 0;
+  }
+
+  /**
+   * Check if the rule applies inside a method, by name
+   */
+  appliesToMethod(methodName) {
+    return !this.isMethodScoped() || this.methods.some(pattern =>
+      new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`).test(methodName));
+  }
+
+  /**
+   * Check if the rule applies to a class, by the classes it inherits from
+   * @param {Class} class_ - Class the match is in
+   * @param {string[]|null} ancestors - Names of every class it inherits from; only its declared parent when null
+   */
+  appliesToClass(class_, ancestors = null) {
+    if (this.extends.length === 0) return true;
+
+    const names = ancestors ?? (class_.parent !== null ? [class_.parent.toString()] : []);
+    return names.some(name => this.extends.includes(name));
+  }
+
+  /**
+   * Fill in the message template for a match
+   * @param {Object} variables - Capture texts, class and method of the match
+   */
+  formatMessage(variables) {
+    return this.message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : placeholder);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      query: this.query,
+      message: this.message,
+      severity: this.severity,
+      description: this.description,
+      scope: { methods: this.methods, extends: this.extends }
+    };
+  }
+
+  /**
+   * Normalize a scope entry given as one name or a list of names
+   */
+  static toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? [...value] : [value];
+  }
+
+  /**
+   * Create a rule from its configuration entry: {name, query, message, severity, description, scope: {methods, extends}}
+   */
+  static from(definition) {
+    if (definition === null || typeof definition !== 'object') {
+      throw new Error('Query rules must be mappings with a name and a query');
+    }
+    return new QueryRule(definition.name, definition.query, {
+      message: definition.message,
+      severity: definition.severity,
+      description: definition.description,
+      methods: definition.scope?.methods ?? definition.scope?.method,
+      extends: definition.scope?.extends
+    });
+  }
+}
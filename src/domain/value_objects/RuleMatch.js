@@ -0,0 +1,20 @@
+/**
+ * Value Object representing one match of a query rule in a class
+ */
+export class RuleMatch {
+  constructor(rule, range, captures = {}, method = null) {
+    this.rule = rule; // String - name of the query rule
+    this.range = range; // SourceRange - the @match capture, or the first capture
+    this.captures = Object.freeze({ ...captures }); // String ⇸ String - capture name to source text
+    this.method = method; // String ∪ {null} - enclosing method; null outside methods
+    Object.freeze(this);
+  }
+
+  toString() {
+    return `${this.rule} at ${this.range}`;
+  }
+
+  static from(rule, range, captures = {}, method = null) {
+    return new RuleMatch(rule, range, captures, method);
+  }
+}
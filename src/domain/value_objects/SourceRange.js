@@ -0,0 +1,80 @@
+/**
+ * Value Object representing a span of source code
+ * Lines and columns are 1-based; the end position is exclusive
+ */
+export class SourceRange {
+  constructor(filePath, startLine, startColumn, endLine, endColumn) {
+    this.filePath = filePath; // String ∪ {null}
+    this.startLine = startLine; // ℕ₁
+    this.startColumn = startColumn; // ℕ₁
+    this.endLine = endLine; // ℕ₁
+    this.endColumn = endColumn; // ℕ₁
+
+    // Validate range
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    const positions = [this.startLine, this.startColumn, this.endLine, this.endColumn];
+    if (!positions.every(position => Number.isInteger(position) && position >= 1)) {
+      throw new Error('SourceRange positions must be positive integers');
+    }
+
+    if (this.endLine < this.startLine || (this.endLine === this.startLine && this.endColumn < this.startColumn)) {
+      throw new Error('SourceRange must not end before it starts');
+    }
+  }
+
+  /**
+   * Check if a line falls inside this range
+   */
+  containsLine(line) {
+    return line >= this.startLine && line <= this.endLine;
+  }
+
+  /**
+   * Get number of physical lines spanned
+   */
+  get lineCount() {
+    return this.endLine - this.startLine + 1;
+  }
+
+  /**
+   * Get the location fields reported for a code smell
+   */
+  toLocation() {
+    return {
+      file: this.filePath,
+      line: this.startLine,
+      column: this.startColumn,
+      endLine: this.endLine,
+      endColumn: this.endColumn
+    };
+  }
+
+  toString() {
+    return `${this.filePath || '<unknown>'}:${this.startLine}:${this.startColumn}-${this.endLine}:${this.endColumn}`;
+  }
+
+  equals(other) {
+    return other instanceof SourceRange &&
+           this.filePath === other.filePath &&
+           this.startLine === other.startLine &&
+           this.startColumn === other.startColumn &&
+           this.endLine === other.endLine &&
+           this.endColumn === other.endColumn;
+  }
+
+  static from(filePath, startLine, startColumn, endLine, endColumn) {
+    return new SourceRange(filePath, startLine, startColumn, endLine, endColumn);
+  }
+
+  /**
+   * Create a range from 0-based tree-sitter row/column points
+   */
+  static fromPoints(filePath, startPoint, endPoint) {
+    return new SourceRange(filePath, startPoint.row + 1, startPoint.column + 1, endPoint.row + 1, endPoint.column + 1);
+  }
+}
@@ -0,0 +1,95 @@
+import { CodeLine } from './CodeLine.js';
+
+/**
+ * Value Object representing one statement of a function body
+ * Compound statements (if, for, while, match) own child blocks; each block holds the
+ * statements of one clause: the body, an elif/else clause or a match pattern section
+ */
+export class Statement {
+  constructor(kind, content, depth = 0, range = null, blocks = [], booleanOperators = 0) {
+    if (typeof kind !== 'string' || !kind) {
+      throw new Error('Statement must have a kind');
+    }
+    if (typeof content !== 'string') {
+      throw new Error('Statement content must be a string');
+    }
+
+    this.kind = kind; // {var, const, assignment, call, await, yield, expression, return, pass, if, for, while, match, comment, ...}
+    this.content = content.trim(); // String - whole statement, or the header line of a compound statement
+    this.depth = depth; // ℕ - nesting depth, 0 for top-level statements of the body
+    this.range = range; // SourceRange ∪ {null} - physical span including child blocks
+    this.blocks = blocks.map(block => Object.freeze({
+      kind: block.kind, // {body, elif, else, pattern}
+      content: block.content ? block.content.trim() : null, // String ∪ {null} - clause header such as `elif x:`
+      range: block.range || null,
+      statements: [...block.statements] // seq Statement
+    })); // seq Block
+    this.booleanOperators = booleanOperators; // ℕ - `and`/`or` operators outside child blocks, clause headers and lambdas included
+    Object.freeze(this);
+  }
+
+  /**
+   * Check if statement owns child blocks
+   */
+  isCompound() {
+    return this.blocks.length > 0;
+  }
+
+  /**
+   * Check if statement is a comment
+   */
+  isComment() {
+    return this.kind === 'comment';
+  }
+
+  /**
+   * Count the decision points of this statement, without those of nested statements:
+   * the branch of an if, while, for or match, each elif clause and each boolean operator
+   */
+  getDecisionPoints() {
+    const branches = ['if', 'while', 'for', 'match'].includes(this.kind)
+      ? 1 + this.blocks.filter(block => block.kind === 'elif').length
+      : 0;
+    return branches + this.booleanOperators;
+  }
+
+  /**
+   * Get statements nested directly inside this statement's blocks
+   */
+  getChildren() {
+    return this.blocks.flatMap(block => block.statements);
+  }
+
+  /**
+   * Get this statement and all statements nested inside it, in source order
+   */
+  getDescendants() {
+    return [this, ...this.getChildren().flatMap(child => child.getDescendants())];
+  }
+
+  /**
+   * Get the logical lines of this statement: its header, clause headers and nested statements
+   */
+  toCodeLines() {
+    const lines = [CodeLine.from(this.content, this.range ? this.range.startLine : null, this.range)];
+
+    for (const block of this.blocks) {
+      if (block.content) {
+        lines.push(CodeLine.from(block.content, block.range ? block.range.startLine : null, block.range));
+      }
+      for (const statement of block.statements) {
+        lines.push(...statement.toCodeLines());
+      }
+    }
+
+    return lines;
+  }
+
+  toString() {
+    return this.content;
+  }
+
+  static from(kind, content, depth = 0, range = null, blocks = [], booleanOperators = 0) {
+    return new Statement(kind, content, depth, range, blocks, booleanOperators);
+  }
+}
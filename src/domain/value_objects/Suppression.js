@@ -0,0 +1,149 @@
+import { Comment } from './Comment.js';
+import { SourceRange } from './SourceRange.js';
+
+/**
+ * Directive forms, matched after the `#` marker: the directive, detector names and an optional `-- reason`
+ */
+const DIRECTIVE_PATTERN = /^smell-disable(-next-line|-file)?(?=\s|$)(.*)$/;
+
+/**
+ * Suppression kinds by directive suffix, from the most to the least specific
+ */
+const SUPPRESSION_KINDS = { '-next-line': 'next-line', '': 'scope', '-file': 'file' };
+
+/**
+ * Value Object representing a `# smell-disable` directive in a comment
+ * `smell-disable-next-line` covers smells located on the first line after the comment,
+ * `smell-disable` those of the enclosing method, or of the class when written outside methods,
+ * and `smell-disable-file` those of the whole file. Without detector names every detector is covered
+ */
+export class Suppression {
+  constructor(kind, range, options = {}) {
+    if (!Object.values(SUPPRESSION_KINDS).includes(kind)) {
+      throw new Error(`Unsupported suppression kind: ${kind}`);
+    }
+
+    this.kind = kind; // {next-line, scope, file}
+    this.range = range; // SourceRange - the directive's comment line
+    this.detectors = Object.freeze([...(options.detectors || [])]); // seq String - empty covers every detector
+    this.reason = options.reason || null; // String ∪ {null}
+    this.targetLine = options.targetLine ?? null; // ℕ₁ ∪ {null} - line covered by a next-line directive
+    this.className = options.className ?? null; // String ∪ {null} - enclosing class
+    this.methodName = options.methodName ?? null; // String ∪ {null} - enclosing method; null outside methods
+    Object.freeze(this);
+  }
+
+  /**
+   * Get the directive as written, without detector names or reason
+   */
+  get directive() {
+    const suffix = Object.keys(SUPPRESSION_KINDS).find(key => SUPPRESSION_KINDS[key] === this.kind);
+    return `smell-disable${suffix}`;
+  }
+
+  /**
+   * Check if the directive covers every detector rather than named ones
+   */
+  coversAllDetectors() {
+    return this.detectors.length === 0;
+  }
+
+  /**
+   * Check if the directive covers a detected smell
+   * @param {CodeSmellResult} result - Result to check
+   */
+  covers(result) {
+    if (!result.isDetected()) return false;
+    if (!this.coversAllDetectors() && !this.detectors.includes(result.smellName)) return false;
+
+    const location = result.location || {};
+    if (location.file !== this.range.filePath) return false;
+
+    switch (this.kind) {
+      case 'next-line':
+        return location.line === this.targetLine;
+      case 'scope':
+        return location.class === this.className &&
+               (this.methodName === null || location.method === this.methodName);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Get the location fields reported for the directive itself
+   */
+  toLocation() {
+    return {
+      class: this.className,
+      ...(this.methodName !== null ? { method: this.methodName } : {}),
+      ...this.range.toLocation()
+    };
+  }
+
+  toJSON() {
+    return {
+      directive: this.directive,
+      detectors: [...this.detectors],
+      reason: this.reason,
+      file: this.range.filePath,
+      line: this.range.startLine
+    };
+  }
+
+  toString() {
+    const detectors = this.coversAllDetectors() ? '' : ` ${this.detectors.join(', ')}`;
+    return `${this.directive}${detectors}${this.reason ? ` -- ${this.reason}` : ''}`;
+  }
+
+  /**
+   * Rank of the kind, most specific first, so the closest directive is the one credited
+   */
+  getSpecificity() {
+    return Object.values(SUPPRESSION_KINDS).indexOf(this.kind);
+  }
+
+  /**
+   * Parse the directives of a comment; doc comments never hold directives
+   * @param {Comment} comment - Comment to parse
+   * @param {string} className - Class the comment is in
+   * @param {string|null} methodName - Method the comment is in, or null outside methods
+   * @returns {Suppression[]} One suppression per directive line
+   */
+  static fromComment(comment, className, methodName = null) {
+    if (comment.isDoc() || !comment.range) return [];
+
+    const suppressions = [];
+    comment.lines.forEach((line, index) => {
+      const match = DIRECTIVE_PATTERN.exec(Comment.stripMarker(line));
+      if (!match) return;
+
+      const [names, ...reason] = match[2].split(/\s--(?:\s|$)/);
+      const lineNumber = comment.range.startLine + index;
+      const column = comment.range.startColumn;
+      const range = new SourceRange(comment.range.filePath, lineNumber, column, lineNumber, column + line.length);
+
+      suppressions.push(new Suppression(SUPPRESSION_KINDS[match[1] || ''], range, {
+        detectors: names.split(/[\s,]+/).filter(name => name !== ''),
+        reason: reason.join(' -- ').trim(),
+        targetLine: comment.range.endLine + 1,
+        className,
+        methodName
+      }));
+    });
+    return suppressions;
+  }
+
+  /**
+   * Collect the directives of a class: those outside methods, and those in each method body
+   * @param {Class} class_ - Class to collect from
+   */
+  static collect(class_) {
+    const className = class_.name.toString();
+    return [
+      ...class_.comments.flatMap(comment => Suppression.fromComment(comment, className)),
+      ...Array.from(class_.methods).flatMap(method => method.comments.flatMap(comment =>
+        Suppression.fromComment(comment, className, method.name.toString())))
+    ];
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Value types a detector threshold can have
+ */
+const THRESHOLD_TYPES = ['number', 'integer', 'boolean', 'string'];
+
+/**
+ * Value Object describing the thresholds a detector accepts: their types, bounds and defaults
+ * Schema entries look like `{ type: 'integer', default: 8, min: 1, description: '...' }`
+ */
+export class ThresholdSchema {
+  constructor(owner, entries = {}) {
+    if (typeof owner !== 'string' || owner === '') {
+      throw new Error('Threshold schema must name the detector it belongs to');
+    }
+    if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`Threshold schema of ${owner} must map threshold names to definitions`);
+    }
+
+    this.owner = owner; // String - detector name, used in error messages
+    this.entries = new Map(Object.entries(entries).map(([name, entry]) => [name, Object.freeze({
+      type: entry?.type,
+      default: entry?.default,
+      description: entry?.description || '',
+      min: entry?.min ?? null,
+      max: entry?.max ?? null
+    })])); // String ⇸ {type, default, description, min, max}
+
+    // Validate schema
+    this.validate();
+
+    Object.freeze(this);
+  }
+
+  validate() {
+    for (const [name, entry] of this.entries) {
+      if (!THRESHOLD_TYPES.includes(entry.type)) {
+        throw new Error(`Threshold ${name} of ${this.owner} has unsupported type ${entry.type} (expected ${THRESHOLD_TYPES.join(', ')})`);
+      }
+      this.checkValue(name, entry.default);
+    }
+  }
+
+  /**
+   * Check if the schema declares a threshold
+   */
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * Get the declared threshold names
+   */
+  getNames() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Get the default value of every threshold
+   */
+  getDefaults() {
+    return Object.fromEntries(Array.from(this.entries, ([name, entry]) => [name, entry.default]));
+  }
+
+  /**
+   * Merge configured values over the defaults
+   * @param {Object} values - Configured thresholds; every key must be declared by the schema
+   * @returns {Object} Threshold values passed to the detector
+   */
+  resolve(values = {}) {
+    for (const [name, value] of Object.entries(values)) {
+      if (!this.has(name)) {
+        throw new Error(`Unknown threshold ${name} for ${this.owner} (expected one of: ${this.getNames().join(', ') || 'none'})`);
+      }
+      this.checkValue(name, value);
+    }
+    return { ...this.getDefaults(), ...values };
+  }
+
+  /**
+   * Check a value against the type and bounds of a threshold
+   */
+  checkValue(name, value) {
+    const entry = this.entries.get(name);
+    const valid = entry.type === 'integer' ? Number.isInteger(value)
+      : entry.type === 'number' ? typeof value === 'number' && Number.isFinite(value)
+        : typeof value === entry.type;
+
+    if (!valid) {
+      throw new Error(`Threshold ${name} of ${this.owner} must be of type ${entry.type}, got ${JSON.stringify(value)}`);
+    }
+    if ((entry.min !== null && value < entry.min) || (entry.max !== null && value > entry.max)) {
+      throw new Error(`Threshold ${name} of ${this.owner} must be between ${entry.min ?? '-∞'} and ${entry.max ?? '∞'}, got ${value}`);
+    }
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.entries);
+  }
+
+  static from(owner, entries = {}) {
+    return new ThresholdSchema(owner, entries);
+  }
+}
@@ -0,0 +1,141 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Version of the entry layout; bump when serialized models or results change shape
+ */
+const CACHE_FORMAT = 1;
+
+/**
+ * Incremental analysis cache stored as JSON files in one directory
+ * Entries live in buckets: `files` holds parsed script and scene models, `results` holds
+ * per-file detector results and `project` holds results that depend on the whole project.
+ * Every key mixes in the tool version and the cache format, so upgrading never reads stale entries
+ */
+export class AnalysisCache {
+  constructor(directory, serializer, toolVersion) {
+    this.directory = directory; // String - absolute path of the cache directory
+    this.serializer = serializer; // ModelSerializer
+    this.toolVersion = toolVersion; // String - analyzer version mixed into every key
+    this.statistics = { hits: 0, misses: 0, writes: 0 }; // counts of entry lookups and stores
+  }
+
+  /**
+   * Hash any JSON-serializable values into a hex digest
+   */
+  digest(...parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  /**
+   * Build an entry key from its inputs, the tool version and the cache format
+   */
+  key(bucket, ...parts) {
+    return this.digest(CACHE_FORMAT, this.toolVersion, bucket, ...parts);
+  }
+
+  /**
+   * Fingerprint the classes parsed from one script; identical models yield identical results
+   */
+  digestClasses(classes) {
+    return this.digest(this.serializer.serializeClasses(classes));
+  }
+
+  /**
+   * Fingerprint a scene model
+   */
+  digestScene(scene) {
+    return this.digest(this.serializer.serializeScene(scene));
+  }
+
+  /**
+   * Load the classes, scenes and diagnostics parsed from a file
+   * @returns {Promise<{classes: Class[], scenes: Scene[], diagnostics: ParseDiagnostic[]}|null>} Null on a miss
+   */
+  async loadModel(key) {
+    const data = await this.read('files', key);
+    return data ? this.serializer.deserializeModel(data) : null;
+  }
+
+  /**
+   * Store the classes, scenes and diagnostics parsed from a file
+   */
+  async storeModel(key, model) {
+    await this.write('files', key, this.serializer.serializeModel(model));
+  }
+
+  /**
+   * Load detector results grouped by detection context and detector name
+   * @returns {Promise<Object|null>} {context: {detector: CodeSmellResult|null}}, or null on a miss
+   */
+  async loadResults(bucket, key) {
+    const data = await this.read(bucket, key);
+    if (!data) return null;
+
+    const entry = {};
+    for (const [context, byDetector] of Object.entries(data)) {
+      entry[context] = {};
+      for (const [detector, result] of Object.entries(byDetector)) {
+        entry[context][detector] = result ? this.serializer.deserializeResult(result) : null;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Store detector results grouped by detection context and detector name
+   */
+  async storeResults(bucket, key, entry) {
+    const data = {};
+    for (const [context, byDetector] of Object.entries(entry)) {
+      data[context] = {};
+      for (const [detector, result] of Object.entries(byDetector)) {
+        data[context][detector] = result ? this.serializer.serializeResult(result) : null;
+      }
+    }
+    await this.write(bucket, key, data);
+  }
+
+  /**
+   * Read an entry; unreadable or corrupt entries count as misses
+   */
+  async read(bucket, key) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.entryPath(bucket, key), 'utf-8'));
+      this.statistics.hits++;
+      return data;
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+      this.statistics.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry through a temporary file, so readers never see a partial entry
+   */
+  async write(bucket, key, data) {
+    const entryPath = this.entryPath(bucket, key);
+    const temporaryPath = `${entryPath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(entryPath), { recursive: true });
+    await fs.writeFile(temporaryPath, JSON.stringify(data), 'utf-8');
+    await fs.rename(temporaryPath, entryPath);
+    this.statistics.writes++;
+  }
+
+  /**
+   * Get the path of an entry, sharded by the first two hex digits of its key
+   */
+  entryPath(bucket, key) {
+    return path.join(this.directory, bucket, key.slice(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Get lookup and store counts of this run
+   */
+  getStatistics() {
+    return { ...this.statistics, directory: this.directory };
+  }
+}
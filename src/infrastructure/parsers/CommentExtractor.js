@@ -0,0 +1,165 @@
+import { Comment } from '../../domain/value_objects/Comment.js';
+import { SourceRange } from '../../domain/value_objects/SourceRange.js';
+
+/**
+ * Class body nodes that a `##` comment directly above documents
+ */
+const DECLARATIONS = new Set([
+  'variable_statement', 'export_variable_statement', 'onready_variable_statement',
+  'const_statement', 'enum_definition', 'signal_statement', 'function_definition', 'class_definition'
+]);
+
+/**
+ * Nodes whose comments belong to a model of their own: methods, inner classes and inline accessor bodies
+ */
+const COMMENT_SCOPES = new Set(['function_definition', 'class_definition', 'set_body', 'get_body']);
+
+/**
+ * Extracts the comments of a class body or function from its syntax tree
+ * tree-sitter keeps comments as sibling nodes of the code around them, so doc comments are
+ * found by walking back from a declaration, and a comment is inline when the node before it
+ * ends on the same line
+ */
+export class CommentExtractor {
+  /**
+   * Extract the doc comments and remaining comments of a class body
+   * The script description is the first `##` block before any declaration that does not document one
+   * @param {Array} nodes - Statements of the class body
+   * @param {string} filePath - Path to the source file
+   * @returns {{docComments: Map<number, Comment>, docComment: Comment|null, comments: Comment[]}}
+   *   Doc comments keyed by the start index of the declaration they document
+   */
+  extractClassComments(nodes, filePath) {
+    const docComments = new Map();
+    const consumed = new Set();
+
+    for (const node of nodes) {
+      if (!DECLARATIONS.has(node.type)) continue;
+
+      const run = this.findLeadingDocNodes(node);
+      if (run.length > 0) {
+        docComments.set(node.startIndex, this.createComment(run, filePath, 'doc'));
+        run.forEach(comment => consumed.add(comment.startIndex));
+      }
+    }
+
+    const firstDeclaration = nodes.find(node => DECLARATIONS.has(node.type));
+    const header = this.group(nodes.filter(node =>
+      node.type === 'comment' &&
+      !consumed.has(node.startIndex) &&
+      (!firstDeclaration || node.startIndex < firstDeclaration.startIndex)
+    ));
+    const description = header.find(run => run.every(comment => !this.isInline(comment) && Comment.isDocLine(comment.text)));
+    description?.forEach(comment => consumed.add(comment.startIndex));
+
+    const comments = this.collect(nodes).filter(comment => !consumed.has(comment.startIndex));
+
+    return {
+      docComments,
+      docComment: description ? this.createComment(description, filePath, 'doc') : null,
+      comments: this.toComments(comments, filePath)
+    };
+  }
+
+  /**
+   * Extract the comments of a function definition or inline accessor body, its header line included
+   * @returns {Comment[]} Block and inline comments in source order
+   */
+  extractBodyComments(node, filePath) {
+    return this.toComments(node.descendantsOfType('comment'), filePath);
+  }
+
+  /**
+   * Extract the `##` comment directly above a declaration, skipping annotations on lines of their own
+   * @returns {Comment|null}
+   */
+  extractDocComment(node, filePath) {
+    const run = this.findLeadingDocNodes(node);
+    return run.length > 0 ? this.createComment(run, filePath, 'doc') : null;
+  }
+
+  /**
+   * Find the `##` comment nodes on the lines directly above a node
+   */
+  findLeadingDocNodes(node) {
+    const run = [];
+    let row = node.startPosition.row;
+
+    for (let sibling = node.previousSibling; sibling; sibling = sibling.previousSibling) {
+      if (sibling.endPosition.row !== row - 1 && !(sibling.type === 'annotation' && sibling.endPosition.row === row)) break;
+
+      if (sibling.type === 'annotation') {
+        row = sibling.startPosition.row;
+      } else if (sibling.type === 'comment' && Comment.isDocLine(sibling.text) && !this.isInline(sibling)) {
+        run.unshift(sibling);
+        row = sibling.startPosition.row;
+      } else {
+        break;
+      }
+    }
+
+    return run;
+  }
+
+  /**
+   * Collect comment nodes in source order, without descending into nodes that own their comments
+   */
+  collect(nodes) {
+    const comments = [];
+
+    const visit = node => {
+      if (node.type === 'comment') {
+        comments.push(node);
+      } else if (!COMMENT_SCOPES.has(node.type)) {
+        node.children.forEach(visit);
+      }
+    };
+
+    nodes.forEach(visit);
+    return comments;
+  }
+
+  /**
+   * Group comment nodes into runs: consecutive full-line comments share a run, inline ones stand alone
+   */
+  group(nodes) {
+    const runs = [];
+
+    for (const node of nodes) {
+      const previous = runs[runs.length - 1];
+      const last = previous?.[previous.length - 1];
+      if (last && !this.isInline(node) && !this.isInline(last) && last.endPosition.row === node.startPosition.row - 1) {
+        previous.push(node);
+      } else {
+        runs.push([node]);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Convert comment nodes to block and inline comments
+   */
+  toComments(nodes, filePath) {
+    return this.group(nodes).map(run =>
+      this.createComment(run, filePath, this.isInline(run[0]) ? 'inline' : 'block'));
+  }
+
+  /**
+   * Check if a comment follows code on its line
+   */
+  isInline(node) {
+    const previous = node.previousSibling;
+    return previous !== null && previous.endPosition.row === node.startPosition.row;
+  }
+
+  /**
+   * Create a comment spanning a run of comment nodes
+   */
+  createComment(run, filePath, kind) {
+    const first = run[0];
+    const last = run[run.length - 1];
+    return Comment.from(run.map(node => node.text), SourceRange.fromPoints(filePath, first.startPosition, last.endPosition), { kind });
+  }
+}
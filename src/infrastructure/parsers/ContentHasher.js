@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+
+/**
+ * Number of hex digits kept from the digest of a node's source
+ */
+const HASH_LENGTH = 16;
+
+/**
+ * Hashes the normalized source of a syntax node, for smell fingerprints that survive reformatting
+ * The source is reduced to its tokens: comments are dropped and whitespace collapses, so
+ * re-indenting, rewrapping or commenting code keeps its hash. Inner class definitions are left
+ * out of the hash of their enclosing class or script, since they have hashes of their own
+ */
+export class ContentHasher {
+  /**
+   * Hash the tokens of a node
+   * @param {Object} node - Syntax node such as a function_definition or class_definition
+   * @returns {string} Hex digest
+   */
+  hash(node) {
+    const tokens = [];
+    for (const child of node.children) {
+      this.collectTokens(child, tokens);
+    }
+    return crypto.createHash('sha256').update(tokens.join(' ')).digest('hex').slice(0, HASH_LENGTH);
+  }
+
+  /**
+   * Collect the leaf tokens of a node in source order; strings are kept whole
+   */
+  collectTokens(node, tokens) {
+    if (node.type === 'comment' || node.type === 'class_definition') return;
+
+    if (node.childCount === 0 || node.type === 'string') {
+      const text = node.text.trim();
+      if (text !== '') tokens.push(text);
+      return;
+    }
+
+    for (const child of node.children) {
+      this.collectTokens(child, tokens);
+    }
+  }
+}
@@ -0,0 +1,27 @@
+import { IgnoreRule } from '../../domain/value_objects/IgnoreRule.js';
+
+/**
+ * Parser for .smellignore files, which use .gitignore syntax:
+ * one pattern per line, `#` starts a comment, blank lines are skipped,
+ * and trailing spaces are dropped unless escaped with a backslash
+ */
+export class IgnoreFileParser {
+  /**
+   * Parse ignore file content
+   * @param {string} content - Raw file content
+   * @param {string} source - Name of the file, recorded on each rule
+   * @returns {IgnoreRule[]} Rules in file order
+   */
+  parse(content, source = '.smellignore') {
+    const rules = [];
+
+    content.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.replace(/(?<!\\)\s+$/, '').replace(/\\(\s)$/, '$1');
+      if (line === '' || line.startsWith('#')) return;
+
+      rules.push(new IgnoreRule(line, source, index + 1));
+    });
+
+    return rules;
+  }
+}
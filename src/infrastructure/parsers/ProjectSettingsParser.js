@@ -0,0 +1,85 @@
+import { VariantTextParser } from './VariantTextParser.js';
+
+/**
+ * Parser for Godot's project.godot settings file
+ * The file is INI-style: [section] headers followed by key=value pairs,
+ * where values use Godot's Variant text syntax and may span several lines
+ */
+export class ProjectSettingsParser extends VariantTextParser {
+  /**
+   * Parse project.godot content
+   * @param {string} content - Raw file content
+   * @returns {{sections: Object, autoloads: Array<{name: string, path: string, singleton: boolean}>}}
+   */
+  parse(content) {
+    const sections = { '': {} };
+    let currentSection = sections[''];
+    let pendingKey = null;
+    let pendingValue = '';
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      if (pendingKey !== null) {
+        pendingValue += `\n${rawLine}`;
+        if (this.isValueComplete(pendingValue)) {
+          currentSection[pendingKey] = this.parseValue(pendingValue);
+          pendingKey = null;
+        }
+        continue;
+      }
+
+      const line = rawLine.trim();
+      if (line === '' || line.startsWith(';') || line.startsWith('#')) continue;
+
+      const sectionMatch = line.match(/^\[([^\]]+)\]$/);
+      if (sectionMatch) {
+        const sectionName = sectionMatch[1].trim();
+        sections[sectionName] = sections[sectionName] || {};
+        currentSection = sections[sectionName];
+        continue;
+      }
+
+      const separator = line.indexOf('=');
+      if (separator === -1) continue;
+
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+
+      if (this.isValueComplete(value)) {
+        currentSection[key] = this.parseValue(value);
+      } else {
+        pendingKey = key;
+        pendingValue = value;
+      }
+    }
+
+    if (pendingKey !== null) {
+      currentSection[pendingKey] = this.parseValue(pendingValue);
+    }
+
+    return {
+      sections,
+      autoloads: this.extractAutoloads(sections.autoload || {})
+    };
+  }
+
+  /**
+   * Extract autoload entries from the [autoload] section
+   * A leading '*' marks the autoload as a global singleton
+   */
+  extractAutoloads(autoloadSection) {
+    const autoloads = [];
+
+    for (const [name, value] of Object.entries(autoloadSection)) {
+      if (typeof value !== 'string') continue;
+
+      const singleton = value.startsWith('*');
+      autoloads.push({
+        name,
+        path: singleton ? value.slice(1) : value,
+        singleton
+      });
+    }
+
+    return autoloads;
+  }
+}
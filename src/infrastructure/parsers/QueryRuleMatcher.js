@@ -0,0 +1,98 @@
+import Parser from 'tree-sitter';
+import { RuleMatch } from '../../domain/value_objects/RuleMatch.js';
+import { SourceRange } from '../../domain/value_objects/SourceRange.js';
+
+/**
+ * Runs the tree-sitter queries of query rules over a syntax tree
+ * Compiled queries are kept by query text, since every file of a run uses the same rules
+ */
+export class QueryRuleMatcher {
+  constructor(language) {
+    this.language = language;
+    this.queries = new Map(); // String ⇸ Parser.Query - compiled queries by query text
+  }
+
+  /**
+   * Compile the queries of rules, so invalid ones fail the run before any file is parsed
+   * @param {QueryRule[]} rules - Rules to compile
+   */
+  compile(rules) {
+    for (const rule of rules) {
+      this.getQuery(rule);
+    }
+  }
+
+  /**
+   * Match every rule against a file
+   * @param {Object} rootNode - Root of the file's syntax tree
+   * @param {QueryRule[]} rules - Rules to match
+   * @param {string} filePath - Path to the source file
+   * @returns {Map<number|null, RuleMatch[]>} Matches keyed by the start index of the class_definition
+   *   they are in, or null for the script class, each in source order
+   */
+  match(rootNode, rules, filePath) {
+    const matchesByClass = new Map();
+
+    for (const rule of rules) {
+      for (const { captures } of this.getQuery(rule).matches(rootNode)) {
+        if (captures.length === 0) continue;
+
+        const node = (captures.find(capture => capture.name === 'match') || captures[0]).node;
+        const owner = this.findOwner(node);
+        const match = RuleMatch.from(rule.name, SourceRange.fromPoints(filePath, node.startPosition, node.endPosition),
+          this.collectCaptures(captures), owner.method);
+
+        if (!matchesByClass.has(owner.classKey)) matchesByClass.set(owner.classKey, []);
+        matchesByClass.get(owner.classKey).push(match);
+      }
+    }
+
+    for (const matches of matchesByClass.values()) {
+      matches.sort((a, b) => a.range.startLine - b.range.startLine || a.range.startColumn - b.range.startColumn);
+    }
+    return matchesByClass;
+  }
+
+  /**
+   * Get the compiled query of a rule
+   */
+  getQuery(rule) {
+    if (!this.queries.has(rule.query)) {
+      try {
+        this.queries.set(rule.query, new Parser.Query(this.language, rule.query));
+      } catch (error) {
+        throw new Error(`Invalid query in rule ${rule.name}: ${error.message}`);
+      }
+    }
+    return this.queries.get(rule.query);
+  }
+
+  /**
+   * Find the innermost method and class a node is in; lambdas belong to the method declaring them
+   * @returns {{classKey: number|null, method: string|null}}
+   */
+  findOwner(node) {
+    let method = null;
+
+    for (let ancestor = node; ancestor; ancestor = ancestor.parent) {
+      if (ancestor.type === 'function_definition' && method === null) {
+        method = ancestor.childForFieldName('name')?.text ?? null;
+      } else if (ancestor.type === 'class_definition') {
+        return { classKey: ancestor.startIndex, method };
+      }
+    }
+
+    return { classKey: null, method };
+  }
+
+  /**
+   * Map capture names to their source text; a name captured more than once joins its texts
+   */
+  collectCaptures(captures) {
+    const texts = {};
+    for (const { name, node } of captures) {
+      texts[name] = name in texts ? `${texts[name]}, ${node.text}` : node.text;
+    }
+    return texts;
+  }
+}
@@ -0,0 +1,422 @@
+/**
+ * Built-in GDScript and @GlobalScope functions that are not methods of the calling class
+ */
+const GLOBAL_FUNCTIONS = new Set([
+  'abs', 'absf', 'absi', 'assert', 'atan2', 'bool', 'ceil', 'char', 'clamp', 'clampf', 'clampi',
+  'convert', 'cos', 'deg2rad', 'deg_to_rad', 'dict_to_inst', 'float', 'floor', 'fmod', 'funcref',
+  'get_stack', 'hash', 'inst2dict', 'inst_to_dict', 'instance_from_id', 'int', 'inverse_lerp',
+  'is_equal_approx', 'is_instance_valid', 'is_zero_approx', 'len', 'lerp', 'lerpf', 'load', 'max',
+  'min', 'move_toward', 'ord', 'parse_json', 'posmod', 'pow', 'preload', 'print', 'print_debug',
+  'print_stack', 'printerr', 'prints', 'printt', 'push_error', 'push_warning', 'rad2deg', 'rad_to_deg',
+  'randf', 'randf_range', 'randi', 'randi_range', 'randomize', 'range', 'remap', 'round', 'seed',
+  'sign', 'sin', 'smoothstep', 'snapped', 'sqrt', 'stepify', 'str', 'str2var', 'str_to_var', 'tan',
+  'to_json', 'type_exists', 'typeof', 'var2str', 'var_to_str', 'weakref', 'wrap', 'wrapf', 'wrapi',
+  'yield'
+]);
+
+/**
+ * Methods whose first argument names the signal they act on (Godot 3 style and Object API)
+ */
+const SIGNAL_NAME_METHODS = new Set(['emit_signal', 'connect']);
+
+/**
+ * Extracts the call graph, field-access graph and signal usage of a function body
+ * Each reference is recorded as a (receiver, member) pair, where the receiver is resolved to
+ * the owning class for self access, to the parent class for super calls, to the declared or
+ * inferred type of fields, parameters and locals, or to the class behind an autoload singleton
+ * or class_name. References through receivers without a known type, such as untyped variables
+ * and `$Node` paths, are not recorded
+ */
+export class ReferenceExtractor {
+  /**
+   * Extract references from a function body
+   * @param {Object} bodyNode - tree-sitter body node
+   * @param {Object} scope - Resolution scope
+   * @param {string} scope.className - Qualified name of the owning class
+   * @param {string|null} scope.parentName - Name of the parent class
+   * @param {string} scope.methodName - Name of the method being analyzed
+   * @param {Map<string, string|null>} scope.fields - Field names of the owning class with their types
+   * @param {Map<string, string|null>} scope.parameters - Parameter names with their types
+   * @param {Map<string, string>} scope.symbols - Global names (class_name, singletons, inner classes) to class names
+   * @param {Set<string>} scope.signals - Signal names declared by the owning class
+   * @returns {{calls: Array<[string, string]>, accessedFields: Array<[string, string]>, emittedSignals: Array, signalConnections: Array}}
+   */
+  extract(bodyNode, scope) {
+    const context = {
+      signals: new Set(),
+      ...scope,
+      locals: this.collectLocals(bodyNode),
+      calls: [],
+      accessedFields: [],
+      emittedSignals: [],
+      signalConnections: []
+    };
+
+    this.visit(bodyNode, context);
+
+    return {
+      calls: context.calls,
+      accessedFields: context.accessedFields,
+      emittedSignals: context.emittedSignals,
+      signalConnections: context.signalConnections
+    };
+  }
+
+  /**
+   * Collect local variables, loop variables and lambda parameters declared in a body
+   * Collection is flow-insensitive: a local shadows a field for the whole body
+   */
+  collectLocals(bodyNode) {
+    const locals = new Map();
+
+    const walk = (node) => {
+      if (node.type === 'variable_statement') {
+        const name = node.childForFieldName('name');
+        if (name) {
+          locals.set(name.text, this.inferType(node));
+        }
+      } else if (node.type === 'for_statement') {
+        const left = node.childForFieldName('left');
+        if (left && left.type === 'identifier') {
+          locals.set(left.text, null);
+        }
+      } else if (node.type === 'lambda') {
+        const parameters = node.childForFieldName('parameters');
+        for (const parameter of parameters ? parameters.namedChildren : []) {
+          const identifier = parameter.type === 'identifier' ? parameter : parameter.namedChildren.find(child => child.type === 'identifier');
+          if (identifier) {
+            locals.set(identifier.text, null);
+          }
+        }
+      }
+
+      for (const child of node.namedChildren) {
+        walk(child);
+      }
+    };
+
+    walk(bodyNode);
+    return locals;
+  }
+
+  /**
+   * Infer the type of a variable declaration from its annotation or a `Type.new()` initializer
+   */
+  inferType(declaration) {
+    const type = declaration.childForFieldName('type');
+    if (type && type.type === 'type') {
+      return type.text;
+    }
+
+    const value = declaration.childForFieldName('value');
+    return value ? this.inferConstructedType(value) : null;
+  }
+
+  /**
+   * Get the class instantiated by a `Type.new()` expression
+   * @returns {string|null} Class name, or null for any other expression
+   */
+  inferConstructedType(value) {
+    if (value.type === 'attribute' && value.namedChildCount === 2) {
+      const [target, call] = value.namedChildren;
+      if (target.type === 'identifier' && call.type === 'attribute_call' && call.namedChildren[0]?.text === 'new') {
+        return target.text;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Visit a node, recording references and descending into sub-expressions
+   */
+  visit(node, context) {
+    switch (node.type) {
+      case 'attribute':
+        this.visitAttribute(node, context);
+        return;
+      case 'call':
+        this.visitCall(node, context);
+        return;
+      case 'identifier':
+        this.visitIdentifier(node, context);
+        return;
+      case 'get_node':
+      case 'string':
+      case 'comment':
+        return;
+      case 'for_statement': {
+        // The loop variable is a declaration, not a reference
+        const left = node.childForFieldName('left');
+        for (const child of node.namedChildren) {
+          if (child !== left) this.visit(child, context);
+        }
+        return;
+      }
+      case 'parameters':
+        // Lambda parameters are declarations; only their default values are expressions
+        for (const parameter of node.namedChildren) {
+          const value = parameter.childForFieldName('value');
+          if (value) this.visit(value, context);
+        }
+        return;
+      default:
+        for (const child of node.namedChildren) {
+          this.visit(child, context);
+        }
+    }
+  }
+
+  /**
+   * Visit a chain such as `a.b.c(x)[0]`, whose elements are the attribute's named children
+   */
+  visitAttribute(node, context) {
+    const [head, ...members] = node.namedChildren;
+    let receiver = this.resolveHead(head, context);
+
+    // Signal named by the previous element of the chain, e.g. `hit` in `hit.emit()`
+    let signalRef = head.type === 'identifier' && this.isOwnSignal(head.text, context)
+      ? { owner: context.className, signal: head.text }
+      : null;
+
+    for (const member of members) {
+      const nameNode = member.type === 'identifier' ? member : member.namedChildren[0];
+      if (!nameNode) break;
+      const memberName = nameNode.text;
+      const args = member.type === 'attribute_call' ? this.getArguments(member) : [];
+
+      // Signals of `$Node` paths keep the path as their owner, though calls on it are not recorded
+      const owner = receiver ?? (member === members[0] && head.type === 'get_node' ? head.text : null);
+
+      if (member.type === 'attribute_call' && signalRef && (memberName === 'emit' || memberName === 'connect')) {
+        // Godot 4 signal object API: hit.emit(...) and hit.connect(callable)
+        this.recordSignalCall(signalRef.owner, signalRef.signal, memberName, args, 'callable', context);
+      } else if (member.type === 'attribute_call') {
+        if (receiver !== null) {
+          context.calls.push([receiver, memberName]);
+        }
+        if (owner !== null && SIGNAL_NAME_METHODS.has(memberName)) {
+          this.recordNamedSignalCall(owner, memberName, args, context);
+        }
+      } else if (receiver !== null) {
+        context.accessedFields.push([receiver, memberName]);
+      }
+
+      // Arguments of calls and subscripts are independent expressions
+      for (const argument of member.namedChildren.slice(1)) {
+        this.visit(argument, context);
+      }
+
+      signalRef = member.type === 'identifier' && owner !== null ? { owner, signal: memberName } : null;
+      receiver = this.resolveMember(receiver, memberName, member, context);
+    }
+  }
+
+  /**
+   * Check if an identifier may name a signal of the owning class rather than a variable
+   * Besides declared signals, any unknown lowercase name may be a signal the class inherits;
+   * the project drops those its ancestors turn out not to declare
+   */
+  isOwnSignal(name, context) {
+    if (context.locals.has(name) || context.parameters.has(name)) return false;
+    if (context.signals.has(name)) return true;
+    return !context.fields.has(name) && !context.symbols.has(name) && /^[a-z_]/.test(name) && name !== 'self' && name !== 'super';
+  }
+
+  /**
+   * Get the argument expressions of a call node
+   */
+  getArguments(callNode) {
+    const argumentsNode = callNode.namedChildren.find(child => child.type === 'arguments');
+    return argumentsNode ? argumentsNode.namedChildren : [];
+  }
+
+  /**
+   * Record emit_signal("name", ...) or connect("name", ...) where the signal is named by a string
+   */
+  recordNamedSignalCall(owner, methodName, args, context) {
+    const signal = args[0]?.type === 'string' ? this.unquote(args[0].text) : null;
+    if (!signal) return;
+
+    if (methodName === 'emit_signal') {
+      this.recordSignalCall(owner, signal, 'emit', [], null, context);
+    } else if (args.length >= 3 && args[2].type === 'string') {
+      // Godot 3: connect("signal", target, "method", binds, flags)
+      const target = this.resolveTarget(args[1], context);
+      const handler = target ? { class: target, method: this.unquote(args[2].text) } : null;
+      context.signalConnections.push({ owner, signal, handler, style: 'string' });
+    } else {
+      // Godot 4: connect("signal", callable)
+      this.recordSignalCall(owner, signal, 'connect', args.slice(1), 'callable', context);
+    }
+  }
+
+  /**
+   * Record an emission, or a connection whose first argument is a Callable
+   */
+  recordSignalCall(owner, signal, methodName, args, style, context) {
+    if (methodName === 'emit') {
+      context.emittedSignals.push({ owner, signal });
+    } else {
+      context.signalConnections.push({ owner, signal, handler: this.resolveCallable(args[0], context), style });
+    }
+  }
+
+  /**
+   * Resolve a Callable expression to the class and method it invokes
+   * Handles `method`, `obj.method`, `obj.method.bind(...)`, `Callable(obj, "method")` and lambdas
+   * @returns {{class: string, method: string}|null} Handler, or null if it cannot be resolved
+   */
+  resolveCallable(node, context) {
+    if (!node) return null;
+
+    if (node.type === 'identifier') {
+      if (context.locals.has(node.text) || context.parameters.has(node.text)) return null;
+      return { class: context.className, method: node.text };
+    }
+
+    if (node.type === 'lambda') {
+      return { class: context.className, method: '<lambda>' };
+    }
+
+    if (node.type === 'call' && node.namedChildren[0]?.text === 'Callable') {
+      const [target, method] = this.getArguments(node);
+      const targetClass = this.resolveTarget(target, context);
+      return targetClass && method?.type === 'string' ? { class: targetClass, method: this.unquote(method.text) } : null;
+    }
+
+    if (node.type === 'attribute') {
+      // Drop trailing .bind(...) / .bindv(...) / .unbind(...) calls
+      let elements = node.namedChildren;
+      while (elements.length > 1 && elements[elements.length - 1].type === 'attribute_call' &&
+             ['bind', 'bindv', 'unbind'].includes(elements[elements.length - 1].namedChildren[0]?.text)) {
+        elements = elements.slice(0, -1);
+      }
+
+      if (elements.length === 1) {
+        return this.resolveCallable(elements[0], context);
+      }
+      if (elements.length === 2 && elements[1].type === 'identifier') {
+        const targetClass = this.resolveTarget(elements[0], context);
+        return targetClass ? { class: targetClass, method: elements[1].text } : null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the object passed as a connection target
+   */
+  resolveTarget(node, context) {
+    if (!node) return null;
+    if (node.type === 'identifier') {
+      return this.resolveHead(node, context);
+    }
+    return node.type === 'get_node' ? node.text : null;
+  }
+
+  /**
+   * Strip quotes and the StringName/NodePath prefix from a string literal
+   */
+  unquote(text) {
+    return text.replace(/^[&^]/, '').replace(/^(["'])(.*)\1$/s, '$2');
+  }
+
+  /**
+   * Resolve the receiver named by the first element of a chain
+   * @returns {string|null} Receiver class name, or null if its type is unknown
+   */
+  resolveHead(head, context) {
+    if (head.type !== 'identifier') {
+      this.visit(head, context);
+      return null;
+    }
+
+    const name = head.text;
+    if (name === 'self') return context.className;
+    if (name === 'super') return context.parentName || 'super';
+
+    if (context.locals.has(name)) {
+      return this.resolveType(context.locals.get(name), context);
+    }
+    if (context.parameters.has(name)) {
+      return this.resolveType(context.parameters.get(name), context);
+    }
+    if (context.fields.has(name)) {
+      context.accessedFields.push([context.className, name]);
+      return this.resolveType(context.fields.get(name), context);
+    }
+
+    return context.symbols.get(name) || (/^[A-Z]/.test(name) ? name : null);
+  }
+
+  /**
+   * Resolve the receiver for the next element of a chain after accessing a member
+   */
+  resolveMember(receiver, memberName, member, context) {
+    if (receiver === null) return null;
+
+    // Fields of the owning class resolve to their declared or inferred type
+    if (receiver === context.className && member.type === 'identifier' && context.fields.has(memberName)) {
+      return this.resolveType(context.fields.get(memberName), context);
+    }
+
+    // Inner classes referenced through their outer class, e.g. Outer.Inner.new()
+    const qualified = `${receiver}.${memberName}`;
+    if (member.type === 'identifier' && Array.from(context.symbols.values()).includes(qualified)) {
+      return qualified;
+    }
+
+    // Members of other classes and call results have no known type
+    return null;
+  }
+
+  /**
+   * Visit a bare call such as `foo(x)` or `super()`
+   */
+  visitCall(node, context) {
+    const [callee, ...rest] = node.namedChildren;
+
+    if (callee && callee.type === 'identifier') {
+      const name = callee.text;
+
+      if (name === 'super') {
+        // Godot 4 super() calls the parent implementation of the current method
+        context.calls.push([context.parentName || 'super', context.methodName]);
+      } else if (GLOBAL_FUNCTIONS.has(name)) {
+        context.calls.push(['@GlobalScope', name]);
+      } else if (!/^[A-Z]/.test(name) && !context.locals.has(name) && !context.parameters.has(name)) {
+        // Capitalized callees are type constructors like Vector2(); locals hold callables
+        context.calls.push([context.className, name]);
+        if (SIGNAL_NAME_METHODS.has(name)) {
+          this.recordNamedSignalCall(context.className, name, this.getArguments(node), context);
+        }
+      }
+    } else if (callee) {
+      this.visit(callee, context);
+    }
+
+    for (const child of rest) {
+      this.visit(child, context);
+    }
+  }
+
+  /**
+   * Visit a standalone identifier; unshadowed field names are field accesses
+   */
+  visitIdentifier(node, context) {
+    const name = node.text;
+    if (context.fields.has(name) && !context.locals.has(name) && !context.parameters.has(name)) {
+      context.accessedFields.push([context.className, name]);
+    }
+  }
+
+  /**
+   * Resolve a type name to a known class name through the symbol table
+   */
+  resolveType(typeName, context) {
+    if (!typeName) return null;
+    return context.symbols.get(typeName) || typeName;
+  }
+}
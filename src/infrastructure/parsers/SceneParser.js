@@ -0,0 +1,171 @@
+import path from 'path';
+import { Scene } from '../../domain/entities/Scene.js';
+import { SceneNode } from '../../domain/entities/SceneNode.js';
+import { VariantTextParser } from './VariantTextParser.js';
+
+/**
+ * Parser for Godot's text scene (.tscn) and text resource (.tres) files
+ * Supports both the Godot 3 (format=2) and Godot 4 (format=3) layouts
+ */
+export class SceneParser extends VariantTextParser {
+  /**
+   * Parse a text scene or resource into a Scene entity
+   * @param {string} content - Raw file content
+   * @param {string} filePath - Absolute path of the file
+   * @param {string} projectRoot - Directory containing project.godot, used to resolve res:// paths
+   * @param {Object} options - Extra Scene options (autoload, singletonName)
+   * @returns {Scene} Parsed scene
+   */
+  parse(content, filePath, projectRoot, options = {}) {
+    const sections = this.readSections(content);
+    const header = sections.find(section => section.tag === 'gd_scene' || section.tag === 'gd_resource');
+
+    const extResources = sections
+      .filter(section => section.tag === 'ext_resource')
+      .map(section => ({
+        id: String(section.attributes.id),
+        type: section.attributes.type || null,
+        path: section.attributes.path || null,
+        filePath: this.resolveResourcePath(projectRoot, section.attributes.path)
+      }));
+
+    const subResources = sections
+      .filter(section => section.tag === 'sub_resource')
+      .map(section => ({
+        id: String(section.attributes.id),
+        type: section.attributes.type || null,
+        properties: section.properties
+      }));
+
+    const connections = sections
+      .filter(section => section.tag === 'connection')
+      .map(section => ({
+        signal: section.attributes.signal,
+        from: section.attributes.from,
+        to: section.attributes.to,
+        method: section.attributes.method,
+        flags: section.attributes.flags ?? 0
+      }));
+
+    const resolveExt = (value) => {
+      const reference = this.parseResourceReference(value);
+      if (!reference || reference.kind !== 'ExtResource') return null;
+      return extResources.find(resource => resource.id === reference.id)?.filePath || null;
+    };
+
+    const tree = this.buildTree(sections.filter(section => section.tag === 'node'), resolveExt);
+
+    // The scene's own script is the root node's script; a resource's is in its [resource] section
+    const resourceSection = sections.find(section => section.tag === 'resource');
+    const scriptPath = tree ? tree.scriptPath : resolveExt(resourceSection?.properties.script);
+
+    const childNodes = tree ? tree.getDescendants().filter(node => !node.isRoot()).map(node => node.path) : [];
+
+    return Scene.from(path.basename(filePath, path.extname(filePath)), tree ? tree.name : null, childNodes, scriptPath, {
+      ...options,
+      filePath,
+      resourceType: header?.tag === 'gd_resource' ? (header.attributes.type || 'Resource') : 'PackedScene',
+      tree,
+      extResources,
+      subResources,
+      connections
+    });
+  }
+
+  /**
+   * Split file content into [section] headers with their attributes and properties
+   */
+  readSections(content) {
+    const sections = [];
+    let current = null;
+    let pendingKey = null;
+    let pendingValue = '';
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      if (pendingKey !== null) {
+        pendingValue += `\n${rawLine}`;
+        if (this.isValueComplete(pendingValue)) {
+          current.properties[pendingKey] = this.parseValue(pendingValue);
+          pendingKey = null;
+        }
+        continue;
+      }
+
+      const line = rawLine.trim();
+      if (line === '' || line.startsWith(';')) continue;
+
+      if (line.startsWith('[') && line.endsWith(']')) {
+        current = { ...this.parseHeader(line.slice(1, -1)), properties: {} };
+        sections.push(current);
+        continue;
+      }
+
+      const separator = line.indexOf('=');
+      if (separator === -1 || current === null) continue;
+
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+
+      if (this.isValueComplete(value)) {
+        current.properties[key] = this.parseValue(value);
+      } else {
+        pendingKey = key;
+        pendingValue = value;
+      }
+    }
+
+    if (pendingKey !== null) {
+      current.properties[pendingKey] = this.parseValue(pendingValue);
+    }
+
+    return sections;
+  }
+
+  /**
+   * Build the SceneNode tree from [node] sections
+   * @returns {SceneNode|null} Root node, or null if the file has no nodes
+   */
+  buildTree(nodeSections, resolveExt) {
+    const records = nodeSections.map(section => {
+      const parent = section.attributes.parent ?? null;
+      const name = String(section.attributes.name);
+      return {
+        name,
+        parent,
+        path: parent === null ? '.' : (parent === '.' ? name : `${parent}/${name}`),
+        type: section.attributes.type || null,
+        scriptPath: resolveExt(section.properties.script),
+        instancePath: resolveExt(section.attributes.instance),
+        groups: Array.isArray(section.attributes.groups) ? section.attributes.groups : []
+      };
+    });
+
+    const rootRecord = records.find(record => record.parent === null);
+    if (!rootRecord) return null;
+
+    // Editable children of instanced scenes, and nodes of inherited scenes, sit below nodes that
+    // only the other scene declares; those ancestors get placeholder nodes without a type
+    const paths = new Set(records.map(record => record.path));
+    for (const record of [...records]) {
+      const segments = record.parent && record.parent !== '.' ? record.parent.split('/') : [];
+      segments.forEach((name, i) => {
+        const path = segments.slice(0, i + 1).join('/');
+        if (paths.has(path)) return;
+        paths.add(path);
+        records.push({
+          name, parent: i === 0 ? '.' : segments.slice(0, i).join('/'), path,
+          type: null, scriptPath: null, instancePath: null, groups: []
+        });
+      });
+    }
+
+    const createNode = (record) => {
+      const children = records
+        .filter(child => child.parent === record.path)
+        .map(createNode);
+      return new SceneNode(record.name, record.path, record.type, record.scriptPath, record.instancePath, children, record.groups);
+    };
+
+    return createNode(rootRecord);
+  }
+}
@@ -0,0 +1,171 @@
+import { Statement } from '../../domain/value_objects/Statement.js';
+import { SourceRange } from '../../domain/value_objects/SourceRange.js';
+
+/**
+ * Statement kinds of tree-sitter statement nodes; expression statements are classified separately
+ */
+const STATEMENT_KINDS = {
+  variable_statement: 'var',
+  const_statement: 'const',
+  return_statement: 'return',
+  pass_statement: 'pass',
+  break_statement: 'break',
+  continue_statement: 'continue',
+  breakpoint_statement: 'breakpoint',
+  if_statement: 'if',
+  for_statement: 'for',
+  while_statement: 'while',
+  match_statement: 'match',
+  comment: 'comment'
+};
+
+/**
+ * Operators of binary_operator nodes that add a decision point
+ */
+const BOOLEAN_OPERATORS = new Set(['and', 'or', '&&', '||']);
+
+/**
+ * Builds the statement model of a function body from its syntax tree
+ * Every statement appears exactly once; compound statements keep their clauses as child blocks
+ */
+export class StatementParser {
+  /**
+   * Parse the statements of a body node
+   * @param {Object} bodyNode - tree-sitter body node
+   * @param {string|null} filePath - Path to the source file
+   * @param {number} depth - Nesting depth of the body's statements
+   * @param {GodotDialect|null} dialect - Dialect of the source; Godot 3 `yield()` calls become 'yield' statements
+   * @returns {Statement[]} Statements in source order
+   */
+  parse(bodyNode, filePath = null, depth = 0, dialect = null) {
+    const statements = [];
+
+    for (const node of bodyNode.namedChildren) {
+      statements.push(...this.parseStatement(node, filePath, depth, dialect));
+    }
+
+    return statements;
+  }
+
+  /**
+   * Parse one statement node
+   * Comments attached to a compound statement's header are returned after it as siblings
+   * @returns {Statement[]}
+   */
+  parseStatement(node, filePath, depth, dialect = null) {
+    const range = SourceRange.fromPoints(filePath, node.startPosition, node.endPosition);
+    const kind = this.classify(node, dialect);
+
+    if (kind === 'if' || kind === 'for' || kind === 'while' || kind === 'match') {
+      const headerComments = [];
+      const blocks = this.parseBlocks(node, filePath, depth, headerComments, dialect);
+      return [
+        Statement.from(kind, this.extractHeader(node), depth, range, blocks, this.countBooleanOperators(node)),
+        ...headerComments.map(comment => this.parseStatement(comment, filePath, depth, dialect)[0])
+      ];
+    }
+
+    return [Statement.from(kind, node.text, depth, range, [], this.countBooleanOperators(node))];
+  }
+
+  /**
+   * Count the boolean operators of a statement, those of lambdas written in it included
+   * Child blocks are skipped, as their statements count their own
+   */
+  countBooleanOperators(node) {
+    if (node.type === 'match_body' || (node.type === 'body' && node.parent?.type !== 'lambda')) return 0;
+
+    const own = node.type === 'binary_operator' && BOOLEAN_OPERATORS.has(node.child(1)?.text) ? 1 : 0;
+    return node.namedChildren.reduce((total, child) => total + this.countBooleanOperators(child), own);
+  }
+
+  /**
+   * Determine the kind of a statement node
+   */
+  classify(node, dialect = null) {
+    if (node.type !== 'expression_statement') {
+      return STATEMENT_KINDS[node.type] || node.type.replace(/_statement$/, '');
+    }
+
+    const expression = node.namedChildren[0];
+    if (dialect?.isGodot3() && expression?.type === 'call' && expression.namedChildren[0]?.text === 'yield') {
+      return 'yield';
+    }
+
+    switch (expression?.type) {
+      case 'await_expression':
+        return 'await';
+      case 'assignment':
+      case 'augmented_assignment':
+        return 'assignment';
+      case 'call':
+        return 'call';
+      case 'attribute': {
+        const last = expression.namedChildren[expression.namedChildCount - 1];
+        return last?.type === 'attribute_call' ? 'call' : 'expression';
+      }
+      default:
+        return 'expression';
+    }
+  }
+
+  /**
+   * Collect the child blocks of a compound statement
+   * @param {Array} headerComments - Receives comments found outside any block
+   */
+  parseBlocks(node, filePath, depth, headerComments, dialect = null) {
+    const blocks = [];
+
+    const addBlock = (kind, clauseNode, bodyNode, content) => {
+      blocks.push({
+        kind,
+        content,
+        range: SourceRange.fromPoints(filePath, clauseNode.startPosition, clauseNode.endPosition),
+        statements: bodyNode ? this.parse(bodyNode, filePath, depth + 1, dialect) : []
+      });
+    };
+
+    for (const child of node.namedChildren) {
+      if (child.type === 'body') {
+        addBlock('body', child, child, null);
+      } else if (child.type === 'elif_clause' || child.type === 'else_clause') {
+        const body = child.namedChildren.find(grandchild => grandchild.type === 'body');
+        addBlock(child.type === 'elif_clause' ? 'elif' : 'else', child, body, this.extractHeader(child));
+      } else if (child.type === 'match_body') {
+        for (const section of child.namedChildren) {
+          if (section.type === 'pattern_section') {
+            const body = section.namedChildren.find(grandchild => grandchild.type === 'body');
+            addBlock('pattern', section, body, this.extractHeader(section));
+          } else if (section.type === 'comment') {
+            headerComments.push(section);
+          }
+        }
+      } else if (child.type === 'comment') {
+        headerComments.push(child);
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Get the header of a compound statement or clause: its text up to the body, without comments
+   * Node offsets are byte offsets, so slicing is done on the UTF-8 encoded text
+   */
+  extractHeader(node) {
+    const body = node.namedChildren.find(child => child.type === 'body' || child.type === 'match_body');
+    const end = (body ? body.startIndex : node.endIndex) - node.startIndex;
+    const bytes = Buffer.from(node.text, 'utf-8');
+
+    const parts = [];
+    let position = 0;
+    for (const comment of node.namedChildren) {
+      if (comment.type !== 'comment' || comment.startIndex - node.startIndex >= end) continue;
+      parts.push(bytes.subarray(position, comment.startIndex - node.startIndex));
+      position = comment.endIndex - node.startIndex;
+    }
+    parts.push(bytes.subarray(position, end));
+
+    return Buffer.concat(parts).toString('utf-8').trim();
+  }
+}
@@ -0,0 +1,131 @@
+import path from 'path';
+
+/**
+ * Base parser for Godot's text formats (project.godot, .tscn, .tres)
+ * Understands the Variant text syntax used for values
+ */
+export class VariantTextParser {
+  /**
+   * Check whether brackets, braces and strings in a value are balanced
+   */
+  isValueComplete(value) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+
+      if (inString) {
+        if (char === '\\') {
+          i++;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '(' || char === '[' || char === '{') {
+        depth++;
+      } else if (char === ')' || char === ']' || char === '}') {
+        depth--;
+      }
+    }
+
+    return !inString && depth <= 0;
+  }
+
+  /**
+   * Convert a Variant text value to a JavaScript value
+   * Strings, numbers, booleans and string arrays are converted;
+   * anything else is kept as its raw text
+   */
+  parseValue(value) {
+    const text = value.trim();
+
+    if (/^"(?:[^"\\]|\\.)*"$/s.test(text)) {
+      return this.unquote(text);
+    }
+
+    if (text === 'true' || text === 'false') {
+      return text === 'true';
+    }
+
+    if (text === 'null') {
+      return null;
+    }
+
+    if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(text)) {
+      return Number(text);
+    }
+
+    const arrayMatch = text.match(/^(?:PackedStringArray|PoolStringArray)\((.*)\)$/s) ||
+                       text.match(/^\[((?:\s*"(?:[^"\\]|\\.)*"\s*,?)*)\]$/s);
+    if (arrayMatch) {
+      return Array.from(arrayMatch[1].matchAll(/"((?:[^"\\]|\\.)*)"/g), match => this.unquote(`"${match[1]}"`));
+    }
+
+    return text;
+  }
+
+  /**
+   * Remove surrounding quotes and resolve escape sequences
+   */
+  unquote(text) {
+    return text.slice(1, -1).replace(/\\(.)/g, (match, char) => {
+      switch (char) {
+        case 'n': return '\n';
+        case 't': return '\t';
+        default: return char;
+      }
+    });
+  }
+
+  /**
+   * Resolve a res:// path to an absolute file system path
+   * @param {string} projectRoot - Directory containing project.godot
+   * @param {string} resourcePath - Path in res:// form
+   * @returns {string|null} Absolute path, or null for non res:// paths
+   */
+  resolveResourcePath(projectRoot, resourcePath) {
+    if (!resourcePath || !resourcePath.startsWith('res://')) return null;
+    return path.join(projectRoot, ...resourcePath.slice('res://'.length).split('/'));
+  }
+
+  /**
+   * Parse an ExtResource/SubResource reference such as ExtResource("1_abc") or ExtResource( 1 )
+   * @returns {{kind: string, id: string}|null} Reference, or null if the value is not one
+   */
+  parseResourceReference(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(ExtResource|SubResource)\(\s*"?([^")\s]+)"?\s*\)$/);
+    return match ? { kind: match[1], id: match[2] } : null;
+  }
+
+  /**
+   * Split a section header body like `node name="Player" parent="."` into its tag and attributes
+   * Attribute values are parsed as Variant text
+   */
+  parseHeader(header) {
+    const tagMatch = header.match(/^\s*(\S+)/);
+    const tag = tagMatch ? tagMatch[1] : '';
+    const attributes = {};
+
+    let rest = header.slice(tagMatch ? tagMatch[0].length : 0);
+    while (rest.trim() !== '') {
+      const keyMatch = rest.match(/^\s*([\w/]+)\s*=\s*/);
+      if (!keyMatch) break;
+      rest = rest.slice(keyMatch[0].length);
+
+      // Value ends at the first whitespace outside of strings and brackets
+      let end = 1;
+      while (end < rest.length && !(/\s/.test(rest[end]) && this.isValueComplete(rest.slice(0, end)))) {
+        end++;
+      }
+
+      attributes[keyMatch[1]] = this.parseValue(rest.slice(0, end));
+      rest = rest.slice(end);
+    }
+
+    return { tag, attributes };
+  }
+}
@@ -0,0 +1,35 @@
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { AnalysisCache } from '../cache/AnalysisCache.js';
+import { ModelSerializer } from '../serialization/ModelSerializer.js';
+
+/**
+ * Analyzer version from package.json, mixed into every cache key
+ */
+const TOOL_VERSION = JSON.parse(readFileSync(new URL('../../../package.json', import.meta.url), 'utf-8')).version;
+
+/**
+ * Repository for the on-disk incremental analysis cache
+ */
+export class AnalysisCacheRepository {
+  constructor() {
+    this.serializer = new ModelSerializer();
+  }
+
+  /**
+   * Open the cache stored in a directory, which is created on the first write
+   * @param {string} directory - Cache directory, usually .smell-cache/ at the project root
+   * @returns {Promise<AnalysisCache>} Cache bound to the directory
+   */
+  async open(directory) {
+    return new AnalysisCache(path.resolve(directory), this.serializer, TOOL_VERSION);
+  }
+
+  /**
+   * Delete every cache entry
+   */
+  async clear(directory) {
+    await fs.rm(path.resolve(directory), { recursive: true, force: true });
+  }
+}
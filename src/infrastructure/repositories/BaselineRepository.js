@@ -0,0 +1,41 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Baseline } from '../../domain/value_objects/Baseline.js';
+
+/**
+ * Repository for reading and writing baseline files
+ * Infrastructure layer adapter for baseline persistence
+ */
+export class BaselineRepository {
+  /**
+   * Load a baseline from a JSON file
+   * @param {string} baselinePath - Path to the baseline file
+   * @returns {Promise<Baseline>} Loaded baseline
+   */
+  async loadFromFile(baselinePath) {
+    try {
+      const content = await fs.readFile(path.resolve(baselinePath), 'utf-8');
+      return Baseline.from(JSON.parse(content));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Baseline file not found: ${baselinePath}`);
+      }
+      throw new Error(`Failed to load baseline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a baseline to a JSON file, creating its directory when missing
+   * @param {Baseline} baseline - Baseline to save
+   * @param {string} baselinePath - Path where to save the baseline
+   */
+  async saveToFile(baseline, baselinePath) {
+    try {
+      const absolutePath = path.resolve(baselinePath);
+      await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+      await fs.writeFile(absolutePath, `${JSON.stringify(baseline.toJSON(), null, 2)}\n`, 'utf-8');
+    } catch (error) {
+      throw new Error(`Failed to save baseline: ${error.message}`);
+    }
+  }
+}
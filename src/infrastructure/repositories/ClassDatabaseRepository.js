@@ -0,0 +1,150 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ClassDatabase } from '../../domain/entities/ClassDatabase.js';
+import { EngineClass } from '../../domain/entities/EngineClass.js';
+import { GodotDialect } from '../../domain/value_objects/GodotDialect.js';
+
+/**
+ * Subset of extension_api.json shipped with the analyzer, dumped from Godot 4
+ */
+const BUNDLED_API_PATH = fileURLToPath(new URL('../data/extension_api.json', import.meta.url));
+
+/**
+ * Godot 3 names of classes renamed in Godot 4, so Godot 3 scripts resolve against the bundled API
+ */
+const GODOT3_CLASS_NAMES = [
+  ['Reference', 'RefCounted'],
+  ['Spatial', 'Node3D'],
+  ['Position2D', 'Marker2D'],
+  ['Position3D', 'Marker3D'],
+  ['Sprite', 'Sprite2D'],
+  ['AnimatedSprite', 'AnimatedSprite2D'],
+  ['KinematicBody2D', 'CharacterBody2D'],
+  ['KinematicBody', 'CharacterBody3D'],
+  ['RigidBody', 'RigidBody3D'],
+  ['StaticBody', 'StaticBody3D'],
+  ['Area', 'Area3D'],
+  ['PhysicsBody', 'PhysicsBody3D'],
+  ['CollisionObject', 'CollisionObject3D'],
+  ['CollisionShape', 'CollisionShape3D'],
+  ['RayCast', 'RayCast3D'],
+  ['Camera', 'Camera3D'],
+  ['MeshInstance', 'MeshInstance3D'],
+  ['VisualInstance', 'VisualInstance3D'],
+  ['GeometryInstance', 'GeometryInstance3D'],
+  ['Particles2D', 'GPUParticles2D'],
+  ['TextureProgress', 'TextureProgressBar'],
+  ['ToolButton', 'Button']
+];
+
+/**
+ * Repository for loading the engine class database from extension_api.json
+ * Reads the Godot 4 extension_api.json layout and the Godot 3 api.json layout
+ */
+export class ClassDatabaseRepository {
+  /**
+   * Load the class database from a local extension API dump, or the bundled one
+   * @param {Object} options - Load options
+   * @param {string|null} options.apiPath - Path to an extension_api.json (Godot 4) or api.json (Godot 3)
+   * @param {GodotDialect} options.dialect - Dialect of the analyzed project
+   * @returns {Promise<ClassDatabase>} Loaded class database
+   */
+  async load(options = {}) {
+    if (options.apiPath) {
+      return this.loadFromFile(options.apiPath);
+    }
+    return this.loadBundled(options.dialect || GodotDialect.from(4));
+  }
+
+  /**
+   * Load the bundled class database
+   * Godot 3 projects also resolve classes by their Godot 3 names
+   */
+  async loadBundled(dialect = GodotDialect.from(4)) {
+    const data = JSON.parse(await fs.readFile(BUNDLED_API_PATH, 'utf-8'));
+    return this.parse(data, 'bundled', dialect.isGodot3() ? GODOT3_CLASS_NAMES : []);
+  }
+
+  /**
+   * Load the class database from a file dumped with `godot --dump-extension-api`
+   * (or `--gdnative-generate-json-api` in Godot 3)
+   */
+  async loadFromFile(apiPath) {
+    const absolutePath = path.resolve(apiPath);
+
+    try {
+      const data = JSON.parse(await fs.readFile(absolutePath, 'utf-8'));
+      return this.parse(data, absolutePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Extension API file not found: ${apiPath}`);
+      }
+      throw new Error(`Failed to load extension API: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a class database from parsed extension API data
+   * @param {Object|Array} data - extension_api.json object, or api.json class array
+   * @param {string} source - Where the data came from
+   * @param {Array<[string, string]>} aliases - Former class names to current ones
+   */
+  parse(data, source, aliases = []) {
+    if (Array.isArray(data)) {
+      return new ClassDatabase(data.map(entry => this.parseGodot3Class(entry)), {
+        source, aliases, version: '3.x'
+      });
+    }
+
+    if (!data || !Array.isArray(data.classes)) {
+      throw new Error('Extension API must contain a "classes" array');
+    }
+
+    return new ClassDatabase(data.classes.map(entry => this.parseClass(entry)), {
+      source, aliases, version: this.formatVersion(data.header)
+    });
+  }
+
+  /**
+   * Parse a class entry of extension_api.json
+   */
+  parseClass(entry) {
+    const methods = (entry.methods || []).map(m => ({
+      name: m.name,
+      virtual: m.is_virtual === true,
+      returnType: m.return_value?.type || null
+    }));
+    const signals = (entry.signals || []).map(s => s.name);
+    const properties = (entry.properties || []).map(p => ({ name: p.name, type: p.type || null }));
+
+    return new EngineClass(entry.name, entry.inherits || null, methods, signals, properties, {
+      apiType: entry.api_type
+    });
+  }
+
+  /**
+   * Parse a class entry of the Godot 3 api.json, where Object has an empty base class
+   */
+  parseGodot3Class(entry) {
+    const methods = (entry.methods || []).map(m => ({
+      name: m.name,
+      virtual: m.is_virtual === true,
+      returnType: m.return_type && m.return_type !== 'void' ? m.return_type : null
+    }));
+    const signals = (entry.signals || []).map(s => s.name);
+    const properties = (entry.properties || []).map(p => ({ name: p.name, type: p.type || null }));
+
+    return new EngineClass(entry.name, entry.base_class || null, methods, signals, properties, {
+      apiType: entry.api_type
+    });
+  }
+
+  /**
+   * Format the engine version from the extension_api.json header
+   */
+  formatVersion(header) {
+    if (!header) return null;
+    return `${header.version_major}.${header.version_minor}.${header.version_patch ?? 0}`;
+  }
+}
@@ -4,10 +4,46 @@ import Parser from 'tree-sitter';
 import GDScript from 'tree-sitter-gdscript';
 import { GDScriptProject } from '../../domain/entities/GDScriptProject.js';
 import { Class } from '../../domain/entities/Class.js';
+import { Scene } from '../../domain/entities/Scene.js';
 import { Method } from '../../domain/entities/Method.js';
 import { Parameter } from '../../domain/entities/Parameter.js';
+import { Signal } from '../../domain/entities/Signal.js';
+import { Field } from '../../domain/entities/Field.js';
+import { Constant } from '../../domain/entities/Constant.js';
+import { Enum } from '../../domain/entities/Enum.js';
+import { Lambda } from '../../domain/entities/Lambda.js';
+import { Annotation } from '../../domain/value_objects/Annotation.js';
 import { Identifier } from '../../domain/value_objects/Identifier.js';
 import { CodeLine } from '../../domain/value_objects/CodeLine.js';
+import { SourceRange } from '../../domain/value_objects/SourceRange.js';
+import { GodotDialect } from '../../domain/value_objects/GodotDialect.js';
+import { FileFilter } from '../../domain/value_objects/FileFilter.js';
+import { ParseDiagnostic } from '../../domain/value_objects/ParseDiagnostic.js';
+import { ProjectSettingsParser } from '../parsers/ProjectSettingsParser.js';
+import { SceneParser } from '../parsers/SceneParser.js';
+import { ReferenceExtractor } from '../parsers/ReferenceExtractor.js';
+import { StatementParser } from '../parsers/StatementParser.js';
+import { CommentExtractor } from '../parsers/CommentExtractor.js';
+import { QueryRuleMatcher } from '../parsers/QueryRuleMatcher.js';
+import { ContentHasher } from '../parsers/ContentHasher.js';
+import { IgnoreFileParser } from '../parsers/IgnoreFileParser.js';
+import { ClassDatabaseRepository } from './ClassDatabaseRepository.js';
+
+/**
+ * Syntax nodes declaring member variables; the export and onready forms are Godot 3 only
+ */
+const VARIABLE_STATEMENTS = new Set(['variable_statement', 'export_variable_statement', 'onready_variable_statement']);
+
+/**
+ * Longest snippet of source kept on a parse diagnostic
+ */
+const MAX_SNIPPET_LENGTH = 120;
+
+/**
+ * Directory in-memory files resolve against without a project root or base project,
+ * so their paths do not depend on the working directory
+ */
+const VIRTUAL_PROJECT_ROOT = path.resolve('/', 'project');
 
 /**
  * Repository for loading GDScript projects from file system
@@ -17,59 +53,479 @@ export class GDScriptProjectRepository {
   constructor() {
     this.parser = new Parser();
     this.parser.setLanguage(GDScript);
+    this.settingsParser = new ProjectSettingsParser();
+    this.sceneParser = new SceneParser();
+    this.referenceExtractor = new ReferenceExtractor();
+    this.statementParser = new StatementParser();
+    this.commentExtractor = new CommentExtractor();
+    this.ruleMatcher = new QueryRuleMatcher(GDScript);
+    this.contentHasher = new ContentHasher();
+    this.ignoreFileParser = new IgnoreFileParser();
+    this.classDatabaseRepository = new ClassDatabaseRepository();
   }
 
   /**
    * Load project from directory
    * @param {string} directoryPath - Path to the project directory
+   * @param {Object} options - Load options
+   * @param {GodotDialect|null} options.dialect - Dialect override; detected from project.godot when absent
+   * @param {string|null} options.extensionApi - Path to a local extension_api.json; the bundled one when absent
+   * @param {FileFilter} options.fileFilter - Which files to analyze; hidden directories and addons are skipped when absent
+   * @param {AnalysisCache|null} options.cache - Cache of parsed models, reused for files whose inputs are unchanged
+   * @param {AnalysisWorkerPool|null} options.pool - Worker threads parsing files in parallel; files are parsed here when absent
+   * @param {string} options.parseErrors - 'skip' leaves scripts with syntax errors out; otherwise their partial model is kept
+   * @param {QueryRule[]} options.rules - Query rules matched against every script, their matches kept on its classes
    * @returns {Promise<GDScriptProject>} Loaded project
    */
-  async loadFromDirectory(directoryPath) {
+  async loadFromDirectory(directoryPath, options = {}) {
     const absolutePath = path.resolve(directoryPath);
+    const rules = options.rules || [];
+    this.ruleMatcher.compile(rules);
 
-    // Find all GDScript files
-    const gdFiles = await this.findGDScriptFiles(absolutePath);
+    // Read autoload registrations and engine version from project.godot
+    const settings = await this.loadProjectSettings(absolutePath);
+    const autoloadEntries = this.resolveAutoloads(absolutePath, settings);
+    const dialect = options.dialect || this.detectDialect(settings);
+    const classDatabase = await this.classDatabaseRepository.load({ apiPath: options.extensionApi, dialect });
 
-    // Parse all files
-    const classes = [];
-    const scenes = [];
-    const autoloads = [];
+    // Find all GDScript, scene and resource files the filter accepts
+    const excludedFiles = [];
+    const projectFiles = await this.findProjectFiles(absolutePath, ['.gd', '.tscn', '.tres'],
+      options.fileFilter || FileFilter.defaults(), excludedFiles);
+    const gdFiles = projectFiles.filter(filePath => path.extname(filePath) === '.gd');
+    const sceneFiles = projectFiles.filter(filePath => path.extname(filePath) !== '.gd');
 
+    const sources = new Map();
     for (const filePath of gdFiles) {
+      sources.set(filePath, await fs.readFile(filePath, 'utf-8'));
+    }
+    const pool = options.pool || null;
+
+    // Global names must be known before method bodies can be resolved
+    const symbols = this.buildSymbolTable(sources, autoloadEntries);
+    const cache = options.cache || null;
+    const symbolsDigest = cache ? cache.digest(Array.from(symbols).sort()) : null;
+    const rulesDigest = cache ? cache.digest(rules.map(rule => [rule.name, rule.query])) : null;
+
+    // Parse all files, concurrently when there is a worker pool, and collect them in file order
+    const parsedScripts = await Promise.all(Array.from(sources, async ([filePath, fileContent]) => {
+      const autoloadEntry = autoloadEntries.get(filePath) || null;
+      const parse = () => pool
+        ? pool.parseScript(filePath, fileContent, autoloadEntry, symbols, dialect, rules)
+        : this.parseFile(filePath, fileContent, autoloadEntry, symbols, dialect, rules);
+      return cache
+        ? this.parseCached(cache, cache.key('script', filePath, fileContent, autoloadEntry, symbolsDigest, dialect.version, rulesDigest), parse)
+        : parse();
+    }));
+
+    const parsedScenes = await Promise.all(sceneFiles.map(async filePath => {
       const fileContent = await fs.readFile(filePath, 'utf-8');
-      const parsedEntities = this.parseFile(filePath, fileContent);
+      const autoloadEntry = autoloadEntries.get(filePath) || null;
+      const parse = () => pool
+        ? pool.parseScene(filePath, fileContent, absolutePath, autoloadEntry)
+        : this.parseSceneFile(filePath, fileContent, absolutePath, autoloadEntry);
+      return cache
+        ? this.parseCached(cache, cache.key('scene', filePath, fileContent, autoloadEntry, absolutePath), parse)
+        : parse();
+    }));
+
+    // Create project name from directory
+    return this.createProject(path.basename(absolutePath), absolutePath, parsedScripts, parsedScenes, autoloadEntries, {
+      dialect, classDatabase, excludedFiles, parseErrors: options.parseErrors
+    });
+  }
+
+  /**
+   * Load a project from sources held in memory, without reading or writing project files
+   * Files of the map replace the files of the base project with the same path; the rest of the
+   * base project is kept as it was parsed. project.godot is read from the map when it is there,
+   * otherwise autoloads and the dialect come from the base project; either way, kept classes keep
+   * the autoload registration they were parsed with
+   * @param {Map<string, string>|Object} files - File paths to content; relative paths and res:// paths resolve against the project root
+   * @param {Object} options - Load options
+   * @param {GDScriptProject|null} options.baseProject - Previously loaded project the files are laid over
+   * @param {string|null} options.projectRoot - Directory the paths resolve against; the base project's root, or a fixed virtual root, when absent
+   * @param {GodotDialect|null} options.dialect - Dialect override
+   * @param {string|null} options.extensionApi - Path to a local extension_api.json; the base project's class database, or the bundled one, when absent
+   * @param {FileFilter} options.fileFilter - Which files of the map to analyze
+   * @param {string} options.parseErrors - 'skip' leaves scripts with syntax errors out
+   * @param {QueryRule[]} options.rules - Query rules matched against the scripts of the map; kept base classes keep their matches
+   * @returns {Promise<GDScriptProject>} Loaded project
+   */
+  async loadFromSources(files, options = {}) {
+    const baseProject = options.baseProject || null;
+    const rules = options.rules || [];
+    this.ruleMatcher.compile(rules);
+    const projectRoot = path.resolve(options.projectRoot ?? baseProject?.root ?? VIRTUAL_PROJECT_ROOT);
+    const sources = this.resolveSources(files, projectRoot);
 
-      classes.push(...parsedEntities.classes);
-      scenes.push(...parsedEntities.scenes);
+    const settingsContent = sources.get(path.join(projectRoot, 'project.godot'));
+    const settings = settingsContent !== undefined ? this.settingsParser.parse(settingsContent) : null;
+    const autoloadEntries = settings || !baseProject
+      ? this.resolveAutoloads(projectRoot, settings)
+      : this.collectAutoloadEntries(baseProject);
+    const dialect = options.dialect || (settings || !baseProject ? this.detectDialect(settings) : baseProject.dialect);
+    const classDatabase = baseProject && !options.extensionApi && baseProject.dialect.equals(dialect)
+      ? baseProject.classDatabase
+      : await this.classDatabaseRepository.load({ apiPath: options.extensionApi, dialect });
 
-      // Check if this is an autoload (convention: autoloads are in root directory)
-      if (path.dirname(filePath) === absolutePath) {
-        autoloads.push(...parsedEntities.classes);
+    // Apply the file filter to the map as if its files were found on disk
+    const fileFilter = options.fileFilter || FileFilter.defaults();
+    const excludedFiles = [];
+    const scripts = new Map();
+    const scenes = new Map();
+    for (const [filePath, content] of sources) {
+      const extension = path.extname(filePath);
+      if (!['.gd', '.tscn', '.tres'].includes(extension)) continue;
+
+      const relativePath = path.relative(projectRoot, filePath).split(path.sep).join('/');
+      const decision = fileFilter.check(relativePath);
+      if (decision.excluded) {
+        excludedFiles.push({ path: relativePath, directory: false, rule: decision.rule, reason: decision.reason });
+      } else {
+        (extension === '.gd' ? scripts : scenes).set(filePath, content);
       }
     }
 
-    // Create project name from directory
-    const projectName = path.basename(absolutePath);
+    // Base classes outside the map stay visible under their global names
+    const kept = baseProject ? this.collectUnchanged(baseProject, sources, settings === null) : null;
+    const symbols = new Map([...this.collectSymbols(kept ? kept.classes : []), ...this.buildSymbolTable(scripts, autoloadEntries)]);
+
+    const parsedScripts = Array.from(scripts, ([filePath, content]) =>
+      this.parseFile(filePath, content, autoloadEntries.get(filePath) || null, symbols, dialect, rules));
+    const parsedScenes = Array.from(scenes, ([filePath, content]) =>
+      this.parseSceneFile(filePath, content, projectRoot, autoloadEntries.get(filePath) || null));
+
+    return this.createProject(baseProject?.name ?? path.basename(projectRoot), projectRoot, parsedScripts, parsedScenes,
+      settings || !baseProject ? autoloadEntries : new Map(), { dialect, classDatabase, excludedFiles, parseErrors: options.parseErrors, unchanged: kept });
+  }
+
+  /**
+   * Assemble a project from the models parsed from its files
+   * @param {Array} parsedScripts - {classes, scenes, diagnostics} of each script, in file order
+   * @param {Array} parsedScenes - {classes, scenes, diagnostics} of each scene and resource, in file order
+   * @param {Map<string, Object>} autoloadEntries - Autoloads of project.godot; binary scenes among them are added as scenes
+   * @param {Object} options - Project options
+   * @param {Object|null} options.unchanged - {classes, scenes, diagnostics} kept from a base project, placed first
+   */
+  createProject(projectName, projectRoot, parsedScripts, parsedScenes, autoloadEntries, options = {}) {
+    const unchanged = options.unchanged || { classes: [], scenes: [], diagnostics: [] };
+    const keptScripts = options.parseErrors === 'skip'
+      ? parsedScripts.filter(parsedEntities => parsedEntities.diagnostics.length === 0)
+      : parsedScripts;
+    const classes = this.resolveReferences([...unchanged.classes, ...keptScripts.flatMap(parsedEntities => parsedEntities.classes)], options);
+    const scenes = [...unchanged.scenes, ...[...parsedScripts, ...parsedScenes].flatMap(parsedEntities => parsedEntities.scenes)];
+    const diagnostics = [...unchanged.diagnostics, ...[...parsedScripts, ...parsedScenes].flatMap(parsedEntities => parsedEntities.diagnostics)];
+    const autoloads = classes.filter(c => c.autoload);
+
+    // Binary scenes registered as autoloads cannot be parsed, but still count as autoloads
+    for (const [filePath, entry] of autoloadEntries) {
+      if (filePath.endsWith('.scn')) {
+        scenes.push(this.createAutoloadScene(filePath, entry));
+      }
+    }
+
+    const signals = classes.flatMap(c => Array.from(c.signals));
+
+    return new GDScriptProject(classes, scenes, autoloads, signals, projectName, {
+      dialect: options.dialect,
+      classDatabase: options.classDatabase,
+      excludedFiles: options.excludedFiles,
+      diagnostics,
+      root: projectRoot
+    });
+  }
+
+  /**
+   * Resolve the references of method bodies that depend on other classes
+   * Parsing records every bare call as a call on the owning class, and every `x.y.emit()` or
+   * `x.y.connect()` as signal usage; only once all classes are known can calls to inherited
+   * engine methods such as `add_child()` be dropped, and members that are not signals be told
+   * from signals declared by a script or an engine class
+   * @param {Class[]} classes - Parsed classes of the project
+   * @param {Object} options - {dialect, classDatabase} of the project
+   * @returns {Class[]} The classes, with methods rebuilt where references were dropped
+   */
+  resolveReferences(classes, options = {}) {
+    const project = GDScriptProject.from(classes, [], [], [], null, { dialect: options.dialect, classDatabase: options.classDatabase });
+    const declaresSignal = (owner, signal) => this.declaresSignal(project, owner, signal);
+
+    return classes.map(class_ => {
+      const { classes: ancestors, engineClass } = project.getAncestry(class_);
+      const className = class_.name.toString();
+      const declaresMethod = name => [class_, ...ancestors].some(c => c.getMethod(name) !== undefined);
+      const isEngineCall = ([receiver, callee]) => engineClass !== null && receiver === className &&
+        !declaresMethod(callee) && project.classDatabase.findMethod(engineClass, callee) !== null;
+
+      let changed = false;
+      const methods = Array.from(class_.methods, method => {
+        const calls = Array.from(method.calls).filter(call => !isEngineCall(call));
+        const emittedSignals = method.emittedSignals.filter(e => declaresSignal(e.owner, e.signal));
+        const signalConnections = method.signalConnections.filter(c => declaresSignal(c.owner, c.signal));
+        if (calls.length === method.calls.size && emittedSignals.length === method.emittedSignals.length &&
+            signalConnections.length === method.signalConnections.length) {
+          return method;
+        }
+
+        changed = true;
+        return new Method(method.name, method.parameters, method.lines, calls, method.accessedFields,
+          { ...method, emittedSignals, signalConnections });
+      });
+
+      return changed
+        ? new Class(class_.name, class_.fields, methods, class_.parent, class_.exportedVars, class_.autoload, class_.filePath, { ...class_ })
+        : class_;
+    });
+  }
+
+  /**
+   * Check if a script class or engine class declares a signal, or inherits it
+   * Owners the project cannot resolve, such as `$Node` paths and external base classes, may declare any signal
+   */
+  declaresSignal(project, owner, signal) {
+    const ownerClass = project.findClass(owner);
+    if (ownerClass) {
+      const { classes, engineClass, unresolved } = project.getAncestry(ownerClass);
+      return [ownerClass, ...classes].some(c => c.hasSignal(signal)) || unresolved !== null ||
+        (engineClass !== null && project.classDatabase.findSignal(engineClass, signal) !== null);
+    }
+
+    return !project.classDatabase.hasClass(owner) || project.classDatabase.findSignal(owner, signal) !== null;
+  }
+
+  /**
+   * Resolve the paths of an in-memory file map to absolute paths under the project root
+   * @param {Map<string, string>|Object} files - Relative, absolute or res:// paths to file content
+   * @returns {Map<string, string>} Absolute paths to content, in the order given
+   */
+  resolveSources(files, projectRoot) {
+    const entries = files instanceof Map ? Array.from(files) : Object.entries(files);
+    return new Map(entries.map(([filePath, content]) => [
+      filePath.startsWith('res://')
+        ? this.settingsParser.resolveResourcePath(projectRoot, filePath)
+        : path.resolve(projectRoot, filePath),
+      content
+    ]));
+  }
+
+  /**
+   * Collect the classes, scenes and diagnostics of a base project whose files are not replaced
+   * Everything parsed from one script shares its file path, so a file is replaced as a whole
+   * @param {Map<string, string>} sources - Absolute paths of the replacing files
+   * @param {boolean} keepAutoloadScenes - False when a new project.godot registers binary autoload scenes again
+   */
+  collectUnchanged(baseProject, sources, keepAutoloadScenes = true) {
+    const unchanged = item => !sources.has(item.filePath);
+    const binaryAutoload = scene => scene.autoload && path.extname(scene.filePath || '') === '.scn';
+    return {
+      classes: Array.from(baseProject.classes).filter(unchanged),
+      scenes: Array.from(baseProject.scenes).filter(scene => unchanged(scene) && (keepAutoloadScenes || !binaryAutoload(scene))),
+      diagnostics: baseProject.diagnostics.filter(unchanged)
+    };
+  }
+
+  /**
+   * Rebuild the autoload entries of a loaded project from its autoloaded classes
+   */
+  collectAutoloadEntries(project) {
+    const entries = new Map();
+    for (const class_ of project.autoloads) {
+      entries.set(class_.filePath, {
+        name: class_.singletonName || class_.name.toString(),
+        path: class_.filePath,
+        singleton: class_.singletonName !== null
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Collect the global names declared by parsed classes: class_name declarations and singleton autoloads
+   * @returns {Map<string, string>} Global name to class name
+   */
+  collectSymbols(classes) {
+    const symbols = new Map();
+    for (const class_ of classes) {
+      if (class_.globalClass) {
+        symbols.set(class_.name.toString(), class_.name.toString());
+      }
+      if (class_.singletonName) {
+        symbols.set(class_.singletonName, class_.name.toString());
+      }
+    }
+    return symbols;
+  }
+
+  /**
+   * Reuse the model cached under a key, or parse and cache it
+   * Files that failed to parse are not cached, so they are retried on the next run
+   * @param {AnalysisCache} cache - Cache of parsed models
+   * @param {string} key - Key covering every input of the parse
+   * @param {Function} parse - Parses the file into {classes, scenes}, or a promise of them
+   */
+  async parseCached(cache, key, parse) {
+    const cached = await cache.loadModel(key);
+    if (cached) return cached;
+
+    const model = await parse();
+    if (model.classes.length > 0 || model.scenes.length > 0) {
+      await cache.storeModel(key, model);
+    }
+    return model;
+  }
+
+  /**
+   * Detect the GDScript dialect from config_version and application/config/features
+   * @param {Object|null} settings - Parsed project.godot
+   */
+  detectDialect(settings) {
+    if (!settings) return GodotDialect.detect();
+
+    const configVersion = settings.sections['']?.config_version;
+    const features = settings.sections.application?.['config/features'];
+    return GodotDialect.detect(typeof configVersion === 'number' ? configVersion : null, Array.isArray(features) ? features : []);
+  }
+
+  /**
+   * Load and parse project.godot from the project root
+   * @returns {Promise<Object|null>} Parsed settings, or null if the file does not exist
+   */
+  async loadProjectSettings(projectRoot) {
+    try {
+      const content = await fs.readFile(path.join(projectRoot, 'project.godot'), 'utf-8');
+      return this.settingsParser.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Build the table of globally visible names used to resolve call receivers
+   * Maps class_name declarations to themselves and singleton names to their script's class
+   * @param {Map<string, string>} sources - File paths to script content
+   * @param {Map<string, Object>} autoloadEntries - File paths to autoload entries
+   * @returns {Map<string, string>} Global name to class name
+   */
+  buildSymbolTable(sources, autoloadEntries) {
+    const symbols = new Map();
+
+    for (const [filePath, content] of sources) {
+      const declaredName = this.scanClassName(content);
+      if (declaredName) {
+        symbols.set(declaredName, declaredName);
+      }
 
-    return new GDScriptProject(classes, scenes, autoloads, [], projectName);
+      const autoloadEntry = autoloadEntries.get(filePath);
+      if (autoloadEntry?.singleton) {
+        symbols.set(autoloadEntry.name, declaredName || this.deriveClassName(filePath));
+      }
+    }
+
+    return symbols;
   }
 
   /**
-   * Find all .gd files in directory recursively
+   * Find the class_name declared by a script without a full parse
    */
-  async findGDScriptFiles(directoryPath) {
+  scanClassName(content) {
+    const match = content.match(/^class_name\s+([A-Za-z_]\w*)/m);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Derive the class name of a script without class_name from its filename
+   */
+  deriveClassName(filePath) {
+    const fileName = path.basename(filePath, '.gd');
+    return fileName.charAt(0).toUpperCase() + fileName.slice(1);
+  }
+
+  /**
+   * Map absolute file paths to their autoload entries
+   */
+  resolveAutoloads(projectRoot, settings) {
+    const entries = new Map();
+    if (!settings) return entries;
+
+    for (const autoload of settings.autoloads) {
+      const filePath = this.settingsParser.resolveResourcePath(projectRoot, autoload.path);
+      if (filePath) {
+        entries.set(filePath, autoload);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Create a scene entity for an autoloaded scene
+   */
+  createAutoloadScene(filePath, autoloadEntry) {
+    return new Scene(path.basename(filePath, path.extname(filePath)), null, new Set(), null, {
+      filePath,
+      autoload: true,
+      singletonName: autoloadEntry.singleton ? autoloadEntry.name : null
+    });
+  }
+
+  /**
+   * Load the rules of the .smellignore file at the project root
+   * @param {string|null} projectRoot - Project directory; in-memory files without one resolve against the virtual root
+   * @param {Map<string, string>|Object|null} sources - In-memory files to read the .smellignore from instead of the disk
+   * @returns {Promise<IgnoreRule[]>} Rules in file order, or none if the file does not exist
+   */
+  async loadIgnoreRules(projectRoot, sources = null) {
+    if (sources) {
+      const root = path.resolve(projectRoot ?? VIRTUAL_PROJECT_ROOT);
+      const content = this.resolveSources(sources, root).get(path.join(root, '.smellignore'));
+      return content !== undefined ? this.ignoreFileParser.parse(content, '.smellignore') : [];
+    }
+
+    try {
+      const content = await fs.readFile(path.join(path.resolve(projectRoot), '.smellignore'), 'utf-8');
+      return this.ignoreFileParser.parse(content, '.smellignore');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Find all files with one of the given extensions in directory recursively
+   * Excluded directories are not descended into; entries are visited in name order,
+   * so files are analyzed in the same order on every file system
+   * @param {string} directoryPath - Project root; filter rules match paths relative to it
+   * @param {string[]} extensions - File extensions to collect
+   * @param {FileFilter} fileFilter - Which files and directories to skip
+   * @param {Array} exclusions - Receives {path, directory, rule, reason} for each skipped entry
+   */
+  async findProjectFiles(directoryPath, extensions, fileFilter = FileFilter.defaults(), exclusions = []) {
     const files = [];
+    const toRelative = fullPath => path.relative(directoryPath, fullPath).split(path.sep).join('/');
 
     async function scanDirectory(dirPath) {
       const entries = await fs.readdir(dirPath, { withFileTypes: true });
+      entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
 
       for (const entry of entries) {
         const fullPath = path.join(dirPath, entry.name);
+        const relativePath = toRelative(fullPath);
 
-        if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'addons') {
-          await scanDirectory(fullPath);
-        } else if (entry.isFile() && entry.name.endsWith('.gd')) {
-          files.push(fullPath);
+        if (entry.isDirectory()) {
+          const decision = fileFilter.checkDirectory(relativePath);
+          if (decision.excluded) {
+            exclusions.push({ path: `${relativePath}/`, directory: true, rule: decision.rule, reason: 'excluded' });
+          } else {
+            await scanDirectory(fullPath);
+          }
+        } else if (entry.isFile() && extensions.includes(path.extname(entry.name))) {
+          const decision = fileFilter.checkFile(relativePath);
+          if (decision.excluded) {
+            exclusions.push({ path: relativePath, directory: false, rule: decision.rule, reason: decision.reason });
+          } else {
+            files.push(fullPath);
+          }
         }
       }
     }
@@ -78,228 +534,756 @@ export class GDScriptProjectRepository {
     return files;
   }
 
+  /**
+   * Parse a single text scene or resource file
+   * @param {string} filePath - Path to the file
+   * @param {string} content - File content
+   * @param {string} projectRoot - Directory used to resolve res:// paths
+   * @param {Object|null} autoloadEntry - Autoload registration for this file, if any
+   * @returns {{classes: Class[], scenes: Scene[], diagnostics: ParseDiagnostic[]}} Parsed model
+   */
+  parseSceneFile(filePath, content, projectRoot, autoloadEntry = null) {
+    try {
+      const scene = this.sceneParser.parse(content, filePath, projectRoot, {
+        autoload: autoloadEntry !== null,
+        singletonName: autoloadEntry?.singleton ? autoloadEntry.name : null
+      });
+      return { classes: [], scenes: scene ? [scene] : [], diagnostics: [] };
+    } catch (error) {
+      return { classes: [], scenes: [], diagnostics: [this.createFailureDiagnostic(filePath, error)] };
+    }
+  }
+
   /**
    * Parse a single GDScript file
+   * @param {string} filePath - Path to the file
+   * @param {string} content - File content
+   * @param {Object|null} autoloadEntry - Autoload registration for this file, if any
+   * @param {Map<string, string>} symbols - Global names used to resolve call receivers
+   * @param {GodotDialect} dialect - Dialect the file is written in
+   * @param {QueryRule[]} rules - Query rules whose matches are kept on the classes
+   * @returns {{classes: Class[], scenes: Scene[], diagnostics: ParseDiagnostic[]}} Parsed model;
+   *   syntax errors leave a partial model, other failures an empty one
    */
-  parseFile(filePath, content) {
+  parseFile(filePath, content, autoloadEntry = null, symbols = new Map(), dialect = GodotDialect.from(4), rules = []) {
     try {
       const tree = this.parser.parse(content);
       const classes = [];
       const scenes = [];
+      const diagnostics = this.collectDiagnostics(tree.rootNode, filePath, content);
+      const ruleMatches = this.ruleMatcher.match(tree.rootNode, rules, filePath);
 
       // For GDScript, each file is typically one class
       // Look for extends statement to identify the main class
-      const class_ = this.parseAsClass(tree.rootNode, filePath);
+      const class_ = this.parseAsClass(tree.rootNode, filePath, autoloadEntry, symbols, dialect, ruleMatches);
       if (class_) {
         classes.push(class_);
+        classes.push(...this.parseInnerClasses(tree.rootNode.children, class_.name.toString(), filePath, symbols, dialect, ruleMatches));
       }
 
-      return { classes, scenes };
+      return { classes, scenes, diagnostics };
     } catch (error) {
-      console.warn(`Warning: Failed to parse ${filePath}: ${error.message}`);
       // Return empty result for this file
-      return { classes: [], scenes: [] };
+      return { classes: [], scenes: [], diagnostics: [this.createFailureDiagnostic(filePath, error)] };
     }
   }
 
   /**
-   * Parse entire file as a GDScript class
+   * Collect a diagnostic for each syntax error in a tree
+   * An ERROR node is reported only when no ERROR node nested in it is more precise;
+   * MISSING nodes are tokens tree-sitter inserted to recover, such as a closing parenthesis
+   * @returns {ParseDiagnostic[]} Diagnostics in source order
    */
-  parseAsClass(rootNode, filePath) {
-    // Extract class name from filename
-    const fileName = path.basename(filePath, '.gd');
-    let className = fileName.charAt(0).toUpperCase() + fileName.slice(1);
+  collectDiagnostics(rootNode, filePath, content) {
+    const diagnostics = [];
+    const lines = content.split(/\r?\n/);
 
-    let parentName = null;
-    const fields = new Set();
-    const methods = new Set();
-    const exportedVars = new Set();
+    const visit = node => {
+      if (node.isMissing) {
+        diagnostics.push(this.createSyntaxDiagnostic(node, filePath, lines, 'missing', `Syntax error: missing '${node.type}'`));
+        return;
+      }
+      if (!node.hasError) return;
+
+      // descendantsOfType includes the node itself
+      if (node.type === 'ERROR' && node.descendantsOfType('ERROR').length === 1) {
+        const unexpected = node.text.split('\n')[0].trim();
+        diagnostics.push(this.createSyntaxDiagnostic(node, filePath, lines, 'error',
+          unexpected ? `Syntax error: unexpected '${this.truncate(unexpected)}'` : 'Syntax error'));
+      }
+      node.children.forEach(visit);
+    };
+
+    visit(rootNode);
+    return diagnostics;
+  }
+
+  /**
+   * Create a diagnostic for an ERROR or MISSING node, quoting the line it starts on
+   */
+  createSyntaxDiagnostic(node, filePath, lines, kind, message) {
+    const snippet = this.truncate((lines[node.startPosition.row] || '').trimEnd());
+    return new ParseDiagnostic(filePath, this.createRange(node, filePath), snippet, { kind, message });
+  }
 
-    // Walk through all top-level nodes
+  /**
+   * Create a diagnostic for a file that could not be parsed into any model
+   */
+  createFailureDiagnostic(filePath, error) {
+    return new ParseDiagnostic(filePath, null, '', { kind: 'failure', message: `Failed to parse: ${error.message}` });
+  }
+
+  /**
+   * Shorten text quoted in a diagnostic
+   */
+  truncate(text) {
+    return text.length > MAX_SNIPPET_LENGTH ? `${text.slice(0, MAX_SNIPPET_LENGTH - 1)}…` : text;
+  }
+
+  /**
+   * Parse entire file as a GDScript class
+   * The class is named by its class_name statement, or after the file if it has none
+   * @param {Map<number|null, RuleMatch[]>} ruleMatches - Query rule matches by the class_definition they are in, null for the script class
+   */
+  parseAsClass(rootNode, filePath, autoloadEntry = null, symbols = new Map(), dialect = GodotDialect.from(4), ruleMatches = new Map()) {
+    let className = null;
     for (const node of rootNode.children) {
-      if (node.type === 'extends_statement') {
-        parentName = this.extractInheritance(node);
-      } else if (node.type === 'variable_statement') {
-        const varInfo = this.parseVariableStatement(node);
-        if (varInfo) {
-          fields.add(varInfo.name);
-          if (varInfo.isExported) {
-            exportedVars.add(varInfo.name);
-          }
-        }
-      } else if (node.type === 'function_definition') {
-        const method = this.parseFunctionDefinition(node, filePath);
-        if (method) {
-          methods.add(method);
-        }
+      if (node.type === 'class_name_statement') {
+        className = this.extractClassName(node);
       }
     }
 
+    const globalClass = className !== null;
+    if (!globalClass) {
+      className = this.deriveClassName(filePath);
+    }
+
+    const scope = this.extendScope(symbols, rootNode.children, className);
+    const members = this.parseClassMembers(rootNode.children, filePath, className, scope, null, dialect);
+
     const identifier = Identifier.from(className);
-    const parent = parentName ? Identifier.from(parentName) : null;
+    const parent = members.parentName ? Identifier.from(members.parentName) : null;
+
+    return new Class(identifier, members.fields, members.methods, parent, members.exportedVars, autoloadEntry !== null, filePath, {
+      singletonName: autoloadEntry?.singleton ? autoloadEntry.name : null,
+      globalClass,
+      signals: members.signals,
+      fieldDeclarations: members.fieldDeclarations,
+      range: this.createRange(rootNode, filePath),
+      tool: members.tool,
+      annotations: members.annotations,
+      constants: members.constants,
+      enums: members.enums,
+      docComment: members.docComment,
+      comments: members.comments,
+      ruleMatches: ruleMatches.get(null) || [],
+      contentHash: this.contentHasher.hash(rootNode)
+    });
+  }
+
+  /**
+   * Parse inner class definitions, recursing into nested ones
+   * @param {Array} nodes - Body nodes of the enclosing class
+   * @param {string} outerName - Qualified name of the enclosing class
+   * @param {string} filePath - Path to the source file
+   * @param {Map<string, string>} scope - Names visible from the enclosing class
+   * @param {GodotDialect} dialect - Dialect the file is written in
+   * @param {Map<number|null, RuleMatch[]>} ruleMatches - Query rule matches by the class_definition they are in
+   * @returns {Class[]} Inner classes named Outer.Inner
+   */
+  parseInnerClasses(nodes, outerName, filePath, scope = new Map(), dialect = GodotDialect.from(4), ruleMatches = new Map()) {
+    const definitions = nodes.filter(node => node.type === 'class_definition');
+
+    // Sibling inner classes may extend each other by their short name
+    const innerScope = this.extendScope(scope, nodes, outerName);
+
+    const classes = [];
+    for (const definition of definitions) {
+      const class_ = this.parseClassDefinition(definition, filePath, outerName, innerScope, dialect, ruleMatches);
+      if (!class_) continue;
+
+      classes.push(class_);
+
+      const body = definition.children.find(child => child.type === 'class_body');
+      if (body) {
+        classes.push(...this.parseInnerClasses(body.children, class_.name.toString(), filePath, innerScope, dialect, ruleMatches));
+      }
+    }
 
-    return new Class(identifier, fields, methods, parent, exportedVars, false, filePath);
+    return classes;
   }
 
   /**
-   * Parse class definition from syntax tree (for future use)
+   * Parse an inner class definition from syntax tree
+   * @param {Object} node - class_definition node
+   * @param {string} filePath - Path to the source file
+   * @param {string|null} outerName - Qualified name of the enclosing class
+   * @param {Map<string, string>} scope - Names used to qualify the parent and resolve references
+   * @param {GodotDialect} dialect - Dialect the file is written in
+   * @param {Map<number|null, RuleMatch[]>} ruleMatches - Query rule matches by the class_definition they are in
    */
-  parseClassDefinition(node, filePath) {
-    let className = 'AnonymousClass';
+  parseClassDefinition(node, filePath, outerName = null, scope = new Map(), dialect = GodotDialect.from(4), ruleMatches = new Map()) {
+    const className = this.extractClassName(node);
+    if (!className) return null;
+
     let parentName = null;
+    let bodyNodes = [];
+
+    for (const child of node.children) {
+      if (child.type === 'extends_statement') {
+        parentName = this.extractInheritance(child);
+      } else if (child.type === 'class_body') {
+        bodyNodes = child.children;
+      }
+    }
+
+    const qualifiedName = outerName ? `${outerName}.${className}` : className;
+    const bodyScope = this.extendScope(scope, bodyNodes, qualifiedName);
+    const members = this.parseClassMembers(bodyNodes, filePath, qualifiedName, bodyScope, parentName, dialect);
+    parentName = members.parentName;
+    if (parentName && scope.has(parentName)) {
+      parentName = scope.get(parentName);
+    }
+
+    const identifier = Identifier.from(qualifiedName);
+    const parent = parentName ? Identifier.from(parentName) : null;
+
+    return new Class(identifier, members.fields, members.methods, parent, members.exportedVars, false, filePath, {
+      outerClass: outerName,
+      signals: members.signals,
+      fieldDeclarations: members.fieldDeclarations,
+      range: this.createRange(node, filePath),
+      annotations: members.annotations,
+      constants: members.constants,
+      enums: members.enums,
+      docComment: this.commentExtractor.extractDocComment(node, filePath) || members.docComment,
+      comments: members.comments,
+      ruleMatches: ruleMatches.get(node.startIndex) || [],
+      contentHash: this.contentHasher.hash(node)
+    });
+  }
+
+  /**
+   * Add the inner classes declared among the given nodes to a name scope
+   */
+  extendScope(scope, nodes, outerName) {
+    const extended = new Map(scope);
+
+    for (const node of nodes) {
+      if (node.type === 'class_definition') {
+        const name = this.extractClassName(node);
+        if (name) {
+          extended.set(name, `${outerName}.${name}`);
+        }
+      }
+    }
+
+    return extended;
+  }
+
+  /**
+   * Collect inheritance, fields, constants, enums, signals, methods and comments from the statements of a class body
+   * Inner class definitions are skipped; they become classes of their own.
+   * Annotations on lines of their own modify the next declaration, except script-level and
+   * inspector layout ones, which are kept on the class; so do `##` doc comments directly above it
+   * @param {Array} nodes - Statements of the class body
+   * @param {string} filePath - Path to the source file
+   * @param {string} className - Qualified name of the class
+   * @param {Map<string, string>} symbols - Names used to resolve call receivers
+   * @param {string|null} parentName - Parent declared outside the body
+   * @param {GodotDialect} dialect - Dialect the file is written in
+   */
+  parseClassMembers(nodes, filePath, className, symbols = new Map(), parentName = null, dialect = GodotDialect.from(4)) {
     const fields = new Set();
+    const fieldTypes = new Map();
+    const fieldDeclarations = new Map();
     const methods = new Set();
     const exportedVars = new Set();
+    const signals = [];
+    const variables = [];
+    const functions = [];
+    const constants = new Map();
+    const enums = [];
+    const classAnnotations = [];
+    let tool = false;
+    let pendingAnnotations = [];
+    const { docComments, docComment, comments } = this.commentExtractor.extractClassComments(nodes, filePath);
 
-    // Extract class name and inheritance
-    for (const child of node.children) {
-      if (child.type === 'class_name') {
-        className = this.extractText(child);
-      } else if (child.type === 'extends_statement') {
-        parentName = this.extractInheritance(child);
-      } else if (child.type === 'variable_statement') {
-        const varInfo = this.parseVariableStatement(child);
+    for (const node of nodes) {
+      if (node.type === 'annotation') {
+        const annotation = this.parseAnnotation(node, filePath);
+        if (annotation.isStandalone()) {
+          classAnnotations.push(annotation);
+        } else {
+          pendingAnnotations.push(annotation);
+        }
+        continue;
+      }
+
+      const annotations = pendingAnnotations;
+      pendingAnnotations = [];
+
+      if (node.type === 'extends_statement') {
+        parentName = this.extractInheritance(node);
+      } else if (node.type === 'class_name_statement') {
+        // Godot 4 allows `class_name Foo extends Bar` on a single line
+        const extendsNode = node.children.find(child => child.type === 'extends_statement');
+        if (extendsNode) {
+          parentName = this.extractInheritance(extendsNode);
+        }
+      } else if (VARIABLE_STATEMENTS.has(node.type)) {
+        const varInfo = this.parseVariableStatement(node, dialect, [...annotations, ...this.parseAnnotations(node, filePath)]);
         if (varInfo) {
           fields.add(varInfo.name);
+          fieldTypes.set(varInfo.name.toString(), varInfo.resolvedType);
+          variables.push({ varInfo, node });
           if (varInfo.isExported) {
             exportedVars.add(varInfo.name);
           }
         }
-      } else if (child.type === 'function_definition') {
-        const method = this.parseFunctionDefinition(child, filePath);
-        if (method) {
-          methods.add(method);
+      } else if (node.type === 'const_statement') {
+        const constant = this.parseConstStatement(node, filePath, docComments.get(node.startIndex));
+        if (constant) {
+          constants.set(constant.name.toString(), constant);
+        }
+      } else if (node.type === 'enum_definition') {
+        enums.push(this.parseEnumDefinition(node, filePath, docComments.get(node.startIndex)));
+      } else if (node.type === 'signal_statement') {
+        const signal = this.parseSignalStatement(node, className, filePath, docComments.get(node.startIndex));
+        if (signal) {
+          signals.push(signal);
         }
+      } else if (node.type === 'function_definition') {
+        functions.push({ node, annotations, docComment: docComments.get(node.startIndex) });
+      } else if (dialect.isGodot3() && node.type === 'expression_statement' && node.text.trim() === 'tool') {
+        // Godot 3 declares editor scripts with a bare `tool` keyword
+        tool = true;
       }
     }
 
-    const identifier = Identifier.from(className);
-    const parent = parentName ? Identifier.from(parentName) : null;
+    // Methods and inline accessors are parsed once all fields and signals are known, since they may be declared after them
+    const signalNames = new Set(signals.map(signal => signal.name.toString()));
+    const classScope = { className, parentName, fields: fieldTypes, symbols, signals: signalNames, dialect };
+    for (const { varInfo, node } of variables) {
+      const name = varInfo.name.toString();
+      fieldDeclarations.set(name, Field.from(varInfo.name, varInfo.type, varInfo.isExported, this.createRange(node, filePath), {
+        inferred: varInfo.inferred,
+        exportHint: varInfo.exportHint,
+        onready: varInfo.isOnready,
+        setter: varInfo.setter,
+        getter: varInfo.getter,
+        setterBody: varInfo.setterNode ? this.parseFunctionDefinition(varInfo.setterNode, filePath, classScope, { name: `${name}.set` }) : null,
+        getterBody: varInfo.getterNode ? this.parseFunctionDefinition(varInfo.getterNode, filePath, classScope, { name: `${name}.get` }) : null,
+        static: varInfo.isStatic,
+        annotations: varInfo.annotations,
+        rpcMode: varInfo.rpcMode,
+        docComment: docComments.get(node.startIndex)
+      }));
+    }
+
+    for (const { node, annotations, docComment } of functions) {
+      const method = this.parseFunctionDefinition(node, filePath, classScope, { annotations, docComment });
+      if (method) {
+        methods.add(method);
+      }
+    }
+
+    tool = tool || classAnnotations.some(annotation => annotation.name === 'tool');
+
+    return {
+      parentName, fields, fieldDeclarations, methods, exportedVars, signals,
+      constants, enums, tool, annotations: classAnnotations, docComment, comments
+    };
+  }
+
+  /**
+   * Parse an annotation such as `@export_range(0, 100)`
+   * @param {Object} node - annotation node
+   */
+  parseAnnotation(node, filePath) {
+    const nameNode = node.namedChildren.find(child => child.type === 'identifier');
+    const argumentsNode = node.namedChildren.find(child => child.type === 'arguments');
+    const args = argumentsNode ? argumentsNode.namedChildren.map(argument => this.extractText(argument)) : [];
+
+    return Annotation.from(nameNode ? this.extractText(nameNode) : node.text.replace(/^@/, ''), args, this.createRange(node, filePath));
+  }
+
+  /**
+   * Parse the annotations written on the same line as a declaration
+   */
+  parseAnnotations(node, filePath) {
+    const annotationsNode = node.children.find(child => child.type === 'annotations');
+    return annotationsNode ? annotationsNode.namedChildren.map(annotation => this.parseAnnotation(annotation, filePath)) : [];
+  }
+
+  /**
+   * Read the network mode of a declaration: the @rpc mode, or the Godot 3 `remote`/`master`/`puppet` keyword
+   * @returns {string|null} Null when the member cannot be called remotely
+   */
+  parseRpcMode(node, annotations) {
+    const rpc = annotations.find(annotation => annotation.name === 'rpc');
+    if (rpc) {
+      const modes = rpc.arguments.map((argument, i) => rpc.getArgumentValue(i));
+      return modes.find(mode => mode === 'authority' || mode === 'any_peer') || 'authority';
+    }
+
+    const keyword = node.children.find(child => child.type === 'remote_keyword');
+    return keyword ? this.extractText(keyword) : null;
+  }
+
+  /**
+   * Parse a constant declaration such as `const MAX := 10`
+   * @param {Object} node - const_statement node
+   * @param {Comment|null} docComment - `##` comment above the declaration
+   */
+  parseConstStatement(node, filePath, docComment = null) {
+    const nameNode = node.children.find(child => child.type === 'name');
+    if (!nameNode) return null;
 
-    return new Class(identifier, fields, methods, parent, exportedVars, false, filePath);
+    const valueNode = node.namedChildren.find(child => !['name', 'type', 'inferred_type'].includes(child.type)) || null;
+    const annotation = this.parseTypeAnnotation(node, valueNode);
+
+    return Constant.from(this.extractText(nameNode), annotation.type, valueNode ? this.extractText(valueNode) : null,
+      this.createRange(node, filePath), { inferred: annotation.inferred, docComment });
+  }
+
+  /**
+   * Parse a named or unnamed enum with its members and explicit values
+   * @param {Object} node - enum_definition node
+   * @param {Comment|null} docComment - `##` comment above the declaration
+   */
+  parseEnumDefinition(node, filePath, docComment = null) {
+    const nameNode = node.children.find(child => child.type === 'name');
+    const listNode = node.children.find(child => child.type === 'enumerator_list');
+    const members = (listNode ? listNode.namedChildren : [])
+      .filter(child => child.type === 'enumerator')
+      .map(enumerator => ({
+        name: this.extractText(enumerator.namedChildren[0]),
+        value: enumerator.namedChildren[1] ? this.extractText(enumerator.namedChildren[1]) : null
+      }));
+
+    return Enum.from(nameNode ? this.extractText(nameNode) : null, members, this.createRange(node, filePath), { docComment });
+  }
+
+  /**
+   * Parse a lambda written in a method body
+   * @param {Object} node - lambda node
+   */
+  parseLambda(node, filePath) {
+    const nameNode = node.children.find(child => child.type === 'name');
+    const parametersNode = node.children.find(child => child.type === 'parameters');
+    const returnTypeNode = node.childForFieldName('return_type');
+
+    return Lambda.from(
+      nameNode ? this.extractText(nameNode) : null,
+      parametersNode ? this.parseParameters(parametersNode) : [],
+      returnTypeNode ? this.extractText(returnTypeNode) : null,
+      this.createRange(node, filePath)
+    );
+  }
+
+  /**
+   * Parse a signal declaration such as `signal hit(amount: int)`
+   * @param {Object} node - signal_statement node
+   * @param {string} owner - Qualified name of the declaring class
+   * @param {string} filePath - Path to the source file
+   * @param {Comment|null} docComment - `##` comment above the declaration
+   */
+  parseSignalStatement(node, owner, filePath, docComment = null) {
+    const nameNode = node.childForFieldName('name');
+    if (!nameNode) return null;
+
+    const parametersNode = node.childForFieldName('parameters');
+    const parameters = parametersNode ? this.parseParameters(parametersNode) : [];
+
+    return Signal.from(this.extractText(nameNode), owner, parameters, filePath, { docComment });
+  }
+
+  /**
+   * Extract the declared name of a class_name statement or class definition
+   */
+  extractClassName(node) {
+    const nameNode = node.children.find(child => child.type === 'name');
+    return nameNode ? this.extractText(nameNode) : null;
   }
 
   /**
    * Parse function definition
+   * @param {Object} node - function_definition node, or the set_body/get_body of a property accessor
+   * @param {string} filePath - Path to the source file
+   * @param {Object|null} classScope - Owning class scope used to resolve references
+   * @param {Object} options - Parse options
+   * @param {string|null} options.name - Name for accessor bodies, which have none of their own
+   * @param {Annotation[]} options.annotations - Annotations on the lines before the function
+   * @param {Comment|null} options.docComment - `##` comment above the function
    */
-  parseFunctionDefinition(node, filePath) {
-    let methodName = '';
+  parseFunctionDefinition(node, filePath, classScope = null, options = {}) {
+    let methodName = options.name || '';
     const parameters = [];
-    const lines = [];
+    const statements = [];
+    let parameterTypes = new Map();
+    let bodyNode = null;
 
     for (const child of node.children) {
       if (child.type === 'name') {
         methodName = this.extractText(child);
       } else if (child.type === 'parameters') {
-        // Parse parameters
-        for (const paramNode of child.children) {
-          if (paramNode.type === 'typed_parameter') {
-            const param = this.parseParameter(paramNode);
-            if (param) {
-              parameters.push(param);
-            }
-          }
-        }
+        parameterTypes = this.collectParameterTypes(child);
+        parameters.push(...this.parseParameters(child));
       } else if (child.type === 'body') {
-        // Extract code lines
-        lines.push(...this.extractBodyLines(child));
+        bodyNode = child;
+        // Build the statement model
+        statements.push(...this.statementParser.parse(child, filePath, 0, classScope?.dialect));
       }
     }
 
     if (!methodName) return null;
 
     const identifier = Identifier.from(methodName);
-    const codeLines = lines.map((line, index) => CodeLine.from(line, index + 1));
+    const lines = statements.flatMap(statement => statement.toCodeLines());
+    const returnTypeNode = node.childForFieldName('return_type');
+
+    const annotations = [...(options.annotations || []), ...this.parseAnnotations(node, filePath)];
+
+    // Build call graph and field-access graph
+    const references = bodyNode && classScope
+      ? this.referenceExtractor.extract(bodyNode, { ...classScope, methodName, parameters: parameterTypes })
+      : { calls: [], accessedFields: [], emittedSignals: [], signalConnections: [] };
 
-    return new Method(identifier, parameters, codeLines, new Set(), new Set());
+    return new Method(identifier, parameters, lines, references.calls, references.accessedFields, {
+      emittedSignals: references.emittedSignals,
+      signalConnections: references.signalConnections,
+      range: this.createRange(node, filePath),
+      statements,
+      returnType: returnTypeNode ? this.extractText(returnTypeNode) : null,
+      static: node.children.some(child => child.type === 'static_keyword'),
+      annotations,
+      rpcMode: this.parseRpcMode(node, annotations),
+      lambdas: bodyNode ? bodyNode.descendantsOfType('lambda').map(lambda => this.parseLambda(lambda, filePath)) : [],
+      docComment: options.docComment || null,
+      comments: this.commentExtractor.extractBodyComments(node, filePath),
+      contentHash: this.contentHasher.hash(node)
+    });
+  }
+
+  /**
+   * Collect parameter names with their declared types for reference resolution
+   */
+  collectParameterTypes(parametersNode) {
+    const types = new Map();
+
+    for (const paramNode of parametersNode.namedChildren) {
+      if (paramNode.type === 'identifier') {
+        types.set(this.extractText(paramNode), null);
+      } else {
+        const nameNode = paramNode.namedChildren.find(child => child.type === 'identifier' || child.type === 'name');
+        const typeNode = paramNode.namedChildren.find(child => child.type === 'type');
+        if (nameNode) {
+          types.set(this.extractText(nameNode), typeNode ? this.extractText(typeNode) : null);
+        }
+      }
+    }
+
+    return types;
+  }
+
+  /**
+   * Parse every parameter of a parameter list
+   * @param {Object} parametersNode - parameters node of a function, signal or lambda
+   * @returns {Parameter[]}
+   */
+  parseParameters(parametersNode) {
+    return parametersNode.namedChildren
+      .map(paramNode => this.parseParameter(paramNode))
+      .filter(param => param !== null);
   }
 
   /**
    * Parse parameter
+   * Handles `x`, `x: int`, `x = 1`, `x: int = 1` and `x := 1`
    */
   parseParameter(node) {
-    let paramName = '';
-    let paramType = 'dynamic';
+    if (node.type === 'identifier') {
+      return Parameter.from(this.extractText(node));
+    }
 
-    for (const child of node.children) {
-      if (child.type === 'name') {
-        paramName = this.extractText(child);
-      } else if (child.type === 'type') {
-        paramType = this.extractText(child);
-      }
+    if (!['typed_parameter', 'default_parameter', 'typed_default_parameter'].includes(node.type)) {
+      return null;
     }
 
-    if (!paramName) return null;
+    const nameNode = node.namedChildren.find(child => child.type === 'identifier');
+    if (!nameNode) return null;
 
-    return Parameter.from(paramName, paramType);
+    const valueNode = node.namedChildren.find(child =>
+      child !== nameNode && child.type !== 'type' && child.type !== 'inferred_type'
+    );
+    const annotation = this.parseTypeAnnotation(node, valueNode);
+
+    return Parameter.from(
+      this.extractText(nameNode),
+      annotation.type || 'dynamic',
+      valueNode ? this.extractText(valueNode) : null,
+      { inferred: annotation.inferred }
+    );
+  }
+
+  /**
+   * Read the static type of a declaration: an explicit `: Type`, or the type inferred with `:=`
+   * @param {Object} node - Declaration node with an optional type or inferred_type child
+   * @param {Object|null} valueNode - Initializer used for `:=` inference
+   * @returns {{type: string|null, inferred: boolean}} Type is null when untyped or not inferable
+   */
+  parseTypeAnnotation(node, valueNode = null) {
+    const typeNode = node.namedChildren.find(child => child.type === 'type');
+    if (typeNode) {
+      return { type: this.extractText(typeNode), inferred: false };
+    }
+
+    if (node.namedChildren.some(child => child.type === 'inferred_type')) {
+      return { type: valueNode ? this.inferLiteralType(valueNode) : null, inferred: true };
+    }
+
+    return { type: null, inferred: false };
+  }
+
+  /**
+   * Infer the type of an initializer the way `:=` does, for literals and constructors
+   * @returns {string|null} Type name, or null when it depends on a call or expression
+   */
+  inferLiteralType(valueNode) {
+    switch (valueNode.type) {
+      case 'integer':
+        return 'int';
+      case 'float':
+        return 'float';
+      case 'string':
+        return 'String';
+      case 'string_name':
+        return 'StringName';
+      case 'node_path':
+        return 'NodePath';
+      case 'true':
+      case 'false':
+        return 'bool';
+      case 'array':
+        return 'Array';
+      case 'dictionary':
+        return 'Dictionary';
+      case 'unary_operator':
+        return valueNode.namedChildren[0] ? this.inferLiteralType(valueNode.namedChildren[0]) : null;
+      case 'call': {
+        // Built-in constructors such as Vector2(1, 2)
+        const callee = valueNode.namedChildren[0];
+        return callee?.type === 'identifier' && /^[A-Z]/.test(callee.text) ? callee.text : null;
+      }
+      default:
+        return this.referenceExtractor.inferConstructedType(valueNode);
+    }
   }
 
   /**
    * Parse variable statement
+   * Godot 3 marks variables with `export`/`onready` keywords and binds accessors with `setget`;
+   * Godot 4 uses `@export*`/`@onready` annotations and `set`/`get` property accessors
+   * @param {Object} node - variable_statement, export_variable_statement or onready_variable_statement
+   * @param {GodotDialect} dialect - Dialect the file is written in
+   * @param {Annotation[]} annotations - Annotations of the variable, on its own line or before it
    */
-  parseVariableStatement(node) {
+  parseVariableStatement(node, dialect = GodotDialect.from(4), annotations = []) {
     let varName = '';
-    let isExported = false;
+    let isExported = dialect.isGodot3() && node.type === 'export_variable_statement';
+    let isOnready = dialect.isGodot3() && node.type === 'onready_variable_statement';
+    let accessors = { setter: null, getter: null, setterNode: null, getterNode: null };
+
+    for (const annotation of annotations) {
+      if (dialect.isExportAnnotation(annotation.name)) {
+        isExported = true;
+      } else if (dialect.isOnreadyAnnotation(annotation.name)) {
+        isOnready = true;
+      }
+    }
 
     for (const child of node.children) {
-      if (child.type === 'annotations') {
-        // Check for @export annotation
-        for (const annotation of child.children) {
-          if (annotation.type === 'annotation' && this.extractText(annotation) === '@export') {
-            isExported = true;
-          }
-        }
-      } else if (child.type === 'name') {
+      if (child.type === 'name') {
         varName = this.extractText(child);
+      } else if (child.type === 'setget') {
+        accessors = this.parseAccessors(child, dialect);
       }
     }
 
     if (!varName) return null;
 
-    return { name: Identifier.from(varName), isExported };
+    const annotation = this.parseTypeAnnotation(node, node.childForFieldName('value'));
+
+    return {
+      name: Identifier.from(varName),
+      isExported,
+      isOnready,
+      isStatic: node.children.some(child => child.type === 'static_keyword'),
+      annotations,
+      rpcMode: this.parseRpcMode(node, annotations),
+      ...accessors,
+      type: annotation.type,
+      inferred: annotation.inferred,
+      exportHint: isExported ? this.parseExportHint(node) : null,
+      // Untyped `Type.new()` initializers still tell reference resolution what the field holds
+      resolvedType: annotation.type || this.referenceExtractor.inferType(node)
+    };
   }
 
   /**
-   * Extract inheritance information
+   * Read the type a Godot 3 `export(Type, ...)` hint gives a variable, such as int for `export(int, 0, 10)`
+   * @returns {string|null} Null without a hint, or for string enum hints such as `export("a", "b")`
    */
-  extractInheritance(node) {
-    for (const child of node.children) {
-      if (child.type === 'type') {
-        return this.extractText(child);
-      }
-    }
-    return null;
+  parseExportHint(node) {
+    const typeNode = node.childForFieldName('arguments')?.namedChildren[0];
+    return typeNode?.type === 'identifier' ? this.extractText(typeNode) : null;
   }
 
   /**
-   * Extract body lines from function body
+   * Parse the accessors bound to a variable
+   * Named accessors (`setget set_x, get_x` or `set = set_x, get = get_x`) give the method name;
+   * Godot 4 inline `set(value):` and `get:` blocks are reported as '<inline>', along with their nodes
+   * @returns {{setter: string|null, getter: string|null, setterNode: Object|null, getterNode: Object|null}}
    */
-  extractBodyLines(node) {
-    const lines = [];
+  parseAccessors(setgetNode, dialect) {
+    const accessors = { setter: null, getter: null, setterNode: null, getterNode: null };
+    const inlineAllowed = dialect.usesPropertyAccessors();
 
-    this.walkTree(node, (childNode) => {
-      if (childNode.type === 'expression_statement' ||
-          childNode.type === 'assignment' ||
-          childNode.type === 'call' ||
-          childNode.type === 'return_statement' ||
-          childNode.type === 'if_statement' ||
-          childNode.type === 'for_statement' ||
-          childNode.type === 'while_statement') {
-        lines.push(this.extractText(childNode));
+    for (const child of setgetNode.namedChildren) {
+      if (child.type === 'setter') {
+        accessors.setter = this.extractText(child);
+      } else if (child.type === 'getter') {
+        accessors.getter = this.extractText(child);
+      } else if (child.type === 'set_body' && inlineAllowed) {
+        accessors.setter = '<inline>';
+        accessors.setterNode = child;
+      } else if (child.type === 'get_body' && inlineAllowed) {
+        accessors.getter = '<inline>';
+        accessors.getterNode = child;
       }
-    });
+    }
 
-    return lines;
+    return accessors;
   }
 
   /**
-   * Walk syntax tree and execute callback on each node
+   * Extract inheritance information
    */
-  walkTree(node, callback) {
-    callback(node);
+  extractInheritance(node) {
     for (const child of node.children) {
-      this.walkTree(child, callback);
+      if (child.type === 'type') {
+        return this.extractText(child);
+      }
     }
+    return null;
+  }
+
+  /**
+   * Create a source range from a syntax node's position
+   */
+  createRange(node, filePath) {
+    return SourceRange.fromPoints(filePath, node.startPosition, node.endPosition);
   }
 
   /**
@@ -0,0 +1,153 @@
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { ChangeSet } from '../../domain/value_objects/ChangeSet.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Largest git output read, in bytes; diffs of whole projects can be large
+ */
+const MAX_OUTPUT = 256 * 1024 * 1024;
+
+/**
+ * Hunk header of a zero-context diff; only the line range on the new side is used
+ */
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Repository reading changed scripts from the local git repository
+ * Infrastructure layer adapter for the git command line. Paths are relative to the project
+ * directory, which may be anywhere inside the repository
+ */
+export class GitRepository {
+  /**
+   * Find the scripts changed since a ref, with their changed lines
+   * The diff is taken against the source the scripts are read from: the working tree, the index,
+   * or the HEAD commit. Untracked scripts count as new in the working tree
+   * @param {string} projectPath - Project directory inside a git repository
+   * @param {Object} options - Change options
+   * @param {string} options.since - Git ref to compare against
+   * @param {string} options.source - worktree, index or commit
+   * @returns {Promise<{changes: ChangeSet, sources: Map<string, string>}>} Changed lines, and the
+   *   content of scripts that differ between the source and the working tree; empty for the working tree
+   */
+  async getChanges(projectPath, options = {}) {
+    const directory = path.resolve(projectPath);
+    const since = options.since || 'HEAD';
+    const source = options.source || 'worktree';
+
+    await this.checkRepository(directory);
+    await this.checkRef(directory, since);
+
+    const diffArgs = source === 'index' ? ['--cached', since] : source === 'commit' ? [since, 'HEAD'] : [since];
+    const diff = await this.git(directory, ['diff', '--no-color', '--no-ext-diff', '--no-prefix', '--relative',
+      '--unified=0', '-M', ...diffArgs, '--', '.']);
+    const files = this.parseDiff(diff, directory);
+
+    if (source === 'worktree') {
+      const untracked = await this.git(directory, ['ls-files', '-z', '--others', '--exclude-standard', '--', '.']);
+      for (const relativePath of untracked.split('\0').filter(GitRepository.isScript)) {
+        files.push({ path: path.join(directory, relativePath), hunks: null });
+      }
+    }
+
+    const changes = ChangeSet.from(files, { since, source });
+    const sources = source === 'worktree' ? new Map() : await this.readSources(directory, source, files);
+    return { changes, sources };
+  }
+
+  /**
+   * Read the scripts of the index or the HEAD commit that differ from the working tree
+   * Changed scripts are always read, so the analyzed model matches the diff
+   */
+  async readSources(directory, source, files) {
+    const differing = await this.git(directory, ['diff', '--name-only', '-z', '--relative',
+      ...(source === 'commit' ? ['HEAD'] : []), '--', '.']);
+    const relativePaths = new Set([
+      ...files.map(file => path.relative(directory, file.path).split(path.sep).join('/')),
+      ...differing.split('\0').filter(GitRepository.isScript)
+    ]);
+
+    const sources = new Map();
+    for (const relativePath of relativePaths) {
+      const spec = `${source === 'commit' ? 'HEAD' : ''}:./${relativePath}`;
+      try {
+        sources.set(path.join(directory, relativePath), await this.git(directory, ['show', spec]));
+      } catch {
+        // Deleted from the index or the commit; the copy on disk is analyzed instead
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Collect the changed scripts and the new-side line ranges of their hunks
+   * A hunk that only deletes lines marks the line before the deletion
+   * @returns {Array<{path: string, hunks: Array<{startLine: number, endLine: number}>}>}
+   */
+  parseDiff(diff, directory) {
+    const files = [];
+    let current = null;
+
+    for (const line of diff.split('\n')) {
+      if (line.startsWith('+++ ')) {
+        const target = line.slice(4).replace(/\t.*$/, '');
+        current = target !== '/dev/null' && GitRepository.isScript(target)
+          ? { path: path.join(directory, target), hunks: [] }
+          : null;
+        if (current) files.push(current);
+        continue;
+      }
+
+      const hunk = current && HUNK_HEADER.exec(line);
+      if (hunk) {
+        const start = Math.max(Number(hunk[1]), 1);
+        const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+        current.hunks.push({ startLine: start, endLine: start + Math.max(count, 1) - 1 });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Fail unless the directory is inside a git work tree
+   */
+  async checkRepository(directory) {
+    try {
+      await this.git(directory, ['rev-parse', '--is-inside-work-tree']);
+    } catch {
+      throw new Error(`Not a git repository: ${directory}`);
+    }
+  }
+
+  /**
+   * Fail unless a ref names a commit
+   */
+  async checkRef(directory, ref) {
+    try {
+      await this.git(directory, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    } catch {
+      throw new Error(`Unknown git ref: ${ref}`);
+    }
+  }
+
+  /**
+   * Run git in a directory and return its standard output
+   */
+  async git(directory, args) {
+    const { stdout } = await execFileAsync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd: directory,
+      maxBuffer: MAX_OUTPUT
+    });
+    return stdout;
+  }
+
+  /**
+   * Check if a path names a GDScript file
+   */
+  static isScript(filePath) {
+    return filePath.endsWith('.gd');
+  }
+}
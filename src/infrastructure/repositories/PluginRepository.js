@@ -0,0 +1,166 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { ThresholdSchema } from '../../domain/value_objects/ThresholdSchema.js';
+
+/**
+ * Methods every plugin detector must implement
+ */
+const REQUIRED_METHODS = ['detect', 'getName', 'getDescription'];
+
+/**
+ * Relative specifiers of static imports, re-exports and dynamic imports with a literal path
+ */
+const RELATIVE_IMPORT = /(?:\bfrom|\bimport)\s*\(?\s*(['"])(\.{1,2}\/[^'"]+)\1/g;
+
+/**
+ * Repository for loading detector plugins declared in the configuration
+ * A plugin is an ES module, given as a local path or an installed package name, whose default
+ * export or `detectors` export is a CodeSmellDetector subclass, an instance of one, or an array of them
+ */
+export class PluginRepository {
+  /**
+   * Load and validate the detectors of every configured plugin
+   * @param {Array<{module: string, thresholds: Object}>} plugins - Plugin entries of the configuration
+   * @param {string|null} baseDirectory - Directory local paths and package names resolve from; the working directory when null
+   * @param {string[]} reservedNames - Names of the built-in detectors, which plugins cannot reuse
+   * @returns {Promise<Array<{detector: CodeSmellDetector, thresholds: Object, module: string, version: string}>>}
+   *   Detectors in configuration order, with their resolved thresholds, module path and a hash of the plugin's source
+   */
+  async load(plugins, baseDirectory = null, reservedNames = []) {
+    const directory = path.resolve(baseDirectory || '.');
+    const names = new Set(reservedNames);
+    const loaded = [];
+
+    for (const plugin of plugins) {
+      if (typeof plugin.module !== 'string' || plugin.module === '') {
+        throw new Error('Plugin entries must name a module');
+      }
+
+      const modulePath = this.resolveModule(plugin.module, directory);
+      let exports;
+      try {
+        exports = await import(pathToFileURL(modulePath).href);
+      } catch (error) {
+        throw new Error(`Failed to load plugin ${plugin.module}: ${error.message}`);
+      }
+
+      const detectors = this.collectDetectors(exports, plugin.module);
+      const schemas = detectors.map(detector => this.readSchema(detector, plugin.module));
+      this.checkThresholdNames(plugin, schemas);
+      const version = await this.hashSources(modulePath);
+
+      detectors.forEach((detector, i) => {
+        const name = detector.getName();
+        if (names.has(name)) {
+          throw new Error(`Plugin ${plugin.module} declares detector ${name}, which is already defined`);
+        }
+        names.add(name);
+
+        // Each detector receives the configured values of the thresholds it declares
+        const values = Object.fromEntries(Object.entries(plugin.thresholds).filter(([key]) => schemas[i].has(key)));
+        loaded.push({ detector, thresholds: schemas[i].resolve(values), module: modulePath, version });
+      });
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Resolve a plugin module: paths relative to the base directory, package names through
+   * node_modules as seen from it
+   */
+  resolveModule(specifier, baseDirectory) {
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+      return path.resolve(baseDirectory, specifier);
+    }
+
+    try {
+      return createRequire(path.join(baseDirectory, 'noop.js')).resolve(specifier);
+    } catch (error) {
+      throw new Error(`Failed to resolve plugin ${specifier} from ${baseDirectory}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hash the source of a plugin module and of the local modules it imports through relative paths
+   * Modules imported from other packages are not followed, so upgrading them keeps the hash
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashSources(modulePath) {
+    const hash = crypto.createHash('sha256');
+    const pending = [modulePath];
+    const visited = new Set();
+
+    while (pending.length > 0) {
+      const file = pending.shift();
+      if (visited.has(file)) continue;
+      visited.add(file);
+
+      let source;
+      try {
+        source = await fs.readFile(file, 'utf-8');
+      } catch {
+        continue; // Left to the module loader, which reports unresolvable imports
+      }
+      hash.update(`${path.relative(path.dirname(modulePath), file)}\0${source}\0`);
+
+      for (const [, , specifier] of source.matchAll(RELATIVE_IMPORT)) {
+        pending.push(path.resolve(path.dirname(file), specifier));
+      }
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Instantiate the detectors a plugin module exports and check they implement the detector contract
+   */
+  collectDetectors(exports, specifier) {
+    const exported = exports.detectors ?? exports.default;
+    const candidates = Array.isArray(exported) ? exported : exported ? [exported] : [];
+    if (candidates.length === 0) {
+      throw new Error(`Plugin ${specifier} exports no detectors (expected a default or \`detectors\` export)`);
+    }
+
+    return candidates.map(candidate => {
+      const detector = typeof candidate === 'function' ? new candidate() : candidate;
+      const missing = REQUIRED_METHODS.filter(method => typeof detector?.[method] !== 'function');
+      if (missing.length > 0) {
+        throw new Error(`Plugin ${specifier} exports a detector without ${missing.join(', ')}`);
+      }
+
+      const name = detector.getName();
+      if (typeof name !== 'string' || !/^[A-Za-z][\w-]*$/.test(name)) {
+        throw new Error(`Plugin ${specifier} exports a detector with invalid name ${JSON.stringify(name)}`);
+      }
+      return detector;
+    });
+  }
+
+  /**
+   * Read the threshold schema a plugin detector declares, if any
+   */
+  readSchema(detector, specifier) {
+    const definition = typeof detector.getThresholdSchema === 'function' ? detector.getThresholdSchema() : {};
+    try {
+      return ThresholdSchema.from(detector.getName(), definition || {});
+    } catch (error) {
+      throw new Error(`Plugin ${specifier}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reject configured thresholds that no detector of the plugin declares
+   */
+  checkThresholdNames(plugin, schemas) {
+    for (const name of Object.keys(plugin.thresholds)) {
+      if (!schemas.some(schema => schema.has(name))) {
+        const known = schemas.flatMap(schema => schema.getNames());
+        throw new Error(`Unknown threshold ${name} for plugin ${plugin.module} (expected one of: ${known.join(', ') || 'none'})`);
+      }
+    }
+  }
+}
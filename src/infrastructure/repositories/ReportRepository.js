@@ -37,8 +37,10 @@ export class ReportRepository {
    * Save result as JSON organized by file
    */
   async saveAsJSONByFile(result, timestampDir, timestamp) {
-    // Group detected smells by file
+    // Group detected smells by file, keeping suppressed and baselined ones apart
     const smellsByFile = new Map();
+    const suppressedByFile = new Map();
+    const existingByFile = new Map();
 
     for (const smell of result.results) {
       if (smell.isDetected() && smell.location && smell.location.file) {
@@ -46,21 +48,45 @@ export class ReportRepository {
         if (!smellsByFile.has(filePath)) {
           smellsByFile.set(filePath, []);
         }
-        smellsByFile.get(filePath).push({
+        const entry = {
           smellName: smell.smellName,
+          fingerprint: smell.fingerprint?.toString(),
           severity: smell.severity,
           location: smell.location,
           details: smell.details
-        });
+        };
+
+        if (smell.isSuppressed()) {
+          this.addToGroup(suppressedByFile, filePath, { ...entry, suppressed: smell.suppression.toJSON() });
+        } else if (smell.isExisting()) {
+          this.addToGroup(existingByFile, filePath, entry);
+        } else {
+          smellsByFile.get(filePath).push(entry);
+        }
+      }
+    }
+
+    // Group parse diagnostics by file; files with diagnostics but no smells get a report too
+    const diagnosticsByFile = new Map();
+    for (const diagnostic of result.getDiagnostics()) {
+      if (!diagnosticsByFile.has(diagnostic.filePath)) {
+        diagnosticsByFile.set(diagnostic.filePath, []);
+      }
+      diagnosticsByFile.get(diagnostic.filePath).push(diagnostic.toJSON());
+      if (!smellsByFile.has(diagnostic.filePath)) {
+        smellsByFile.set(diagnostic.filePath, []);
       }
     }
 
+    // Per-file quality gate violations are listed in the report of their file
+    const qualityGate = result.getQualityGate();
+    const violations = qualityGate ? qualityGate.violations : [];
+
     // Save individual file reports
     const savedFiles = [];
     for (const [filePath, smells] of smellsByFile) {
-      const fileName = path.basename(filePath, '.gd');
-      const outputFileName = `${fileName}.json`;
-      const outputPath = path.join(timestampDir, outputFileName);
+      const fileName = path.basename(filePath, path.extname(filePath));
+      const outputPath = path.join(timestampDir, this.reportFileName(filePath, result.project.root));
 
       const fileResult = {
         file: filePath,
@@ -73,10 +99,15 @@ export class ReportRepository {
         },
         smells: smells.map(smell => ({
           smellName: smell.smellName,
+          fingerprint: smell.fingerprint,
           severity: smell.severity,
           location: smell.location,
           details: smell.details
-        }))
+        })),
+        suppressed: suppressedByFile.get(filePath) || [],
+        existing: existingByFile.get(filePath) || [],
+        qualityGateViolations: violations.filter(violation => violation.file === filePath),
+        diagnostics: diagnosticsByFile.get(filePath) || []
       };
 
       const jsonContent = JSON.stringify(fileResult, null, 2);
@@ -95,10 +126,11 @@ export class ReportRepository {
       },
       overallSummary: result.getSummary(),
       filesAnalyzed: result.metadata.totalFiles,
-      filesWithSmells: smellsByFile.size,
+      filesWithSmells: Array.from(smellsByFile.values()).filter(smells => smells.length > 0).length,
       filesSaved: savedFiles,
       totalResults: result.results.length,
-      detectedSmells: result.getDetectedSmells().length
+      detectedSmells: result.getDetectedSmells().length,
+      parseDiagnostics: result.getDiagnostics().map(diagnostic => diagnostic.toJSON())
     };
 
     const summaryContent = JSON.stringify(summaryResult, null, 2);
@@ -107,13 +139,33 @@ export class ReportRepository {
     return summaryPath; // Return the summary file path
   }
 
+  /**
+   * Name the report of a source file after its project-relative path, so files with the same
+   * name in different directories get reports of their own: scripts/player.gd gives scripts__player.gd.json
+   */
+  reportFileName(filePath, projectRoot = null) {
+    const relativePath = projectRoot && path.isAbsolute(filePath) ? path.relative(projectRoot, filePath) : filePath;
+    const name = relativePath.replace(/^res:\/\//, '').split(/[\\/]+/).filter(part => part !== '').join('__');
+    return `${name}.json`;
+  }
+
+  /**
+   * Append an entry to the list of a key, creating the list when missing
+   */
+  addToGroup(groups, key, entry) {
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+
   /**
    * Count smells by severity
    */
   countBySeverity(smells) {
     const counts = { Critical: 0, High: 0, Medium: 0, Low: 0 };
     for (const smell of smells) {
-      if (counts.hasOwnProperty(smell.severity)) {
+      if (Object.hasOwn(counts, smell.severity)) {
         counts[smell.severity]++;
       }
     }
@@ -176,6 +228,9 @@ export class ReportRepository {
   generateHTML(result) {
     const summary = result.getSummary();
     const detectedSmells = result.getDetectedSmells();
+    const suppressedSmells = result.getSuppressedSmells();
+    const existingSmells = result.getExistingSmells();
+    const diagnostics = result.getDiagnostics();
 
     // Sort smells by severity
     const sortedSmells = detectedSmells.sort((a, b) =>
@@ -201,14 +256,21 @@ export class ReportRepository {
         .smell-item { margin-bottom: 10px; padding: 10px; border-radius: 3px; }
         .details { background: #f9f9f9; padding: 10px; margin-top: 5px; font-size: 0.9em; }
         pre { background: #f5f5f5; padding: 10px; border-radius: 3px; overflow-x: auto; }
+        .existing { background: #fafafa; border-left: 4px solid #bdbdbd; color: #757575; }
+        .suppressed { background: #f5f5f5; border-left: 4px solid #9e9e9e; color: #616161; }
+        .quality-gate { margin-bottom: 20px; padding: 10px; border-radius: 3px; }
+        .quality-gate.passed { background: #f1f8e9; border-left: 4px solid #4caf50; }
+        .quality-gate.failed { background: #ffebee; border-left: 4px solid #f44336; }
+        .diagnostic-item { margin-bottom: 10px; padding: 10px; border-radius: 3px; background: #fce4ec; border-left: 4px solid #c2185b; }
     </style>
 </head>
 <body>
     <div class="header">
         <h1>GDScript Code Smell Analysis Report</h1>
-        <p><strong>Project:</strong> ${result.project.name}</p>
+        <p><strong>Project:</strong> ${this.escapeHTML(result.project.name)}</p>
         <p><strong>Analysis Date:</strong> ${new Date(result.metadata.timestamp).toLocaleString()}</p>
         <p><strong>Duration:</strong> ${result.metadata.duration}ms</p>
+        ${result.metadata.changes ? `<p><strong>Changes:</strong> ${result.metadata.changes.files.length} changed script(s) since <code>${this.escapeHTML(result.metadata.changes.since)}</code> (${result.metadata.changes.source}); only smells on changed lines are reported</p>` : ''}
     </div>
 
     <div class="summary">
@@ -226,19 +288,44 @@ export class ReportRepository {
             <p>High: ${summary.bySeverity.High}</p>
             <p>Medium: ${summary.bySeverity.Medium}</p>
             <p>Low: ${summary.bySeverity.Low}</p>
+            <p>Suppressed: ${summary.suppressedSmells}</p>
+            <p>Existing (baseline): ${summary.existingSmells}</p>
         </div>
     </div>
 
+    ${summary.qualityGate ? `
+    <h2>Quality Gates</h2>
+    <div class="quality-gate ${summary.qualityGate.passed ? 'passed' : 'failed'}">
+        <p><strong>Status:</strong> ${summary.qualityGate.passed ? 'PASSED' : 'FAILED'}</p>
+        ${summary.qualityGate.violations.length > 0 ? `
+        <ul>
+            ${summary.qualityGate.violations.map(violation => `<li>${this.escapeHTML(violation.message)}</li>`).join('')}
+        </ul>
+        ` : ''}
+    </div>
+    ` : ''}
+
+    ${diagnostics.length > 0 ? `
+    <h2>Parse Diagnostics (${result.metadata.parseErrors || 'partial'})</h2>
+    ${diagnostics.map(diagnostic => `
+        <div class="diagnostic-item">
+            <p><strong>${this.escapeHTML(diagnostic.message)}</strong> <code>${this.escapeHTML(diagnostic.position)}</code></p>
+            ${diagnostic.snippet ? `<pre>${this.escapeHTML(diagnostic.snippet)}</pre>` : ''}
+        </div>
+    `).join('')}
+    ` : ''}
+
     ${summary.totalSmells > 0 ? `
     <h2>Detected Code Smells</h2>
     ${sortedSmells.map(smell => `
         <div class="smell-item severity-${smell.severity.toLowerCase()}">
-            <h3>[${smell.severity}] ${smell.smellName}</h3>
-            <p><strong>Location:</strong> ${smell.location.class || 'Unknown'}${smell.location.method ? `::${smell.location.method}` : ''}</p>
+            <h3>[${smell.severity}] ${this.escapeHTML(smell.smellName)}</h3>
+            <p><strong>Location:</strong> ${this.formatLocation(smell)}</p>
+            <p><strong>Fingerprint:</strong> <code>${this.escapeHTML(smell.fingerprint)}</code></p>
             ${smell.details && Object.keys(smell.details).length > 0 ? `
                 <div class="details">
                     <h4>Details:</h4>
-                    <pre>${JSON.stringify(smell.details, null, 2)}</pre>
+                    <pre>${this.escapeHTML(JSON.stringify(smell.details, null, 2))}</pre>
                 </div>
             ` : ''}
         </div>
@@ -249,10 +336,54 @@ export class ReportRepository {
         <p>Your codebase looks clean!</p>
     </div>
     `}
+
+    ${suppressedSmells.length > 0 ? `
+    <h2>Suppressed Code Smells</h2>
+    ${suppressedSmells.map(smell => `
+        <div class="smell-item suppressed">
+            <h3>[suppressed] ${this.escapeHTML(smell.smellName)} (${smell.severity})</h3>
+            <p><strong>Location:</strong> ${this.formatLocation(smell)}</p>
+            <p><strong>Fingerprint:</strong> <code>${this.escapeHTML(smell.fingerprint)}</code></p>
+            <p><strong>Directive:</strong> <code>${this.escapeHTML(smell.suppression.directive)}</code> (line ${smell.suppression.range.startLine})</p>
+            <p><strong>Reason:</strong> ${smell.suppression.reason ? this.escapeHTML(smell.suppression.reason) : 'none given'}</p>
+        </div>
+    `).join('')}
+    ` : ''}
+
+    ${existingSmells.length > 0 ? `
+    <h2>Existing Code Smells (baseline)</h2>
+    ${existingSmells.map(smell => `
+        <div class="smell-item existing">
+            <strong>[existing] ${this.escapeHTML(smell.smellName)} (${smell.severity})</strong> ${this.formatLocation(smell)} <code>${this.escapeHTML(smell.fingerprint)}</code>
+        </div>
+    `).join('')}
+    ` : ''}
 </body>
 </html>`;
   }
 
+  /**
+   * Format the location of a smell as escaped HTML: Class::method, then file:line:column
+   */
+  formatLocation(smell) {
+    const { class: className, method, file, line, column } = smell.location;
+    let output = this.escapeHTML(className || 'Unknown');
+    if (method) {
+      output += `::${this.escapeHTML(method)}`;
+    }
+    if (file && line) {
+      output += ` <code>${this.escapeHTML(`${file}:${line}:${column}`)}</code>`;
+    }
+    return output;
+  }
+
+  /**
+   * Escape text inserted into the HTML report
+   */
+  escapeHTML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
   /**
    * Ensure directory exists, create if necessary
    */
@@ -19,7 +19,7 @@ export class YAMLConfigRepository {
       const yamlContent = await fs.readFile(absolutePath, 'utf-8');
       const configData = yaml.load(yamlContent);
 
-      return AnalysisConfig.fromYAML(configData);
+      return AnalysisConfig.fromYAML(configData, { directory: path.dirname(absolutePath) });
     } catch (error) {
       if (error.code === 'ENOENT') {
         throw new Error(`Configuration file not found: ${configPath}`);
@@ -47,7 +47,14 @@ export class YAMLConfigRepository {
       const yamlContent = yaml.dump({
         thresholds: config.thresholds,
         enabledDetectors: config.enabledDetectors,
-        output: config.output
+        output: config.output,
+        analysis: config.analysis,
+        files: config.files,
+        cache: config.cache,
+        plugins: config.plugins,
+        rules: config.rules.map(rule => rule.toJSON()),
+        qualityGates: config.qualityGates.toJSON(),
+        ci: config.ci
       });
 
       await fs.writeFile(absolutePath, yamlContent, 'utf-8');
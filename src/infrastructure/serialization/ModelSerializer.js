@@ -0,0 +1,410 @@
+import { Class } from '../../domain/entities/Class.js';
+import { Method } from '../../domain/entities/Method.js';
+import { Parameter } from '../../domain/entities/Parameter.js';
+import { Field } from '../../domain/entities/Field.js';
+import { Signal } from '../../domain/entities/Signal.js';
+import { Constant } from '../../domain/entities/Constant.js';
+import { Enum } from '../../domain/entities/Enum.js';
+import { Lambda } from '../../domain/entities/Lambda.js';
+import { Scene } from '../../domain/entities/Scene.js';
+import { SceneNode } from '../../domain/entities/SceneNode.js';
+import { Identifier } from '../../domain/value_objects/Identifier.js';
+import { CodeLine } from '../../domain/value_objects/CodeLine.js';
+import { SourceRange } from '../../domain/value_objects/SourceRange.js';
+import { Statement } from '../../domain/value_objects/Statement.js';
+import { ParseDiagnostic } from '../../domain/value_objects/ParseDiagnostic.js';
+import { Annotation } from '../../domain/value_objects/Annotation.js';
+import { Comment } from '../../domain/value_objects/Comment.js';
+import { RuleMatch } from '../../domain/value_objects/RuleMatch.js';
+import { CodeSmellResult } from '../../domain/services/CodeSmellDetector.js';
+
+/**
+ * Converts parsed models and detector results to plain JSON-safe objects and back
+ * Every range inside a script shares the script's path, so ranges are stored as
+ * [startLine, startColumn, endLine, endColumn] and rebuilt with the path of their class
+ */
+export class ModelSerializer {
+  /**
+   * Serialize everything parsed from one file
+   * @param {{classes: Class[], scenes: Scene[], diagnostics: ParseDiagnostic[]}} model
+   */
+  serializeModel(model) {
+    return {
+      classes: this.serializeClasses(model.classes),
+      scenes: model.scenes.map(scene => this.serializeScene(scene)),
+      diagnostics: model.diagnostics.map(diagnostic => this.serializeDiagnostic(diagnostic))
+    };
+  }
+
+  /**
+   * Rebuild everything parsed from one file
+   */
+  deserializeModel(data) {
+    return {
+      classes: this.deserializeClasses(data.classes),
+      scenes: data.scenes.map(scene => this.deserializeScene(scene)),
+      diagnostics: data.diagnostics.map(diagnostic => this.deserializeDiagnostic(diagnostic))
+    };
+  }
+
+  /**
+   * Serialize the classes parsed from one script
+   */
+  serializeClasses(classes) {
+    return classes.map(class_ => this.serializeClass(class_));
+  }
+
+  /**
+   * Rebuild the classes parsed from one script
+   */
+  deserializeClasses(data) {
+    return data.map(entry => this.deserializeClass(entry));
+  }
+
+  serializeClass(class_) {
+    return {
+      name: class_.name.toString(),
+      fields: Array.from(class_.fields, field => field.toString()),
+      methods: Array.from(class_.methods, method => this.serializeMethod(method)),
+      parent: class_.parent ? class_.parent.toString() : null,
+      exportedVars: Array.from(class_.exportedVars, name => name.toString()),
+      autoload: class_.autoload,
+      filePath: class_.filePath,
+      singletonName: class_.singletonName,
+      globalClass: class_.globalClass,
+      outerClass: class_.outerClass,
+      signals: Array.from(class_.signals, signal => this.serializeSignal(signal)),
+      fieldDeclarations: Array.from(class_.fieldDeclarations.values(), field => this.serializeField(field)),
+      range: this.serializeRange(class_.range),
+      tool: class_.tool,
+      annotations: class_.annotations.map(annotation => this.serializeAnnotation(annotation)),
+      constants: Array.from(class_.constants.values(), constant => this.serializeConstant(constant)),
+      enums: class_.enums.map(enum_ => ({
+        name: enum_.name,
+        members: enum_.members,
+        range: this.serializeRange(enum_.range),
+        docComment: this.serializeComment(enum_.docComment)
+      })),
+      docComment: this.serializeComment(class_.docComment),
+      comments: class_.comments.map(comment => this.serializeComment(comment)),
+      ruleMatches: class_.ruleMatches.map(match => ({
+        rule: match.rule,
+        range: this.serializeRange(match.range),
+        captures: match.captures,
+        method: match.method
+      })),
+      contentHash: class_.contentHash
+    };
+  }
+
+  deserializeClass(data) {
+    const filePath = data.filePath;
+    const fieldDeclarations = data.fieldDeclarations.map(field => this.deserializeField(field, filePath));
+
+    return new Class(
+      data.name,
+      data.fields.map(name => Identifier.from(name)),
+      data.methods.map(method => this.deserializeMethod(method, filePath)),
+      data.parent ? Identifier.from(data.parent) : null,
+      data.exportedVars.map(name => Identifier.from(name)),
+      data.autoload,
+      filePath,
+      {
+        singletonName: data.singletonName,
+        globalClass: data.globalClass,
+        outerClass: data.outerClass,
+        signals: data.signals.map(signal => this.deserializeSignal(signal, filePath)),
+        fieldDeclarations: fieldDeclarations.map(field => [field.name.toString(), field]),
+        range: this.deserializeRange(data.range, filePath),
+        tool: data.tool,
+        annotations: data.annotations.map(annotation => this.deserializeAnnotation(annotation, filePath)),
+        constants: data.constants.map(constant => [constant.name, this.deserializeConstant(constant, filePath)]),
+        enums: data.enums.map(enum_ => new Enum(enum_.name, enum_.members, this.deserializeRange(enum_.range, filePath), {
+          docComment: this.deserializeComment(enum_.docComment, filePath)
+        })),
+        docComment: this.deserializeComment(data.docComment, filePath),
+        comments: data.comments.map(comment => this.deserializeComment(comment, filePath)),
+        ruleMatches: data.ruleMatches.map(match =>
+          RuleMatch.from(match.rule, this.deserializeRange(match.range, filePath), match.captures, match.method)),
+        contentHash: data.contentHash
+      }
+    );
+  }
+
+  serializeMethod(method) {
+    return {
+      name: method.name.toString(),
+      parameters: method.parameters.map(parameter => this.serializeParameter(parameter)),
+      lines: method.lines.map(line => [line.content, line.lineNumber, this.serializeRange(line.range)]),
+      calls: Array.from(method.calls),
+      accessedFields: Array.from(method.accessedFields),
+      emittedSignals: method.emittedSignals,
+      signalConnections: method.signalConnections,
+      range: this.serializeRange(method.range),
+      statements: method.statements.map(statement => this.serializeStatement(statement)),
+      returnType: method.returnType,
+      static: method.static,
+      annotations: method.annotations.map(annotation => this.serializeAnnotation(annotation)),
+      rpcMode: method.rpcMode,
+      lambdas: method.lambdas.map(lambda => this.serializeLambda(lambda)),
+      docComment: this.serializeComment(method.docComment),
+      comments: method.comments.map(comment => this.serializeComment(comment)),
+      contentHash: method.contentHash
+    };
+  }
+
+  deserializeMethod(data, filePath) {
+    const lines = data.lines.map(([content, lineNumber, range]) =>
+      new CodeLine(content, lineNumber, this.deserializeRange(range, filePath)));
+
+    return new Method(data.name, data.parameters.map(p => this.deserializeParameter(p)), lines, data.calls, data.accessedFields, {
+      emittedSignals: data.emittedSignals,
+      signalConnections: data.signalConnections,
+      range: this.deserializeRange(data.range, filePath),
+      statements: data.statements.map(statement => this.deserializeStatement(statement, filePath)),
+      returnType: data.returnType,
+      static: data.static,
+      annotations: data.annotations.map(annotation => this.deserializeAnnotation(annotation, filePath)),
+      rpcMode: data.rpcMode,
+      lambdas: data.lambdas.map(lambda => this.deserializeLambda(lambda, filePath)),
+      docComment: this.deserializeComment(data.docComment, filePath),
+      comments: data.comments.map(comment => this.deserializeComment(comment, filePath)),
+      contentHash: data.contentHash
+    });
+  }
+
+  serializeParameter(parameter) {
+    return {
+      name: parameter.name.toString(),
+      type: parameter.type,
+      defaultValue: parameter.defaultValue,
+      inferred: parameter.inferred
+    };
+  }
+
+  deserializeParameter(data) {
+    return new Parameter(data.name, data.type, data.defaultValue, { inferred: data.inferred });
+  }
+
+  serializeField(field) {
+    return {
+      name: field.name.toString(),
+      type: field.type,
+      exported: field.exported,
+      range: this.serializeRange(field.range),
+      inferred: field.inferred,
+      exportHint: field.exportHint,
+      onready: field.onready,
+      setter: field.setter,
+      getter: field.getter,
+      setterBody: field.setterBody ? this.serializeMethod(field.setterBody) : null,
+      getterBody: field.getterBody ? this.serializeMethod(field.getterBody) : null,
+      static: field.static,
+      annotations: field.annotations.map(annotation => this.serializeAnnotation(annotation)),
+      rpcMode: field.rpcMode,
+      docComment: this.serializeComment(field.docComment)
+    };
+  }
+
+  deserializeField(data, filePath) {
+    return new Field(data.name, data.type, data.exported, this.deserializeRange(data.range, filePath), {
+      inferred: data.inferred,
+      exportHint: data.exportHint,
+      onready: data.onready,
+      setter: data.setter,
+      getter: data.getter,
+      setterBody: data.setterBody ? this.deserializeMethod(data.setterBody, filePath) : null,
+      getterBody: data.getterBody ? this.deserializeMethod(data.getterBody, filePath) : null,
+      static: data.static,
+      annotations: data.annotations.map(annotation => this.deserializeAnnotation(annotation, filePath)),
+      rpcMode: data.rpcMode,
+      docComment: this.deserializeComment(data.docComment, filePath)
+    });
+  }
+
+  serializeConstant(constant) {
+    return {
+      name: constant.name.toString(),
+      type: constant.type,
+      inferred: constant.inferred,
+      value: constant.value,
+      range: this.serializeRange(constant.range),
+      docComment: this.serializeComment(constant.docComment)
+    };
+  }
+
+  deserializeConstant(data, filePath) {
+    return new Constant(data.name, data.type, data.value, this.deserializeRange(data.range, filePath), {
+      inferred: data.inferred,
+      docComment: this.deserializeComment(data.docComment, filePath)
+    });
+  }
+
+  serializeAnnotation(annotation) {
+    return { name: annotation.name, arguments: annotation.arguments, range: this.serializeRange(annotation.range) };
+  }
+
+  deserializeAnnotation(data, filePath) {
+    return new Annotation(data.name, data.arguments, this.deserializeRange(data.range, filePath));
+  }
+
+  serializeComment(comment) {
+    return comment ? { lines: comment.lines, range: this.serializeRange(comment.range), kind: comment.kind } : null;
+  }
+
+  deserializeComment(data, filePath) {
+    return data ? new Comment(data.lines, this.deserializeRange(data.range, filePath), { kind: data.kind }) : null;
+  }
+
+  serializeLambda(lambda) {
+    return {
+      name: lambda.name,
+      parameters: lambda.parameters.map(parameter => this.serializeParameter(parameter)),
+      returnType: lambda.returnType,
+      range: this.serializeRange(lambda.range)
+    };
+  }
+
+  deserializeLambda(data, filePath) {
+    return new Lambda(data.name, data.parameters.map(p => this.deserializeParameter(p)), data.returnType,
+      this.deserializeRange(data.range, filePath));
+  }
+
+  serializeSignal(signal) {
+    return {
+      name: signal.name.toString(),
+      owner: signal.owner,
+      parameters: signal.parameters.map(parameter => this.serializeParameter(parameter)),
+      filePath: signal.filePath,
+      docComment: this.serializeComment(signal.docComment)
+    };
+  }
+
+  deserializeSignal(data, filePath) {
+    return new Signal(data.name, data.owner, data.parameters.map(p => this.deserializeParameter(p)), data.filePath, {
+      docComment: this.deserializeComment(data.docComment, filePath)
+    });
+  }
+
+  serializeStatement(statement) {
+    return {
+      kind: statement.kind,
+      content: statement.content,
+      depth: statement.depth,
+      range: this.serializeRange(statement.range),
+      blocks: statement.blocks.map(block => ({
+        kind: block.kind,
+        content: block.content,
+        range: this.serializeRange(block.range),
+        statements: block.statements.map(child => this.serializeStatement(child))
+      })),
+      booleanOperators: statement.booleanOperators
+    };
+  }
+
+  deserializeStatement(data, filePath) {
+    return new Statement(data.kind, data.content, data.depth, this.deserializeRange(data.range, filePath),
+      data.blocks.map(block => ({
+        kind: block.kind,
+        content: block.content,
+        range: this.deserializeRange(block.range, filePath),
+        statements: block.statements.map(child => this.deserializeStatement(child, filePath))
+      })), data.booleanOperators);
+  }
+
+  serializeRange(range) {
+    return range ? [range.startLine, range.startColumn, range.endLine, range.endColumn] : null;
+  }
+
+  deserializeRange(data, filePath) {
+    return data ? new SourceRange(filePath, ...data) : null;
+  }
+
+  serializeScene(scene) {
+    return {
+      name: scene.name.toString(),
+      rootNode: scene.rootNode ? scene.rootNode.toString() : null,
+      childNodes: Array.from(scene.childNodes, node => node.toString()),
+      scriptPath: scene.scriptPath,
+      filePath: scene.filePath,
+      autoload: scene.autoload,
+      singletonName: scene.singletonName,
+      resourceType: scene.resourceType,
+      tree: scene.tree ? this.serializeSceneNode(scene.tree) : null,
+      extResources: scene.extResources,
+      subResources: scene.subResources,
+      connections: scene.connections
+    };
+  }
+
+  deserializeScene(data) {
+    return new Scene(
+      data.name,
+      data.rootNode ? Identifier.from(data.rootNode) : null,
+      data.childNodes.map(node => Identifier.from(node)),
+      data.scriptPath,
+      {
+        filePath: data.filePath,
+        autoload: data.autoload,
+        singletonName: data.singletonName,
+        resourceType: data.resourceType,
+        tree: data.tree ? this.deserializeSceneNode(data.tree) : null,
+        extResources: data.extResources,
+        subResources: data.subResources,
+        connections: data.connections
+      }
+    );
+  }
+
+  serializeSceneNode(node) {
+    return {
+      name: node.name.toString(),
+      path: node.path,
+      type: node.type,
+      scriptPath: node.scriptPath,
+      instancePath: node.instancePath,
+      children: node.children.map(child => this.serializeSceneNode(child)),
+      groups: node.groups
+    };
+  }
+
+  deserializeSceneNode(data) {
+    return new SceneNode(data.name, data.path, data.type, data.scriptPath, data.instancePath,
+      data.children.map(child => this.deserializeSceneNode(child)), data.groups);
+  }
+
+  serializeDiagnostic(diagnostic) {
+    return {
+      filePath: diagnostic.filePath,
+      range: this.serializeRange(diagnostic.range),
+      snippet: diagnostic.snippet,
+      kind: diagnostic.kind,
+      message: diagnostic.message
+    };
+  }
+
+  deserializeDiagnostic(data) {
+    return new ParseDiagnostic(data.filePath, this.deserializeRange(data.range, data.filePath), data.snippet, {
+      kind: data.kind,
+      message: data.message
+    });
+  }
+
+  /**
+   * Serialize a detector result; details and locations are stored as their JSON form,
+   * which is all the reports ever render of them
+   */
+  serializeResult(result) {
+    return JSON.parse(JSON.stringify({
+      smellName: result.smellName,
+      detected: result.detected,
+      severity: result.severity,
+      location: result.location,
+      details: result.details
+    }));
+  }
+
+  deserializeResult(data) {
+    return new CodeSmellResult(data.smellName, data.detected, data.severity, data.location, data.details);
+  }
+}
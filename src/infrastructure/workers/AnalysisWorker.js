@@ -0,0 +1,68 @@
+import { parentPort, isMainThread } from 'worker_threads';
+import { GDScriptProjectRepository } from '../repositories/GDScriptProjectRepository.js';
+import { ModelSerializer } from '../serialization/ModelSerializer.js';
+import { AnalyzeProjectUseCase } from '../../application/use_cases/AnalyzeProjectUseCase.js';
+import { AnalysisConfig } from '../../application/dto/AnalysisConfig.js';
+import { GodotDialect } from '../../domain/value_objects/GodotDialect.js';
+import { QueryRule } from '../../domain/value_objects/QueryRule.js';
+
+/**
+ * Task handler running inside a worker thread of an AnalysisWorkerPool
+ * Receives plain task messages and answers with serialized models or results
+ */
+export class AnalysisWorker {
+  constructor() {
+    this.projectRepository = new GDScriptProjectRepository();
+    this.analyzeUseCase = new AnalyzeProjectUseCase(this.projectRepository, null);
+    this.serializer = new ModelSerializer();
+  }
+
+  /**
+   * Run one task
+   * @param {Object} task - Message posted by the pool; its type selects the handler
+   */
+  handle(task) {
+    switch (task.type) {
+      case 'parseScript':
+        return this.serializer.serializeModel(this.projectRepository.parseFile(task.filePath, task.content,
+          task.autoloadEntry, task.symbols, GodotDialect.from(task.dialect), task.rules.map(rule => QueryRule.from(rule))));
+      case 'parseScene':
+        return this.serializer.serializeModel(this.projectRepository.parseSceneFile(task.filePath, task.content,
+          task.projectRoot, task.autoloadEntry));
+      case 'detect':
+        return this.detect(task);
+      default:
+        throw new Error(`Unknown worker task: ${task.type}`);
+    }
+  }
+
+  /**
+   * Run per-file detectors; thresholds are already resolved, so they rebuild the same config
+   */
+  detect(task) {
+    const config = new AnalysisConfig({ ...task.thresholds, enabledDetectors: task.enabledDetectors });
+    const classes = this.serializer.deserializeClasses(task.classes);
+    const entry = this.analyzeUseCase.detectInFile(classes, GodotDialect.from(task.dialect), config);
+
+    const data = {};
+    for (const [context, byDetector] of Object.entries(entry)) {
+      data[context] = {};
+      for (const [detector, result] of Object.entries(byDetector)) {
+        data[context][detector] = result ? this.serializer.serializeResult(result) : null;
+      }
+    }
+    return data;
+  }
+}
+
+if (!isMainThread && parentPort) {
+  const worker = new AnalysisWorker();
+
+  parentPort.on('message', task => {
+    try {
+      parentPort.postMessage({ result: worker.handle(task) });
+    } catch (error) {
+      parentPort.postMessage({ error: error.message });
+    }
+  });
+}
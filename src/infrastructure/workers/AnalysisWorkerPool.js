@@ -0,0 +1,149 @@
+import { Worker } from 'worker_threads';
+import { ModelSerializer } from '../serialization/ModelSerializer.js';
+
+/**
+ * Entry point of every worker thread
+ */
+const WORKER_SCRIPT = new URL('./AnalysisWorker.js', import.meta.url);
+
+/**
+ * Pool of worker threads that parse files and run per-file detectors in parallel
+ * Models and results cross thread boundaries in their ModelSerializer form. Tasks may finish
+ * in any order; callers keep their own order by awaiting the promises they were given
+ */
+export class AnalysisWorkerPool {
+  constructor(size, script = WORKER_SCRIPT) {
+    this.size = Math.max(1, size); // ℕ₁ - maximum number of worker threads
+    this.script = script; // URL - entry point of the worker threads
+    this.serializer = new ModelSerializer();
+    this.workers = []; // seq Worker - started lazily, up to size
+    this.idle = []; // seq Worker - waiting for a task
+    this.running = new Map(); // Worker ⇸ Job - task each busy worker is running
+    this.queue = []; // seq Job - tasks waiting for an idle worker
+  }
+
+  /**
+   * Parse a GDScript file in a worker, matching query rules against it
+   * @returns {Promise<{classes: Class[], scenes: Scene[], diagnostics: ParseDiagnostic[]}>} Parsed model
+   */
+  async parseScript(filePath, content, autoloadEntry, symbols, dialect, rules = []) {
+    const data = await this.run({
+      type: 'parseScript', filePath, content, autoloadEntry, symbols, dialect: dialect.version,
+      rules: rules.map(rule => rule.toJSON())
+    });
+    return this.serializer.deserializeModel(data);
+  }
+
+  /**
+   * Parse a text scene or resource file in a worker
+   * @returns {Promise<{classes: Class[], scenes: Scene[], diagnostics: ParseDiagnostic[]}>} Parsed model
+   */
+  async parseScene(filePath, content, projectRoot, autoloadEntry) {
+    const data = await this.run({ type: 'parseScene', filePath, content, projectRoot, autoloadEntry });
+    return this.serializer.deserializeModel(data);
+  }
+
+  /**
+   * Run the method-level detectors, and the class-level ones that do not depend on the project,
+   * on the classes parsed from one file
+   * Detectors that throw are left out of the entry, so the caller can rerun and report them
+   * @returns {Promise<Object>} {context: {detector: CodeSmellResult|null}}
+   */
+  async detect(classes, dialect, config) {
+    const data = await this.run({
+      type: 'detect',
+      classes: this.serializer.serializeClasses(classes),
+      dialect: dialect.version,
+      thresholds: config.thresholds,
+      enabledDetectors: config.enabledDetectors
+    });
+
+    const entry = {};
+    for (const [context, byDetector] of Object.entries(data)) {
+      entry[context] = {};
+      for (const [detector, result] of Object.entries(byDetector)) {
+        entry[context][detector] = result ? this.serializer.deserializeResult(result) : null;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Queue a task and start it as soon as a worker is free
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting new workers while below the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || (this.workers.length < this.size ? this.spawn() : null);
+      if (!worker) return;
+
+      const job = this.queue.shift();
+      this.running.set(worker, job);
+      worker.postMessage(job.task);
+    }
+  }
+
+  /**
+   * Start a worker thread; a worker that crashes or exits fails its task and is replaced on demand
+   */
+  spawn() {
+    const worker = new Worker(this.script);
+
+    worker.on('message', message => {
+      const job = this.running.get(worker);
+      this.running.delete(worker);
+      this.idle.push(worker);
+
+      if (message.error) {
+        job.reject(new Error(message.error));
+      } else {
+        job.resolve(message.result);
+      }
+      this.dispatch();
+    });
+
+    worker.on('error', error => this.retire(worker, new Error(`Worker failed: ${error.message}`)));
+
+    // A worker can also stop without an error event, such as when a plugin calls process.exit or
+    // a native module crashes; its task would otherwise never settle
+    worker.on('exit', code => this.retire(worker, new Error(`Worker exited with code ${code}`)));
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Remove a worker that stopped, failing the task it was running
+   * Later events of an already retired worker, such as the exit following an error, are ignored
+   */
+  retire(worker, error) {
+    if (!this.workers.includes(worker)) return;
+
+    const job = this.running.get(worker);
+    this.running.delete(worker);
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+
+    if (job) job.reject(error);
+    this.dispatch();
+  }
+
+  /**
+   * Stop every worker thread
+   */
+  async close() {
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
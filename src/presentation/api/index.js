@@ -0,0 +1,47 @@
+import { AnalyzeProjectUseCase } from '../../application/use_cases/AnalyzeProjectUseCase.js';
+import { GDScriptProjectRepository } from '../../infrastructure/repositories/GDScriptProjectRepository.js';
+import { YAMLConfigRepository } from '../../infrastructure/repositories/YAMLConfigRepository.js';
+import { PluginRepository } from '../../infrastructure/repositories/PluginRepository.js';
+
+export { AnalysisResult } from '../../application/dto/AnalysisResult.js';
+export { AnalysisConfig } from '../../application/dto/AnalysisConfig.js';
+export { GDScriptProject } from '../../domain/entities/GDScriptProject.js';
+export { CodeSmellDetector, CodeSmellResult } from '../../domain/services/CodeSmellDetector.js';
+export { ParseDiagnostic } from '../../domain/value_objects/ParseDiagnostic.js';
+export { Baseline } from '../../domain/value_objects/Baseline.js';
+export { ChangeSet } from '../../domain/value_objects/ChangeSet.js';
+
+/**
+ * Create the use case behind the programmatic API used by editors, test harnesses and build scripts
+ * It has no cache and no worker threads, and nothing is written to disk
+ */
+function createUseCase() {
+  return new AnalyzeProjectUseCase(new GDScriptProjectRepository(), new YAMLConfigRepository(), null, null, new PluginRepository());
+}
+
+/**
+ * Analyze GDScript sources held in memory, without reading or writing project files
+ * @param {Map<string, string>|Object} files - File paths (relative, absolute or res://) to content;
+ *   .gd, .tscn and .tres files are analyzed, project.godot and .smellignore are honored
+ * @param {Object} options - config, baseProject, projectRoot, godotVersion, extensionApi, include,
+ *   exclude, parseErrors, reportUnusedSuppressions, baseline and changes; see AnalyzeProjectUseCase#executeInMemory
+ * @returns {Promise<AnalysisResult>} Analysis results
+ *
+ * @example
+ * const base = await loadProject('/path/to/game');
+ * const result = await analyze({ 'player.gd': unsavedBuffer }, { baseProject: base, config: { maxLines: 30 } });
+ * result.getSummary().totalSmells;
+ */
+export async function analyze(files, options = {}) {
+  return createUseCase().executeInMemory(files, options);
+}
+
+/**
+ * Load and parse a project from disk, to be used as the base project of in-memory analyses
+ * @param {string} projectPath - Path to the project directory
+ * @param {Object} options - config, godotVersion, extensionApi, include, exclude and parseErrors
+ * @returns {Promise<GDScriptProject>} Parsed project
+ */
+export async function loadProject(projectPath, options = {}) {
+  return createUseCase().loadProject(projectPath, options);
+}
@@ -1,14 +1,72 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import path from 'path';
+import os from 'os';
 import { AnalyzeProjectUseCase } from '../../application/use_cases/AnalyzeProjectUseCase.js';
 import { GDScriptProjectRepository } from '../../infrastructure/repositories/GDScriptProjectRepository.js';
 import { YAMLConfigRepository } from '../../infrastructure/repositories/YAMLConfigRepository.js';
 import { ReportRepository } from '../../infrastructure/repositories/ReportRepository.js';
+import { AnalysisCacheRepository } from '../../infrastructure/repositories/AnalysisCacheRepository.js';
+import { AnalysisWorkerPool } from '../../infrastructure/workers/AnalysisWorkerPool.js';
+import { PluginRepository } from '../../infrastructure/repositories/PluginRepository.js';
+import { BaselineRepository } from '../../infrastructure/repositories/BaselineRepository.js';
+import { GitRepository } from '../../infrastructure/repositories/GitRepository.js';
 
 const program = new Command();
 
+/**
+ * Default number of jobs: one per available core, leaving one for the main thread
+ */
+const DEFAULT_JOBS = Math.max(1, (typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length) - 1);
+
+/**
+ * Exit code of an analysis that ran but failed a quality gate; errors exit with 1
+ */
+const QUALITY_GATE_EXIT_CODE = 2;
+
+/**
+ * Accumulate the values of a repeatable option
+ */
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Read the git changes selected by --changed-since or --staged
+ * --staged compares the index with HEAD; --changed-since compares the chosen contents with the ref
+ * @returns {Promise<{changes: ChangeSet|null, sources: Map<string, string>|null}>}
+ */
+async function readChanges(gitRepository, projectPath, options) {
+  if (options.staged && options.changedSince) {
+    throw new Error('--staged and --changed-since cannot be combined');
+  }
+  if (options.contents && !options.changedSince) {
+    throw new Error('--contents only applies to --changed-since');
+  }
+  if (!options.staged && !options.changedSince) {
+    return { changes: null, sources: null };
+  }
+  if (options.writeBaseline) {
+    throw new Error('--write-baseline records every smell of the project and cannot be combined with --changed-since or --staged');
+  }
+
+  return gitRepository.getChanges(projectPath, options.staged
+    ? { since: 'HEAD', source: 'index' }
+    : { since: options.changedSince, source: options.contents || 'worktree' });
+}
+
+/**
+ * Parse a positive integer option
+ */
+function positiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+  return number;
+}
+
 program
   .name('godot-smell-analyzer')
   .description('Code smell analyzer for GDScript projects based on formal Z-specification')
@@ -20,6 +78,21 @@ program
   .option('-c, --config <configPath>', 'Path to YAML configuration file')
   .option('-o, --output <outputDir>', 'Output directory for reports', './analysis-results')
   .option('-f, --format <format>', 'Output format (json, txt, html)', 'json')
+  .option('--godot-version <version>', 'GDScript dialect to parse (3 or 4), overriding project.godot detection')
+  .option('--extension-api <path>', 'Engine class database (extension_api.json) to resolve built-in classes against')
+  .option('--include <glob>', 'Only analyze files matching this glob, or inside a directory it matches (repeatable)', collect, [])
+  .option('--exclude <pattern>', 'Skip files matching this .gitignore-style pattern (repeatable)', collect, [])
+  .option('--no-cache', 'Neither read nor write the incremental analysis cache')
+  .option('--clear-cache', 'Delete the incremental analysis cache before analyzing')
+  .option('--parse-errors <policy>', 'Scripts with syntax errors: analyze what parsed (partial), skip them, or fail the run')
+  .option('-j, --jobs <count>', 'Worker threads for parsing and per-file detection (1 disables workers)', positiveInteger, DEFAULT_JOBS)
+  .option('--report-unused-suppressions', 'Report # smell-disable directives that silence no smell')
+  .option('--baseline <baselinePath>', 'Mark smells recorded in this baseline file as existing, counting only new ones')
+  .option('--write-baseline <baselinePath>', 'Record the smells of this run in a baseline file')
+  .option('--changed-since <ref>', 'Only report smells on symbols changed since this git ref')
+  .option('--staged', 'Only report smells on symbols changed in the git index, reading scripts from it')
+  .option('--contents <source>', 'Where --changed-since reads scripts: worktree, index or commit (HEAD)')
+  .option('--fail-on-quality-gate', `Exit with code ${QUALITY_GATE_EXIT_CODE} when a quality gate fails, as ci.failOnQualityGate does`)
   .option('--verbose', 'Enable verbose output')
   .action(async (projectPath, options) => {
     try {
@@ -30,7 +103,13 @@ program
       const configRepository = new YAMLConfigRepository();
       const reportRepository = new ReportRepository();
 
-      const analyzeUseCase = new AnalyzeProjectUseCase(projectRepository, configRepository);
+      const cacheRepository = new AnalysisCacheRepository();
+      const createWorkerPool = size => new AnalysisWorkerPool(size);
+      const pluginRepository = new PluginRepository();
+      const baselineRepository = new BaselineRepository();
+      const gitRepository = new GitRepository();
+
+      const analyzeUseCase = new AnalyzeProjectUseCase(projectRepository, configRepository, cacheRepository, createWorkerPool, pluginRepository);
 
       // Resolve paths
       const absoluteProjectPath = path.resolve(projectPath);
@@ -41,23 +120,78 @@ program
         if (configPath) console.log(`⚙️  Config path: ${configPath}`);
         console.log(`📊 Output format: ${options.format}`);
         console.log(`📂 Output directory: ${options.output}`);
+        console.log(`🧵 Jobs: ${options.jobs}`);
+      }
+
+      const baseline = options.baseline ? await baselineRepository.loadFromFile(options.baseline) : null;
+      if (baseline && options.verbose) {
+        console.log(`📌 Baseline: ${baseline.size} existing smells (${options.baseline})`);
+      }
+
+      const { changes, sources } = await readChanges(gitRepository, absoluteProjectPath, options);
+      if (changes && options.verbose) {
+        console.log(`🔀 Changes: ${changes}`);
+        for (const filePath of changes.files.keys()) {
+          console.log(`   ${path.relative(absoluteProjectPath, filePath)}`);
+        }
       }
 
       // Execute analysis
-      const result = await analyzeUseCase.execute(absoluteProjectPath, configPath);
+      const result = await analyzeUseCase.execute(absoluteProjectPath, configPath, {
+        godotVersion: options.godotVersion,
+        extensionApi: options.extensionApi,
+        include: options.include,
+        exclude: options.exclude,
+        cache: options.cache,
+        clearCache: options.clearCache,
+        parseErrors: options.parseErrors,
+        jobs: options.jobs,
+        reportUnusedSuppressions: options.reportUnusedSuppressions,
+        baseline,
+        changes,
+        sources
+      });
+
+      for (const diagnostic of result.getDiagnostics()) {
+        console.warn(`⚠️  ${diagnostic}`);
+      }
+
+      if (options.verbose) {
+        for (const exclusion of result.project.excludedFiles) {
+          const reason = exclusion.rule
+            ? `matched ${exclusion.rule.describe()}`
+            : 'not matched by any include pattern';
+          console.log(`🚫 Excluded ${exclusion.path}: ${reason}`);
+        }
+
+        const cacheStats = result.metadata.cache;
+        if (cacheStats) {
+          console.log(`🗄️  Cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses, ${cacheStats.writes} writes (${cacheStats.directory})`);
+        }
+      }
 
       // Save report
       const reportPath = await reportRepository.saveResult(result, options.output, options.format);
 
+      if (options.writeBaseline) {
+        const written = analyzeUseCase.createBaseline(result);
+        await baselineRepository.saveToFile(written, options.writeBaseline);
+        console.log(`📌 Baseline of ${written.size} smells written to: ${options.writeBaseline}`);
+      }
+
       // Display summary
       const summary = result.getSummary();
 
       console.log('\n📊 Analysis Complete!');
       console.log(`📄 Report saved to: ${reportPath}`);
       console.log(`\n📈 Summary:`);
+      console.log(`   Godot version: ${summary.projectStats.godotVersion}`);
       console.log(`   Classes analyzed: ${summary.projectStats.totalClasses}`);
       console.log(`   Methods analyzed: ${summary.projectStats.totalMethods}`);
       console.log(`   Total LOC: ${summary.projectStats.totalLOC}`);
+      if (summary.projectStats.parseDiagnostics > 0) {
+        console.log(`   Parse diagnostics: ${summary.projectStats.parseDiagnostics} (${result.metadata.parseErrors})`);
+      }
 
       if (summary.totalSmells > 0) {
         console.log(`\n⚠️  Code smells detected: ${summary.totalSmells}`);
@@ -68,6 +202,22 @@ program
       } else {
         console.log('\n✅ No code smells detected! Your codebase looks clean.');
       }
+      if (summary.suppressedSmells > 0) {
+        console.log(`   Suppressed: ${summary.suppressedSmells}`);
+      }
+      if (baseline) {
+        console.log(`   Existing (baseline): ${summary.existingSmells}`);
+      }
+
+      if (summary.qualityGate) {
+        console.log(`\n🚦 Quality gates: ${summary.qualityGate.passed ? 'passed' : 'failed'}`);
+        for (const violation of summary.qualityGate.violations) {
+          console.log(`   ❌ ${violation.message}`);
+        }
+        if (!summary.qualityGate.passed && (options.failOnQualityGate || result.config.ci.failOnQualityGate)) {
+          process.exitCode = QUALITY_GATE_EXIT_CODE;
+        }
+      }
 
     } catch (error) {
       console.error('❌ Analysis failed:', error.message);
@@ -93,35 +243,96 @@ program
     }
   });
 
+/**
+ * Create a use case able to describe the detectors of a configuration
+ */
+function createDescribeUseCase() {
+  return new AnalyzeProjectUseCase(new GDScriptProjectRepository(), new YAMLConfigRepository(), null, null, new PluginRepository());
+}
+
+/**
+ * Format a threshold definition and its configured value for the terminal
+ */
+function formatThreshold(name, definition, value) {
+  const bounds = definition.min !== null && definition.max !== null ? `, ${definition.min}..${definition.max}`
+    : definition.min !== null ? `, ≥ ${definition.min}`
+      : definition.max !== null ? `, ≤ ${definition.max}` : '';
+  const configured = value !== undefined && value !== definition.default ? `, configured ${value}` : '';
+  return `${name} (${definition.type}, default ${definition.default}${bounds}${configured})${definition.description ? `: ${definition.description}` : ''}`;
+}
+
 program
   .command('list-detectors')
-  .description('List all available code smell detectors')
-  .action(() => {
-    const detectors = [
-      'LongMethod - Methods that are too long or complex',
-      'LargeClass - Classes with too many responsibilities',
-      'DuplicateCode - Identical or very similar code blocks',
-      'LongParameterList - Methods with too many parameters',
-      'DivergentChange - Classes changed for different reasons',
-      'ShotgunSurgery - One change affects many classes',
-      'FeatureEnvy - Methods accessing other classes too much',
-      'DataClumps - Groups of variables used together',
-      'PrimitiveObsession - Overuse of primitive types',
-      'SwitchStatements - Complex conditional logic',
-      'LazyClass - Classes that do too little',
-      'SpeculativeGenerality - Code for future that never came',
-      'TemporaryField - Fields used conditionally',
-      'MessageChains - Long chains of method calls',
-      'MiddleMan - Classes that just delegate work',
-      'InappropriateIntimacy - Classes too tightly coupled',
-      'DataClass - Classes that only hold data',
-      'RefusedBequest - Inheritance not used properly',
-      'Comments - Excessive commenting masking bad code',
-      'GlobalState - Overuse of global/singleton state'
-    ];
-
-    console.log('Available code smell detectors:');
-    detectors.forEach(detector => console.log(`  • ${detector}`));
+  .description('List all available code smell detectors, with the query rules and plugins of a configuration')
+  .option('-c, --config <configPath>', 'Path to YAML configuration file')
+  .option('--json', 'Print the metadata of every detector as JSON')
+  .action(async (options) => {
+    try {
+      const detectors = await createDescribeUseCase().describeDetectors(options.config ? path.resolve(options.config) : null);
+
+      if (options.json) {
+        console.log(JSON.stringify(detectors, null, 2));
+        return;
+      }
+
+      console.log('Available code smell detectors:');
+      for (const detector of detectors) {
+        const origin = detector.origin !== 'built-in' ? ` (${detector.origin})` : '';
+        const disabled = detector.enabled ? '' : ' [disabled]';
+        console.log(`  • ${detector.name}${origin} - ${detector.description} [${detector.scopes.join(', ')}]${disabled}`);
+      }
+      console.log('\nRun `explain <detector>` for thresholds, severity rules and refactoring advice.');
+
+    } catch (error) {
+      console.error('❌ Failed to list detectors:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('explain <detector>')
+  .description('Explain what a detector checks, its thresholds and severity rules, and how to fix what it reports')
+  .option('-c, --config <configPath>', 'Path to YAML configuration file')
+  .option('--json', 'Print the metadata of the detector as JSON')
+  .action(async (name, options) => {
+    try {
+      const detectors = await createDescribeUseCase().describeDetectors(options.config ? path.resolve(options.config) : null);
+      const detector = detectors.find(candidate => candidate.name === name) ||
+        detectors.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+      if (!detector) {
+        throw new Error(`Unknown detector ${name} (run list-detectors to see the available detectors)`);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(detector, null, 2));
+        return;
+      }
+
+      console.log(`${detector.name} (${detector.origin}${detector.enabled ? '' : ', disabled'})`);
+      console.log(`  ${detector.description}`);
+      console.log(`\nScope: ${detector.scopes.join(', ')}`);
+
+      const thresholds = Object.entries(detector.thresholds);
+      if (thresholds.length > 0) {
+        console.log('\nThresholds:');
+        thresholds.forEach(([threshold, definition]) =>
+          console.log(`  • ${formatThreshold(threshold, definition, detector.values[threshold])}`));
+      }
+      if (detector.severityRules.length > 0) {
+        console.log('\nSeverity:');
+        detector.severityRules.forEach(rule => console.log(`  • ${rule}`));
+      }
+      if (detector.rationale) {
+        console.log(`\nWhy it matters:\n  ${detector.rationale}`);
+      }
+      if (detector.refactoring) {
+        console.log(`\nHow to fix it:\n  ${detector.refactoring}`);
+      }
+
+    } catch (error) {
+      console.error('❌ Failed to explain detector:', error.message);
+      process.exit(1);
+    }
   });
 
 // Parse command line arguments
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnalysisConfig } from '../../src/application/dto/AnalysisConfig.js';
+
+test('takes threshold defaults from the detector schemas', () => {
+  const config = AnalysisConfig.getDefaultConfig();
+
+  assert.equal(config.thresholds.maxLines, 50);
+  assert.equal(config.thresholds.minSimilarity, 0.6);
+  assert.deepEqual(config.getDetectorThresholds('LongMethod'), { maxLines: 50, maxComplexity: 10, maxYields: 7 });
+});
+
+test('reads the thresholds section, keeping zero values', () => {
+  const config = AnalysisConfig.fromYAML({ thresholds: { maxLines: 30, maxParams: 0 } });
+
+  assert.equal(config.thresholds.maxLines, 30);
+  assert.equal(config.thresholds.maxParams, 0);
+});
+
+test('reads top-level threshold keys, as the programmatic API passes them', () => {
+  assert.equal(AnalysisConfig.fromYAML({ maxLines: 30 }).thresholds.maxLines, 30);
+});
+
+test('rejects unknown thresholds and values outside the schema', () => {
+  assert.throws(() => AnalysisConfig.fromYAML({ thresholds: { maxParameters: 4 } }), /Unknown threshold maxParameters/);
+  assert.throws(() => AnalysisConfig.fromYAML({ thresholds: { maxLines: 'long' } }), /must be of type integer/);
+  assert.throws(() => AnalysisConfig.fromYAML({ thresholds: { minSimilarity: 2 } }), /must be between 0 and 1/);
+});
+
+test('enables every built-in detector by default', () => {
+  const config = AnalysisConfig.getDefaultConfig();
+
+  assert.equal(config.enabledDetectors.length, 20);
+  assert.ok(config.isDetectorEnabled('DataClumps'));
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { analyze } from '../../src/presentation/api/index.js';
+import { AnalyzeProjectUseCase } from '../../src/application/use_cases/AnalyzeProjectUseCase.js';
+import { GDScriptProjectRepository } from '../../src/infrastructure/repositories/GDScriptProjectRepository.js';
+import { YAMLConfigRepository } from '../../src/infrastructure/repositories/YAMLConfigRepository.js';
+import { PluginRepository } from '../../src/infrastructure/repositories/PluginRepository.js';
+import { AnalysisWorkerPool } from '../../src/infrastructure/workers/AnalysisWorkerPool.js';
+
+/**
+ * Three scripts passing the same three parameters around twice each: one project-wide data clump
+ */
+const CLUMPED_SCRIPTS = Object.fromEntries(['a', 'b', 'c'].map(name => [`scripts/${name}.gd`, [
+  'extends Node',
+  '',
+  `func move_${name}(pos_x, pos_y, pos_z):`,
+  '\tprint(pos_x, pos_y, pos_z)',
+  '',
+  `func draw_${name}(pos_x, pos_y, pos_z):`,
+  '\tprint(pos_x + pos_y + pos_z)',
+  ''
+].join('\n')]));
+
+test('runs project-scoped detectors once, in the project context only', async () => {
+  const result = await analyze(CLUMPED_SCRIPTS, { godotVersion: 4 });
+  const clumps = result.getDetectedSmells().filter(smell => smell.smellName === 'DataClumps');
+
+  assert.equal(clumps.length, 1);
+});
+
+test('runs method-scoped detectors on methods only', async () => {
+  const result = await analyze({
+    'player.gd': 'extends Node\n\nfunc jump(a, b, c, d, e, f):\n\tpass\n'
+  }, { godotVersion: 4 });
+  const lists = result.getDetectedSmells().filter(smell => smell.smellName === 'LongParameterList');
+
+  assert.equal(lists.length, 1);
+  assert.equal(lists[0].location.method, 'jump');
+});
+
+test('reads Godot 3 export hints, setget accessors and remote methods like their Godot 4 forms', async () => {
+  const result = await analyze({
+    'unit.gd': [
+      'extends Node',
+      '',
+      'export(int) var hp = 3',
+      'export(float, 0, 10) var speed = 2.0',
+      'export(NodePath) var target',
+      'export(Array, String) var names = []',
+      'var armor: int = 1 setget set_armor',
+      '',
+      'func set_armor(value: int) -> void:',
+      '\tarmor = value',
+      '',
+      'remote func sync_hp(value: int) -> void:',
+      '\thp = value',
+      ''
+    ].join('\n')
+  }, { godotVersion: 3 });
+  const smells = result.getDetectedSmells().map(smell => smell.smellName);
+  const unit = Array.from(result.project.classes)[0];
+
+  assert.equal(unit.fieldDeclarations.get('speed').exportHint, 'float');
+  assert.ok(!smells.includes('PrimitiveObsession'));
+  assert.ok(!smells.includes('SpeculativeGenerality'));
+});
+
+test('reports the same results with one job as with a worker pool', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gdsmell-jobs-'));
+  const files = {
+    'project.godot': '[autoload]\n\nGameState="*res://autoload/game_state.gd"\n',
+    'autoload/game_state.gd': 'extends Node\n\nsignal score_changed(value)\n\nvar score = 0\nvar lives = 3\nvar level = 1\n\nfunc add(points):\n\tscore += points\n\tscore_changed.emit(score)\n',
+    'scripts/base_enemy.gd': 'class_name BaseEnemy\nextends CharacterBody2D\n\nvar hp = 3\n\nfunc hit(amount):\n\thp -= amount\n\tif hp <= 0 and is_inside_tree() or amount > 10:\n\t\tqueue_free()\n',
+    'scripts/slime.gd': 'extends BaseEnemy\n\nfunc _ready():\n\tGameState.add(1)\n\tGameState.lives -= 1\n\tGameState.level += 1\n\tGameState.score -= 2\n\nfunc spawn(pos_x, pos_y, pos_z, speed, color, size):\n\tprint(pos_x, pos_y, pos_z, speed, color, size)\n',
+    ...CLUMPED_SCRIPTS,
+    'scenes/level.tscn': '[gd_scene load_steps=2 format=3]\n\n[ext_resource type="Script" path="res://scripts/slime.gd" id="1"]\n\n[node name="Level" type="Node2D"]\n\n[node name="Slime" type="CharacterBody2D" parent="."]\nscript = ExtResource("1")\n'
+  };
+  const run = jobs => new AnalyzeProjectUseCase(
+    new GDScriptProjectRepository(),
+    new YAMLConfigRepository(),
+    null,
+    size => new AnalysisWorkerPool(size),
+    new PluginRepository()
+  ).execute(dir, null, { jobs, cache: false, godotVersion: 4 });
+  const untimed = ({ timestamp, duration, ...metadata }) => metadata;
+  const comparable = result => {
+    const json = result.toJSON();
+    return {
+      ...json,
+      summary: { ...json.summary, analysisMetadata: untimed(json.summary.analysisMetadata) },
+      metadata: untimed(json.metadata),
+      details: result.results.map(smell => smell.details)
+    };
+  };
+
+  try {
+    for (const [file, content] of Object.entries(files)) {
+      await fs.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+      await fs.writeFile(path.join(dir, file), content);
+    }
+    const serial = await run(1);
+    const parallel = await run(2);
+
+    assert.ok(serial.getDetectedSmells().length > 0);
+    assert.deepEqual(comparable(parallel), comparable(serial));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { analyze, loadProject } from '../../src/presentation/api/index.js';
+
+const PLAYER = 'class_name Player\nextends Node2D\n\nfunc jump():\n\tpass\n';
+const ENEMY = 'class_name Enemy\nextends Node2D\n\nfunc attack(player: Player):\n\tplayer.jump()\n';
+
+/**
+ * List the files below a directory with their modification times
+ */
+async function snapshot(directory) {
+  const entries = await fs.readdir(directory, { recursive: true, withFileTypes: true });
+  return Promise.all(entries.map(async entry => {
+    const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+    return `${path.relative(directory, filePath)} ${(await fs.stat(filePath)).mtimeMs}`;
+  })).then(lines => lines.sort());
+}
+
+test('resolves files without a project root under a fixed virtual root, whatever the working directory', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'smell-memory-'));
+  const cwd = process.cwd();
+
+  try {
+    const here = await analyze({ 'a.gd': PLAYER }, { godotVersion: 4 });
+    process.chdir(directory);
+    const there = await analyze({ 'a.gd': PLAYER }, { godotVersion: 4 });
+
+    const [herePath, therePath] = [here, there].map(result => Array.from(result.project.classes)[0].filePath);
+    assert.equal(herePath, path.resolve('/', 'project', 'a.gd'));
+    assert.equal(therePath, herePath);
+    assert.equal(here.project.root, path.resolve('/', 'project'));
+  } finally {
+    process.chdir(cwd);
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('lays files over a base project, keeping its other files as they were parsed', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'smell-memory-'));
+
+  try {
+    await fs.writeFile(path.join(directory, 'player.gd'), PLAYER);
+    await fs.writeFile(path.join(directory, 'enemy.gd'), ENEMY);
+    const base = await loadProject(directory, { godotVersion: 4 });
+    const baseEnemy = Array.from(base.classes).find(class_ => class_.name.toString() === 'Enemy');
+
+    const result = await analyze({
+      'player.gd': PLAYER.replace('func jump():', 'func jump():\n\tpass\n\nfunc crouch():'),
+      'res://hud.gd': 'class_name Hud\nextends Control\n'
+    }, { godotVersion: 4, baseProject: base });
+    const classes = new Map(Array.from(result.project.classes, class_ => [class_.name.toString(), class_]));
+
+    assert.deepEqual(Array.from(classes.keys()).sort(), ['Enemy', 'Hud', 'Player']);
+    assert.equal(classes.get('Enemy'), baseEnemy);
+    assert.deepEqual(classes.get('Player').getMethodNames(), ['jump', 'crouch']);
+    assert.equal(classes.get('Player').filePath, path.join(directory, 'player.gd'));
+    assert.equal(classes.get('Hud').filePath, path.join(directory, 'hud.gd'));
+    assert.equal(result.project.root, base.root);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('writes nothing to the base project or the working directory', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'smell-memory-'));
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'smell-cwd-'));
+  const cwd = process.cwd();
+
+  try {
+    await fs.writeFile(path.join(directory, 'player.gd'), PLAYER);
+    await fs.writeFile(path.join(directory, 'project.godot'), 'config_version=5\n');
+    const base = await loadProject(directory, { godotVersion: 4 });
+    const before = await snapshot(directory);
+
+    process.chdir(workspace);
+    await analyze({ 'player.gd': PLAYER, 'enemy.gd': ENEMY }, { godotVersion: 4, baseProject: base });
+    await analyze({ 'enemy.gd': ENEMY }, { godotVersion: 4 });
+
+    assert.deepEqual(await snapshot(directory), before);
+    assert.deepEqual(await fs.readdir(workspace), []);
+  } finally {
+    process.chdir(cwd);
+    await fs.rm(directory, { recursive: true, force: true });
+    await fs.rm(workspace, { recursive: true, force: true });
+  }
+});
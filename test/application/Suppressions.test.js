@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const SCRIPT = [
+  'extends Node',
+  '',
+  '# smell-disable-next-line LongParameterList -- mirrors the engine signal',
+  'func jump(a, b, c, d, e, f):',
+  '\tprint(a, b, c, d, e, f)',
+  '',
+  'func run():',
+  '\t# smell-disable SwitchStatements',
+  '\tprint(1)',
+  ''
+].join('\n');
+
+test('keeps suppressed smells in the results, marked with their directive', async () => {
+  const result = await analyze({ 'player.gd': SCRIPT }, { godotVersion: 4 });
+  const lists = result.results.filter(smell => smell.isDetected() && smell.smellName === 'LongParameterList');
+
+  assert.equal(lists.length, 1);
+  assert.equal(lists[0].suppression.reason, 'mirrors the engine signal');
+  assert.ok(!result.getDetectedSmells().some(smell => smell.smellName === 'LongParameterList'));
+});
+
+test('flags directives that silence no smell when asked to', async () => {
+  const result = await analyze({ 'player.gd': SCRIPT }, { godotVersion: 4, reportUnusedSuppressions: true });
+  const unused = result.getDetectedSmells().filter(smell => smell.smellName === 'UnusedSuppression');
+
+  assert.equal(unused.length, 1);
+  assert.equal(unused[0].location.line, 8);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Baseline } from '../../src/domain/value_objects/Baseline.js';
+import { Fingerprint } from '../../src/domain/value_objects/Fingerprint.js';
+import { CodeSmellResult } from '../../src/domain/services/CodeSmellDetector.js';
+
+const relative = filePath => filePath;
+
+function smell(file, symbol, hash, smellName = 'LongMethod') {
+  return new CodeSmellResult(smellName, true, 'High', { file, class: 'Player' }, {}, {
+    fingerprint: new Fingerprint(smellName, symbol, hash)
+  });
+}
+
+test('matches smells by fingerprint, so those of a renamed file stay known', () => {
+  const baseline = Baseline.fromResults([smell('player.gd', '<script>::jump', 'h1')], relative);
+  const [moved] = baseline.apply([smell('hero.gd', '<script>::jump', 'h1')], relative);
+
+  assert.ok(moved.isExisting());
+});
+
+test('matches the rest by detector, file and symbol, so editing the symbol keeps them known', () => {
+  const baseline = Baseline.fromResults([smell('player.gd', '<script>::jump', 'h1')], relative);
+  const [edited, elsewhere] = baseline.apply([
+    smell('player.gd', '<script>::jump', 'h2'),
+    smell('player.gd', '<script>::run', 'h3')
+  ], relative);
+
+  assert.ok(edited.isExisting());
+  assert.ok(!elsewhere.isExisting());
+});
+
+test('covers a smell recorded n times at most n times', () => {
+  const baseline = Baseline.fromResults([smell('player.gd', 'Player', 'h1', 'MagicNumber')], relative);
+  const marked = baseline.apply([
+    smell('player.gd', 'Player', 'h1', 'MagicNumber'),
+    smell('player.gd', 'Player', 'h1', 'MagicNumber')
+  ], relative);
+
+  assert.equal(baseline.size, 1);
+  assert.deepEqual(marked.map(result => result.isExisting()), [true, false]);
+});
+
+test('round-trips through JSON and rejects other format versions', () => {
+  const baseline = Baseline.fromResults([smell('player.gd', 'Player', 'h1'), smell('player.gd', 'Player', 'h1')], relative);
+  const json = JSON.parse(JSON.stringify(baseline));
+
+  assert.equal(json.version, 1);
+  assert.deepEqual(Baseline.from(json), baseline);
+  assert.throws(() => Baseline.from({ ...json, version: 2 }), /Unsupported baseline format/);
+  assert.throws(() => Baseline.from({ version: 1, smells: [{ smellName: 'LongMethod' }] }), /fingerprint/);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChangeSet } from '../../src/domain/value_objects/ChangeSet.js';
+import { CodeSmellResult } from '../../src/domain/services/CodeSmellDetector.js';
+
+const CHANGES = ChangeSet.from([
+  { path: '/game/player.gd', hunks: [{ startLine: 10, endLine: 12 }] },
+  { path: '/game/enemy.gd', hunks: null }
+], { since: 'main' });
+
+function smell(location) {
+  return new CodeSmellResult('LongMethod', true, 'High', location);
+}
+
+test('covers smells whose range overlaps a changed line', () => {
+  assert.ok(CHANGES.covers(smell({ file: '/game/player.gd', line: 5, endLine: 10 })));
+  assert.ok(CHANGES.covers(smell({ file: '/game/player.gd', line: 12 })));
+  assert.ok(!CHANGES.covers(smell({ file: '/game/player.gd', line: 13, endLine: 20 })));
+});
+
+test('covers every smell of a new file and none of unchanged files or without a file', () => {
+  assert.ok(CHANGES.covers(smell({ file: '/game/enemy.gd', line: 40 })));
+  assert.ok(!CHANGES.covers(smell({ file: '/game/level.gd', line: 1 })));
+  assert.ok(!CHANGES.covers(smell({ project: 'game' })));
+});
+
+test('describes its source and rejects unknown ones', () => {
+  assert.equal(CHANGES.toString(), '2 changed script(s) since main');
+  assert.equal(ChangeSet.from([], { source: 'index' }).toString(), '0 changed script(s) since HEAD (index)');
+  assert.throws(() => ChangeSet.from([], { source: 'stash' }), /Unsupported change source/);
+});
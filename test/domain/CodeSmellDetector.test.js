@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CodeSmellDetector } from '../../src/domain/services/CodeSmellDetector.js';
+import { SourceRange } from '../../src/domain/value_objects/SourceRange.js';
+import { Class } from '../../src/domain/entities/Class.js';
+import { Method } from '../../src/domain/entities/Method.js';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const detector = new CodeSmellDetector();
+
+test('locates smells at the source range of their method or class', () => {
+  const method = new Method('jump', [], [], new Set(), new Set(), { range: SourceRange.from('player.gd', 3, 1, 4, 6) });
+  const class_ = new Class('Player', [], [method], null, [], false, 'player.gd', { range: SourceRange.from('player.gd', 1, 1, 4, 6) });
+
+  assert.deepEqual(detector.methodLocation(method, class_), {
+    class: 'Player', method: 'jump', file: 'player.gd', line: 3, column: 1, endLine: 4, endColumn: 6
+  });
+  assert.deepEqual(detector.classLocation(class_), { class: 'Player', file: 'player.gd', line: 1, column: 1, endLine: 4, endColumn: 6 });
+});
+
+test('falls back to the file alone without a range', () => {
+  const class_ = new Class('Player', [], [], null, [], false, 'player.gd');
+
+  assert.deepEqual(detector.classLocation(class_), { class: 'Player', file: 'player.gd' });
+  assert.deepEqual(detector.classLocation(class_, 'other.gd'), { class: 'Player', file: 'other.gd' });
+});
+
+test('reports the lines and columns of the parsed definition', async () => {
+  const result = await analyze({
+    'player.gd': 'extends Node\n\n\nfunc jump(a, b, c, d, e, f):\n\tprint(a, b, c, d, e, f)\n'
+  }, { godotVersion: 4 });
+  const [smell] = result.getDetectedSmells().filter(candidate => candidate.smellName === 'LongParameterList');
+
+  assert.deepEqual([smell.location.method, smell.location.line, smell.location.column, smell.location.endLine], ['jump', 4, 1, 5]);
+});
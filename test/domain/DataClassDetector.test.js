@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+/**
+ * Get the DataClass result of the only class of a script
+ */
+async function dataClassResult(source) {
+  const result = await analyze({ 'item.gd': source }, { godotVersion: 4 });
+  return result.results.find(r => r.smellName === 'DataClass');
+}
+
+test('reports classes whose only methods are accessors, bound or inline', async () => {
+  const result = await dataClassResult(`extends Resource
+
+var price: int = 0:
+\tset(value):
+\t\tprice = max(value, 0)
+var weight := 1.0:
+\tget:
+\t\treturn weight
+var label = "": set = apply_label
+
+func apply_label(value):
+\tlabel = value
+`);
+
+  assert.ok(result.isDetected());
+  assert.deepEqual(result.details.behaviorMethods, []);
+  assert.deepEqual(result.details.analysis.boundAccessors.map(a => [a.name, a.field]),
+    [['apply_label', 'label'], ['price.set', 'price'], ['weight.get', 'weight']]);
+});
+
+test('counts inline accessors longer than an accessor as behavior', async () => {
+  const result = await dataClassResult(`extends Resource
+
+var price: int = 0:
+\tset(value):
+\t\tif value < 0:
+\t\t\tpush_warning("negative price")
+\t\tprice = max(value, 0)
+\t\tchanged.emit()
+var weight := 1.0
+`);
+
+  assert.ok(!result.isDetected());
+  assert.deepEqual(result.details.behaviorMethods.map(m => [m.name, m.loc, m.complexity]), [['price.set', 4, 2]]);
+});
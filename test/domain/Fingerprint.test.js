@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Fingerprint } from '../../src/domain/value_objects/Fingerprint.js';
+import { Class } from '../../src/domain/entities/Class.js';
+import { Method } from '../../src/domain/entities/Method.js';
+import { CodeSmellResult } from '../../src/domain/services/CodeSmellDetector.js';
+
+const SCRIPT = new Class('player', [], [new Method('jump', [], [], new Set(), new Set(), { contentHash: 'm1' })], null, [], false, 'player.gd', {
+  contentHash: 'c1'
+});
+
+test('names the symbol and the hash of the method a smell is in', () => {
+  const result = new CodeSmellResult('LongMethod', true, 'High', { file: 'player.gd', class: 'player', method: 'jump' });
+
+  assert.equal(Fingerprint.of(result, SCRIPT, SCRIPT).toString(), 'LongMethod:<script>::jump@m1');
+});
+
+test('uses the class hash for class-level smells and keeps global class names', () => {
+  const global = new Class('Player', [], [], null, [], false, 'player.gd', { globalClass: true, contentHash: 'c2' });
+  const result = new CodeSmellResult('LargeClass', true, 'High', { file: 'player.gd', class: 'Player' });
+
+  assert.equal(Fingerprint.of(result, global, global).toString(), 'LargeClass:Player@c2');
+});
+
+test('replaces the file-derived name of inner classes and reads unknown hashes as missing', () => {
+  const result = new CodeSmellResult('LazyClass', true, 'Low', { file: 'player.gd', class: 'player.Inner' });
+  const fingerprint = Fingerprint.of(result, null, SCRIPT);
+
+  assert.equal(fingerprint.toString(), 'LazyClass:<script>.Inner@-');
+  assert.equal(fingerprint.contentHash, null);
+});
+
+test('equals fingerprints with the same detector, symbol and hash', () => {
+  assert.ok(new Fingerprint('LongMethod', 'A::f', 'h').equals(new Fingerprint('LongMethod', 'A::f', 'h')));
+  assert.ok(!new Fingerprint('LongMethod', 'A::f', 'h').equals(new Fingerprint('LongMethod', 'A::f', 'g')));
+  assert.throws(() => new Fingerprint(''), /smell name/);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const PROJECT_GODOT = `config_version=5
+
+[autoload]
+
+Settings="*res://settings.gd"
+`;
+
+test('counts static variables of any class as global state, next to autoload fields', async () => {
+  const result = await analyze({
+    'project.godot': PROJECT_GODOT,
+    'settings.gd': 'extends Node\n\nvar volume = 1.0\nvar language = "en"\n',
+    'registry.gd': 'class_name Registry\nextends RefCounted\n\nstatic var entries := {}\nstatic var count := 0\nvar local_only = 1\n'
+  }, { godotVersion: 4, config: { thresholds: { maxGlobalVars: 3 } } });
+  const globalState = result.results.find(r => r.smellName === 'GlobalState');
+
+  assert.ok(globalState.isDetected());
+  assert.equal(globalState.severity, 'Low');
+  assert.equal(globalState.details.totalGlobalVars, 4);
+  assert.deepEqual(globalState.details.staticVars.map(v => [v.class, v.field, v.location.line]),
+    [['Registry', 'entries', 4], ['Registry', 'count', 5]]);
+  assert.deepEqual(globalState.details.autoloadDetails.map(a => [a.singletonName, a.fieldCount]), [['Settings', 2]]);
+});
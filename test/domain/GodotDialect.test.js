@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GodotDialect } from '../../src/domain/value_objects/GodotDialect.js';
+
+test('detects the dialect from config_version, then from the version feature', () => {
+  assert.equal(GodotDialect.detect(5).version, 4);
+  assert.equal(GodotDialect.detect(4).version, 3);
+  assert.equal(GodotDialect.detect(null, ['3.5', 'GLES3']).source, 'features');
+  assert.deepEqual(GodotDialect.detect(null, []), GodotDialect.from(4, 'default'));
+});
+
+test('parses manual overrides and rejects other versions', () => {
+  assert.equal(GodotDialect.parse('godot3').version, 3);
+  assert.equal(GodotDialect.parse('4.2').source, 'override');
+  assert.equal(GodotDialect.parse(''), null);
+  assert.throws(() => GodotDialect.parse(2), /Invalid Godot version/);
+});
+
+test('recognizes the suspension and export syntax of each dialect', () => {
+  const godot3 = GodotDialect.from(3);
+  const godot4 = GodotDialect.from(4);
+
+  assert.ok(godot3.isSuspension('yield(get_tree(), "idle_frame")'));
+  assert.ok(!godot3.isSuspension('await get_tree().process_frame'));
+  assert.ok(godot4.isSuspension('await get_tree().process_frame'));
+  assert.ok(godot4.isExportAnnotation('export_range'));
+  assert.ok(!godot4.isExportAnnotation('export_group'));
+  assert.ok(!godot3.isExportAnnotation('export'));
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IgnoreRule } from '../../src/domain/value_objects/IgnoreRule.js';
+import { FileFilter } from '../../src/domain/value_objects/FileFilter.js';
+
+test('matches unanchored patterns at any depth and anchored ones from the root', () => {
+  const anyDepth = new IgnoreRule('*.gen.gd');
+  const anchored = new IgnoreRule('/tools/*.gd');
+
+  assert.ok(anyDepth.matches('player.gen.gd'));
+  assert.ok(anyDepth.matches('scripts/ai/enemy.gen.gd'));
+  assert.ok(anchored.matches('tools/build.gd'));
+  assert.ok(!anchored.matches('scripts/tools/build.gd'));
+  assert.ok(!anchored.matches('tools/sub/build.gd'));
+});
+
+test('spans directories with ** and matches directories only with a trailing slash', () => {
+  assert.ok(new IgnoreRule('scripts/**/test_*.gd').matches('scripts/test_a.gd'));
+  assert.ok(new IgnoreRule('scripts/**/test_*.gd').matches('scripts/a/b/test_a.gd'));
+  assert.ok(new IgnoreRule('legacy/**').matches('legacy/old/player.gd'));
+  assert.ok(new IgnoreRule('build/').matches('build', true));
+  assert.ok(!new IgnoreRule('build/').matches('build', false));
+  assert.ok(new IgnoreRule('level_[0-9].gd').matches('level_3.gd'));
+  assert.ok(!new IgnoreRule('level_[!0-9].gd').matches('level_3.gd'));
+});
+
+test('reads negation and escaped leading characters', () => {
+  const negated = new IgnoreRule('!keep.gd');
+  const literal = new IgnoreRule('\\!important.gd');
+
+  assert.ok(negated.negated && negated.matches('keep.gd'));
+  assert.ok(!literal.negated && literal.matches('!important.gd'));
+  assert.equal(new IgnoreRule('a.gd', '.smellignore', 4).describe(), "'a.gd' (.smellignore:4)");
+  assert.throws(() => new IgnoreRule('  '), /must have a pattern/);
+});
+
+test('lets the last matching rule decide, without re-including below excluded directories', () => {
+  const filter = new FileFilter(['generated/', '*.gen.gd', '!keep.gen.gd', '!generated/keep.gd']);
+
+  assert.ok(!filter.accepts('ai/enemy.gen.gd'));
+  assert.ok(filter.accepts('ai/keep.gen.gd'));
+  assert.equal(filter.check('generated/keep.gd').rule.pattern, 'generated/');
+  assert.equal(new FileFilter([], ['scripts/**']).check('tools/a.gd').reason, 'not-included');
+  assert.ok(!FileFilter.defaults().accepts('addons/plugin/a.gd'));
+  assert.ok(!FileFilter.defaults().accepts('.godot/imported/a.gd'));
+});
+
+test('includes every file below a directory named by an include rule', () => {
+  for (const pattern of ['scripts', 'scripts/', '/scripts/']) {
+    const filter = new FileFilter([], [pattern]);
+
+    assert.ok(filter.accepts('scripts/player.gd'), pattern);
+    assert.ok(filter.accepts('scripts/ai/enemy.gd'), pattern);
+    assert.equal(filter.check('tools/build.gd').reason, 'not-included', pattern);
+  }
+
+  // Unanchored names match directories at any depth, anchored ones only from the root
+  assert.ok(new FileFilter([], ['ai/']).accepts('scripts/ai/enemy.gd'));
+  assert.ok(!new FileFilter([], ['/ai/']).accepts('scripts/ai/enemy.gd'));
+  assert.ok(!new FileFilter([], ['scripts/']).accepts('scripts.gd'));
+});
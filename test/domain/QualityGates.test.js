@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QualityGates } from '../../src/domain/value_objects/QualityGates.js';
+import { CodeSmellResult } from '../../src/domain/services/CodeSmellDetector.js';
+
+const PROJECT = { getAverageComplexity: () => 4.256 };
+
+function smell(severity, file) {
+  return new CodeSmellResult('LongMethod', true, severity, { file });
+}
+
+const SMELLS = [smell('Critical', 'a.gd'), smell('High', 'a.gd'), smell('High', 'a.gd'), smell('High', 'b.gd')];
+
+test('passes when every set gate is within its limit', () => {
+  const outcome = QualityGates.from({ maxCriticalSmells: 1, maxTotalSmells: 4, maxComplexityAverage: 5 }).evaluate(SMELLS, PROJECT);
+
+  assert.deepEqual(outcome, { passed: true, violations: [] });
+});
+
+test('checks per-file gates for each file on its own', () => {
+  const { passed, violations } = QualityGates.from({ maxHighSmellsPerFile: 1 }).evaluate(SMELLS, PROJECT);
+
+  assert.equal(passed, false);
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].file, 'a.gd');
+  assert.equal(violations[0].message, 'maxHighSmellsPerFile: 2 high smells in a.gd (limit 1)');
+});
+
+test('reports project gates once, with the measured value', () => {
+  const { violations } = QualityGates.from({ maxCriticalSmells: 0, maxComplexityAverage: 4 }).evaluate(SMELLS, PROJECT);
+
+  assert.deepEqual(violations.map(violation => [violation.gate, violation.actual]), [['maxCriticalSmells', 1], ['maxComplexityAverage', 4.26]]);
+});
+
+test('ignores unset gates and rejects unknown gates and invalid limits', () => {
+  assert.ok(QualityGates.from({ maxTotalSmells: null }).isEmpty());
+  assert.throws(() => QualityGates.from({ maxWarnings: 1 }), /Unknown quality gate maxWarnings/);
+  assert.throws(() => QualityGates.from({ maxTotalSmells: -1 }), /non-negative number/);
+  assert.throws(() => QualityGates.from([]), /must map gate names/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueryRule } from '../../src/domain/value_objects/QueryRule.js';
+import { Identifier } from '../../src/domain/value_objects/Identifier.js';
+
+const QUERY = '(call (identifier) @fn (#eq? @fn "print")) @match';
+
+test('creates a rule from its configuration entry', () => {
+  const rule = QueryRule.from({
+    name: 'NoPrint',
+    query: QUERY,
+    severity: 'Low',
+    scope: { methods: '_process', extends: ['Node2D'] }
+  });
+
+  assert.deepEqual(rule.methods, ['_process']);
+  assert.deepEqual(rule.extends, ['Node2D']);
+  assert.equal(rule.message, 'NoPrint');
+  assert.ok(rule.isMethodScoped());
+});
+
+test('rejects invalid names, empty queries and unknown severities', () => {
+  assert.throws(() => QueryRule.from({ name: 'no print', query: QUERY }), /must be an identifier/);
+  assert.throws(() => QueryRule.from({ name: 'NoPrint', query: ' ' }), /must have a query/);
+  assert.throws(() => QueryRule.from({ name: 'NoPrint', query: QUERY, severity: 'Severe' }), /unsupported severity Severe/);
+  assert.throws(() => QueryRule.from(null), /must be mappings/);
+});
+
+test('matches method names with wildcards', () => {
+  const rule = new QueryRule('NoPrint', QUERY, { methods: ['_on_*'] });
+
+  assert.ok(rule.appliesToMethod('_on_body_entered'));
+  assert.ok(!rule.appliesToMethod('_process'));
+  assert.ok(!rule.appliesToMethod('x_on_body'));
+});
+
+test('applies to classes inheriting from a scoped class at any depth', () => {
+  const rule = new QueryRule('NoPrint', QUERY, { extends: 'Node2D' });
+  const class_ = { parent: new Identifier('CharacterBody2D') };
+
+  assert.ok(!rule.appliesToClass(class_));
+  assert.ok(rule.appliesToClass(class_, ['CharacterBody2D', 'PhysicsBody2D', 'CollisionObject2D', 'Node2D']));
+  assert.ok(new QueryRule('NoPrint', QUERY).appliesToClass({ parent: null }));
+});
+
+test('fills in message placeholders, keeping unknown ones', () => {
+  const rule = new QueryRule('NoPrint', QUERY, { message: '{fn} in {class}::{method} ({other})' });
+
+  assert.equal(rule.formatMessage({ fn: 'print', class: 'Player', method: '_ready' }), 'print in Player::_ready ({other})');
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const NO_PRINT = {
+  name: 'NoPrint',
+  query: '(call (identifier) @fn (#eq? @fn "print")) @match',
+  scope: { extends: 'Node2D' }
+};
+
+/**
+ * Report the NoPrint smells of an in-memory project
+ */
+async function noPrintSmells(files) {
+  const result = await analyze(files, { godotVersion: 4, config: { rules: [NO_PRINT] } });
+  return result.getDetectedSmells().filter(smell => smell.smellName === 'NoPrint');
+}
+
+test('reports matches in classes extending an engine subclass of the scoped class', async () => {
+  const smells = await noPrintSmells({
+    'player.gd': 'extends CharacterBody2D\n\nfunc _ready():\n\tprint("ready")\n'
+  });
+
+  assert.equal(smells.length, 1);
+  assert.equal(smells[0].location.method, '_ready');
+});
+
+test('reports matches in classes extending a project class that extends the scoped class', async () => {
+  const smells = await noPrintSmells({
+    'base.gd': 'class_name Base\nextends Sprite2D\n',
+    'enemy.gd': 'extends Base\n\nfunc _ready():\n\tprint("ready")\n'
+  });
+
+  assert.equal(smells.length, 1);
+});
+
+test('skips classes outside the scoped hierarchy', async () => {
+  const smells = await noPrintSmells({
+    'menu.gd': 'extends Control\n\nfunc _ready():\n\tprint("ready")\n'
+  });
+
+  assert.equal(smells.length, 0);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SourceRange } from '../../src/domain/value_objects/SourceRange.js';
+
+test('converts 0-based tree-sitter points to 1-based positions', () => {
+  const range = SourceRange.fromPoints('player.gd', { row: 2, column: 0 }, { row: 4, column: 7 });
+
+  assert.deepEqual(range.toLocation(), { file: 'player.gd', line: 3, column: 1, endLine: 5, endColumn: 8 });
+  assert.equal(range.lineCount, 3);
+  assert.equal(range.toString(), 'player.gd:3:1-5:8');
+});
+
+test('checks lines against the range and compares ranges by value', () => {
+  const range = SourceRange.from('player.gd', 3, 1, 5, 8);
+
+  assert.ok(range.containsLine(3) && range.containsLine(5));
+  assert.ok(!range.containsLine(6));
+  assert.ok(range.equals(SourceRange.from('player.gd', 3, 1, 5, 8)));
+  assert.ok(!range.equals(SourceRange.from('enemy.gd', 3, 1, 5, 8)));
+});
+
+test('rejects positions below 1 and ranges ending before they start', () => {
+  assert.throws(() => SourceRange.from('player.gd', 0, 1, 1, 1), /positive integers/);
+  assert.throws(() => SourceRange.from('player.gd', 3, 5, 3, 2), /must not end before it starts/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Suppression } from '../../src/domain/value_objects/Suppression.js';
+import { Comment } from '../../src/domain/value_objects/Comment.js';
+import { SourceRange } from '../../src/domain/value_objects/SourceRange.js';
+import { CodeSmellResult } from '../../src/domain/services/CodeSmellDetector.js';
+
+/**
+ * Parse the directives of a one-line comment on a line of player.gd
+ */
+function directives(text, line = 3, methodName = null) {
+  return Suppression.fromComment(Comment.from([text], new SourceRange('player.gd', line, 1, line, text.length + 1)), 'Player', methodName);
+}
+
+function smell(smellName, location) {
+  return new CodeSmellResult(smellName, true, 'Low', { file: 'player.gd', class: 'Player', ...location });
+}
+
+test('parses the directive kind, detector names and reason', () => {
+  const [suppression] = directives('# smell-disable-next-line LongParameterList, DataClumps -- mirrors the engine signal');
+
+  assert.equal(suppression.kind, 'next-line');
+  assert.deepEqual(suppression.detectors, ['LongParameterList', 'DataClumps']);
+  assert.equal(suppression.reason, 'mirrors the engine signal');
+  assert.equal(suppression.toString(), 'smell-disable-next-line LongParameterList, DataClumps -- mirrors the engine signal');
+});
+
+test('ignores doc comments and look-alike directives', () => {
+  const doc = Comment.from(['## smell-disable'], new SourceRange('player.gd', 1, 1, 1, 17), { kind: 'doc' });
+
+  assert.deepEqual(Suppression.fromComment(doc, 'Player'), []);
+  assert.deepEqual(directives('# smell-disabled for now'), []);
+});
+
+test('covers smells by kind: the next line, the enclosing method or class, or the file', () => {
+  const [nextLine] = directives('# smell-disable-next-line', 3);
+  const [method] = directives('# smell-disable LongMethod', 5, 'jump');
+  const [file] = directives('# smell-disable-file');
+
+  assert.ok(nextLine.covers(smell('LongMethod', { line: 4 })));
+  assert.ok(!nextLine.covers(smell('LongMethod', { line: 5 })));
+  assert.ok(method.covers(smell('LongMethod', { method: 'jump', line: 9 })));
+  assert.ok(!method.covers(smell('LongMethod', { method: 'run', line: 9 })));
+  assert.ok(!method.covers(smell('FeatureEnvy', { method: 'jump', line: 9 })));
+  assert.ok(file.covers(smell('DataClass', { line: 1 })));
+  assert.ok(!file.covers(new CodeSmellResult('DataClass', true, 'Low', { file: 'enemy.gd', class: 'Enemy' })));
+  assert.ok(nextLine.getSpecificity() < method.getSpecificity() && method.getSpecificity() < file.getSpecificity());
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnalysisWorkerPool } from '../../src/infrastructure/workers/AnalysisWorkerPool.js';
+
+const EXITING_WORKER = new URL('data:text/javascript,' + encodeURIComponent(`
+  import { parentPort } from 'worker_threads';
+  parentPort.on('message', task => task.exit === undefined ? parentPort.postMessage({ result: task.value }) : process.exit(task.exit));
+`));
+
+test('a worker that exits fails its task and is replaced', async () => {
+  const pool = new AnalysisWorkerPool(1, EXITING_WORKER);
+  try {
+    await assert.rejects(pool.run({ exit: 3 }), /Worker exited with code 3/);
+    await assert.rejects(pool.run({ exit: 0 }), /Worker exited with code 0/);
+    assert.equal(await pool.run({ value: 42 }), 42);
+  } finally {
+    await pool.close();
+  }
+});
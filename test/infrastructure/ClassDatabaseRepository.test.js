@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ClassDatabaseRepository } from '../../src/infrastructure/repositories/ClassDatabaseRepository.js';
+import { GodotDialect } from '../../src/domain/value_objects/GodotDialect.js';
+import { analyze } from '../../src/presentation/api/index.js';
+
+/**
+ * Minimal extension_api.json declaring a custom engine class
+ */
+const CUSTOM_API = {
+  header: { version_major: 4, version_minor: 3, version_patch: 1 },
+  classes: [
+    { name: 'Object', api_type: 'core', methods: [{ name: 'get_class', is_virtual: false, return_value: { type: 'String' } }] },
+    { name: 'Node', inherits: 'Object', api_type: 'core', methods: [{ name: '_ready', is_virtual: true }], signals: [{ name: 'ready' }] },
+    { name: 'Spinner', inherits: 'Node', api_type: 'extension', methods: [{ name: '_spin', is_virtual: true }, { name: 'spin', is_virtual: false }] }
+  ]
+};
+
+/**
+ * Write an API dump to a fresh directory and run a test against its path
+ */
+async function withApiFile(data, run) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'extension-api-'));
+  try {
+    const apiPath = path.join(directory, 'extension_api.json');
+    await fs.writeFile(apiPath, typeof data === 'string' ? data : JSON.stringify(data));
+    await run(apiPath);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+test('resolves engine class inheritance from the bundled API, with Godot 3 names for Godot 3 projects', async () => {
+  const repository = new ClassDatabaseRepository();
+  const godot4 = await repository.load({ dialect: GodotDialect.from(4) });
+  const godot3 = await repository.load({ dialect: GodotDialect.from(3) });
+
+  assert.equal(godot4.source, 'bundled');
+  assert.equal(godot4.version, '4.2.0');
+  assert.deepEqual(godot4.getInheritanceChain('CharacterBody2D').map(c => c.name),
+    ['CharacterBody2D', 'PhysicsBody2D', 'CollisionObject2D', 'Node2D', 'CanvasItem', 'Node', 'Object']);
+  assert.ok(godot4.isSubclassOf('CharacterBody2D', 'Node'));
+  assert.ok(!godot4.isSubclassOf('Node', 'Node2D'));
+  assert.ok(!godot4.hasClass('KinematicBody2D'));
+
+  assert.ok(godot3.hasClass('KinematicBody2D'));
+  assert.ok(!godot3.isSubclassOf('KinematicBody2D', 'Spatial'));
+  assert.equal(godot3.getInheritanceChain('KinematicBody2D')[0].name, 'CharacterBody2D');
+});
+
+test('tells engine callbacks from user methods through the class and project ancestry', async () => {
+  const database = await new ClassDatabaseRepository().load();
+
+  assert.ok(database.isVirtualMethod('CharacterBody2D', '_physics_process'));
+  assert.ok(database.isVirtualMethod('CharacterBody2D', '_init'));
+  assert.ok(!database.isVirtualMethod('CharacterBody2D', 'move_and_slide'));
+  assert.ok(!database.isVirtualMethod('NotAClass', '_ready'));
+
+  const { project } = await analyze({
+    'base.gd': 'class_name Base\nextends CharacterBody2D\n',
+    'player.gd': 'class_name Player\nextends Base\n\nfunc _physics_process(delta):\n\tpass\n\nfunc _helper():\n\tpass\n',
+    // The addon declaring ToolBase is excluded from analysis, so its ancestry is unknown
+    'tool.gd': 'class_name ToolUser\nextends ToolBase\n\nfunc _ready():\n\tpass\n'
+  }, { godotVersion: 4 });
+  const classes = new Map(Array.from(project.classes, class_ => [class_.name.toString(), class_]));
+
+  assert.equal(project.getEngineBase(classes.get('Player')), 'CharacterBody2D');
+  assert.ok(project.isEngineCallback(classes.get('Player'), '_physics_process'));
+  assert.ok(!project.isEngineCallback(classes.get('Player'), '_helper'));
+  assert.equal(project.getAncestry(classes.get('ToolUser')).unresolved, 'ToolBase');
+  assert.ok(!project.isEngineCallback(classes.get('ToolUser'), '_ready'));
+});
+
+test('loads a local extension API dump instead of the bundled one', async () => {
+  await withApiFile(CUSTOM_API, async apiPath => {
+    const database = await new ClassDatabaseRepository().load({ apiPath });
+
+    assert.equal(database.source, apiPath);
+    assert.equal(database.version, '4.3.1');
+    assert.deepEqual(database.getInheritanceChain('Spinner').map(c => c.name), ['Spinner', 'Node', 'Object']);
+    assert.ok(database.isVirtualMethod('Spinner', '_spin'));
+    assert.ok(!database.hasClass('CharacterBody2D'));
+
+    const { project } = await analyze({
+      'wheel.gd': 'extends Spinner\n\nfunc _spin():\n\tpass\n\nfunc _ready():\n\tspin()\n'
+    }, { godotVersion: 4, extensionApi: apiPath });
+    const [wheel] = project.classes;
+
+    assert.equal(project.classDatabase.source, apiPath);
+    assert.ok(project.isEngineCallback(wheel, '_spin'));
+    assert.ok(project.isEngineCallback(wheel, '_ready'));
+    assert.deepEqual(Array.from(wheel.getMethod('_ready').calls), []);
+  });
+});
+
+test('reads Godot 3 api.json dumps and reports missing or malformed files', async () => {
+  const repository = new ClassDatabaseRepository();
+
+  await withApiFile([
+    { name: 'Object', base_class: '', methods: [] },
+    { name: 'Node', base_class: 'Object', methods: [{ name: '_ready', is_virtual: true, return_type: 'void' }], signals: [{ name: 'ready' }] }
+  ], async apiPath => {
+    const database = await repository.load({ apiPath });
+
+    assert.equal(database.version, '3.x');
+    assert.deepEqual(database.getInheritanceChain('Node').map(c => c.name), ['Node', 'Object']);
+    assert.equal(database.findSignal('Node', 'ready'), 'Node');
+  });
+
+  await withApiFile('{"header": {}}', async apiPath => {
+    await assert.rejects(repository.load({ apiPath }), /must contain a "classes" array/);
+  });
+  await withApiFile('not json', async apiPath => {
+    await assert.rejects(repository.load({ apiPath }), /Failed to load extension API/);
+  });
+  await assert.rejects(repository.load({ apiPath: path.join(os.tmpdir(), 'no-such-dir', 'extension_api.json') }),
+    /Extension API file not found/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const PLAYER = `class_name Player
+extends CharacterBody2D
+
+var hp = 3
+
+func jump():
+\tpass
+
+class Stats:
+\tvar armor = 1
+
+\tfunc total():
+\t\treturn armor
+
+\tclass Bonus:
+\t\tvar value = 2
+`;
+
+/**
+ * Parse scripts and index their classes by qualified name
+ */
+async function parseClasses(files) {
+  const { project } = await analyze(files, { godotVersion: 4 });
+  return new Map(Array.from(project.classes, class_ => [class_.name.toString(), class_]));
+}
+
+test('names a script after its class_name, or after its file without one', async () => {
+  const classes = await parseClasses({ 'scripts/player_controller.gd': PLAYER, 'scripts/enemy_spawner.gd': 'extends Node\n' });
+
+  assert.ok(classes.get('Player').globalClass);
+  assert.equal(classes.get('Player').parent.toString(), 'CharacterBody2D');
+  assert.ok(!classes.has('PlayerController'));
+  assert.ok(classes.has('Enemy_spawner'));
+  assert.ok(!classes.get('Enemy_spawner').globalClass);
+});
+
+test('emits inner classes as separate entities named after their outer class', async () => {
+  const classes = await parseClasses({ 'player.gd': PLAYER });
+
+  assert.deepEqual(Array.from(classes.keys()), ['Player', 'Player.Stats', 'Player.Stats.Bonus']);
+  assert.equal(classes.get('Player.Stats').outerClass, 'Player');
+  assert.equal(classes.get('Player.Stats.Bonus').outerClass, 'Player.Stats');
+  assert.ok(classes.get('Player.Stats').isInnerClass());
+  assert.equal(classes.get('Player.Stats').filePath, classes.get('Player').filePath);
+});
+
+test('leaves the members of inner classes out of their outer class', async () => {
+  const classes = await parseClasses({ 'player.gd': PLAYER });
+  const members = class_ => [Array.from(class_.fields, String), Array.from(class_.methods, method => method.name.toString())];
+
+  assert.deepEqual(members(classes.get('Player')), [['hp'], ['jump']]);
+  assert.deepEqual(members(classes.get('Player.Stats')), [['armor'], ['total']]);
+  assert.deepEqual(members(classes.get('Player.Stats.Bonus')), [['value'], []]);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const PLAYER = `## Player controlled character.
+## Moves and jumps.
+
+extends CharacterBody2D
+
+## Emitted on landing
+signal landed
+
+## Maximum speed
+@export var speed := 200.0
+@export var jump_height := 64.0
+
+## Gravity scale
+const GRAVITY = 9.8
+
+## Movement states
+enum State { IDLE, RUN }
+
+# Tuning below
+# var old_speed = 100
+var accel = 10 # per frame
+
+## Jump if grounded
+@rpc("any_peer")
+func jump():
+\t# check the floor first
+\tif is_on_floor(): # grounded
+\t\tvelocity.y = -jump_height
+\t# velocity.x = 0
+\t# velocity.y = 0
+
+func move():
+\tpass
+`;
+
+/**
+ * Parse the Player script and get its class
+ */
+async function parsePlayer() {
+  const { project } = await analyze({ 'player.gd': PLAYER }, { godotVersion: 4 });
+  return Array.from(project.classes)[0];
+}
+
+test('attaches ## comments to the script and to the declaration directly below them', async () => {
+  const player = await parsePlayer();
+
+  assert.equal(player.docComment.text, 'Player controlled character.\nMoves and jumps.');
+  assert.equal(Array.from(player.signals)[0].docComment.text, 'Emitted on landing');
+  assert.equal(player.getField('speed').docComment.text, 'Maximum speed');
+  assert.equal(player.getField('jump_height').docComment, null);
+  assert.equal(player.constants.get('GRAVITY').docComment.text, 'Gravity scale');
+  assert.equal(player.enums[0].docComment.text, 'Movement states');
+
+  // Annotations on lines of their own sit between a method and its doc comment
+  assert.equal(player.getMethod('jump').docComment.text, 'Jump if grounded');
+  assert.ok(player.getMethod('jump').docComment.isDoc());
+  assert.equal(player.getMethod('move').docComment, null);
+});
+
+test('groups block comments, keeps inline ones apart and leaves method comments to the method', async () => {
+  const player = await parsePlayer();
+
+  assert.deepEqual(player.comments.map(comment => [comment.kind, comment.lines, comment.range.startLine]), [
+    ['block', ['# Tuning below', '# var old_speed = 100'], 19],
+    ['inline', ['# per frame'], 21]
+  ]);
+  assert.deepEqual(player.getMethod('jump').comments.map(comment => [comment.kind, comment.lines]), [
+    ['block', ['# check the floor first']],
+    ['inline', ['# grounded']],
+    ['block', ['# velocity.x = 0', '# velocity.y = 0']]
+  ]);
+  assert.equal(player.getMethod('jump').comments[2].getCodeLines().length, 2);
+  assert.deepEqual(player.getUndocumentedMembers(), [{ kind: 'method', name: 'move' }, { kind: 'field', name: 'jump_height' }]);
+});
+
+test('reports the comments of a method in the method context only', async () => {
+  const result = await analyze({ 'player.gd': PLAYER }, {
+    godotVersion: 4,
+    config: { thresholds: { maxCommentedOutLines: 1 } }
+  });
+  const smells = result.getDetectedSmells().filter(smell => smell.smellName === 'Comments');
+
+  assert.deepEqual(smells.map(smell => [smell.location.method ?? null, smell.details.commentedOutLines]), [['jump', 2]]);
+
+  const [classResult] = result.results.filter(r => r.smellName === 'Comments' && !r.location.method);
+  assert.equal(classResult.details.commentedOutLines, 1);
+  assert.equal(classResult.details.commentLines, 3);
+  assert.deepEqual(classResult.details.undocumentedMembers, ['method move', 'field jump_height']);
+});
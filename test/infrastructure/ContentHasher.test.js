@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+/**
+ * Fingerprints of the smells reported on a script, keyed by smell name and symbol
+ */
+async function fingerprints(files) {
+  const result = await analyze(files, { godotVersion: 4, config: { maxMethods: 1 } });
+  return new Map(result.getDetectedSmells()
+    .filter(smell => smell.fingerprint)
+    .map(smell => [`${smell.fingerprint.smellName}:${smell.fingerprint.symbol}`, smell.fingerprint.contentHash]));
+}
+
+/**
+ * A script too large for one method, holding an inner class
+ */
+function script({ outer = 'pass', inner = 'pass', comment = '' } = {}) {
+  return `extends Node\n\nfunc a():\n\t${outer}${comment}\n\nfunc b():\n\tpass\n\nclass Inner:\n\tfunc c():\n\t\t${inner}\n`;
+}
+
+test('keeps hashes when comments, layout or the file name change', async () => {
+  const before = await fingerprints({ 'player.gd': script() });
+  const after = await fingerprints({ 'hero.gd': script({ comment: '  # reformatted' }).replace('\n\nfunc b', '\n\n\nfunc b') });
+
+  assert.ok(before.has('LargeClass:<script>'));
+  assert.deepEqual(after, before);
+});
+
+test('leaves inner classes out of the hash of their script', async () => {
+  const before = await fingerprints({ 'player.gd': script() });
+  const innerEdited = await fingerprints({ 'player.gd': script({ inner: 'print(1)' }) });
+  const outerEdited = await fingerprints({ 'player.gd': script({ outer: 'print(1)' }) });
+
+  assert.equal(innerEdited.get('LargeClass:<script>'), before.get('LargeClass:<script>'));
+  assert.notEqual(innerEdited.get('LazyClass:<script>.Inner'), before.get('LazyClass:<script>.Inner'));
+  assert.notEqual(outerEdited.get('LargeClass:<script>'), before.get('LargeClass:<script>'));
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const GODOT_4_SCRIPT = `extends Node
+
+@export var hp: int = 3
+@onready var sprite = $Sprite
+var armor := 1:
+\tset(value):
+\t\tarmor = max(value, 0)
+\tget:
+\t\treturn armor
+
+@rpc("any_peer")
+func sync_hp(value: int) -> void:
+\tawait get_tree().process_frame
+\thp = value
+`;
+
+const GODOT_3_SCRIPT = `tool
+extends Node
+
+export(int) var hp = 3
+onready var sprite = $Sprite
+var armor = 1 setget set_armor, get_armor
+
+func set_armor(value):
+\tarmor = value
+
+func get_armor():
+\treturn armor
+
+master func sync_hp(value):
+\tyield(get_tree(), "idle_frame")
+\thp = value
+`;
+
+/**
+ * Parse one script in a dialect and return its class and the project dialect
+ */
+async function parse(content, godotVersion) {
+  const { project } = await analyze({ 'unit.gd': content }, { godotVersion });
+  return { class_: Array.from(project.classes)[0], dialect: project.dialect };
+}
+
+/**
+ * Summarize what the parser read from the declarations of a class
+ */
+function describe(class_, dialect) {
+  return {
+    fields: Array.from(class_.fieldDeclarations.values(), field =>
+      [field.name.toString(), field.exported, field.onready, field.setter, field.getter]),
+    methods: Array.from(class_.methods, method => [method.name.toString(), method.rpcMode, method.getYieldCount(dialect)])
+  };
+}
+
+test('parses Godot 4 annotations, property accessors and await', async () => {
+  const { class_, dialect } = await parse(GODOT_4_SCRIPT, 4);
+
+  assert.deepEqual(describe(class_, dialect), {
+    fields: [['hp', true, false, null, null], ['sprite', false, true, null, null], ['armor', false, false, '<inline>', '<inline>']],
+    methods: [['sync_hp', 'any_peer', 1]]
+  });
+  assert.equal(class_.fieldDeclarations.get('armor').setterBody.name.toString(), 'armor.set');
+});
+
+test('parses Godot 3 keywords, setget and yield', async () => {
+  const { class_, dialect } = await parse(GODOT_3_SCRIPT, 3);
+
+  assert.ok(class_.tool);
+  assert.deepEqual(describe(class_, dialect), {
+    fields: [['hp', true, false, null, null], ['sprite', false, true, null, null], ['armor', false, false, 'set_armor', 'get_armor']],
+    methods: [['set_armor', null, 0], ['get_armor', null, 0], ['sync_hp', 'master', 1]]
+  });
+});
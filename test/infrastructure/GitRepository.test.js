@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { GitRepository } from '../../src/infrastructure/repositories/GitRepository.js';
+
+const DIFF = `diff --git scripts/player.gd scripts/player.gd
+index 1111111..2222222 100644
+--- scripts/player.gd
++++ scripts/player.gd
+@@ -3 +3,2 @@ extends Node
+-var speed = 1
++var speed = 2
++var jump = 3
+@@ -20,2 +21,0 @@ func run():
+-\tpass
+-\tpass
+diff --git README.md README.md
+--- README.md
++++ README.md
+@@ -1 +1 @@
+-old
++new
+diff --git old.gd old.gd
+deleted file mode 100644
+--- old.gd
++++ /dev/null
+@@ -1 +0,0 @@
+-extends Node
+`;
+
+test('reads the new-side line ranges of changed scripts from a zero-context diff', () => {
+  const files = new GitRepository().parseDiff(DIFF, '/game');
+
+  assert.deepEqual(files, [{
+    path: path.join('/game', 'scripts/player.gd'),
+    hunks: [{ startLine: 3, endLine: 4 }, { startLine: 21, endLine: 21 }]
+  }]);
+});
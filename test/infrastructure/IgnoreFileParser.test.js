@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IgnoreFileParser } from '../../src/infrastructure/parsers/IgnoreFileParser.js';
+
+test('parses one rule per pattern line, skipping comments and blank lines', () => {
+  const rules = new IgnoreFileParser().parse('# generated code\n\n*.gen.gd  \r\n!keep.gen.gd\n\\#literal.gd\n');
+
+  assert.deepEqual(rules.map(rule => [rule.pattern, rule.line]), [['*.gen.gd', 3], ['!keep.gen.gd', 4], ['\\#literal.gd', 5]]);
+  assert.ok(rules.every(rule => rule.source === '.smellignore'));
+  assert.ok(rules[2].matches('#literal.gd'));
+});
+
+test('keeps a trailing space escaped with a backslash', () => {
+  const [rule] = new IgnoreFileParser().parse('odd name.gd\\ \n', 'custom.ignore');
+
+  assert.equal(rule.pattern, 'odd name.gd ');
+  assert.equal(rule.describe(), "'odd name.gd ' (custom.ignore:1)");
+});
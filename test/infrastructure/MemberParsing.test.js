@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const PLAYER = `@tool
+@icon("res://icon.svg")
+extends Node2D
+
+@export_group("Stats")
+@export_range(0, 100) var health: int = 100:
+\tset(value):
+\t\thealth = clamp(value, 0, 100)
+\t\thealth_changed.emit(health)
+\tget:
+\t\treturn health
+
+static var instances := 0
+const MAX_SPEED: float = 300.0
+const NAME = "player"
+enum State { IDLE, RUN = 5, JUMP }
+enum { LEFT, RIGHT }
+
+signal health_changed(value)
+
+@rpc("any_peer", "reliable")
+static func create() -> Node2D:
+\tvar sorter = func(a, b): return a < b
+\tvar named = func double(x: int) -> int:
+\t\treturn x * 2
+\treturn null
+`;
+
+/**
+ * Parse the Player script and get its class
+ */
+async function parsePlayer() {
+  const { project } = await analyze({ 'player.gd': PLAYER }, { godotVersion: 4 });
+  return Array.from(project.classes)[0];
+}
+
+test('keeps script and standalone annotations on the class and the others on their declaration', async () => {
+  const player = await parsePlayer();
+
+  assert.ok(player.tool);
+  assert.deepEqual(player.annotations.map(a => [a.name, a.arguments]),
+    [['tool', []], ['icon', ['"res://icon.svg"']], ['export_group', ['"Stats"']]]);
+  assert.deepEqual(player.getField('health').annotations.map(a => [a.name, a.arguments]), [['export_range', ['0', '100']]]);
+  assert.ok(player.getField('health').exported);
+  assert.deepEqual(player.getMethod('create').annotations.map(a => [a.name, a.arguments]), [['rpc', ['"any_peer"', '"reliable"']]]);
+  assert.equal(player.getMethod('create').rpcMode, 'any_peer');
+});
+
+test('reads static variables and static functions', async () => {
+  const player = await parsePlayer();
+
+  assert.deepEqual(player.getStaticFields().map(field => [field.name.toString(), field.type, field.inferred]), [['instances', 'int', true]]);
+  assert.ok(!player.getField('health').static);
+  assert.ok(player.getMethod('create').static);
+  assert.equal(player.getMethod('create').getSignature(), 'static create() -> Node2D');
+});
+
+test('reads constants and named and unnamed enums', async () => {
+  const player = await parsePlayer();
+
+  assert.deepEqual(Array.from(player.constants.values(), c => [c.name.toString(), c.type, c.value]),
+    [['MAX_SPEED', 'float', '300.0'], ['NAME', null, '"player"']]);
+  assert.deepEqual(player.enums.map(e => [e.name, e.members.map(m => [m.name, m.value])]), [
+    ['State', [['IDLE', null], ['RUN', '5'], ['JUMP', null]]],
+    [null, [['LEFT', null], ['RIGHT', null]]]
+  ]);
+  assert.ok(!player.fields.has('MAX_SPEED'));
+});
+
+test('reads anonymous and named lambdas inside methods', async () => {
+  const player = await parsePlayer();
+
+  assert.deepEqual(player.getMethod('create').lambdas.map(l => [l.name, l.getSignature(), l.lineCount]),
+    [[null, 'func(a, b)', 1], ['double', 'func double(x: int) -> int', 2]]);
+  assert.deepEqual(player.getMethodNames(), ['create']);
+});
+
+test('parses inline set and get blocks as accessor bodies of their field', async () => {
+  const health = (await parsePlayer()).getField('health');
+
+  assert.equal(health.type, 'int');
+  assert.deepEqual([health.setter, health.getter], ['<inline>', '<inline>']);
+  assert.equal(health.setterBody.name.toString(), 'health.set');
+  assert.deepEqual(health.setterBody.parameters.map(p => p.name.toString()), ['value']);
+  assert.equal(health.setterBody.loc, 2);
+  assert.deepEqual(health.setterBody.emittedSignals, [{ owner: 'Player', signal: 'health_changed' }]);
+  assert.equal(health.getterBody.name.toString(), 'health.get');
+  assert.equal(health.getterBody.statements[0].kind, 'return');
+});
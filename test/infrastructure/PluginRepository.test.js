@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PluginRepository } from '../../src/infrastructure/repositories/PluginRepository.js';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const API_URL = new URL('../../src/presentation/api/index.js', import.meta.url).href;
+
+/**
+ * Detector plugin modeled on the README example, importing the package through its entry module
+ */
+const TOO_MANY_SIGNALS = `import { CodeSmellDetector, CodeSmellResult } from '${API_URL}';
+
+export default class TooManySignals extends CodeSmellDetector {
+  getName() { return 'TooManySignals'; }
+  getDescription() { return 'Classes declaring more signals than the studio allows'; }
+  getThresholdSchema() {
+    return { maxSignalsPerClass: { type: 'integer', default: 6, min: 0, description: 'Signals per class' } };
+  }
+
+  detect(context, thresholds) {
+    if (!context.class) return null;
+    const count = context.class.signals.size;
+    const detected = count > thresholds.maxSignalsPerClass;
+    return new CodeSmellResult(this.getName(), detected, detected ? 'Medium' : null,
+      this.classLocation(context.class, context.filePath), { count, maxSignalsPerClass: thresholds.maxSignalsPerClass });
+  }
+}
+`;
+
+/**
+ * Plugin exporting a list of detector instances, one of them named by the given name
+ */
+function namedPlugin(name) {
+  return `const detector = name => ({ getName: () => name, getDescription: () => 'Test', detect: () => null });
+
+export const detectors = [detector('First'), detector(${JSON.stringify(name)})];
+`;
+}
+
+/**
+ * Write plugin modules to a fresh directory and run a test against it
+ */
+async function withPlugins(files, run) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-'));
+  try {
+    for (const [name, source] of Object.entries(files)) {
+      await fs.writeFile(path.join(directory, name), source);
+    }
+    await run(directory);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+const PLUGIN = `import { limit } from './limit.js';
+
+export default class NoMagic {
+  getName() { return 'NoMagic'; }
+  getDescription() { return 'Flags magic numbers'; }
+  detect() { return limit; }
+}
+`;
+
+test('versions a plugin by the source of its entry module and the local modules it imports', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'plugin-'));
+  const repository = new PluginRepository();
+  try {
+    await fs.writeFile(path.join(directory, 'plugin.js'), PLUGIN);
+    await fs.writeFile(path.join(directory, 'limit.js'), 'export const limit = 3;\n');
+    const [loaded] = await repository.load([{ module: './plugin.js', thresholds: {} }], directory);
+
+    assert.equal(loaded.detector.getName(), 'NoMagic');
+    assert.equal(loaded.version, await repository.hashSources(path.join(directory, 'plugin.js')));
+
+    await fs.writeFile(path.join(directory, 'limit.js'), 'export const limit = 4;\n');
+    assert.notEqual(await repository.hashSources(path.join(directory, 'plugin.js')), loaded.version);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('loads class and instance exports with the thresholds their schema resolves', async () => {
+  await withPlugins({ 'signals.js': TOO_MANY_SIGNALS, 'named.js': namedPlugin('Second') }, async directory => {
+    const loaded = await new PluginRepository().load([
+      { module: './signals.js', thresholds: { maxSignalsPerClass: 2 } },
+      { module: './named.js', thresholds: {} }
+    ], directory);
+
+    assert.deepEqual(loaded.map(plugin => plugin.detector.getName()), ['TooManySignals', 'First', 'Second']);
+    assert.deepEqual(loaded[0].thresholds, { maxSignalsPerClass: 2 });
+    assert.equal(loaded[0].module, path.join(directory, 'signals.js'));
+    assert.deepEqual(loaded[1].thresholds, {});
+  });
+});
+
+test('rejects invalid names, name clashes, unknown thresholds and modules without detectors', async () => {
+  await withPlugins({
+    'signals.js': TOO_MANY_SIGNALS,
+    'bad.js': namedPlugin('Bad Name'),
+    'clash.js': namedPlugin('LongMethod'),
+    'twice.js': namedPlugin('First'),
+    'empty.js': 'export const helper = 1;\n',
+    'partial.js': "export default { getName: () => 'Partial' };\n"
+  }, async directory => {
+    const repository = new PluginRepository();
+    const load = (module, thresholds = {}) => repository.load([{ module, thresholds }], directory, ['LongMethod']);
+
+    await assert.rejects(load('./bad.js'), /invalid name "Bad Name"/);
+    await assert.rejects(load('./clash.js'), /declares detector LongMethod, which is already defined/);
+    await assert.rejects(load('./twice.js'), /declares detector First, which is already defined/);
+    await assert.rejects(load('./signals.js', { maxSignals: 2 }), /Unknown threshold maxSignals for plugin \.\/signals\.js \(expected one of: maxSignalsPerClass\)/);
+    await assert.rejects(load('./signals.js', { maxSignalsPerClass: -1 }), /maxSignalsPerClass/);
+    await assert.rejects(load('./empty.js'), /exports no detectors/);
+    await assert.rejects(load('./partial.js'), /without detect, getDescription/);
+    await assert.rejects(load('./missing.js'), /Failed to load plugin \.\/missing\.js/);
+  });
+});
+
+test('runs plugin detectors alongside the built-in ones', async () => {
+  await withPlugins({ 'signals.js': TOO_MANY_SIGNALS }, async directory => {
+    const result = await analyze({
+      'player.gd': 'extends Node\n\nsignal a\nsignal b\nsignal c\n\nfunc f(a, b, c, d, e, f, g, h):\n\tpass\n'
+    }, {
+      godotVersion: 4,
+      config: { plugins: [{ module: path.join(directory, 'signals.js'), thresholds: { maxSignalsPerClass: 2 } }] }
+    });
+    const smells = result.getDetectedSmells();
+    const plugin = smells.find(smell => smell.smellName === 'TooManySignals');
+
+    assert.deepEqual(plugin.details, { count: 3, maxSignalsPerClass: 2 });
+    assert.equal(plugin.location.file, path.resolve('/', 'project', 'player.gd'));
+    assert.ok(smells.some(smell => smell.smellName === 'LongParameterList'));
+  });
+});
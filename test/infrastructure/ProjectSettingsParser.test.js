@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProjectSettingsParser } from '../../src/infrastructure/parsers/ProjectSettingsParser.js';
+
+const PROJECT_GODOT = `; Engine configuration file.
+config_version=5
+
+[application]
+
+config/name="Demo"
+config/features=PackedStringArray("4.2", "Forward Plus")
+
+[autoload]
+
+GameState="*res://autoload/game_state.gd"
+Loader="res://autoload/loader.gd"
+`;
+
+test('parses sections and Variant values', () => {
+  const { sections } = new ProjectSettingsParser().parse(PROJECT_GODOT);
+
+  assert.equal(sections[''].config_version, 5);
+  assert.equal(sections.application['config/name'], 'Demo');
+  assert.deepEqual(sections.application['config/features'], ['4.2', 'Forward Plus']);
+});
+
+test('extracts autoloads, marking singletons', () => {
+  const { autoloads } = new ProjectSettingsParser().parse(PROJECT_GODOT);
+
+  assert.deepEqual(autoloads, [
+    { name: 'GameState', path: 'res://autoload/game_state.gd', singleton: true },
+    { name: 'Loader', path: 'res://autoload/loader.gd', singleton: false }
+  ]);
+});
+
+test('joins values spanning several lines', () => {
+  const { sections } = new ProjectSettingsParser().parse('[input]\n\nui_jump={\n"deadzone": 0.5,\n"events": []\n}\nnext=1\n');
+
+  assert.match(sections.input.ui_jump, /"deadzone": 0\.5/);
+  assert.equal(sections.input.next, 1);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const ENEMY = `class_name Enemy
+extends Node2D
+
+func hit(amount):
+\tpass
+`;
+
+const GAME_STATE = `extends Node
+
+func save():
+\tpass
+`;
+
+const PROJECT_GODOT = `config_version=5
+
+[autoload]
+
+GameState="*res://game_state.gd"
+`;
+
+/**
+ * Parse a Player script next to the Enemy class and the GameState autoload, and get the
+ * (receiver, member) calls of one of its methods
+ */
+async function callsOf(source, methodName) {
+  const { project } = await analyze({
+    'player.gd': source,
+    'enemy.gd': ENEMY,
+    'game_state.gd': GAME_STATE,
+    'project.godot': PROJECT_GODOT
+  }, { godotVersion: 4 });
+  const player = Array.from(project.classes).find(class_ => class_.name.toString() === 'Player');
+  return Array.from(player.getMethod(methodName).calls, ([receiver, callee]) => `${receiver}.${callee}`).sort();
+}
+
+test('resolves self, typed and inferred fields, typed parameters, autoloads and class_name receivers', async () => {
+  const calls = await callsOf(`class_name Player
+extends Node2D
+
+var target: Enemy
+var spawned := Enemy.new()
+
+func attack(other: Enemy):
+\tself.reload()
+\ttarget.hit(1)
+\tspawned.hit(2)
+\tother.hit(3)
+\tGameState.save()
+\tEnemy.new()
+
+func reload():
+\tpass
+
+func _ready():
+\tsuper()
+`, 'attack');
+
+  // The autoload script has no class_name, so its class is named after the file
+  assert.deepEqual(calls, ['Enemy.hit', 'Enemy.new', 'Game_state.save', 'Player.reload']);
+});
+
+test('leaves out calls on receivers whose type is unknown', async () => {
+  const calls = await callsOf(`class_name Player
+extends Node2D
+
+var target
+
+func attack(enemy):
+\tvar local = get_parent()
+\ttarget.take_damage(1)
+\tenemy.hit(2)
+\tlocal.hit(3)
+\t$Sprite.play("attack")
+\tget_tree().create_timer(1.0)
+`, 'attack');
+
+  assert.deepEqual(calls, []);
+});
+
+test('records bare calls to own and inherited script methods, but not to engine methods', async () => {
+  const { project } = await analyze({
+    'base.gd': `class_name Base
+extends Node2D
+
+func spawn():
+\tpass
+`,
+    'player.gd': `class_name Player
+extends Base
+
+func _ready():
+\tspawn()
+\tjump()
+\tadd_child(Node.new())
+\tqueue_free()
+\tprint("ready")
+
+func jump():
+\tpass
+`
+  }, { godotVersion: 4 });
+  const player = Array.from(project.classes).find(class_ => class_.name.toString() === 'Player');
+  const calls = Array.from(player.getMethod('_ready').calls, ([receiver, callee]) => `${receiver}.${callee}`).sort();
+
+  assert.deepEqual(calls, ['@GlobalScope.print', 'Node.new', 'Player.jump', 'Player.spawn']);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { analyze } from '../../src/presentation/api/index.js';
+import { ReportRepository } from '../../src/infrastructure/repositories/ReportRepository.js';
+import { CodeSmellResult } from '../../src/domain/services/CodeSmellDetector.js';
+
+test('formats smell locations as escaped HTML', () => {
+  const smell = new CodeSmellResult('LongMethod', true, 'High', {
+    class: 'Player<T>', method: 'jump&run', file: 'scripts/<b>.gd', line: 3, column: 1
+  });
+
+  assert.equal(new ReportRepository().formatLocation(smell),
+    'Player&lt;T&gt;::jump&amp;run <code>scripts/&lt;b&gt;.gd:3:1</code>');
+});
+
+test('escapes source captured in smell details in the HTML report', async () => {
+  const result = await analyze({
+    'player.gd': 'extends Node\n\nfunc _ready():\n\tprint("</pre><script>alert(1)</script>")\n'
+  }, {
+    godotVersion: 4,
+    config: { rules: [{ name: 'NoPrint', query: '(call (identifier) @fn (#eq? @fn "print") (arguments (string) @text)) @match', message: '{text}' }] }
+  });
+
+  const html = new ReportRepository().generateHTML(result);
+
+  assert.ok(result.getDetectedSmells().some(smell => smell.smellName === 'NoPrint'));
+  assert.ok(!html.includes('<script>alert(1)</script>'));
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+});
+
+test('names JSON file reports after the project-relative path of their file', async () => {
+  const script = 'extends Node\n\nfunc jump(a, b, c, d, e, f):\n\tpass\n';
+  const result = await analyze({ 'player/main.gd': script, 'enemy/main.gd': script }, { godotVersion: 4 });
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'reports-'));
+  try {
+    const summaryPath = await new ReportRepository().saveResult(result, directory, 'json');
+    const reports = (await fs.readdir(path.dirname(summaryPath))).sort();
+
+    assert.deepEqual(reports, ['enemy__main.gd.json', 'player__main.gd.json', 'summary.json']);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
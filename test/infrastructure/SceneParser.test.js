@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SceneParser } from '../../src/infrastructure/parsers/SceneParser.js';
+
+const GODOT_4_SCENE = `[gd_scene load_steps=3 format=3 uid="uid://abc"]
+
+[ext_resource type="Script" path="res://scripts/player.gd" id="1_x"]
+[ext_resource type="PackedScene" uid="uid://def" path="res://scenes/gun.tscn" id="2_y"]
+
+[node name="Player" type="CharacterBody2D"]
+script = ExtResource("1_x")
+
+[node name="Sprite" type="Sprite2D" parent="."]
+
+[node name="Gun" parent="Sprite" instance=ExtResource("2_y")]
+
+[connection signal="fired" from="Sprite/Gun" to="." method="_on_gun_fired"]
+`;
+
+const GODOT_3_RESOURCE = `[gd_resource type="Resource" load_steps=2 format=2]
+
+[ext_resource path="res://data/item.gd" type="Script" id=1]
+
+[resource]
+script = ExtResource( 1 )
+damage = 3
+`;
+
+test('parses the node tree, scripts, instanced scenes and connections of a Godot 4 scene', () => {
+  const scene = new SceneParser().parse(GODOT_4_SCENE, '/game/scenes/player.tscn', '/game');
+
+  assert.equal(scene.name.toString(), 'player');
+  assert.equal(scene.rootNode.toString(), 'Player');
+  assert.deepEqual(Array.from(scene.childNodes, node => node.toString()), ['Sprite', 'Sprite/Gun']);
+  assert.deepEqual(scene.getAttachedScripts(), ['/game/scripts/player.gd']);
+  assert.deepEqual(scene.getInstancedScenes(), ['/game/scenes/gun.tscn']);
+  assert.equal(scene.findNode('Sprite/Gun').instancePath, '/game/scenes/gun.tscn');
+  assert.deepEqual(scene.connections, [{ signal: 'fired', from: 'Sprite/Gun', to: '.', method: '_on_gun_fired', flags: 0 }]);
+});
+
+test('reads the script of a Godot 3 text resource from its [resource] section', () => {
+  const resource = new SceneParser().parse(GODOT_3_RESOURCE, '/game/data/sword.tres', '/game');
+
+  assert.ok(resource.isResource());
+  assert.equal(resource.resourceType, 'Resource');
+  assert.equal(resource.scriptPath, '/game/data/item.gd');
+  assert.equal(resource.getTotalNodes(), 0);
+});
+
+test('keeps editable children of instanced scenes under placeholder ancestors', () => {
+  const scene = new SceneParser().parse(`[gd_scene load_steps=2 format=3]
+
+[ext_resource type="PackedScene" path="res://enemy.tscn" id="1_e"]
+
+[node name="Level" type="Node2D"]
+
+[node name="Enemy" parent="." instance=ExtResource("1_e")]
+
+[node name="Hat" type="Sprite2D" parent="Enemy/Sprite"]
+`, '/game/level.tscn', '/game');
+
+  assert.deepEqual(Array.from(scene.childNodes, node => node.toString()), ['Enemy', 'Enemy/Sprite', 'Enemy/Sprite/Hat']);
+  assert.equal(scene.findNode('Enemy/Sprite').type, null);
+  assert.equal(scene.findNode('Enemy/Sprite/Hat').type, 'Sprite2D');
+});
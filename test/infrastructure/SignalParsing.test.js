@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const PLAYER = `class_name Player
+extends CharacterBody2D
+
+## Emitted when the player takes damage
+signal hit(amount: int)
+signal died
+
+var timer: Timer
+var stats
+
+func _ready():
+\thit.connect(_on_hit)
+\tself.died.connect(_on_died.bind(1))
+\tconnect("hit", Callable(self, "_on_hit"))
+\ttimer.timeout.connect(_on_timeout)
+\ttree_exited.connect(_on_died)
+\t$Button.pressed.connect(_on_died)
+\tstats.changed.connect(_on_hit)
+\tself.timer.emit()
+
+func take_damage():
+\thit.emit(1)
+\temit_signal("died")
+
+func _on_hit(amount):
+\tpass
+
+func _on_died():
+\tpass
+
+func _on_timeout():
+\tpass
+`;
+
+const HUD = `class_name Hud
+extends Control
+
+var player: Player
+
+func _ready():
+\tplayer.hit.connect(_on_player_hit)
+\tplayer.position.connect(_on_player_hit)
+
+func _on_player_hit(amount):
+\tpass
+
+func _on_button_pressed():
+\tpass
+`;
+
+const HUD_SCENE = `[gd_scene load_steps=2 format=3]
+
+[ext_resource type="Script" path="res://hud.gd" id="1"]
+
+[node name="HUD" type="Control"]
+script = ExtResource("1")
+
+[node name="Button" type="Button" parent="."]
+
+[connection signal="pressed" from="Button" to="." method="_on_button_pressed"]
+`;
+
+/**
+ * Describe emissions and connections as 'owner.signal' and 'owner.signal -> class.method (style)'
+ */
+function describe(graph) {
+  return {
+    emissions: graph.emissions.map(e => `${e.owner}.${e.signal} by ${e.emitter.class}.${e.emitter.method}`),
+    connections: graph.connections.map(c =>
+      `${c.owner}.${c.signal} -> ${c.handler ? `${c.handler.class}.${c.handler.method}` : '?'} (${c.style})`)
+  };
+}
+
+test('reads signal declarations with their parameters and doc comments', async () => {
+  const { project } = await analyze({ 'player.gd': PLAYER }, { godotVersion: 4 });
+  const [hit, died] = project.signalGraph.declarations;
+
+  assert.equal(`${hit.owner}.${hit.name}`, 'Player.hit');
+  assert.deepEqual(hit.parameters.map(p => `${p.name}: ${p.type}`), ['amount: int']);
+  assert.equal(hit.docComment.text, 'Emitted when the player takes damage');
+  assert.equal(`${died.owner}.${died.name}`, 'Player.died');
+  assert.equal(died.docComment, null);
+});
+
+test('records emissions and both connect forms, only for members that are signals', async () => {
+  const { project } = await analyze({ 'player.gd': PLAYER, 'hud.gd': HUD }, { godotVersion: 4 });
+  const { emissions, connections } = describe(project.signalGraph);
+
+  assert.deepEqual(emissions, ['Player.hit by Player.take_damage', 'Player.died by Player.take_damage']);
+
+  // `stats.changed` has no known type, `self.timer` and `player.position` are properties
+  assert.deepEqual(connections, [
+    'Player.hit -> Player._on_hit (callable)',
+    'Player.died -> Player._on_died (callable)',
+    'Player.hit -> Player._on_hit (callable)',
+    'Timer.timeout -> Player._on_timeout (callable)',
+    'Player.tree_exited -> Player._on_died (callable)',
+    '$Button.pressed -> Player._on_died (callable)',
+    'Player.hit -> Hud._on_player_hit (callable)'
+  ]);
+});
+
+test('records Godot 3 string connections with their target', async () => {
+  const { project } = await analyze({
+    'player.gd': `extends KinematicBody2D
+
+signal hit
+
+func _ready():
+\tconnect("hit", self, "_on_hit")
+\tconnect("hit", target, "_on_hit")
+\temit_signal("hit")
+`
+  }, { godotVersion: 3 });
+
+  assert.deepEqual(describe(project.signalGraph), {
+    emissions: ['Player.hit by Player._ready'],
+    connections: ['Player.hit -> Player._on_hit (string)', 'Player.hit -> ? (string)']
+  });
+});
+
+test('adds scene [connection] entries, resolving nodes to their script or engine type', async () => {
+  const { project } = await analyze({ 'player.gd': PLAYER, 'hud.gd': HUD, 'hud.tscn': HUD_SCENE }, { godotVersion: 4 });
+  const sceneConnections = project.signalGraph.connections.filter(c => c.origin === 'scene');
+
+  assert.deepEqual(sceneConnections.map(c => ({ owner: c.owner, signal: c.signal, handler: c.handler, style: c.style })), [
+    { owner: 'Button', signal: 'pressed', handler: { class: 'Hud', method: '_on_button_pressed' }, style: 'scene' }
+  ]);
+  assert.match(sceneConnections[0].connector.scene, /hud\.tscn$/);
+});
+
+test('answers emitter, listener and coupling queries over code and scene connections', async () => {
+  const { project } = await analyze({ 'player.gd': PLAYER, 'hud.gd': HUD, 'hud.tscn': HUD_SCENE }, { godotVersion: 4 });
+  const graph = project.signalGraph;
+
+  assert.deepEqual(graph.getEmitters('Player', 'hit'), ['Player']);
+  assert.deepEqual(graph.getListeners('Player', 'hit'), ['Player', 'Hud']);
+  assert.deepEqual(graph.getSignalsOf('Player'), ['hit', 'died', 'tree_exited']);
+  assert.deepEqual(graph.getUnemittedSignals(), []);
+  assert.deepEqual(graph.getUnconnectedSignals(), []);
+  assert.deepEqual(graph.getCouplings().map(c => `${c.emitter} -> ${c.listener} via ${c.owner}.${c.signal}`), [
+    'Timer -> Player via Timer.timeout',
+    '$Button -> Player via $Button.pressed',
+    'Player -> Hud via Player.hit',
+    'Button -> Hud via Button.pressed'
+  ]);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+/**
+ * Parse one script and get a method of its class
+ */
+async function parseMethod(source, methodName) {
+  const { project } = await analyze({ 'player.gd': source }, { godotVersion: 4 });
+  const [class_] = project.classes;
+  return class_.getMethod(methodName);
+}
+
+test('models compound statements with their clauses as child blocks', async () => {
+  const method = await parseMethod(`extends Node
+
+func run(state, items):
+\tvar total := 0
+\tif state == 1:
+\t\ttotal += 1
+\telif state == 2: # second state
+\t\tpass
+\telse:
+\t\treturn
+\tfor item in items:
+\t\tprint(item)
+\tmatch state:
+\t\t1:
+\t\t\tpass
+\t\t_:
+\t\t\tawait get_tree().process_frame
+`, 'run');
+
+  assert.deepEqual(method.statements.map(statement => statement.kind), ['var', 'if', 'for', 'match']);
+
+  const [, ifStatement, forStatement, matchStatement] = method.statements;
+  assert.equal(ifStatement.content, 'if state == 1:');
+  assert.deepEqual(ifStatement.blocks.map(block => [block.kind, block.content]),
+    [['body', null], ['elif', 'elif state == 2:'], ['else', 'else:']]);
+  assert.deepEqual(ifStatement.getChildren().map(statement => [statement.kind, statement.depth]),
+    [['assignment', 1], ['pass', 1], ['return', 1]]);
+  assert.deepEqual(forStatement.getChildren().map(statement => statement.kind), ['call']);
+  assert.deepEqual(matchStatement.blocks.map(block => [block.kind, block.content]), [['pattern', '1:'], ['pattern', '_:']]);
+  assert.deepEqual(matchStatement.getChildren().map(statement => statement.kind), ['pass', 'await']);
+  assert.equal(method.getAllStatements().length, 10);
+  assert.equal(method.getMaxNestingDepth(), 1);
+});
+
+test('counts boolean operators in conditions, clause headers and lambdas, but not in strings or child blocks', async () => {
+  const method = await parseMethod(`extends Node
+
+func check(a, b, c):
+\tif a and b or c:
+\t\tprint(a && b)
+\telif not a || b:
+\t\tpass
+\tprint("for you, if and or while")
+\tvar pick = func(x): return x and a
+`, 'check');
+
+  assert.deepEqual(method.getAllStatements().map(statement => [statement.kind, statement.booleanOperators]),
+    [['if', 3], ['call', 1], ['pass', 0], ['call', 0], ['var', 1]]);
+});
+
+test('computes cyclomatic complexity from branches, elif clauses and boolean operators', async () => {
+  const source = `extends Node
+
+func straight():
+\tprint("for you")
+\t# if this and that
+
+func branching(a, b, c, items):
+\tif a and b or c:
+\t\tpass
+\telif b:
+\t\tpass
+\telse:
+\t\tpass
+\twhile a:
+\t\ta = false
+\tfor item in items:
+\t\tmatch item:
+\t\t\t1:
+\t\t\t\tpass
+`;
+
+  assert.equal((await parseMethod(source, 'straight')).cyclomaticComplexity, 1);
+  // 1 + if + and + or + elif + while + for + match
+  assert.equal((await parseMethod(source, 'branching')).cyclomaticComplexity, 8);
+});
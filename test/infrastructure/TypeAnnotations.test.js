@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyze } from '../../src/presentation/api/index.js';
+
+const SCRIPT = `extends Node
+
+var speed: float = 2.0
+var lives := 3
+var target
+
+func move(direction, delta: float, steps = 1, scale: float = 1.0, offset := Vector2(1, 2), count := get_count()) -> void:
+\tpass
+
+func get_count() -> int:
+\treturn 1
+
+func items() -> Array[String]:
+\treturn []
+
+func untyped():
+\tpass
+`;
+
+/**
+ * Parse the script and get its class
+ */
+async function parseClass(source) {
+  const { project } = await analyze({ 'player.gd': source }, { godotVersion: 4 });
+  return { project, class_: Array.from(project.classes)[0] };
+}
+
+test('reads untyped, typed, defaulted and inferred parameters', async () => {
+  const { class_ } = await parseClass(SCRIPT);
+  const parameters = class_.getMethod('move').parameters;
+
+  assert.deepEqual(parameters.map(p => [p.name.toString(), p.type, p.defaultValue, p.inferred, p.isTyped()]), [
+    ['direction', 'dynamic', null, false, false],
+    ['delta', 'float', null, false, true],
+    ['steps', 'dynamic', '1', false, false],
+    ['scale', 'float', '1.0', false, true],
+    ['offset', 'Vector2', 'Vector2(1, 2)', true, true],
+    // `:=` from a call is statically typed even though its type is not known here
+    ['count', 'dynamic', 'get_count()', true, true]
+  ]);
+  assert.equal(class_.getMethod('move').getSignature(),
+    'move(direction, delta: float, steps = 1, scale: float = 1.0, offset := Vector2(1, 2), count := get_count()) -> void');
+});
+
+test('reads return types, generic ones included', async () => {
+  const { class_ } = await parseClass(SCRIPT);
+
+  assert.deepEqual(['move', 'get_count', 'items', 'untyped'].map(name => class_.getMethod(name).returnType),
+    ['void', 'int', 'Array[String]', null]);
+});
+
+test('reads field types from annotations and := inference', async () => {
+  const { class_ } = await parseClass(SCRIPT);
+
+  assert.deepEqual(['speed', 'lives', 'target'].map(name => [class_.getField(name).type, class_.getField(name).isTyped()]),
+    [['float', true], ['int', true], [null, false]]);
+});
+
+test('measures type coverage over fields, parameters and return types', async () => {
+  const { project, class_ } = await parseClass(SCRIPT);
+
+  assert.deepEqual(class_.getTypeCoverage(), {
+    typedFields: 2, totalFields: 3,
+    typedParameters: 4, totalParameters: 6,
+    typedReturns: 3, totalMethods: 4
+  });
+  assert.equal(project.getTypeCoverage().ratio, 9 / 13);
+  assert.equal(project.getStatistics().typeCoverage.ratio, 9 / 13);
+
+  // Nothing to type counts as full coverage
+  const { project: empty } = await parseClass('extends Node\n');
+  assert.equal(empty.getTypeCoverage().ratio, 1);
+});
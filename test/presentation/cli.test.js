@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('../../src/presentation/cli/index.js', import.meta.url));
+
+/**
+ * Run the CLI and resolve with its exit code and output, whatever the code
+ */
+function run(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 120000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Create a one-script project whose configuration limits the total number of smells
+ */
+async function createProject(maxTotalSmells) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+  await fs.writeFile(path.join(directory, 'project.godot'), 'config_version=5\n');
+  await fs.writeFile(path.join(directory, 'player.gd'), 'extends Node\n\nfunc jump(a, b, c, d, e, f):\n\tprint(a, b, c, d, e, f)\n');
+  await fs.writeFile(path.join(directory, 'config.yaml'), `qualityGates:\n  maxTotalSmells: ${maxTotalSmells}\n`);
+  return directory;
+}
+
+/**
+ * Analyze a project on the main thread, without cache, writing reports inside it
+ */
+function analyze(directory, ...args) {
+  return run(['analyze', directory, '-c', path.join(directory, 'config.yaml'), '-o', path.join(directory, 'out'),
+    '--no-cache', '-j', '1', ...args]);
+}
+
+test('exits with code 2 for a failed quality gate only when asked to', async () => {
+  const directory = await createProject(0);
+  try {
+    assert.equal((await analyze(directory)).code, 0);
+    assert.equal((await analyze(directory, '--fail-on-quality-gate')).code, 2);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('exits with code 0 when the quality gates pass', async () => {
+  const directory = await createProject(100);
+  try {
+    assert.equal((await analyze(directory, '--fail-on-quality-gate')).code, 0);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('exits with code 1 when the analysis fails', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+  try {
+    const { code } = await run(['analyze', path.join(directory, 'missing'), '-o', path.join(directory, 'out'), '--no-cache', '-j', '1']);
+    assert.equal(code, 1);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});